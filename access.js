@@ -0,0 +1,122 @@
+/*
+ * Visibility rules for memories.
+ *
+ *   • draft   – only the author can see it.
+ *   • private – the author plus the users listed in `memory.sharedWith`.
+ *               When the list is missing (memories created before it
+ *               existed) it defaults to the couple.
+ *   • public  – every logged in user, and the public diary.
+ *
+ * Comments and reactions inherit the visibility of their memory. server.js
+ * applies these rules through its loadVisibleMemory/loadVisibleComment
+ * middleware and when listing or exporting, so there is a single policy for
+ * every route. Visitors get public memories through publicView(), which
+ * leaves out who they are shared with, the media metadata and other
+ * bookkeeping.
+ */
+
+// Fields of a memory shown in the public diary and map.
+const PUBLIC_FIELDS = [
+  'id',
+  'title',
+  'text',
+  'date',
+  'day',
+  'tags',
+  'location',
+  'coordinates',
+  'status',
+  'media',
+  'mediaVariants',
+  'createdAt',
+  'updatedAt',
+];
+
+/**
+ * Parse a list of usernames given as an array or a comma-separated string.
+ *
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function parseUserList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((u) => String(u).trim()).filter((u) => u);
+}
+
+/**
+ * Copy of a public memory with only the fields visitors may read.
+ *
+ * @param {object} memory
+ * @returns {object}
+ */
+function publicView(memory) {
+  const view = {};
+  PUBLIC_FIELDS.forEach((field) => {
+    if (memory[field] !== undefined) view[field] = memory[field];
+  });
+  return view;
+}
+
+/**
+ * @param {{ couple: string[] }} options Usernames that share private memories by default
+ */
+function createAccessPolicy({ couple }) {
+  const defaultAudience = parseUserList(couple);
+
+  /**
+   * Users allowed to read a private memory.
+   *
+   * @param {object} memory
+   * @returns {string[]}
+   */
+  function audience(memory) {
+    const shared = Array.isArray(memory.sharedWith) ? memory.sharedWith : defaultAudience;
+    return shared.includes(memory.user) ? shared : shared.concat(memory.user);
+  }
+
+  /**
+   * @param {object} memory
+   * @param {string|null} username Logged in user, or null for visitors
+   * @returns {boolean}
+   */
+  function canView(memory, username) {
+    if (!memory) return false;
+    const status = String(memory.status || 'draft');
+    if (status === 'public') return true;
+    if (!username) return false;
+    if (memory.user === username) return true;
+    if (status === 'private') return audience(memory).includes(username);
+    return false;
+  }
+
+  /**
+   * Only the author edits or deletes a memory.
+   *
+   * @param {object} memory
+   * @param {string|null} username
+   * @returns {boolean}
+   */
+  function canEdit(memory, username) {
+    return Boolean(memory && username && memory.user === username);
+  }
+
+  return {
+    canView,
+    canEdit,
+    audience,
+    filterVisible(memories, username) {
+      return memories.filter((m) => canView(m, username));
+    },
+    /**
+     * Normalise the `sharedWith` field sent by the client. The author is
+     * always part of the list; an empty value falls back to the couple.
+     */
+    sharedWithFor(value, author) {
+      const list = parseUserList(value);
+      const shared = list.length > 0 ? list : defaultAudience.slice();
+      return shared.includes(author) ? shared : shared.concat(author);
+    },
+  };
+}
+
+module.exports = { createAccessPolicy, parseUserList, publicView };
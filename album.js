@@ -0,0 +1,243 @@
+const path = require('path');
+
+/*
+ * Human-readable exports of the memories: a day-by-day Markdown document
+ * and an HTML album laid out for printing (or "Save as PDF" in the
+ * browser).
+ *
+ * Both follow the trip: memories linked to an itinerary day are grouped
+ * under that day, days in itinerary order, and memories without a day (or
+ * whose day was removed) come last. Within a group memories are in
+ * chronological order. Each memory shows its date, location, tags, text,
+ * media and comments.
+ *
+ * Media URLs (/uploads/…) are mapped by the caller through `mediaUrl(url)`,
+ * so the same markup can point at the live server or at the copies inside
+ * the ZIP archive (see GET /export in server.js). The album has its styles
+ * inline and no external resources besides the media, so it also works
+ * offline from the extracted archive.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+const OTHER_DAY_TITLE = 'Outras memórias';
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Itinerary titles are short HTML fragments (see itinerary.js).
+const stripTags = (value) =>
+  String(value || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .trim();
+
+// Keep user text from being read as inline HTML by Markdown renderers.
+const escapeMarkdown = (value) => String(value || '').replace(/</g, '\\<');
+
+const isImage = (url) => IMAGE_EXTENSIONS.includes(path.extname(String(url)).toLowerCase());
+
+const time = (value) => {
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+/**
+ * Format a memory or comment date in Portuguese. Dates without a time
+ * (YYYY-MM-DD) are shown as written, whatever the server's time zone.
+ *
+ * @param {string} value
+ * @param {boolean} [withTime]
+ * @returns {string}
+ */
+function formatDate(value, withTime = false) {
+  if (!value || Number.isNaN(Date.parse(value))) return '';
+  const options = { year: 'numeric', month: 'long', day: 'numeric' };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) options.timeZone = 'UTC';
+  else if (withTime) Object.assign(options, { hour: '2-digit', minute: '2-digit' });
+  return new Date(value).toLocaleString('pt-BR', options);
+}
+
+/**
+ * Group memories by itinerary day, in trip order.
+ *
+ * @param {object[]} memories
+ * @param {object[]} days Itinerary days (see itinerary.list())
+ * @returns {Array<{ day: object|null, title: string, subtitle: string, memories: object[] }>}
+ */
+function groupByDay(memories, days) {
+  const chronological = memories
+    .slice()
+    .sort((a, b) => time(a.date || a.createdAt) - time(b.date || b.createdAt) || time(a.createdAt) - time(b.createdAt));
+  const groups = days.map((day) => ({
+    day,
+    title: stripTags(day.title) || `Dia ${day.id}`,
+    subtitle: stripTags(day.subtitle),
+    memories: [],
+  }));
+  const byId = new Map(groups.map((g) => [String(g.day.id), g]));
+  const others = { day: null, title: OTHER_DAY_TITLE, subtitle: '', memories: [] };
+  chronological.forEach((memory) => {
+    const hasDay = memory.day !== undefined && memory.day !== null && String(memory.day) !== '';
+    const group = (hasDay && byId.get(String(memory.day))) || others;
+    group.memories.push(memory);
+  });
+  return groups.concat(others).filter((g) => g.memories.length > 0);
+}
+
+/**
+ * Day-by-day Markdown document.
+ *
+ * @param {{ title: string, memories: object[], comments: object[], days: object[],
+ *           mediaUrl: function(string): string, generatedAt?: Date }} options
+ * @returns {string}
+ */
+function renderMarkdown({ title, memories, comments, days, mediaUrl, generatedAt = new Date() }) {
+  const lines = [`# ${title}`, '', `_Exportado em ${formatDate(generatedAt.toISOString(), true)}_`, ''];
+  groupByDay(memories, days).forEach((group) => {
+    lines.push(`## ${group.title}`, '');
+    if (group.subtitle) lines.push(`_${group.subtitle}_`, '');
+    group.memories.forEach((memory) => {
+      lines.push(`### ${escapeMarkdown(memory.title) || '(Sem título)'}`, '');
+      const meta = [formatDate(memory.date || memory.createdAt), escapeMarkdown(memory.location), `por ${memory.user}`];
+      lines.push(meta.filter(Boolean).join(' · '), '');
+      if (memory.tags && memory.tags.length > 0) {
+        lines.push(memory.tags.map((t) => `#${escapeMarkdown(t)}`).join(' '), '');
+      }
+      if (memory.text) lines.push(escapeMarkdown(memory.text), '');
+      (memory.media || []).forEach((url) => {
+        const name = path.basename(url);
+        lines.push(isImage(url) ? `![${name}](<${mediaUrl(url)}>)` : `[🎬 ${name}](<${mediaUrl(url)}>)`);
+      });
+      if ((memory.media || []).length > 0) lines.push('');
+      const own = comments.filter((c) => c.memoryId === memory.id);
+      if (own.length > 0) {
+        lines.push('**Comentários**', '');
+        own.forEach((c) => {
+          const text = escapeMarkdown(c.text).replace(/\n+/g, ' ');
+          lines.push(`- **${c.user}** (${formatDate(c.createdAt, true)}): ${text}`);
+        });
+        lines.push('');
+      }
+    });
+  });
+  return lines.join('\n');
+}
+
+const ALBUM_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #382b23; background: #f8f4ef; margin: 0; }
+  main { max-width: 860px; margin: 0 auto; padding: 32px 24px; }
+  header.album { text-align: center; margin-bottom: 32px; }
+  header.album h1 { font-size: 2.2rem; margin: 0 0 8px; }
+  header.album p { color: #776a60; margin: 0; }
+  .toolbar { text-align: center; margin-bottom: 24px; }
+  .toolbar button { font: inherit; border: none; border-radius: 10px; padding: 10px 16px; background: #e85d75; color: #fff; cursor: pointer; }
+  section.day { margin-bottom: 40px; }
+  section.day > h2 { border-bottom: 2px solid #e85d75; padding-bottom: 6px; margin-bottom: 4px; }
+  section.day > .subtitle { color: #776a60; font-style: italic; margin-top: 0; }
+  article.memory { background: #fff; border: 1px solid #e3dede; border-radius: 12px; padding: 16px 20px; margin: 16px 0; }
+  article.memory h3 { margin: 0 0 4px; }
+  .meta, .tags { color: #776a60; font-size: 0.9rem; margin: 0 0 8px; }
+  .text { white-space: pre-wrap; line-height: 1.5; }
+  .media { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 8px; margin: 12px 0; }
+  .media img, .media video { width: 100%; border-radius: 8px; display: block; }
+  .comments { border-top: 1px solid #e3dede; margin-top: 12px; padding-top: 8px; font-size: 0.9rem; }
+  .comments p { margin: 4px 0; }
+  .media .print-only { display: none; }
+  @page { size: A4; margin: 16mm; }
+  @media print {
+    body { background: #fff; }
+    main { max-width: none; padding: 0; }
+    .toolbar { display: none; }
+    section.day { break-before: page; }
+    section.day:first-of-type { break-before: auto; }
+    section.day > h2 { break-after: avoid; }
+    article.memory { break-inside: avoid; border: none; border-top: 1px solid #e3dede; border-radius: 0; padding: 12px 0; }
+    .media { grid-template-columns: repeat(2, 1fr); }
+    .media video { display: none; }
+    .media .print-only { display: block; width: 100%; border-radius: 8px; }
+  }
+`;
+
+function renderMedia(memory, mediaUrl) {
+  const items = (memory.media || []).map((url) => {
+    const variants = (memory.mediaVariants && memory.mediaVariants[url]) || {};
+    if (isImage(url)) {
+      const src = variants.medium ? mediaUrl(variants.medium.url) : mediaUrl(url);
+      return `<a href="${escapeHtml(mediaUrl(url))}"><img src="${escapeHtml(src)}" alt=""></a>`;
+    }
+    // Videos can't be printed: the poster frame stands in for them on paper.
+    const poster = variants.poster ? mediaUrl(variants.poster) : '';
+    const video = `<video controls preload="none" src="${escapeHtml(mediaUrl(url))}"${poster ? ` poster="${escapeHtml(poster)}"` : ''}></video>`;
+    const printed = poster ? `<img class="print-only" src="${escapeHtml(poster)}" alt="">` : '';
+    return video + printed;
+  });
+  return items.length > 0 ? `<div class="media">${items.join('')}</div>` : '';
+}
+
+function renderMemory(memory, comments, mediaUrl) {
+  const meta = [formatDate(memory.date || memory.createdAt), memory.location, `por ${memory.user}`].filter(Boolean);
+  const tags = (memory.tags || []).map((t) => `#${escapeHtml(t)}`).join(' ');
+  const own = comments.filter((c) => c.memoryId === memory.id);
+  const commentHtml =
+    own.length > 0
+      ? `<div class="comments">${own
+          .map((c) => `<p><strong>${escapeHtml(c.user)}</strong> · ${escapeHtml(formatDate(c.createdAt, true))}<br>${escapeHtml(c.text)}</p>`)
+          .join('')}</div>`
+      : '';
+  return `
+    <article class="memory">
+      <h3>${escapeHtml(memory.title || '(Sem título)')}</h3>
+      <p class="meta">${meta.map(escapeHtml).join(' · ')}</p>
+      ${tags ? `<p class="tags">${tags}</p>` : ''}
+      ${memory.text ? `<div class="text">${escapeHtml(memory.text)}</div>` : ''}
+      ${renderMedia(memory, mediaUrl)}
+      ${commentHtml}
+    </article>`;
+}
+
+/**
+ * Printable HTML album.
+ *
+ * @param {{ title: string, memories: object[], comments: object[], days: object[],
+ *           mediaUrl: function(string): string, generatedAt?: Date }} options
+ * @returns {string}
+ */
+function renderAlbum({ title, memories, comments, days, mediaUrl, generatedAt = new Date() }) {
+  const sections = groupByDay(memories, days)
+    .map(
+      (group) => `
+  <section class="day">
+    <h2>${escapeHtml(group.title)}</h2>
+    ${group.subtitle ? `<p class="subtitle">${escapeHtml(group.subtitle)}</p>` : ''}
+    ${group.memories.map((m) => renderMemory(m, comments, mediaUrl)).join('')}
+  </section>`
+    )
+    .join('');
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${ALBUM_STYLES}</style>
+</head>
+<body>
+<main>
+  <header class="album">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${memories.length} ${memories.length === 1 ? 'memória' : 'memórias'} · exportado em ${escapeHtml(formatDate(generatedAt.toISOString(), true))}</p>
+  </header>
+  <div class="toolbar"><button type="button" onclick="window.print()">Imprimir ou salvar como PDF</button></div>
+  ${sections || '<p>Nenhuma memória para exibir.</p>'}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderAlbum, renderMarkdown, groupByDay };
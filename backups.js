@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, checkDump, quarantine } = require('./storage');
+
+/*
+ * Snapshots of the database and the uploaded media.
+ *
+ * Each snapshot is a folder of <DATA_DIR>/backups named after the time it
+ * was taken, plus a random suffix so two snapshots taken in the same
+ * millisecond don't collide (older snapshots have no suffix):
+ *
+ *   backups/2026-01-16T12-00-00-000Z-3f9a1c/
+ *     database.json   every collection except sessions (store.dump())
+ *     manifest.json   { id, createdAt, reason, sha256, counts, files }
+ *     uploads/        every file of uploadsDir at that time
+ *
+ * Uploads are never modified after they are written, so the files are hard
+ * links to the originals and cost no extra disk space; a file deleted from
+ * uploadsDir stays in the snapshots that have it until they are pruned.
+ * Where hard links are not possible (another file system) files are
+ * copied. A snapshot is written under a temporary name and renamed when
+ * complete, so an interrupted one is never mistaken for a good one.
+ *
+ * Snapshots are taken every `intervalHours` when the data changed since
+ * the last one, on demand, and around every restore. Retention keeps the
+ * newest `keep` snapshots and, of those, drops the ones older than
+ * `maxAgeDays`; the newest snapshot is always kept.
+ *
+ * openStore() runs at startup: a database that cannot be opened or fails
+ * its integrity check is moved aside (see storage.quarantine()) and
+ * rebuilt from the newest snapshot whose checksum still matches.
+ */
+
+const ID = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-[\da-f]{6})?$/;
+// Sessions are short-lived and restoring them would bring back old logins.
+const EXCLUDED = ['sessions'];
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * @param {{ dataDir: string, uploadsDir: string, keep?: number, maxAgeDays?: number, intervalHours?: number }} options
+ */
+function createBackupService({ dataDir, uploadsDir, keep = 10, maxAgeDays = 30, intervalHours = 6 }) {
+  const dir = path.join(dataDir, 'backups');
+  let timer = null;
+
+  const folder = (id) => path.join(dir, id);
+
+  function readManifest(id) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(folder(id), 'manifest.json'), 'utf8'));
+      return manifest && manifest.id === id ? manifest : null;
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  /**
+   * Snapshots on disk, newest first.
+   *
+   * @returns {object[]} Manifests
+   */
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((name) => ID.test(name))
+      .sort()
+      .reverse()
+      .map(readManifest)
+      .filter(Boolean);
+  }
+
+  /**
+   * Read and verify a snapshot.
+   *
+   * @param {string} id
+   * @returns {{ manifest: object, data: object }}
+   * @throws {Error} When the snapshot is missing or damaged
+   */
+  function read(id) {
+    const manifest = ID.test(String(id)) ? readManifest(String(id)) : null;
+    if (!manifest) throw new Error('Backup não encontrado');
+    const content = fs.readFileSync(path.join(folder(manifest.id), 'database.json'));
+    if (sha256(content) !== manifest.sha256) throw new Error(`Backup ${manifest.id} danificado`);
+    const data = JSON.parse(content);
+    const problem = checkDump(data);
+    if (problem) throw new Error(`Backup ${manifest.id} inválido: ${problem}`);
+    return { manifest, data };
+  }
+
+  function latestGood() {
+    for (const manifest of list()) {
+      try {
+        return read(manifest.id);
+      } catch (err) {
+        console.warn(err.message);
+      }
+    }
+    return null;
+  }
+
+  function linkOrCopy(from, to) {
+    try {
+      fs.linkSync(from, to);
+    } catch (_err) {
+      fs.copyFileSync(from, to);
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    list().forEach((manifest, index) => {
+      if (index === 0) return;
+      if (index >= keep || (maxAgeDays > 0 && Date.parse(manifest.createdAt) < cutoff)) {
+        fs.rmSync(folder(manifest.id), { recursive: true, force: true });
+      }
+    });
+  }
+
+  /**
+   * Take a snapshot of the store and uploadsDir.
+   *
+   * @param {object} store
+   * @param {string} reason e.g. 'scheduled', 'manual', 'before-restore'
+   * @param {{ onlyIfChanged?: boolean, prune?: boolean }} [options] `prune`
+   *   applies the retention afterwards (default)
+   * @returns {object|null} Manifest, or null when nothing changed
+   */
+  function snapshot(store, reason, { onlyIfChanged = false, prune: applyRetention = true } = {}) {
+    const dump = store.dump();
+    EXCLUDED.forEach((name) => delete dump[name]);
+    const content = JSON.stringify(dump, null, 2);
+    const hash = sha256(content);
+    const [latest] = list();
+    if (onlyIfChanged && latest && latest.sha256 === hash) return null;
+
+    const createdAt = new Date().toISOString();
+    const id = createdAt.replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex');
+    const partial = folder(id) + '.partial';
+    fs.mkdirSync(path.join(partial, 'uploads'), { recursive: true });
+    const files = fs.existsSync(uploadsDir)
+      ? fs.readdirSync(uploadsDir).filter((name) => fs.statSync(path.join(uploadsDir, name)).isFile())
+      : [];
+    files.forEach((name) => linkOrCopy(path.join(uploadsDir, name), path.join(partial, 'uploads', name)));
+    writeFileAtomic(path.join(partial, 'database.json'), content);
+    const counts = {};
+    Object.keys(dump).forEach((name) => {
+      counts[name] = dump[name].length;
+    });
+    const manifest = { id, createdAt, reason, sha256: hash, counts, files };
+    writeFileAtomic(path.join(partial, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    fs.renameSync(partial, folder(id));
+    if (applyRetention) prune();
+    return manifest;
+  }
+
+  /**
+   * Copy back the uploads of a snapshot that are missing from uploadsDir.
+   * Files added after the snapshot are left alone.
+   *
+   * @returns {number} Files restored
+   */
+  function restoreUploads(manifest) {
+    let restored = 0;
+    manifest.files.forEach((name) => {
+      const target = path.join(uploadsDir, path.basename(name));
+      const source = path.join(folder(manifest.id), 'uploads', path.basename(name));
+      if (fs.existsSync(target) || !fs.existsSync(source)) return;
+      linkOrCopy(source, target);
+      restored += 1;
+    });
+    return restored;
+  }
+
+  return {
+    dir,
+    list,
+    read,
+    snapshot,
+
+    /**
+     * Files of a snapshot, for downloads: [{ name, file }] with names
+     * relative to the snapshot folder.
+     *
+     * @param {string} id
+     * @returns {Array<{ name: string, file: string }>}
+     */
+    files(id) {
+      const { manifest } = read(id);
+      const base = folder(manifest.id);
+      return ['database.json', 'manifest.json']
+        .concat(manifest.files.map((name) => 'uploads/' + name))
+        .map((name) => ({ name, file: path.join(base, name) }))
+        .filter((entry) => fs.existsSync(entry.file));
+    },
+
+    /**
+     * Replace the data with a snapshot. A snapshot of the current state is
+     * taken first, so a restore can itself be undone, and another one
+     * after, so the startup check doesn't fall back to the state that was
+     * just replaced. Retention only runs after the media of the snapshot
+     * are back, as it may remove the snapshot itself. Sessions are kept.
+     *
+     * @param {object} store
+     * @param {string} id
+     * @returns {{ manifest: object, safety: object, files: number }}
+     */
+    restore(store, id) {
+      const { manifest, data } = read(id);
+      const safety = snapshot(store, 'before-restore', { prune: false });
+      store.restore(data, EXCLUDED);
+      const files = restoreUploads(manifest);
+      snapshot(store, 'restored');
+      return { manifest, safety, files };
+    },
+
+    /**
+     * Open the store and check its integrity. When it can't be opened or
+     * the check fails, the damaged files are moved aside and the store is
+     * rebuilt from the newest good snapshot.
+     *
+     * @param {function(): object} open Creates the store
+     * @returns {object} Store
+     * @throws {Error} When the store is damaged and no good snapshot exists
+     */
+    openStore(open) {
+      let problem;
+      try {
+        const store = open();
+        problem = store.check();
+        if (!problem) return store;
+        store.close();
+      } catch (err) {
+        problem = err.message;
+      }
+      const latest = latestGood();
+      if (!latest) {
+        throw new Error(`Banco de dados danificado (${problem}) e nenhum backup válido em ${dir}`);
+      }
+      const moved = quarantine(dataDir);
+      console.error(`Banco de dados danificado (${problem}); arquivos movidos para: ${moved.join(', ')}`);
+      const store = open();
+      store.restore(latest.data, EXCLUDED);
+      const files = restoreUploads(latest.manifest);
+      console.warn(`Banco restaurado do backup ${latest.manifest.id} (${files} mídias recuperadas)`);
+      return store;
+    },
+
+    /**
+     * Start the periodic snapshots, beginning with one now. Leftovers of
+     * interrupted snapshots are removed.
+     *
+     * @param {object} store
+     */
+    start(store) {
+      if (fs.existsSync(dir)) {
+        fs.readdirSync(dir)
+          .filter((name) => name.endsWith('.partial'))
+          .forEach((name) => fs.rmSync(folder(name), { recursive: true, force: true }));
+      }
+      const run = () => {
+        try {
+          const manifest = snapshot(store, 'scheduled', { onlyIfChanged: true });
+          if (manifest) console.log(`Backup ${manifest.id} criado`);
+        } catch (err) {
+          console.error('Falha ao criar backup:', err);
+        }
+      };
+      run();
+      if (intervalHours > 0) {
+        timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+        // Backups alone must not keep the process alive.
+        timer.unref();
+      }
+    },
+  };
+}
+
+module.exports = { createBackupService };
@@ -0,0 +1,104 @@
+/*
+ * Live updates over Server-Sent Events.
+ *
+ * Each open browser tab keeps a GET /events response open and receives
+ * events as they happen:
+ *
+ *   event: memory | comment | reaction | progress | resync
+ *   data: <JSON>
+ *
+ * `resync` asks pages to reload everything (after a backup is restored).
+ *
+ * Events about memories (and their comments and reactions) are only sent
+ * to the users allowed to see the memory, so publish() takes the payload
+ * for each subscriber as a function of its username. A comment line is
+ * written periodically so proxies don't close idle connections; browsers
+ * reconnect by themselves after a network drop, after `retry` ms.
+ *
+ * Each stream holds a connection, so their number is capped per client
+ * address and in total; subscribe() refuses the ones over the caps.
+ */
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RETRY_DELAY = 5 * 1000;
+const MAX_STREAMS = 500;
+const MAX_STREAMS_PER_ADDRESS = 20;
+
+/**
+ * @param {{ heartbeat?: number, maxStreams?: number, maxPerAddress?: number }} [options]
+ */
+function createEventHub({
+  heartbeat = HEARTBEAT_INTERVAL,
+  maxStreams = MAX_STREAMS,
+  maxPerAddress = MAX_STREAMS_PER_ADDRESS,
+} = {}) {
+  const clients = new Set();
+  // Open streams by client address (req.ip).
+  const perAddress = new Map();
+  let lastId = 0;
+
+  const timer = setInterval(() => {
+    clients.forEach((client) => client.res.write(': ping\n\n'));
+  }, heartbeat);
+  // The heartbeat alone must not keep the process alive.
+  timer.unref();
+
+  return {
+    /**
+     * Turn a response into an event stream for `username` (null for
+     * visitors). The subscription ends when the connection closes. Nothing
+     * is written when the caps are reached, for the caller to answer.
+     *
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     * @param {string|null} username
+     * @returns {boolean} false when the stream was refused
+     */
+    subscribe(req, res, username) {
+      const address = req.ip;
+      const open = perAddress.get(address) || 0;
+      if (clients.size >= maxStreams || open >= maxPerAddress) return false;
+      perAddress.set(address, open + 1);
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable response buffering in nginx-style proxies.
+        'X-Accel-Buffering': 'no',
+      });
+      res.write(`retry: ${RETRY_DELAY}\n\n`);
+      const client = { res, username };
+      clients.add(client);
+      req.on('close', () => {
+        clients.delete(client);
+        const left = perAddress.get(address) - 1;
+        if (left > 0) perAddress.set(address, left);
+        else perAddress.delete(address);
+      });
+      return true;
+    },
+
+    /**
+     * Send an event to every subscriber. `data` may be a function returning
+     * the payload for a given username, or null to skip that subscriber.
+     *
+     * @param {string} type Event name
+     * @param {object|function(string|null): (object|null)} data
+     */
+    publish(type, data) {
+      lastId += 1;
+      clients.forEach((client) => {
+        const payload = typeof data === 'function' ? data(client.username) : data;
+        if (!payload) return;
+        client.res.write(`id: ${lastId}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+      });
+    },
+
+    /** Number of open streams. */
+    get size() {
+      return clients.size;
+    },
+  };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,604 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { openZip, ZipError } = require('./zip');
+const itinerary = require('./itinerary');
+const reactions = require('./reactions');
+const places = require('./places');
+
+/*
+ * Import of memories from backups and other journaling apps.
+ *
+ * Accepted sources (detected from the content, see readSources()):
+ *
+ *   • backup  – the ZIP of GET /export?format=zip (database.json plus the
+ *               media under uploads/), its database.json alone, or the JSON
+ *               of GET /export (memories with their comments).
+ *   • dayone  – a Day One JSON export (Journal.json with `entries`), alone
+ *               or zipped with its photos/ folder.
+ *   • csv     – a CSV with one memory per line and a header naming the
+ *               columns (date/data, title/título, text/texto,
+ *               location/local, coordinates/coordenadas, tags, status,
+ *               day/dia, files/fotos). The photos come in the same ZIP
+ *               or as separate files (a folder picked in the browser),
+ *               matched by file name.
+ *
+ * Backups keep ids, comments and reactions. Media come from the archive,
+ * or from files of memories the importing user can edit, which are copied;
+ * their variants are always generated here. Imported memories and comments
+ * belong to the importing user; only an administrator restoring a backup
+ * keeps the original authors (when the account exists). Memories from
+ * other apps get the requested status (draft by default) and are placed on
+ * the itinerary day of their date (see itinerary.dayForDate()); they are
+ * recognised on a later import by a `clientId` derived from the source.
+ *
+ * When a memory already exists, `strategy` decides: skip it, overwrite it
+ * (only memories of the importing user; its media files missing from the
+ * import are deleted) or import a duplicate with a new id. A dry run goes
+ * through the same validation and returns the same report without writing
+ * anything.
+ */
+
+/** A request the importer can't handle: bad options or an unreadable file. */
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+const STATUSES = ['draft', 'private', 'public'];
+const MEDIA_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.mp4', '.mov', '.mkv', '.avi'];
+// Fields a backup may mark as filled from the GPS position of the media.
+const POSITION_FIELDS = ['coordinates', 'location'];
+
+// Accepted CSV headers (folded: lower case, no accents) for each field.
+const CSV_COLUMNS = {
+  date: ['date', 'data', 'quando'],
+  title: ['title', 'titulo', 'nome'],
+  text: ['text', 'texto', 'description', 'descricao', 'body'],
+  location: ['location', 'local', 'localizacao', 'lugar'],
+  coordinates: ['coordinates', 'coordenadas', 'gps'],
+  tags: ['tags', 'etiquetas'],
+  status: ['status', 'visibilidade'],
+  day: ['day', 'dia'],
+  files: ['files', 'file', 'arquivos', 'arquivo', 'fotos', 'foto', 'photos', 'photo', 'media', 'midia'],
+};
+
+const fold = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .trim()
+    .toLowerCase();
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+const isMedia = (name) => MEDIA_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+const validDate = (value) => Boolean(value) && !Number.isNaN(Date.parse(value));
+
+const tagList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(/[,;]/))
+    .map((t) => String(t).trim())
+    .filter(Boolean);
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold separators, quotes and
+ * line breaks). The separator is a comma or, as spreadsheets in Portuguese
+ * write it, a semicolon: whichever appears more in the first line.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Memories of a backup: database.json ({ memories, comments }) or the JSON
+ * of GET /export (an array of memories with their comments).
+ */
+function fromBackup(data, findMedia) {
+  const memories = Array.isArray(data) ? data : data.memories;
+  const comments = Array.isArray(data)
+    ? data.flatMap((m) => (Array.isArray(m.comments) ? m.comments.map((c) => ({ ...c, memoryId: m.id })) : []))
+    : data.comments || [];
+  return memories.map((record) => {
+    const { comments: _nested, mediaLinks: _links, ...memory } = record || {};
+    return {
+      id: memory.id !== undefined && memory.id !== null ? String(memory.id) : undefined,
+      memory,
+      comments: comments.filter((c) => c && String(c.memoryId) === String(memory.id)),
+      media: (memory.media || []).map((url) => findMedia(path.basename(String(url)), String(url))),
+    };
+  });
+}
+
+/**
+ * Memories of a Day One export. The first line of an entry is its title;
+ * the Markdown image placeholders Day One leaves in the text are dropped.
+ */
+function fromDayOne(data, findMedia) {
+  return data.entries.map((entry) => {
+    const lines = String(entry.text || '')
+      .replace(/!\[\]\(dayone-moment:[^)]*\)/g, '')
+      .trim()
+      .split('\n');
+    const title = lines[0].replace(/^#+\s*/, '').replace(/\\/g, '').trim();
+    const place = entry.location || {};
+    const location = place.placeName || [place.localityName, place.country].filter(Boolean).join(', ');
+    return {
+      clientId: entry.uuid ? 'dayone-' + String(entry.uuid).slice(0, 56) : undefined,
+      memory: {
+        title,
+        text: lines.slice(1).join('\n').trim(),
+        date: entry.creationDate,
+        tags: entry.tags || [],
+        location,
+        coordinates: place.latitude !== undefined ? { latitude: place.latitude, longitude: place.longitude } : undefined,
+      },
+      comments: [],
+      media: (entry.photos || []).concat(entry.videos || []).map((item) => {
+        const name = `${item.md5}.${item.type || 'jpeg'}`;
+        return findMedia(name);
+      }),
+    };
+  });
+}
+
+/**
+ * Dates in CSVs may be written the Brazilian way (16/01/2026 14:30);
+ * anything else is left for Date.parse().
+ */
+function csvDate(value) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(value);
+  if (!match) return value;
+  const [, day, month, year, hour, minute] = match;
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return hour ? `${date}T${hour.padStart(2, '0')}:${minute}` : date;
+}
+
+/**
+ * Memories of a CSV (see CSV_COLUMNS for the header).
+ */
+function fromCsv(text, findMedia) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new ImportError('CSV vazio');
+  const columns = {};
+  header.forEach((name, index) => {
+    const field = Object.keys(CSV_COLUMNS).find((key) => CSV_COLUMNS[key].includes(fold(name)));
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+  if (columns.title === undefined && columns.text === undefined) {
+    throw new ImportError('O CSV precisa de uma coluna "título" ou "texto"');
+  }
+  return rows.map((row) => {
+    const value = (field) => (columns[field] === undefined ? '' : String(row[columns[field]] || '').trim());
+    const files = value('files')
+      .split(/[|;,]/)
+      .map((f) => f.trim())
+      .filter(Boolean);
+    const title = value('title') || value('text').split('\n')[0].slice(0, 80);
+    return {
+      clientId: 'csv-' + hash(row.join('\u0000')),
+      memory: {
+        title,
+        text: value('text'),
+        date: csvDate(value('date')),
+        tags: tagList(value('tags')),
+        location: value('location'),
+        coordinates: value('coordinates'),
+        status: value('status') || undefined,
+        day: value('day') || undefined,
+      },
+      comments: [],
+      media: files.map((name) => findMedia(path.basename(name))),
+    };
+  });
+}
+
+/**
+ * Read the uploaded file (ZIP, JSON or CSV) and the loose media files into
+ * entries of a single shape:
+ *
+ *   { id?, clientId?, memory, comments, media: [{ name, url?, save? }] }
+ *
+ * A media item has `save(dest)`, which writes it to a file, when its
+ * contents came with the import, `url`
+ * when it refers to a file already in uploadsDir (whether it may be used
+ * is decided later, see resolveMedia()), and neither when it is missing.
+ *
+ * @param {{ path: string, originalname: string }} file Main upload
+ * @param {Array<{ path: string, originalname: string }>} mediaFiles Loose media
+ * @param {string} uploadsDir
+ * @returns {Promise<{ format: string, entries: object[], close: function(): Promise<void> }>}
+ * @throws {ImportError} When the file can't be read as any of the formats
+ */
+async function readSources(file, mediaFiles, uploadsDir) {
+  const sources = new Map();
+  const addSource = (name, save) => {
+    if (isMedia(name) && !sources.has(name.toLowerCase())) sources.set(name.toLowerCase(), save);
+  };
+  mediaFiles.forEach((f) => addSource(path.basename(f.originalname), (dest) => fs.promises.copyFile(f.path, dest)));
+
+  let zip = null;
+  let text = null;
+  let name = file.originalname;
+  const head = Buffer.alloc(4);
+  const fd = await fs.promises.open(file.path, 'r');
+  await fd.read(head, 0, 4, 0);
+  await fd.close();
+  if (head.readUInt32LE(0) === 0x04034b50 || head.readUInt32LE(0) === 0x06054b50) {
+    try {
+      zip = await openZip(file.path);
+      // Media anywhere in the archive can be referenced by file name; in a
+      // backup, only the copies under uploads/.
+      zip.names.forEach((entry) => addSource(path.basename(entry), (dest) => zip.extract(entry, dest)));
+      const pick =
+        zip.names.find((n) => path.basename(n) === 'database.json') ||
+        zip.names.find((n) => n.toLowerCase().endsWith('.json')) ||
+        zip.names.find((n) => n.toLowerCase().endsWith('.csv'));
+      if (!pick) throw new ImportError('O ZIP não contém database.json, um JSON do Day One nem um CSV');
+      text = (await zip.read(pick)).toString('utf8');
+      name = pick;
+    } catch (err) {
+      if (zip) await zip.close();
+      throw err instanceof ZipError ? new ImportError(err.message) : err;
+    }
+  } else {
+    text = await fs.promises.readFile(file.path, 'utf8');
+  }
+  const close = async () => {
+    if (zip) await zip.close();
+  };
+
+  const findMedia = (mediaName, url) => {
+    const save = sources.get(mediaName.toLowerCase());
+    if (save) return { name: mediaName, save };
+    // JSON exports carry links to this server: the file may still be here.
+    if (url && url.startsWith('/uploads/') && fs.existsSync(path.join(uploadsDir, mediaName))) {
+      return { name: mediaName, url: '/uploads/' + mediaName };
+    }
+    return { name: mediaName };
+  };
+
+  try {
+    if (name.toLowerCase().endsWith('.csv')) {
+      return { format: 'csv', entries: fromCsv(text, findMedia), close };
+    }
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (_err) {
+      // Not JSON: a CSV uploaded with another extension.
+      return { format: 'csv', entries: fromCsv(text, findMedia), close };
+    }
+    if (Array.isArray(data) || (data && Array.isArray(data.memories))) {
+      return { format: 'backup', entries: fromBackup(data, findMedia), close };
+    }
+    if (data && Array.isArray(data.entries)) {
+      return { format: 'dayone', entries: fromDayOne(data, findMedia), close };
+    }
+    throw new ImportError('Formato de importação não reconhecido');
+  } catch (err) {
+    await close();
+    throw err;
+  }
+}
+
+/**
+ * @param {{ store: object, uploadsDir: string, thumbnails: object, access: object,
+ *           userExists: function(string): boolean,
+ *           removeMedia: function(object, string): void,
+ *           stripLocation: function(string[]): Promise<boolean>,
+ *           dropPositions: function(object): void }} deps
+ *   `removeMedia(memory, url)` deletes a media file of a memory and its
+ *   variants. Public memories go through `stripLocation(urls)`, which
+ *   removes the GPS position from their files before they are saved, and
+ *   `dropPositions(memory)`, which removes it from the record inside the
+ *   transaction.
+ */
+function createImporter({ store, uploadsDir, thumbnails, access, userExists, removeMedia, stripLocation, dropPositions }) {
+  /**
+   * Validate an entry and build the memory record to save (without media).
+   *
+   * @returns {object} Memory fields
+   * @throws {Error} With the reason the entry can't be imported
+   */
+  function buildMemory(entry, { format, username, admin, status, days }) {
+    const source = entry.memory || {};
+    const title = String(source.title || '').trim();
+    if (!title) throw new Error('Memória sem título');
+    if (source.date && !validDate(source.date)) throw new Error('Data inválida: ' + source.date);
+    const now = new Date().toISOString();
+    const date = source.date ? String(source.date) : source.createdAt && validDate(source.createdAt) ? source.createdAt : now;
+    const backup = format === 'backup';
+    const user = backup && admin && source.user && userExists(String(source.user)) ? String(source.user) : username;
+    let day;
+    if (source.day !== undefined && source.day !== null && String(source.day).trim() !== '') {
+      day = isNaN(Number(source.day)) ? String(source.day) : Number(source.day);
+    } else if (!backup && source.date) {
+      day = itinerary.dayForDate(days, date);
+    }
+    const memoryStatus = STATUSES.includes(source.status) ? source.status : backup ? 'draft' : status;
+    const fromMedia =
+      backup && Array.isArray(source.positionFromMedia) ? source.positionFromMedia.filter((f) => POSITION_FIELDS.includes(f)) : [];
+    return {
+      user,
+      title,
+      text: source.text ? String(source.text) : '',
+      date,
+      tags: tagList(source.tags),
+      location: source.location ? String(source.location) : '',
+      coordinates: places.parseCoordinates(source.coordinates) || places.locate(source.location) || undefined,
+      status: memoryStatus,
+      sharedWith: access.sharedWithFor(backup ? source.sharedWith : undefined, user),
+      positionFromMedia: fromMedia.length > 0 ? fromMedia : undefined,
+      day,
+      createdAt: backup && validDate(source.createdAt) ? source.createdAt : now,
+      updatedAt: now,
+      reactions: backup ? reactions.normalise({ reactions: source.reactions }).reactions : {},
+    };
+  }
+
+  /**
+   * Copy media that came with the import into uploadsDir, under new names.
+   * When one fails (an entry over the ZIP limits, for example) the copies
+   * already made are removed.
+   *
+   * @returns {Promise<{ urls: string[], copied: string[] }>}
+   */
+  async function saveMedia(media) {
+    const urls = [];
+    const copied = [];
+    try {
+      for (const item of media) {
+        if (item.url) {
+          urls.push(item.url);
+        } else if (item.save) {
+          const url = '/uploads/' + uuidv4() + path.extname(item.name).toLowerCase();
+          await item.save(path.join(uploadsDir, path.basename(url)));
+          urls.push(url);
+          copied.push(url);
+        }
+      }
+    } catch (err) {
+      copied.forEach((url) => removeMedia({}, url));
+      throw err;
+    }
+    return { urls, copied };
+  }
+
+  /**
+   * Decide what to do with a media item that refers to a file already in
+   * uploadsDir (see readSources()). The memory being overwritten keeps its
+   * own files in place; a file of another memory the importing user can
+   * edit is copied, so no two memories share a file; anything else counts
+   * as missing, or an import could claim other users' photos.
+   *
+   * @param {{ name: string, url?: string, read?: function }} item
+   * @param {string[]} own Media of the memory being overwritten
+   * @param {Set<string>} editable Media of the memories the user can edit
+   */
+  function resolveMedia(item, own, editable) {
+    if (!item.url || own.includes(item.url)) return item;
+    if (!editable.has(item.url)) return { name: item.name };
+    const file = path.join(uploadsDir, path.basename(item.url));
+    return { name: item.name, save: (dest) => fs.promises.copyFile(file, dest) };
+  }
+
+  /**
+   * Comments to save for a memory. Ids are kept unless `fresh` (duplicates)
+   * or already taken by a comment of another memory; replies follow their
+   * parent's new id. Authors are kept only for administrators.
+   */
+  function buildComments(entry, memoryId, { fresh, username, admin }) {
+    const ids = new Map();
+    const valid = entry.comments.filter((c) => c && String(c.text || '').trim());
+    valid.forEach((c) => {
+      const taken = c.id && store.get('comments', String(c.id));
+      const keep = !fresh && c.id && (!taken || taken.memoryId === memoryId);
+      ids.set(String(c.id), keep ? String(c.id) : uuidv4());
+    });
+    return valid.map((c) => ({
+      id: ids.get(String(c.id)),
+      memoryId,
+      parentId: c.parentId && ids.has(String(c.parentId)) ? ids.get(String(c.parentId)) : undefined,
+      user: admin && c.user && userExists(String(c.user)) ? String(c.user) : username,
+      text: String(c.text),
+      createdAt: validDate(c.createdAt) ? c.createdAt : new Date().toISOString(),
+      editedAt: validDate(c.editedAt) ? c.editedAt : undefined,
+      reactions: reactions.normalise({ reactions: c.reactions }).reactions,
+    }));
+  }
+
+  /**
+   * Import the uploaded files.
+   *
+   * @param {{ file: object, media?: object[] }} files Multer files
+   * @param {{ username: string, admin?: boolean, strategy?: string, dryRun?: boolean, status?: string }} options
+   *   `admin` keeps the authors of a backup
+   * @returns {Promise<{ report: object, saved: Array<{ before: object|null, after: object }> }>}
+   *   The report for the client and the memories written, for the caller
+   *   to announce.
+   * @throws {ImportError} When the options or the file are invalid; errors
+   *   of single memories go to the report instead
+   */
+  async function run(files, { username, admin = false, strategy = 'skip', dryRun = false, status = 'draft' }) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new ImportError('Estratégia inválida: use skip, overwrite ou duplicate');
+    }
+    if (!STATUSES.includes(status)) throw new ImportError('Status inválido: ' + status);
+    const { format, entries, close } = await readSources(files.file, files.media || [], uploadsDir);
+    const days = itinerary.list(store);
+    const report = {
+      format,
+      strategy,
+      dryRun,
+      summary: { created: 0, overwritten: 0, duplicated: 0, skipped: 0, failed: 0, comments: 0, media: 0, missingMedia: 0 },
+      items: [],
+    };
+    const saved = [];
+    const claimed = new Set();
+    const editable = new Set(
+      store
+        .all('memories')
+        .filter((m) => access.canEdit(m, username))
+        .flatMap((m) => m.media || [])
+    );
+    try {
+      for (const entry of entries) {
+        const item = { title: entry.memory && entry.memory.title ? String(entry.memory.title) : '' };
+        report.items.push(item);
+        try {
+          const fields = buildMemory(entry, { format, username, admin, status, days });
+          item.day = fields.day;
+          const existing = entry.id
+            ? store.get('memories', entry.id)
+            : entry.clientId && store.all('memories').find((m) => m.clientId === entry.clientId && m.user === username);
+          // The same id twice in one file: the second is a duplicate.
+          const repeated = entry.id && claimed.has(entry.id);
+          if (existing || repeated) {
+            if (strategy === 'skip') {
+              item.action = 'skip';
+              item.id = existing ? existing.id : entry.id;
+              report.summary.skipped += 1;
+              continue;
+            }
+            if (strategy === 'overwrite' && existing && !repeated && existing.user !== username) {
+              throw new Error('Só é possível sobrescrever suas próprias memórias');
+            }
+          }
+          const overwrite = Boolean(existing) && !repeated && strategy === 'overwrite';
+          const duplicate = (Boolean(existing) || repeated) && !overwrite;
+          item.action = overwrite ? 'overwrite' : duplicate ? 'duplicate' : 'create';
+          item.id = overwrite ? existing.id : duplicate || !entry.id ? uuidv4() : entry.id;
+          if (entry.id) claimed.add(entry.id);
+          const own = overwrite ? existing.media || [] : [];
+          const media = entry.media.map((m) => resolveMedia(m, own, editable));
+          const missing = media.filter((m) => !m.url && !m.save).map((m) => m.name);
+          if (missing.length > 0) item.missingMedia = missing;
+          const comments = buildComments(entry, item.id, { fresh: duplicate, username, admin });
+          report.summary[{ create: 'created', overwrite: 'overwritten', duplicate: 'duplicated' }[item.action]] += 1;
+          report.summary.comments += comments.length;
+          report.summary.media += media.length - missing.length;
+          report.summary.missingMedia += missing.length;
+          if (dryRun) continue;
+
+          const { urls, copied } = await saveMedia(media);
+          let newVariants = {};
+          let written;
+          try {
+            if (fields.status === 'public') await stripLocation(urls);
+            // Variants are always the server's own: generated for the
+            // copies, those already stored for the files kept in place.
+            newVariants = await thumbnails.processAll(copied);
+            // The memory being overwritten is read again here: it may have
+            // changed while the media were copied.
+            written = store.transaction(() => {
+              const current = overwrite ? store.get('memories', item.id) : null;
+              if (overwrite && (!current || current.user !== username)) {
+                throw new Error('Só é possível sobrescrever suas próprias memórias');
+              }
+              const mediaVariants = { ...newVariants };
+              urls
+                .filter((url) => current && current.mediaVariants && current.mediaVariants[url])
+                .forEach((url) => {
+                  mediaVariants[url] = current.mediaVariants[url];
+                });
+              const memory = {
+                ...(current || {}),
+                ...fields,
+                id: item.id,
+                user: current ? current.user : fields.user,
+                clientId: duplicate ? undefined : entry.clientId || (current ? current.clientId : undefined),
+                media: urls,
+                mediaVariants,
+              };
+              if (current && current.mediaMetadata) {
+                memory.mediaMetadata = {};
+                urls
+                  .filter((url) => current.mediaMetadata[url])
+                  .forEach((url) => {
+                    memory.mediaMetadata[url] = current.mediaMetadata[url];
+                  });
+              }
+              dropPositions(memory);
+              // Media of the overwritten memory that the import doesn't
+              // keep, unless another memory shares the file.
+              const shared = new Set(
+                store
+                  .all('memories')
+                  .filter((m) => m.id !== item.id)
+                  .flatMap((m) => m.media || [])
+              );
+              const superseded = current ? (current.media || []).filter((url) => !urls.includes(url) && !shared.has(url)) : [];
+              const record = current ? store.update('memories', memory) : store.insert('memories', memory);
+              comments.forEach((c) => store.update('comments', c));
+              return { before: current, after: record, superseded };
+            });
+          } catch (err) {
+            copied.forEach((url) => removeMedia({ mediaVariants: newVariants }, url));
+            throw err;
+          }
+          if (written.superseded.length > 0) {
+            const replaced = { mediaVariants: { ...written.before.mediaVariants } };
+            written.superseded.forEach((url) => removeMedia(replaced, url));
+          }
+          saved.push({ before: written.before, after: written.after });
+        } catch (err) {
+          item.action = 'error';
+          item.error = err.message;
+          report.summary.failed += 1;
+        }
+      }
+    } finally {
+      await close();
+    }
+    return { report, saved };
+  }
+
+  return { run, STRATEGIES };
+}
+
+module.exports = { createImporter, parseCsv, ImportError };
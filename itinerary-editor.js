@@ -0,0 +1,411 @@
+/*
+  Editor do roteiro.
+
+  Permite que usuários autenticados ajustem o roteiro nos próprios
+  painéis dos dias, sem publicar uma nova versão do site: editar título,
+  subtítulo e destaque do dia; incluir, editar, excluir e reordenar
+  atividades; criar e excluir dias e mudar a ordem dos dias.
+
+  O botão "Editar roteiro" alterna o modo de edição em todos os painéis.
+  Cada alteração é enviada à API /itinerary e os painéis são redesenhados
+  por `refreshItinerary` (script.js). As atividades são identificadas pelo
+  `id` devolvido pelo servidor, que assim mantém o estado de concluído de
+  cada atividade quando a ordem muda.
+
+  Os textos aceitam <strong>, <em> e links (<a href="https://…">); o
+  servidor escapa qualquer outra marcação, que aparece como digitada.
+*/
+
+(function () {
+  // Quando verdadeiro, os painéis dos dias exibem os controles de edição.
+  let editing = false;
+
+  /**
+   * Envia uma requisição à API do roteiro e devolve a resposta, lançando
+   * um erro com a mensagem do servidor em caso de falha.
+   *
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [body]
+   */
+  async function sendItinerary(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (res.status === 401) throw new Error('Sua sessão expirou. Faça login novamente para editar o roteiro.');
+    if (!res.ok) throw new Error(data.error || 'Falha ao salvar o roteiro.');
+    return data;
+  }
+
+  /**
+   * Aguarda uma alteração e redesenha o roteiro com a nova lista de dias.
+   * Erros são exibidos com alert e o roteiro atual é mantido.
+   *
+   * @param {Function} change Função assíncrona que devolve a nova lista
+   * @param {Function} [openId] Recebe a nova lista e devolve a aba a abrir
+   */
+  async function commit(change, openId) {
+    try {
+      const days = await change();
+      await window.refreshItinerary(days, openId ? openId(days) : undefined);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  /**
+   * Devolve a lista de dias com `day` incluído ou substituído.
+   *
+   * @param {Object} day Dia retornado pela API
+   * @returns {Array<Object>}
+   */
+  function withDay(day) {
+    return window.itineraryData
+      .filter((d) => d.id !== day.id)
+      .concat(day)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Salva a lista de atividades de um dia.
+   *
+   * @param {Object} day
+   * @param {Array<Object>} schedule Atividades com `id` (novas sem `id`)
+   */
+  function saveSchedule(day, schedule) {
+    return commit(
+      async () => withDay(await sendItinerary('PUT', '/itinerary/' + day.id, { schedule })),
+      () => String(day.id)
+    );
+  }
+
+  /**
+   * Cria um botão pequeno de edição.
+   *
+   * @param {string} text
+   * @param {string} label Rótulo acessível
+   * @param {Function} onClick
+   * @returns {HTMLButtonElement}
+   */
+  function createButton(text, label, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.setAttribute('aria-label', label);
+    btn.title = label;
+    btn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  /**
+   * Cria um formulário de edição com os campos informados.
+   *
+   * @param {Array<{name: string, label: string, value?: string, placeholder?: string, multiline?: boolean, required?: boolean}>} fields
+   * @param {string} submitText
+   * @param {Function} onSubmit Recebe um objeto com os valores dos campos
+   * @param {Function} onCancel
+   * @returns {HTMLFormElement}
+   */
+  function createForm(fields, submitText, onSubmit, onCancel) {
+    const form = document.createElement('form');
+    form.className = 'itinerary-form';
+    const inputs = {};
+    fields.forEach((f) => {
+      const label = document.createElement('label');
+      label.textContent = f.label;
+      const input = document.createElement(f.multiline ? 'textarea' : 'input');
+      if (f.multiline) input.rows = 2;
+      else input.type = 'text';
+      input.name = f.name;
+      input.value = f.value || '';
+      if (f.placeholder) input.placeholder = f.placeholder;
+      input.required = Boolean(f.required);
+      label.appendChild(input);
+      form.appendChild(label);
+      inputs[f.name] = input;
+    });
+    const actions = document.createElement('div');
+    actions.className = 'itinerary-form-actions';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = submitText;
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'secondary';
+    cancel.textContent = 'Cancelar';
+    cancel.addEventListener('click', onCancel);
+    actions.appendChild(submit);
+    actions.appendChild(cancel);
+    form.appendChild(actions);
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      const values = {};
+      Object.keys(inputs).forEach((name) => {
+        values[name] = inputs[name].value.trim();
+      });
+      submit.disabled = true;
+      await onSubmit(values);
+      submit.disabled = false;
+    });
+    // Evita que cliques no formulário acionem o item do roteiro.
+    form.addEventListener('click', (ev) => ev.stopPropagation());
+    return form;
+  }
+
+  const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&amp;': '&' };
+
+  /**
+   * Texto de um campo do roteiro como o usuário o digitou: os caracteres
+   * escapados pelo servidor voltam a ser `<`, `>` e `&`.
+   *
+   * @param {string} html
+   * @returns {string}
+   */
+  const editable = (html) => String(html || '').replace(/&(?:lt|gt|quot|#39|amp);/g, (entity) => ENTITIES[entity]);
+
+  const dayFields = (day) => [
+    { name: 'title', label: 'Título', value: editable(day.title), required: true },
+    { name: 'subtitle', label: 'Subtítulo', value: editable(day.subtitle) },
+    { name: 'highlight', label: 'Destaque (opcional)', value: editable(day.highlight), multiline: true },
+  ];
+
+  const itemFields = (item) => [
+    { name: 'time', label: 'Horário', value: item.time },
+    { name: 'description', label: 'Atividade', value: editable(item.description), multiline: true, required: true },
+    { name: 'transport', label: 'Deslocamento (opcional)', value: editable(item.transport) },
+    // Em branco, o servidor localiza a atividade pelos lugares conhecidos
+    // citados na descrição (places.js).
+    {
+      name: 'coordinates',
+      label: 'Coordenadas (latitude, longitude)',
+      value: item.coordinates ? `${item.coordinates.latitude}, ${item.coordinates.longitude}` : '',
+      placeholder: 'Em branco: localizar pela atividade',
+    },
+  ];
+
+  /**
+   * Exibe um formulário no lugar indicado, substituindo o conteúdo atual.
+   *
+   * @param {HTMLElement} slot
+   * @param {HTMLFormElement} form
+   */
+  function showForm(slot, form) {
+    slot.innerHTML = '';
+    slot.appendChild(form);
+    const first = form.querySelector('input, textarea');
+    if (first) first.focus();
+  }
+
+  /**
+   * Redesenha o painel do dia sem alterações (usado ao cancelar).
+   *
+   * @param {Object} day
+   */
+  function redraw(day) {
+    window.refreshItinerary(window.itineraryData, String(day.id));
+  }
+
+  /**
+   * Adiciona os controles do dia: editar cabeçalho, mover, excluir e criar
+   * um novo dia.
+   *
+   * @param {HTMLElement} dayDiv
+   * @param {Object} day
+   */
+  function addDayControls(dayDiv, day) {
+    const days = window.itineraryData;
+    const index = days.indexOf(day);
+    const controls = document.createElement('div');
+    controls.className = 'itinerary-day-controls';
+    const formSlot = document.createElement('div');
+
+    controls.appendChild(
+      createButton('✎ Editar dia', 'Editar título, subtítulo e destaque do dia', () => {
+        showForm(
+          formSlot,
+          createForm(
+            dayFields(day),
+            'Salvar dia',
+            (values) =>
+              commit(
+                async () => withDay(await sendItinerary('PUT', '/itinerary/' + day.id, values)),
+                () => String(day.id)
+              ),
+            () => redraw(day)
+          )
+        );
+      })
+    );
+
+    // Move o dia uma posição; o servidor renumera os dias.
+    const moveDay = (offset) => {
+      const order = days.map((d) => d.id);
+      const [moved] = order.splice(index, 1);
+      order.splice(index + offset, 0, moved);
+      commit(
+        () => sendItinerary('PUT', '/itinerary/order', { order }),
+        () => String(index + offset + 1)
+      );
+    };
+    const left = createButton('◀', 'Mover dia para antes', () => moveDay(-1));
+    left.disabled = index === 0;
+    const right = createButton('▶', 'Mover dia para depois', () => moveDay(1));
+    right.disabled = index === days.length - 1;
+    controls.appendChild(left);
+    controls.appendChild(right);
+
+    const remove = createButton('🗑 Excluir dia', 'Excluir este dia', () => {
+      if (!window.confirm(`Excluir o Dia ${day.id} e todas as suas atividades?`)) return;
+      commit(
+        async () => {
+          await sendItinerary('DELETE', '/itinerary/' + day.id);
+          return days.filter((d) => d.id !== day.id);
+        },
+        (list) => {
+          const neighbour = list[Math.min(index, list.length - 1)];
+          return neighbour ? String(neighbour.id) : 'diary';
+        }
+      );
+    });
+    remove.classList.add('danger');
+    controls.appendChild(remove);
+
+    controls.appendChild(
+      createButton('＋ Novo dia', 'Adicionar um dia ao roteiro', () => {
+        showForm(
+          formSlot,
+          createForm(
+            dayFields({}),
+            'Criar dia',
+            (values) => {
+              let created;
+              return commit(
+                async () => {
+                  created = await sendItinerary('POST', '/itinerary', { ...values, schedule: [] });
+                  return withDay(created);
+                },
+                () => String(created.id)
+              );
+            },
+            () => redraw(day)
+          )
+        );
+      })
+    );
+
+    const header = dayDiv.querySelector('.day-header');
+    dayDiv.insertBefore(controls, header);
+    dayDiv.insertBefore(formSlot, header);
+  }
+
+  /**
+   * Adiciona os controles de cada atividade (mover, editar, excluir) e o
+   * botão de nova atividade.
+   *
+   * @param {HTMLElement} dayDiv
+   * @param {Object} day
+   */
+  function addItemControls(dayDiv, day) {
+    const ul = dayDiv.querySelector('.schedule');
+    const items = Array.from(ul.children);
+    // Cópia das atividades enviada ao servidor; cada alteração parte dela.
+    const schedule = () => day.schedule.map((item) => ({ ...item }));
+
+    items.forEach((li, index) => {
+      const item = day.schedule[index];
+      const controls = document.createElement('span');
+      controls.className = 'item-edit-controls';
+      const move = (offset) => {
+        const list = schedule();
+        const [moved] = list.splice(index, 1);
+        list.splice(index + offset, 0, moved);
+        saveSchedule(day, list);
+      };
+      const up = createButton('▲', 'Mover atividade para cima', () => move(-1));
+      up.disabled = index === 0;
+      const down = createButton('▼', 'Mover atividade para baixo', () => move(1));
+      down.disabled = index === items.length - 1;
+      const edit = createButton('✎', 'Editar atividade', () => {
+        // O formulário não deve herdar o visual de item concluído.
+        li.classList.remove('completed');
+        showForm(
+          li,
+          createForm(
+            itemFields(item),
+            'Salvar atividade',
+            (values) => {
+              const list = schedule();
+              list[index] = { ...list[index], ...values };
+              return saveSchedule(day, list);
+            },
+            () => redraw(day)
+          )
+        );
+      });
+      const remove = createButton('🗑', 'Excluir atividade', () => {
+        if (!window.confirm('Excluir esta atividade do roteiro?')) return;
+        saveSchedule(day, schedule().filter((_item, i) => i !== index));
+      });
+      remove.classList.add('danger');
+      [up, down, edit, remove].forEach((btn) => controls.appendChild(btn));
+      li.appendChild(controls);
+    });
+
+    const addSlot = document.createElement('div');
+    addSlot.className = 'itinerary-add-item';
+    addSlot.appendChild(
+      createButton('＋ Adicionar atividade', 'Adicionar atividade a este dia', () => {
+        showForm(
+          addSlot,
+          createForm(
+            itemFields({}),
+            'Adicionar',
+            (values) => saveSchedule(day, schedule().concat(values)),
+            () => redraw(day)
+          )
+        );
+      })
+    );
+    ul.insertAdjacentElement('afterend', addSlot);
+  }
+
+  /**
+   * Adiciona o botão de edição ao painel de um dia e, no modo de edição,
+   * os controles do dia e das atividades. Chamado por createPanel
+   * (script.js) sempre que um painel de dia é criado.
+   *
+   * @param {HTMLElement} panel Painel do dia
+   * @param {Object} day Dia exibido no painel
+   */
+  function setupItineraryEditor(panel, day) {
+    if (!window.isLoggedIn) return;
+    const dayDiv = panel.querySelector('.day');
+    if (!dayDiv) return;
+    const toolbar = document.createElement('div');
+    toolbar.className = 'itinerary-toolbar';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'itinerary-edit-toggle';
+    toggle.textContent = editing ? '✔ Concluir edição' : '✏️ Editar roteiro';
+    toggle.setAttribute('aria-pressed', editing ? 'true' : 'false');
+    toggle.addEventListener('click', () => {
+      editing = !editing;
+      redraw(day);
+    });
+    toolbar.appendChild(toggle);
+    dayDiv.insertBefore(toolbar, dayDiv.firstChild);
+    if (!editing) return;
+    panel.classList.add('editing');
+    addDayControls(dayDiv, day);
+    addItemControls(dayDiv, day);
+  }
+
+  window.setupItineraryEditor = setupItineraryEditor;
+})();
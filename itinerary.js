@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const progress = require('./progress');
+const notes = require('./notes');
+const places = require('./places');
+
+/*
+ * Trip itinerary stored as structured data.
+ *
+ * Each day is a record of the `itinerary` collection keyed by its number:
+ *
+ *   {
+ *     id: '1',
+ *     title, subtitle, highlight,            // highlight may be null
+ *     schedule: [{ id, time, description, transport, coordinates }],
+ *     updatedAt
+ *   }
+ *
+ * title, subtitle, highlight, description and transport are short HTML
+ * fragments that script.js renders as-is, so they are sanitised on the way
+ * in (see sanitiseHtml()): only <b>, <strong>, <em>, <span class="tag">
+ * (used by the original page) and <a href="http(s)://…"> are kept, and any
+ * other `<` or `&` is escaped and shows as typed. The API exposes `id` as a
+ * number, as the frontend always did.
+ *
+ * Schedule items carry a stable generated `id` that the in-app editor sends
+ * back. Completion state and notes are keyed by that id (see progress.js
+ * and notes.js), so they follow an item wherever it is moved. `coordinates`
+ * ({ latitude, longitude } or null) place the item on the map; when the
+ * client leaves them empty they are looked up from the description (see
+ * places.locate()).
+ *
+ * The first start with an empty collection imports itinerary-seed.json,
+ * extracted from the day cards that used to live in index.html.
+ */
+
+const SEED_FILE = path.join(__dirname, 'itinerary-seed.json');
+
+const ITEM_ID = /^[\w-]{1,64}$/;
+// Date written in a day title, e.g. "16/01".
+const DAY_DATE = /\b(\d{1,2})\/(\d{1,2})\b/;
+// Start of a day title up to its date, e.g. "Dia 3 – Domingo, 18/01".
+const DAY_HEADING = /^Dia\s+\d+(?:.*?\b\d{1,2}\/\d{1,2}\b)?/;
+const TRIP_TIMEZONE = process.env.TRIP_TIMEZONE || 'America/Argentina/Buenos_Aires';
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// An allowed tag (with double-quoted attributes) or a character reference.
+const HTML_TOKEN = /<(\/?)(b|strong|em|span|a)((?:\s+[\w-]+\s*=\s*"[^"<>]*")*)\s*>|&(?:[a-z]+|#\d+|#x[\da-f]+);/gi;
+const HTML_ATTRIBUTE = /([\w-]+)\s*=\s*"([^"]*)"/g;
+
+const escapeText = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Attributes kept on an allowed tag: the class "tag" on <span> and an
+ * http(s) href on <a>, which is required.
+ *
+ * @returns {string|null} Attributes to write, null to drop the tag
+ */
+function allowedAttributes(tag, source) {
+  const attributes = {};
+  for (const [, name, value] of String(source || '').matchAll(HTML_ATTRIBUTE)) {
+    attributes[name.toLowerCase()] = value;
+  }
+  if (tag === 'a') {
+    if (!/^https?:\/\//i.test(attributes.href || '')) return null;
+    return ` href="${attributes.href}" rel="noopener noreferrer" target="_blank"`;
+  }
+  if (tag === 'span' && attributes.class === 'tag') return ' class="tag"';
+  return '';
+}
+
+/**
+ * Reduce an HTML fragment to the markup allowed in the itinerary. Text
+ * outside that markup is escaped, unmatched closing tags are dropped and
+ * open tags are closed at the end.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function sanitiseHtml(value) {
+  const source = text(value);
+  const open = [];
+  let result = '';
+  let last = 0;
+  for (const match of source.matchAll(HTML_TOKEN)) {
+    const [token, closing, name, attributes] = match;
+    result += escapeText(source.slice(last, match.index));
+    last = match.index + token.length;
+    if (!name) {
+      result += token;
+      continue;
+    }
+    const tag = name.toLowerCase();
+    if (closing) {
+      const at = open.lastIndexOf(tag);
+      while (at >= 0 && open.length > at) result += `</${open.pop()}>`;
+      continue;
+    }
+    const kept = allowedAttributes(tag, attributes);
+    if (kept === null) {
+      result += escapeText(token);
+      continue;
+    }
+    open.push(tag);
+    result += `<${tag}${kept}>`;
+  }
+  result += escapeText(source.slice(last));
+  while (open.length > 0) result += `</${open.pop()}>`;
+  return result;
+}
+
+/**
+ * Validate a schedule item sent by the client. Items without a valid id
+ * (new items) receive one.
+ *
+ * @param {object} item
+ * @param {number} index Position, used in error messages
+ * @returns {{ id: string, time: string, description: string, transport: string|null, coordinates: object|null }}
+ */
+function normaliseItem(item, index) {
+  if (!item || typeof item !== 'object') {
+    throw new Error(`Item ${index + 1} do roteiro inválido`);
+  }
+  const description = sanitiseHtml(item.description);
+  if (!description) {
+    throw new Error(`Item ${index + 1} do roteiro precisa de uma descrição`);
+  }
+  const id = ITEM_ID.test(String(item.id || '')) ? String(item.id) : uuidv4();
+  let coordinates;
+  try {
+    coordinates = places.parseCoordinates(item.coordinates) || places.locate(description);
+  } catch (err) {
+    throw new Error(`Item ${index + 1} do roteiro: ${err.message}`);
+  }
+  return { id, time: text(item.time), description, transport: sanitiseHtml(item.transport) || null, coordinates };
+}
+
+/**
+ * Build a day record from the request body. Fields missing from `input`
+ * keep the value of `base` (the stored day when updating).
+ *
+ * @param {object} input Request body
+ * @param {object} [base] Current record
+ * @returns {object} Day record without id/updatedAt
+ */
+function normaliseDay(input, base = {}) {
+  const body = input || {};
+  const pick = (field) => (body[field] !== undefined ? body[field] : base[field]);
+  const title = sanitiseHtml(pick('title'));
+  if (!title) {
+    throw new Error('O dia precisa de um título');
+  }
+  const schedule = pick('schedule') || [];
+  if (!Array.isArray(schedule)) {
+    throw new Error('"schedule" deve ser uma lista de itens');
+  }
+  const items = schedule.map(normaliseItem);
+  // An id sent twice (e.g. a duplicated item) only identifies the first one.
+  const seen = new Set();
+  items.forEach((item) => {
+    if (seen.has(item.id)) item.id = uuidv4();
+    seen.add(item.id);
+  });
+  return {
+    title,
+    subtitle: sanitiseHtml(pick('subtitle')),
+    highlight: sanitiseHtml(pick('highlight')) || null,
+    schedule: items,
+  };
+}
+
+/**
+ * Convert a stored record to the shape returned by the API.
+ *
+ * @param {object} record
+ * @returns {object}
+ */
+function toDay(record) {
+  return { ...record, id: Number(record.id) };
+}
+
+/**
+ * All days ordered by number.
+ *
+ * @param {object} store Storage instance (see storage.js)
+ * @returns {object[]}
+ */
+function list(store) {
+  return store
+    .all('itinerary')
+    .map(toDay)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Import the seed file when the itinerary is empty.
+ *
+ * @param {object} store Storage instance
+ * @param {string} [file] Seed file, itinerary-seed.json by default
+ * @returns {number} Number of days imported
+ */
+function seed(store, file = SEED_FILE) {
+  if (store.all('itinerary').length > 0 || !fs.existsSync(file)) return 0;
+  const days = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const now = new Date().toISOString();
+  return store.transaction(() => {
+    days.forEach((day) => {
+      store.insert('itinerary', { id: String(day.id), ...normaliseDay(day), updatedAt: now });
+    });
+    return days.length;
+  });
+}
+
+/**
+ * Bring the days stored by earlier versions up to date: schedule items get
+ * an id and coordinates, and the HTML fields are sanitised.
+ *
+ * @param {object} store Storage instance
+ * @returns {number} Number of days updated
+ */
+function ensureItemIds(store) {
+  return store.transaction(() => {
+    let updated = 0;
+    store.all('itinerary').forEach((record) => {
+      const current = { ...record, ...normaliseDay(record) };
+      if (JSON.stringify(current) === JSON.stringify(record)) return;
+      store.update('itinerary', current);
+      updated += 1;
+    });
+    return updated;
+  });
+}
+
+/**
+ * Save a day (create or update). The completion state and notes of items
+ * removed from the schedule are deleted. Must run inside a transaction.
+ *
+ * @param {object} store Storage instance
+ * @param {number} id Day number
+ * @param {object} day Result of normaliseDay()
+ * @returns {object} The day as returned by the API
+ */
+function saveDay(store, id, day) {
+  const current = store.get('itinerary', id);
+  if (current) {
+    const kept = new Set(day.schedule.map((item) => item.id));
+    const removed = (current.schedule || []).map((item) => item.id).filter((itemId) => !kept.has(itemId));
+    progress.removeItems(store, removed);
+    notes.removeItems(store, removed);
+  }
+  const record = { ...current, id: String(id), ...day, updatedAt: new Date().toISOString() };
+  return toDay(store.update('itinerary', record));
+}
+
+/**
+ * Title of a day moved to position `number`. The heading ("Dia 3 –
+ * Domingo, 18/01") belongs to the position: the number is rewritten and
+ * the weekday and date are taken from `slotTitle`, the title of the day
+ * that held the position, so dayForDate() keeps matching the calendar.
+ * The rest of the title moves with the day.
+ *
+ * @param {string} title
+ * @param {number} number New day number
+ * @param {string} slotTitle
+ * @returns {string}
+ */
+function retitle(title, number, slotTitle) {
+  const own = DAY_HEADING.exec(title);
+  if (!own) return title;
+  const slot = DAY_HEADING.exec(slotTitle);
+  const dated = DAY_DATE.test(own[0]) && slot && DAY_DATE.test(slot[0]);
+  const heading = (dated ? slot[0] : own[0]).replace(/^Dia\s+\d+/, `Dia ${number}`);
+  return heading + title.slice(own[0].length);
+}
+
+/**
+ * Renumber the days following `order`, a list with every current day
+ * number: the first becomes day 1, and so on. Titles get the number and
+ * date of their new position (see retitle()). Memories keep their `day`:
+ * the date belongs to the position, and a memory stays on the day of the
+ * date it was taken. Must run inside a transaction.
+ *
+ * @param {object} store Storage instance
+ * @param {number[]} order
+ * @returns {object[]} The reordered days
+ */
+function reorderDays(store, order) {
+  const days = store.all('itinerary');
+  const ids = (order || []).map(Number);
+  const valid =
+    Array.isArray(order) &&
+    ids.length === days.length &&
+    new Set(ids).size === ids.length &&
+    days.every((d) => ids.includes(Number(d.id)));
+  if (!valid) {
+    throw new Error('A nova ordem deve conter exatamente os dias atuais');
+  }
+  const renumber = new Map(ids.map((from, index) => [from, index + 1]));
+  // Titles by position, before the days move.
+  const slotTitles = new Map(
+    days
+      .slice()
+      .sort((a, b) => Number(a.id) - Number(b.id))
+      .map((d, index) => [index + 1, text(d.title)])
+  );
+  const changed = days.filter((d) => {
+    const to = renumber.get(Number(d.id));
+    return to !== Number(d.id) || retitle(text(d.title), to, slotTitles.get(to)) !== text(d.title);
+  });
+  changed.forEach((d) => store.remove('itinerary', d.id));
+  changed.forEach((d) => {
+    const to = renumber.get(Number(d.id));
+    store.insert('itinerary', {
+      ...d,
+      id: String(to),
+      title: retitle(text(d.title), to, slotTitles.get(to)),
+      updatedAt: new Date().toISOString(),
+    });
+  });
+  return list(store);
+}
+
+/**
+ * Remove a day with the completion state and notes of its items. Memories
+ * of the day lose their `day`, which a day created later could take. Must
+ * run inside a transaction.
+ *
+ * @param {object} store Storage instance
+ * @param {number} id Day number
+ * @returns {Array<{ before: object, after: object }>|null} The memories
+ *   unlinked from the day, for the caller to announce; null when the day
+ *   does not exist
+ */
+function removeDay(store, id) {
+  const current = store.get('itinerary', id);
+  if (!current) return null;
+  store.remove('itinerary', id);
+  const removed = (current.schedule || []).map((item) => item.id);
+  progress.removeItems(store, removed);
+  notes.removeItems(store, removed);
+  const now = new Date().toISOString();
+  return store
+    .all('memories')
+    .filter((memory) => memory.day !== undefined && memory.day !== null && String(memory.day) === String(id))
+    .map((memory) => ({ before: memory, after: store.update('memories', { ...memory, day: undefined, updatedAt: now }) }));
+}
+
+/**
+ * Itinerary day that falls on the date of `value`. Days carry their date
+ * only in the title ("Dia 1 – Sexta, 16/01 – …"), so the match is on day
+ * and month. Timestamps are read in the trip's time zone (TRIP_TIMEZONE,
+ * Buenos Aires by default); dates and times without a zone (YYYY-MM-DD,
+ * YYYY-MM-DDTHH:mm) as written.
+ *
+ * @param {object[]} days Result of list()
+ * @param {string|Date} value
+ * @param {string} [timeZone]
+ * @returns {number|undefined} Day number
+ */
+function dayForDate(days, value, timeZone = TRIP_TIMEZONE) {
+  const plain = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+)?$/.test(value);
+  const date = value instanceof Date ? value : new Date(plain ? value.slice(0, 10) : value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: plain ? 'UTC' : timeZone,
+    day: 'numeric',
+    month: 'numeric',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  const match = days.find((day) => {
+    const found = DAY_DATE.exec(String(day.title || ''));
+    return found && Number(found[1]) === part('day') && Number(found[2]) === part('month');
+  });
+  return match ? Number(match.id) : undefined;
+}
+
+module.exports = {
+  normaliseDay,
+  toDay,
+  list,
+  seed,
+  ensureItemIds,
+  saveDay,
+  reorderDays,
+  removeDay,
+  dayForDate,
+  sanitiseHtml,
+};
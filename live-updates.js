@@ -0,0 +1,117 @@
+/*
+  Atualizações em tempo real entre os aparelhos.
+
+  Mantém aberta uma conexão Server-Sent Events com GET /events e repassa
+  cada mudança publicada pelo servidor como um evento da janela:
+
+    live:memory    { action, id, memory?, days, public }
+    live:comment   { memoryId, action, comment? | removed? }
+    live:reaction  { memoryId, commentId, reactions }
+    live:progress  { progress }
+    live:resync    {}   // reconexão ou backup restaurado: recarregar tudo
+
+  script.js, memories.js e memory-detail.js escutam esses eventos e
+  atualizam os painéis. Antes de repassar uma mudança, as leituras da API
+  guardadas pelo service worker são descartadas, para que os painéis
+  busquem os dados novos e não a cópia em cache.
+
+  O navegador reconecta sozinho após quedas curtas; se a conexão for
+  encerrada de vez, tentamos de novo com espera crescente e assim que a
+  rede voltar. A função global `liveUpdates.restart()` reabre a conexão
+  após login ou logout, já que o servidor filtra os eventos pelo usuário
+  da sessão.
+*/
+
+(function () {
+  // Mesmo nome usado em service-worker.js para as leituras da API.
+  const API_CACHE = 'honeymoon-api';
+  const EVENT_TYPES = ['memory', 'comment', 'reaction', 'progress', 'resync'];
+  const MIN_RETRY_DELAY = 1000;
+  const MAX_RETRY_DELAY = 30 * 1000;
+
+  let source = null;
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_DELAY;
+  // Indica que a conexão atual substitui outra que caiu.
+  let reconnecting = false;
+
+  /**
+   * Descarta as respostas da API guardadas pelo service worker.
+   */
+  async function dropApiCache() {
+    if (!window.caches) return;
+    try {
+      await caches.delete(API_CACHE);
+    } catch (_err) {
+      // Cache Storage indisponível: nada a descartar.
+    }
+  }
+
+  function emit(type, detail) {
+    window.dispatchEvent(new CustomEvent('live:' + type, { detail }));
+  }
+
+  /**
+   * Abre (ou reabre) a conexão com o servidor.
+   */
+  function connect() {
+    if (typeof EventSource === 'undefined') return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (source) source.close();
+    const current = new EventSource('/events');
+    source = current;
+    current.addEventListener('open', async () => {
+      retryDelay = MIN_RETRY_DELAY;
+      if (reconnecting) {
+        await dropApiCache();
+        emit('resync', {});
+      }
+      reconnecting = true;
+    });
+    EVENT_TYPES.forEach((type) => {
+      current.addEventListener(type, async (ev) => {
+        let data;
+        try {
+          data = JSON.parse(ev.data);
+        } catch (_err) {
+          return;
+        }
+        await dropApiCache();
+        emit(type, data);
+      });
+    });
+    current.addEventListener('error', () => {
+      // Em CONNECTING o próprio navegador tentará de novo; em CLOSED ele
+      // desistiu (por exemplo, servidor fora do ar) e a nova tentativa é
+      // nossa.
+      if (current === source && current.readyState === EventSource.CLOSED) {
+        scheduleReconnect();
+      }
+    });
+  }
+
+  function scheduleReconnect() {
+    if (retryTimer) return;
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Reabre a conexão para o usuário atual da sessão. Não dispara
+   * `live:resync`: quem faz login ou logout já recarrega os painéis.
+   */
+  function restart() {
+    reconnecting = false;
+    retryDelay = MIN_RETRY_DELAY;
+    connect();
+  }
+
+  window.addEventListener('online', () => {
+    if (!source || source.readyState === EventSource.CLOSED) connect();
+  });
+
+  document.addEventListener('DOMContentLoaded', connect);
+
+  window.liveUpdates = { restart };
+})();
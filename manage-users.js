@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+const path = require('path');
+const readline = require('readline');
+const { createStore } = require('./storage');
+const { createUserStore } = require('./users');
+
+/*
+ * Command line tool to manage accounts of the memories server.
+ *
+ *   npm run users -- list
+ *   npm run users -- add <usuário> [senha]
+ *   npm run users -- passwd <usuário> [senha]
+ *   npm run users -- remove <usuário>
+ *
+ * When the password is omitted it is read from the terminal. The tool uses
+ * the same DATA_DIR and STORAGE_DRIVER variables as server.js and can run
+ * while the server is up: both drivers pick up the changes immediately (the
+ * JSON one reloads database.json when another process rewrites it).
+ * `passwd` and `remove` also log the account out everywhere.
+ */
+
+const USAGE = `Uso:
+  manage-users.js list
+  manage-users.js add <usuário> [senha]
+  manage-users.js passwd <usuário> [senha]
+  manage-users.js remove <usuário>`;
+
+/**
+ * Ask for a password on the terminal without echoing it.
+ *
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function askPassword(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (str) => {
+      if (str.includes(question)) rl.output.write(str);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main(argv) {
+  const [command, username, password] = argv;
+  const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
+  const store = createStore({ dataDir, driver: process.env.STORAGE_DRIVER });
+  const users = createUserStore(store);
+  try {
+    switch (command) {
+      case 'list':
+        users.list().forEach((u) => console.log(`${u.username}\t(atualizado em ${u.updatedAt})`));
+        break;
+      case 'add':
+      case 'passwd': {
+        if (!username) throw new Error(USAGE);
+        const secret = password || (await askPassword('Senha: '));
+        if (command === 'add') {
+          users.add(username, secret);
+          console.log(`Usuário ${username} criado.`);
+        } else {
+          users.setPassword(username, secret);
+          console.log(`Senha de ${username} redefinida.`);
+        }
+        break;
+      }
+      case 'remove':
+        if (!username) throw new Error(USAGE);
+        if (!users.remove(username)) throw new Error('Usuário não encontrado: ' + username);
+        console.log(`Usuário ${username} removido.`);
+        break;
+      default:
+        throw new Error(USAGE);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/*
+ * Responsive variants of uploaded media.
+ *
+ * For every uploaded image a small thumbnail and a medium-sized copy are
+ * written next to the original in uploadsDir, so the cards can load a few
+ * dozen kilobytes instead of the full photo. For videos a poster frame is
+ * extracted with ffmpeg (when it is installed) and the same variants are
+ * generated from it.
+ *
+ * The result for each media URL is stored on the memory under
+ * `mediaVariants[url]`:
+ *
+ *   {
+ *     width, height,                           // original (or poster) size
+ *     thumb:  { url, width },                  // ~320 px wide, WebP
+ *     medium: { url, width },                  // ~1024 px wide, WebP
+ *     poster: '/uploads/<name>-poster.jpg'     // videos only
+ *   }
+ *
+ * A variant is omitted when the original is already smaller. Photos taken
+ * with the phone on its side are stored as shot, with an EXIF Orientation
+ * saying how to turn them; before the variants are made such originals are
+ * rotated upright (keeping the rest of their EXIF), so every viewer shows
+ * them the right way round. The rotated image replaces the original by a
+ * rename, never in place, as backups.js hard-links uploads. Image
+ * processing uses the optional `sharp` dependency; without it (or when a
+ * file cannot be decoded) the media simply has no variants and the
+ * frontend falls back to the original file.
+ */
+
+const VARIANT_WIDTHS = { thumb: 320, medium: 1024 };
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.avi'];
+const FFMPEG_TIMEOUT = 30 * 1000;
+
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * @param {{ uploadsDir: string, ffmpegPath?: string }} options
+ */
+function createMediaProcessor({ uploadsDir, ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg' }) {
+  const sharp = loadSharp();
+  // Set to false the first time ffmpeg cannot be started, so it is not
+  // retried for every video.
+  let ffmpegAvailable = true;
+
+  const fileFor = (url) => path.join(uploadsDir, path.basename(String(url)));
+  const urlFor = (file) => '/uploads/' + path.basename(file);
+
+  /**
+   * Extract a representative frame of a video as a JPEG.
+   *
+   * @param {string} input Video file
+   * @param {string} output JPEG file
+   * @returns {Promise<boolean>} Whether the poster was written
+   */
+  function extractPoster(input, output) {
+    if (!ffmpegAvailable) return Promise.resolve(false);
+    const args = ['-y', '-loglevel', 'error', '-i', input, '-vf', 'thumbnail', '-frames:v', '1', output];
+    return new Promise((resolve) => {
+      execFile(ffmpegPath, args, { timeout: FFMPEG_TIMEOUT }, (err) => {
+        if (err && err.code === 'ENOENT') {
+          ffmpegAvailable = false;
+          console.warn('ffmpeg não encontrado: vídeos ficarão sem imagem de capa');
+        }
+        resolve(!err && fs.existsSync(output));
+      });
+    });
+  }
+
+  /**
+   * Rotate an image upright according to its EXIF orientation.
+   *
+   * @param {string} input Image file
+   * @returns {Promise<boolean>} Whether the image was rotated
+   */
+  async function autoRotate(input) {
+    const meta = await sharp(input).metadata();
+    if (!meta.orientation || meta.orientation === 1 || meta.pages > 1) return false;
+    const temp = `${input}.tmp-${process.pid}-${Date.now()}`;
+    const options = meta.format === 'jpeg' ? { quality: 90 } : {};
+    // rotate() without an angle applies the orientation and resets it to 1.
+    try {
+      await sharp(input).rotate().keepExif().toFormat(meta.format, options).toFile(temp);
+      fs.renameSync(temp, input);
+    } catch (err) {
+      fs.rmSync(temp, { force: true });
+      throw err;
+    }
+    return true;
+  }
+
+  /**
+   * Write the thumbnail and medium variants of an image.
+   *
+   * @param {string} input Image file
+   * @param {string} base Path prefix for the variant files
+   * @returns {Promise<object>} Variant description (see above)
+   */
+  async function resizeImage(input, base) {
+    const meta = await sharp(input).metadata();
+    // EXIF orientations 5–8 swap width and height once rotated.
+    const rotated = meta.orientation >= 5;
+    const width = rotated ? meta.height : meta.width;
+    const height = rotated ? meta.width : meta.height;
+    const result = { width, height };
+    for (const [name, target] of Object.entries(VARIANT_WIDTHS)) {
+      if (!width || width <= target) continue;
+      const file = `${base}-${name}.webp`;
+      const info = await sharp(input).rotate().resize({ width: target }).webp({ quality: 80 }).toFile(file);
+      result[name] = { url: urlFor(file), width: info.width };
+    }
+    return result;
+  }
+
+  /**
+   * Generate the variants of one uploaded file.
+   *
+   * @param {string} url Public URL of the upload (/uploads/<name>)
+   * @returns {Promise<object|null>} Variants, or null when none could be made
+   */
+  async function variantsFor(url) {
+    const input = fileFor(url);
+    const ext = path.extname(input).toLowerCase();
+    const base = path.join(uploadsDir, path.basename(input, ext));
+    try {
+      if (VIDEO_EXTENSIONS.includes(ext)) {
+        const posterFile = `${base}-poster.jpg`;
+        if (!(await extractPoster(input, posterFile))) return null;
+        const result = { poster: urlFor(posterFile) };
+        return sharp ? { ...(await resizeImage(posterFile, base)), ...result } : result;
+      }
+      if (IMAGE_EXTENSIONS.includes(ext) && sharp) {
+        await autoRotate(input);
+        return await resizeImage(input, base);
+      }
+    } catch (err) {
+      console.warn(`Não foi possível gerar miniaturas de ${path.basename(input)}: ${err.message}`);
+    }
+    return null;
+  }
+
+  return {
+    /** Whether images can be resized (sharp is installed). */
+    available: Boolean(sharp),
+    variantsFor,
+
+    /**
+     * Generate variants for several uploads, one at a time to keep memory
+     * usage low. Never rejects.
+     *
+     * @param {string[]} urls
+     * @returns {Promise<Object<string, object>>} Variants keyed by URL
+     */
+    async processAll(urls) {
+      const result = {};
+      for (const url of urls) {
+        const variants = await variantsFor(url);
+        if (variants) result[url] = variants;
+      }
+      return result;
+    },
+
+    /**
+     * URLs of every file generated for a media item, so they can be
+     * deleted together with the original.
+     *
+     * @param {object|undefined} variants
+     * @returns {string[]}
+     */
+    filesOf(variants) {
+      if (!variants) return [];
+      const { poster, thumb, medium } = variants;
+      return [poster, thumb && thumb.url, medium && medium.url].filter(Boolean);
+    },
+  };
+}
+
+module.exports = { createMediaProcessor, VARIANT_WIDTHS };
@@ -23,7 +23,8 @@
    *  • Seção de publicação de memória (título, texto, data, tags, local,
    *    status e upload de mídia) com barra de progresso.
    *  • Seção de filtros de busca (texto, status, intervalo de datas).
-   *  • Lista de memórias renderizada em grid responsivo.
+   *  • Lista de memórias renderizada em grid responsivo, com ações de
+   *    editar e excluir nas memórias escritas pelo usuário atual.
    *
    * @param {HTMLElement} container Contêiner do painel de memórias
    */
@@ -71,6 +72,12 @@
             minlength="4"
           />
         </div>
+        <div class="form-row remember-row">
+          <label for="mem-auth-remember">
+            <input id="mem-auth-remember" name="remember" type="checkbox" checked />
+            Lembrar de mim neste aparelho
+          </label>
+        </div>
         <div class="auth-actions">
           <button type="submit" data-action="login">Entrar</button>
           <button type="button" id="mem-logout-btn" class="secondary hidden">Sair</button>
@@ -82,12 +89,79 @@
     const loginForm = loginSection.querySelector('#mem-login-form');
     const userInput = loginSection.querySelector('#mem-auth-username');
     const passInput = loginSection.querySelector('#mem-auth-password');
+    const rememberInput = loginSection.querySelector('#mem-auth-remember');
     const logoutBtn = loginSection.querySelector('#mem-logout-btn');
     const loginFeedback = loginSection.querySelector('#mem-auth-feedback');
     const loginRows = loginSection.querySelectorAll('.form-row');
     const loginActionButtons = loginSection.querySelectorAll('button[data-action]');
     container.appendChild(loginSection);
 
+    // Notificações push deste aparelho (ver push-notifications.js), visíveis
+    // após o login.
+    const pushSection = document.createElement('section');
+    pushSection.id = 'mem-push-section';
+    pushSection.className = 'card push-settings hidden';
+    container.appendChild(pushSection);
+    const pushSettings = window.pushSettings || null;
+    if (pushSettings) pushSettings.mount(pushSection);
+
+    // Exportação das memórias visíveis (GET /export) e importação de cópias
+    // e de outros apps (POST /import), após o login. O ZIP guarda também as
+    // fotos e vídeos, servindo de cópia de segurança; o álbum abre em outra
+    // aba para imprimir ou salvar como PDF.
+    const exportSection = document.createElement('section');
+    exportSection.id = 'mem-export-section';
+    exportSection.className = 'card export-settings hidden';
+    exportSection.innerHTML = `
+      <h3>📦 Exportar memórias</h3>
+      <p class="subtitle">Baixe uma cópia das memórias que você pode ver, com comentários.</p>
+      <div class="export-links">
+        <a href="/export?format=zip" download>Arquivo ZIP com fotos</a>
+        <a href="/export?format=album" target="_blank" rel="noopener">Álbum para imprimir / PDF</a>
+        <a href="/export?format=markdown" download>Markdown</a>
+        <a href="/export" download="memorias.json" class="secondary">JSON</a>
+      </div>
+      <h3>📥 Importar memórias</h3>
+      <p class="subtitle">
+        Restaure um ZIP ou JSON exportado daqui, um JSON do Day One ou um CSV com as fotos que ele cita.
+      </p>
+      <form id="mem-import-form" class="import-form">
+        <label>Arquivo
+          <input type="file" name="file" accept=".zip,.json,.csv" required />
+        </label>
+        <label>Fotos citadas no CSV (opcional)
+          <input type="file" name="media" accept="image/*,video/*" multiple />
+        </label>
+        <label>Memórias que já existem
+          <select name="strategy">
+            <option value="skip">Manter as atuais</option>
+            <option value="overwrite">Substituir pelas importadas</option>
+            <option value="duplicate">Importar como cópias</option>
+          </select>
+        </label>
+        <label>Visibilidade das memórias de outros apps
+          <select name="status">
+            <option value="draft">Rascunho</option>
+            <option value="private">Privado</option>
+            <option value="public">Público</option>
+          </select>
+        </label>
+        <div class="export-links">
+          <button type="submit" data-dry-run="true" class="secondary">Simular</button>
+          <button type="submit" data-dry-run="false">Importar</button>
+        </div>
+        <p class="feedback" role="status" aria-live="polite"></p>
+        <ul class="import-report"></ul>
+      </form>
+    `;
+    container.appendChild(exportSection);
+    const importForm = exportSection.querySelector('#mem-import-form');
+
+    // Usuário autenticado (preenchido por checkAuth/login) e memória em
+    // edição no formulário de publicação, se houver.
+    let currentUser = null;
+    let editingMemory = null;
+
     // Publish section (hidden until authenticated)
     const publishSection = document.createElement('section');
     publishSection.id = 'mem-publish-section';
@@ -122,6 +196,7 @@
     const dateInput = document.createElement('input');
     dateInput.type = 'date';
     dateInput.name = 'date';
+    dateInput.title = 'Em branco: data em que as fotos foram tiradas';
     dateLabel.appendChild(dateInput);
     // Tags
     const tagsLabel = document.createElement('label');
@@ -137,7 +212,16 @@
     const locInput = document.createElement('input');
     locInput.type = 'text';
     locInput.name = 'location';
+    locInput.placeholder = 'Em branco: local registrado nas fotos';
     locLabel.appendChild(locInput);
+    // Coordenadas exibidas no mapa (trip-map.js)
+    const coordsLabel = document.createElement('label');
+    coordsLabel.textContent = 'Coordenadas (latitude, longitude)';
+    const coordsInput = document.createElement('input');
+    coordsInput.type = 'text';
+    coordsInput.name = 'coordinates';
+    coordsInput.placeholder = 'Em branco: das fotos ou do local';
+    coordsLabel.appendChild(coordsInput);
     // Status
     const statusLabel = document.createElement('label');
     statusLabel.textContent = 'Status';
@@ -165,6 +249,19 @@
     mediaInput.multiple = true;
     mediaLabel.appendChild(mediaInput);
 
+    // Mídias já enviadas (somente no modo de edição). Cada miniatura pode ser
+    // removida ou arrastada para mudar a ordem; as setas fazem o mesmo em
+    // telas de toque e pelo teclado.
+    const editMediaSection = document.createElement('div');
+    editMediaSection.className = 'edit-media hidden';
+    const editMediaTitle = document.createElement('span');
+    editMediaTitle.className = 'edit-media-title';
+    editMediaTitle.textContent = 'Mídias desta memória (arraste para reordenar)';
+    const editMediaList = document.createElement('div');
+    editMediaList.className = 'edit-media-list';
+    editMediaSection.appendChild(editMediaTitle);
+    editMediaSection.appendChild(editMediaList);
+
     // Dia (vinculação ao itinerário)
     // Permite selecionar o dia do roteiro ao qual esta memória pertence. Se
     // nenhuma opção for escolhida, a memória será tratada como "Capa" (sem dia
@@ -203,6 +300,12 @@
     publishSubmit.type = 'submit';
     publishSubmit.textContent = 'Salvar memória';
     publishSubmit.style.alignSelf = 'flex-start';
+    // Cancela a edição e volta o formulário ao modo de publicação
+    const cancelEditBtn = document.createElement('button');
+    cancelEditBtn.type = 'button';
+    cancelEditBtn.className = 'secondary hidden';
+    cancelEditBtn.textContent = 'Cancelar edição';
+    cancelEditBtn.style.alignSelf = 'flex-start';
     // Feedback areas
     const publishError = document.createElement('div');
     publishError.id = 'mem-publish-error';
@@ -216,14 +319,17 @@
     publishForm.appendChild(dateLabel);
     publishForm.appendChild(tagsLabel);
     publishForm.appendChild(locLabel);
+    publishForm.appendChild(coordsLabel);
     publishForm.appendChild(statusLabel);
     // Insere a seleção de dia logo após o status, se existir
     if (dayLabel) {
       publishForm.appendChild(dayLabel);
     }
+    publishForm.appendChild(editMediaSection);
     publishForm.appendChild(mediaLabel);
     publishForm.appendChild(progress);
     publishForm.appendChild(publishSubmit);
+    publishForm.appendChild(cancelEditBtn);
     publishForm.appendChild(publishError);
     publishForm.appendChild(publishSuccess);
     publishSection.appendChild(publishHeading);
@@ -306,6 +412,30 @@
     toInput.id = 'mem-to-date';
     toLabel.appendChild(toInput);
     toWrap.appendChild(toLabel);
+    // Ordenação
+    const sortWrap = document.createElement('div');
+    sortWrap.style.display = 'flex';
+    sortWrap.style.flexDirection = 'column';
+    const sortLabel = document.createElement('label');
+    sortLabel.setAttribute('for', 'mem-sort');
+    sortLabel.textContent = 'Ordenar';
+    const sortSelect = document.createElement('select');
+    sortSelect.id = 'mem-sort';
+    [
+      ['', 'Relevância / ordem de criação'],
+      ['date:desc', 'Data (mais recentes)'],
+      ['date:asc', 'Data (mais antigas)'],
+      ['createdAt:desc', 'Adicionadas recentemente'],
+      ['updatedAt:desc', 'Editadas recentemente'],
+      ['reactions:desc', 'Mais reações'],
+    ].forEach(([value, text]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      sortSelect.appendChild(opt);
+    });
+    sortLabel.appendChild(sortSelect);
+    sortWrap.appendChild(sortLabel);
     // Search button
     const searchBtn = document.createElement('button');
     searchBtn.id = 'mem-search-button';
@@ -316,10 +446,19 @@
     filtersWrapper.appendChild(statusWrap);
     filtersWrapper.appendChild(fromWrap);
     filtersWrapper.appendChild(toWrap);
+    filtersWrapper.appendChild(sortWrap);
     filtersWrapper.appendChild(searchBtn);
     filterSection.appendChild(filterHeading);
     filterSection.appendChild(filtersWrapper);
+    // Contagens por tag, dia, autor e status dos resultados da busca,
+    // exibidas como chips que aplicam (ou removem) o filtro correspondente.
+    const facetsDiv = document.createElement('div');
+    facetsDiv.id = 'mem-facets';
+    facetsDiv.className = 'facets';
+    filterSection.appendChild(facetsDiv);
     container.appendChild(filterSection);
+    // Filtros escolhidos pelos chips; o status usa o seletor acima.
+    const facetFilters = { tag: '', day: '', author: '' };
 
     // Memories list (hidden until authenticated)
     const listSection = document.createElement('section');
@@ -329,8 +468,41 @@
     listSection.className = 'grid';
     listSection.style.gridTemplateColumns = 'repeat(auto-fit, minmax(300px, 1fr))';
     listSection.style.gap = '16px';
+
+    // Memórias criadas sem conexão, aguardando envio (ver offline-queue.js)
+    const queueSection = document.createElement('section');
+    queueSection.id = 'mem-queue';
+    queueSection.className = 'grid hidden';
+    queueSection.style.gridTemplateColumns = 'repeat(auto-fit, minmax(300px, 1fr))';
+    queueSection.style.gap = '16px';
+    queueSection.style.marginBottom = '16px';
+    container.appendChild(queueSection);
     container.appendChild(listSection);
 
+    // A lista é carregada em páginas de PAGE_SIZE memórias. A próxima página
+    // vem quando o botão abaixo da lista aparece na tela (rolagem infinita)
+    // ou quando ele é clicado.
+    const PAGE_SIZE = 20;
+    const moreBtn = document.createElement('button');
+    moreBtn.type = 'button';
+    moreBtn.id = 'mem-load-more';
+    moreBtn.className = 'load-more hidden';
+    moreBtn.textContent = 'Carregar mais memórias';
+    container.appendChild(moreBtn);
+    // Cursor da próxima página (null na última), quantidade exibida e
+    // número da listagem atual, para descartar respostas de buscas antigas.
+    let nextCursor = null;
+    let shownCount = 0;
+    let listToken = 0;
+    let loadingMore = false;
+
+    // A fila offline depende do IndexedDB, ausente em alguns navegadores
+    // (e em janelas anônimas de outros).
+    const offlineQueue = window.offlineQueue && window.indexedDB ? window.offlineQueue : null;
+    // Ids das memórias exibidas na fila, para recarregar a lista quando
+    // alguma for enviada.
+    let queuedIds = [];
+
     // Helper functions
     /**
      * Exibe a UI de login e oculta outras seções.
@@ -340,6 +512,11 @@
       publishSection.style.display = 'none';
       filterSection.style.display = 'none';
       listSection.style.display = 'none';
+      moreBtn.classList.add('hidden');
+      nextCursor = null;
+      queueSection.classList.add('hidden');
+      pushSection.classList.add('hidden');
+      exportSection.classList.add('hidden');
       loginRows.forEach((row) => row.classList.remove('hidden'));
       loginActionButtons.forEach((btn) => btn.classList.remove('hidden'));
       logoutBtn.classList.add('hidden');
@@ -347,6 +524,9 @@
       loginFeedback.classList.remove('error');
       publishError.textContent = '';
       publishSuccess.textContent = '';
+      currentUser = null;
+      stopEdit();
+      setItineraryLogin(false);
 
       // Oculta seções de memórias externas (por dia e capa) ao sair
       if (typeof window !== 'undefined') {
@@ -361,6 +541,23 @@
       }
     }
 
+    /**
+     * Atualiza `window.isLoggedIn`, usado por script.js para liberar a
+     * marcação de itens e o editor do roteiro, e redesenha os painéis dos
+     * dias quando o estado muda.
+     *
+     * @param {boolean} loggedIn
+     */
+    function setItineraryLogin(loggedIn) {
+      if (typeof window === 'undefined' || window.isLoggedIn === loggedIn) return;
+      window.isLoggedIn = loggedIn;
+      // O servidor filtra os eventos em tempo real pelo usuário da sessão.
+      if (window.liveUpdates) window.liveUpdates.restart();
+      if (typeof window.refreshItinerary === 'function' && Array.isArray(window.itineraryData)) {
+        window.refreshItinerary(window.itineraryData);
+      }
+    }
+
     /**
      * Exibe a UI da aplicação após autenticação. Também carrega as
      * memórias existentes com filtros padrão.
@@ -370,6 +567,12 @@
       publishSection.style.display = '';
       filterSection.style.display = '';
       listSection.style.display = '';
+      queueSection.classList.remove('hidden');
+      if (pushSettings) {
+        pushSection.classList.remove('hidden');
+        pushSettings.refresh();
+      }
+      exportSection.classList.remove('hidden');
       loginRows.forEach((row) => row.classList.add('hidden'));
       loginActionButtons.forEach((btn) => btn.classList.add('hidden'));
       logoutBtn.classList.remove('hidden');
@@ -377,7 +580,10 @@
       loginFeedback.classList.remove('error');
       publishError.textContent = '';
       publishSuccess.textContent = '';
+      setItineraryLogin(true);
       loadMemories();
+      renderQueue();
+      if (offlineQueue) offlineQueue.replay();
       // Após exibir a interface principal, atualizamos também os painéis de
       // itinerário (caso existam) para refletir memórias por dia. Esta
       // função é definida no script principal (script.js). Verificamos
@@ -393,19 +599,337 @@
 
     /**
      * Faz requisição para verificar usuário logado e exibe a UI
-     * apropriada.
+     * apropriada. Sem conexão, mantém a sessão do último usuário deste
+     * aparelho para que novas memórias possam ser guardadas na fila.
      */
     async function checkAuth() {
       try {
         const res = await fetch('/auth/me', { credentials: 'include' });
         const data = await res.json();
         if (data && data.user) {
+          currentUser = data.user;
+          if (offlineQueue) offlineQueue.offlineUser(currentUser);
           showApp();
         } else {
+          if (offlineQueue) offlineQueue.offlineUser(null);
           showLogin();
         }
       } catch (_err) {
-        showLogin();
+        const lastUser = offlineQueue && offlineQueue.offlineUser();
+        if (lastUser) {
+          currentUser = lastUser;
+          showApp();
+          loginFeedback.textContent = 'Sem conexão: novas memórias serão enviadas quando a rede voltar.';
+        } else {
+          showLogin();
+        }
+      }
+    }
+
+    /**
+     * Exibe as memórias guardadas na fila offline com o seu estado:
+     * aguardando conexão ou com falha no envio (por exemplo, um arquivo
+     * recusado pelo servidor). As com falha podem ser reenviadas; todas
+     * podem ser descartadas.
+     */
+    async function renderQueue() {
+      if (!offlineQueue) return;
+      let entries;
+      try {
+        entries = (await offlineQueue.list()).filter((e) => e.type === 'memory' && e.user === currentUser);
+      } catch (_err) {
+        return;
+      }
+      const sent = queuedIds.some((id) => !entries.find((e) => e.id === id));
+      queuedIds = entries.map((e) => e.id);
+      if (sent) refreshViews();
+      queueSection.innerHTML = '';
+      entries.forEach((entry) => {
+        const fields = entry.payload.fields;
+        const field = (name) => {
+          const found = fields.find(([key]) => key === name);
+          return found ? found[1] : '';
+        };
+        const card = document.createElement('div');
+        card.className = 'card memory-card queued-memory';
+        const h3 = document.createElement('h3');
+        h3.textContent = field('title') || '(Sem título)';
+        card.appendChild(h3);
+        const badge = document.createElement('span');
+        badge.className = 'queue-badge ' + entry.status;
+        badge.textContent =
+          entry.status === 'pending' ? '⏳ Aguardando conexão' : `⚠️ Falha no envio: ${entry.error || 'erro desconhecido'}`;
+        card.appendChild(badge);
+        const files = fields.filter(([, value]) => typeof value !== 'string').length;
+        if (files > 0) {
+          const mediaInfo = document.createElement('p');
+          mediaInfo.className = 'subtitle';
+          mediaInfo.textContent = files === 1 ? '1 arquivo de mídia' : `${files} arquivos de mídia`;
+          card.appendChild(mediaInfo);
+        }
+        const actions = document.createElement('div');
+        actions.className = 'memory-actions';
+        if (entry.status !== 'pending') {
+          const retryBtn = document.createElement('button');
+          retryBtn.type = 'button';
+          retryBtn.textContent = '🔄 Tentar novamente';
+          retryBtn.addEventListener('click', () => offlineQueue.retry(entry.id));
+          actions.appendChild(retryBtn);
+        }
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'danger';
+        discardBtn.textContent = '🗑️ Descartar';
+        discardBtn.addEventListener('click', () => {
+          if (window.confirm('Descartar esta memória que ainda não foi enviada?')) {
+            offlineQueue.discard(entry.id);
+          }
+        });
+        actions.appendChild(discardBtn);
+        card.appendChild(actions);
+        queueSection.appendChild(card);
+      });
+    }
+
+    /**
+     * Guarda a nova memória na fila offline e limpa o formulário.
+     *
+     * @param {FormData} formData Dados do formulário de publicação
+     */
+    async function queueMemory(formData) {
+      progress.style.display = 'none';
+      try {
+        await offlineQueue.enqueue('memory', currentUser, { fields: offlineQueue.serializeForm(formData) });
+        publishForm.reset();
+        publishSuccess.textContent = 'Sem conexão: a memória foi guardada e será enviada quando a rede voltar.';
+      } catch (_err) {
+        publishError.textContent = 'Sem conexão e não foi possível guardar a memória neste aparelho.';
+      }
+    }
+
+    /**
+     * Recarrega a lista do painel e as memórias exibidas nos painéis de
+     * dias e na capa, sem recarregar a página.
+     */
+    function refreshViews() {
+      loadMemories();
+      if (typeof window !== 'undefined' && typeof window.refreshAllDayMemories === 'function') {
+        window.refreshAllDayMemories();
+      }
+      if (typeof window !== 'undefined' && typeof window.loadCoverMemories === 'function') {
+        window.loadCoverMemories();
+      }
+    }
+
+    /**
+     * Coloca o formulário de publicação em modo de edição, preenchido com
+     * os dados da memória. Novos arquivos de mídia escolhidos são
+     * adicionados aos já existentes.
+     *
+     * @param {Object} mem Memória a ser editada
+     */
+    function startEdit(mem) {
+      editingMemory = mem;
+      publishForm.reset();
+      titleInput.value = mem.title || '';
+      textArea.value = mem.text || '';
+      dateInput.value = mem.date ? String(mem.date).slice(0, 10) : '';
+      // O campo mostra só o dia; guardamos o valor inicial para não enviar
+      // a data sem alteração (ver o envio do formulário).
+      dateInput.dataset.original = dateInput.value;
+      tagsInput.value = (mem.tags || []).join(', ');
+      locInput.value = mem.location || '';
+      coordsInput.value = mem.coordinates ? `${mem.coordinates.latitude}, ${mem.coordinates.longitude}` : '';
+      statusSelect.value = mem.status || 'draft';
+      if (daySelect) {
+        daySelect.value = mem.day !== undefined && mem.day !== null ? String(mem.day) : '';
+      }
+      publishHeading.textContent = 'Editar memória';
+      publishSubmit.textContent = 'Atualizar memória';
+      mediaLabel.firstChild.textContent = 'Adicionar mídia (imagens ou vídeos) – até 10 MB cada';
+      cancelEditBtn.classList.remove('hidden');
+      renderEditMedia();
+      publishError.textContent = '';
+      publishSuccess.textContent = '';
+      publishSection.scrollIntoView({ behavior: 'smooth' });
+      titleInput.focus();
+    }
+
+    /**
+     * Sai do modo de edição e limpa o formulário.
+     */
+    function stopEdit() {
+      editingMemory = null;
+      publishForm.reset();
+      publishHeading.textContent = 'Publicar memória';
+      publishSubmit.textContent = 'Salvar memória';
+      mediaLabel.firstChild.textContent = 'Mídia (imagens ou vídeos) – até 10 MB cada';
+      cancelEditBtn.classList.add('hidden');
+      editMediaList.innerHTML = '';
+      editMediaSection.classList.add('hidden');
+    }
+
+    /**
+     * Desenha as miniaturas das mídias da memória em edição, com botões
+     * para remover e mover cada item.
+     */
+    function renderEditMedia() {
+      editMediaList.innerHTML = '';
+      const media = editingMemory && Array.isArray(editingMemory.media) ? editingMemory.media : [];
+      editMediaSection.classList.toggle('hidden', media.length === 0);
+      media.forEach((url, index) => {
+        const thumb = document.createElement('div');
+        thumb.className = 'edit-media-item';
+        thumb.draggable = true;
+        thumb.dataset.index = String(index);
+        const ext = String(url).split('.').pop().toLowerCase();
+        const variants = (editingMemory.mediaVariants && editingMemory.mediaVariants[url]) || {};
+        let preview;
+        if (['mp4', 'mov', 'mkv', 'avi'].includes(ext)) {
+          preview = document.createElement('video');
+          preview.muted = true;
+          preview.preload = 'metadata';
+          if (variants.poster) preview.poster = variants.thumb ? variants.thumb.url : variants.poster;
+          preview.src = url;
+        } else {
+          preview = document.createElement('img');
+          preview.alt = `Mídia ${index + 1}`;
+          preview.loading = 'lazy';
+          preview.src = variants.thumb ? variants.thumb.url : url;
+        }
+        thumb.appendChild(preview);
+        const controls = document.createElement('div');
+        controls.className = 'edit-media-controls';
+        const left = document.createElement('button');
+        left.type = 'button';
+        left.textContent = '◀';
+        left.setAttribute('aria-label', 'Mover para a esquerda');
+        left.disabled = index === 0;
+        left.addEventListener('click', () => moveMedia(index, index - 1));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'danger';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', 'Remover mídia');
+        remove.addEventListener('click', () => removeMedia(url));
+        const right = document.createElement('button');
+        right.type = 'button';
+        right.textContent = '▶';
+        right.setAttribute('aria-label', 'Mover para a direita');
+        right.disabled = index === media.length - 1;
+        right.addEventListener('click', () => moveMedia(index, index + 1));
+        controls.appendChild(left);
+        controls.appendChild(remove);
+        controls.appendChild(right);
+        thumb.appendChild(controls);
+        // Arrastar e soltar
+        thumb.addEventListener('dragstart', (ev) => {
+          ev.dataTransfer.effectAllowed = 'move';
+          ev.dataTransfer.setData('text/plain', String(index));
+          thumb.classList.add('dragging');
+        });
+        thumb.addEventListener('dragend', () => thumb.classList.remove('dragging'));
+        thumb.addEventListener('dragover', (ev) => {
+          ev.preventDefault();
+          ev.dataTransfer.dropEffect = 'move';
+        });
+        thumb.addEventListener('drop', (ev) => {
+          ev.preventDefault();
+          const from = parseInt(ev.dataTransfer.getData('text/plain'), 10);
+          if (!Number.isNaN(from)) moveMedia(from, index);
+        });
+        editMediaList.appendChild(thumb);
+      });
+    }
+
+    /**
+     * Envia ao servidor a memória em edição com a mídia da posição `from`
+     * movida para a posição `to`.
+     *
+     * @param {number} from Índice atual
+     * @param {number} to Novo índice
+     */
+    async function moveMedia(from, to) {
+      if (!editingMemory || from === to) return;
+      const media = editingMemory.media.slice();
+      if (to < 0 || to >= media.length) return;
+      const [item] = media.splice(from, 1);
+      media.splice(to, 0, item);
+      await sendMediaChange('PUT', '/memories/' + encodeURIComponent(editingMemory.id) + '/media', { media });
+    }
+
+    /**
+     * Remove uma mídia da memória em edição após confirmação.
+     *
+     * @param {string} url URL da mídia
+     */
+    async function removeMedia(url) {
+      if (!editingMemory) return;
+      if (!window.confirm('Remover esta mídia da memória? O arquivo será apagado.')) return;
+      const file = String(url).split('/').pop();
+      await sendMediaChange(
+        'DELETE',
+        '/memories/' + encodeURIComponent(editingMemory.id) + '/media/' + encodeURIComponent(file)
+      );
+    }
+
+    /**
+     * Executa uma alteração de mídia e atualiza as miniaturas e listas com a
+     * memória devolvida pelo servidor.
+     */
+    async function sendMediaChange(method, url, body) {
+      publishError.textContent = '';
+      try {
+        const res = await fetch(url, {
+          method,
+          credentials: 'include',
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        if (res.status === 401) {
+          showLogin();
+          return;
+        }
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Falha ao atualizar mídias.');
+        editingMemory = data;
+        renderEditMedia();
+        refreshViews();
+      } catch (err) {
+        publishError.textContent = err.message || 'Falha ao atualizar mídias.';
+      }
+    }
+
+    /**
+     * Exclui uma memória após confirmação do usuário e atualiza as listas.
+     *
+     * @param {Object} mem Memória a ser excluída
+     */
+    async function deleteMemory(mem) {
+      const label = mem.title ? `"${mem.title}"` : 'esta memória';
+      if (!window.confirm(`Excluir ${label}? As fotos e comentários também serão apagados.`)) {
+        return;
+      }
+      try {
+        const res = await fetch('/memories/' + encodeURIComponent(mem.id), {
+          method: 'DELETE',
+          credentials: 'include',
+        });
+        if (res.status === 401) {
+          showLogin();
+          return;
+        }
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new Error(data.error || 'Falha ao excluir memória.');
+        }
+        if (editingMemory && editingMemory.id === mem.id) {
+          stopEdit();
+        }
+        publishSuccess.textContent = 'Memória excluída.';
+        refreshViews();
+      } catch (err) {
+        alert(err.message || 'Falha ao excluir memória.');
       }
     }
 
@@ -415,9 +939,88 @@
      *
      * @param {Array} memories Lista de memórias retornada pelo backend
      */
-    function renderMemories(memories) {
-      listSection.innerHTML = '';
-      if (!memories || memories.length === 0) {
+    /**
+     * Preenche `el` com o texto, destacando com <mark> os trechos que
+     * correspondem à busca.
+     *
+     * @param {HTMLElement} el
+     * @param {{ text: string, matches: Array<[number, number]> }} highlighted
+     */
+    function appendHighlighted(el, { text, matches }) {
+      let last = 0;
+      matches.forEach(([start, end]) => {
+        if (start < last) return;
+        el.appendChild(document.createTextNode(text.slice(last, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        el.appendChild(mark);
+        last = end;
+      });
+      el.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    const STATUS_LABELS = { draft: 'Rascunho', private: 'Privado', public: 'Público' };
+    const SNIPPET_LABELS = { comments: 'Comentário', location: 'Local', tags: 'Tags' };
+
+    /**
+     * Exibe os chips de facetas. Cada chip mostra quantas memórias há com
+     * aquele valor; o chip do filtro ativo fica marcado e, ao ser clicado
+     * de novo, remove o filtro.
+     *
+     * @param {Object<string, Array<{ value: string, count: number }>>} facets
+     */
+    function renderFacets(facets) {
+      facetsDiv.innerHTML = '';
+      if (!facets) return;
+      const groups = [
+        { facet: 'tags', key: 'tag', title: 'Tags', label: (v) => '#' + v },
+        { facet: 'days', key: 'day', title: 'Dias', label: (v) => 'Dia ' + v },
+        { facet: 'authors', key: 'author', title: 'Autores', label: (v) => v },
+        { facet: 'statuses', key: 'status', title: 'Status', label: (v) => STATUS_LABELS[v] || v },
+      ];
+      groups.forEach(({ facet, key, title, label }) => {
+        const values = facets[facet] || [];
+        if (values.length === 0) return;
+        const group = document.createElement('div');
+        group.className = 'facet-group';
+        const heading = document.createElement('span');
+        heading.className = 'facet-title';
+        heading.textContent = title;
+        group.appendChild(heading);
+        const current = key === 'status' ? statusSelectF.value : facetFilters[key];
+        values.forEach(({ value, count }) => {
+          const chip = document.createElement('button');
+          chip.type = 'button';
+          chip.className = 'facet-chip';
+          const active = String(current).toLowerCase() === String(value).toLowerCase();
+          chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+          chip.textContent = `${label(value)} (${count})`;
+          chip.addEventListener('click', () => {
+            const next = active ? '' : value;
+            if (key === 'status') statusSelectF.value = next;
+            else facetFilters[key] = next;
+            loadMemories();
+          });
+          group.appendChild(chip);
+        });
+        facetsDiv.appendChild(group);
+      });
+    }
+
+    /**
+     * Exibe os cartões das memórias. Com `append`, acrescenta uma nova
+     * página aos cartões já exibidos.
+     *
+     * @param {Array<Object>} memories
+     * @param {boolean} [append]
+     */
+    function renderMemories(memories, append = false) {
+      if (!append) {
+        listSection.innerHTML = '';
+        shownCount = 0;
+      }
+      shownCount += (memories || []).length;
+      if (!append && (!memories || memories.length === 0)) {
         const emptyMsg = document.createElement('p');
         emptyMsg.className = 'subtitle';
         emptyMsg.textContent = 'Nenhuma memória encontrada.';
@@ -429,7 +1032,9 @@
         card.className = 'card memory-card';
         // Título
         const h3 = document.createElement('h3');
-        h3.textContent = mem.title || '(Sem título)';
+        const highlights = mem.highlights || {};
+        if (highlights.title) appendHighlighted(h3, highlights.title);
+        else h3.textContent = mem.title || '(Sem título)';
         card.appendChild(h3);
         // Data e status
         const meta = document.createElement('div');
@@ -444,8 +1049,15 @@
         meta.style.fontSize = '0.85rem';
         meta.style.color = '#555';
         card.appendChild(meta);
-        // Texto/descrição (limitado)
-        if (mem.text) {
+        // Trecho que corresponde à busca ou, sem busca, o texto (limitado)
+        if (highlights.snippet) {
+          const p = document.createElement('p');
+          p.className = 'search-snippet';
+          const fieldLabel = SNIPPET_LABELS[highlights.snippet.field];
+          if (fieldLabel) p.appendChild(document.createTextNode(fieldLabel + ': '));
+          appendHighlighted(p, highlights.snippet);
+          card.appendChild(p);
+        } else if (mem.text) {
           const p = document.createElement('p');
           const maxLen = 160;
           const text = String(mem.text);
@@ -481,35 +1093,57 @@
           mediaContainer.style.gap = '8px';
           mediaContainer.style.marginTop = '8px';
           mem.media.forEach((url) => {
-            const ext = String(url).split('.').pop().toLowerCase();
-            if (['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(ext)) {
-              const img = document.createElement('img');
-              img.src = url;
-              img.alt = 'Mídia da memória';
-              img.style.maxWidth = '100%';
-              img.style.height = 'auto';
-              img.style.borderRadius = '4px';
-              mediaContainer.appendChild(img);
-            } else if (['mp4', 'mov', 'mkv', 'avi'].includes(ext)) {
-              const vid = document.createElement('video');
-              vid.src = url;
-              vid.controls = true;
-              vid.style.maxWidth = '100%';
-              vid.style.maxHeight = '200px';
-              mediaContainer.appendChild(vid);
+            const el = window.createMediaElement(mem, url);
+            if (!el) return;
+            if (el.tagName === 'IMG') {
+              el.style.maxWidth = '100%';
+              el.style.height = 'auto';
+              el.style.borderRadius = '4px';
+            } else {
+              el.style.maxWidth = '100%';
+              el.style.maxHeight = '200px';
             }
+            mediaContainer.appendChild(el);
           });
           card.appendChild(mediaContainer);
         }
+        // Ações: detalhes (comentários e reações) para todos; edição e
+        // exclusão apenas para memórias do próprio usuário
+        const actions = document.createElement('div');
+        actions.className = 'memory-actions';
+        if (typeof window.openMemoryDetail === 'function') {
+          const detailBtn = document.createElement('button');
+          detailBtn.type = 'button';
+          detailBtn.textContent = '💬 Ver detalhes';
+          detailBtn.addEventListener('click', () => window.openMemoryDetail(mem));
+          actions.appendChild(detailBtn);
+        }
+        if (currentUser && mem.user === currentUser) {
+          const editBtn = document.createElement('button');
+          editBtn.type = 'button';
+          editBtn.textContent = '✏️ Editar';
+          editBtn.addEventListener('click', () => startEdit(mem));
+          const deleteBtn = document.createElement('button');
+          deleteBtn.type = 'button';
+          deleteBtn.className = 'danger';
+          deleteBtn.textContent = '🗑️ Excluir';
+          deleteBtn.addEventListener('click', () => deleteMemory(mem));
+          actions.appendChild(editBtn);
+          actions.appendChild(deleteBtn);
+        }
+        if (actions.childNodes.length > 0) {
+          card.appendChild(actions);
+        }
         listSection.appendChild(card);
       });
     }
 
     /**
-     * Carrega as memórias com base nos filtros de busca. O backend
-     * retornará apenas as memórias do usuário autenticado.
+     * Parâmetros da busca a partir dos filtros e da ordenação escolhidos.
+     *
+     * @returns {URLSearchParams}
      */
-    async function loadMemories() {
+    function listParams() {
       const params = new URLSearchParams();
       const q = searchInput.value.trim();
       const statusVal = statusSelectF.value;
@@ -519,17 +1153,49 @@
       if (statusVal) params.set('status', statusVal);
       if (fromVal) params.set('from', fromVal);
       if (toVal) params.set('to', toVal);
+      Object.keys(facetFilters).forEach((key) => {
+        if (facetFilters[key]) params.set(key, facetFilters[key]);
+      });
+      if (sortSelect.value) {
+        const [sort, order] = sortSelect.value.split(':');
+        params.set('sort', sort);
+        params.set('order', order);
+      }
+      return params;
+    }
+
+    function updateMoreButton() {
+      moreBtn.classList.toggle('hidden', !nextCursor);
+    }
+
+    /**
+     * Carrega a primeira página de memórias com base nos filtros de busca.
+     * O backend retornará apenas as memórias visíveis para o usuário. Com
+     * `keepLoaded`, recarrega tantas memórias quanto as já exibidas, para
+     * que atualizações não encurtem a lista que está sendo rolada.
+     *
+     * @param {{ keepLoaded?: boolean }} [options]
+     */
+    async function loadMemories({ keepLoaded = false } = {}) {
+      const params = listParams();
+      params.set('limit', String(keepLoaded ? Math.min(Math.max(PAGE_SIZE, shownCount), 100) : PAGE_SIZE));
+      const token = ++listToken;
       try {
-        const res = await fetch('/memories?' + params.toString(), {
+        const res = await fetch('/memories/search?' + params.toString(), {
           credentials: 'include',
         });
+        if (token !== listToken) return;
         if (res.status === 401) {
           // Se perdeu a sessão, volta ao login
           showLogin();
           return;
         }
         const data = await res.json();
-        renderMemories(data);
+        if (token !== listToken) return;
+        renderMemories(data.results);
+        renderFacets(data.facets);
+        nextCursor = data.nextCursor || null;
+        updateMoreButton();
       } catch (err) {
         // Em caso de erro, mostra mensagem simples
         listSection.innerHTML = '';
@@ -537,23 +1203,86 @@
         msg.className = 'subtitle';
         msg.textContent = 'Erro ao carregar memórias.';
         listSection.appendChild(msg);
+        nextCursor = null;
+        updateMoreButton();
       }
     }
 
+    /**
+     * Acrescenta a próxima página à lista, se houver.
+     */
+    async function loadMoreMemories() {
+      if (!nextCursor || loadingMore) return;
+      loadingMore = true;
+      moreBtn.disabled = true;
+      const token = listToken;
+      const params = listParams();
+      params.set('limit', String(PAGE_SIZE));
+      params.set('cursor', nextCursor);
+      try {
+        const res = await fetch('/memories/search?' + params.toString(), {
+          credentials: 'include',
+        });
+        if (!res.ok || token !== listToken) return;
+        const data = await res.json();
+        if (token !== listToken) return;
+        renderMemories(data.results, true);
+        nextCursor = data.nextCursor || null;
+        updateMoreButton();
+      } catch (_err) {
+        // Sem conexão: o botão continua disponível para tentar de novo.
+      } finally {
+        loadingMore = false;
+        moreBtn.disabled = false;
+      }
+    }
+
+    // Campos que o servidor preenche com os metadados das fotos e vídeos
+    // (data e local da captura, dia do roteiro correspondente).
+    const AUTOFILL_LABELS = { date: 'data', day: 'dia', coordinates: 'coordenadas', location: 'local' };
+
+    /**
+     * Aviso dos campos preenchidos a partir das mídias, lidos do campo
+     * `autofilled` da resposta. Vazio quando nada foi preenchido.
+     *
+     * @param {string} responseText Corpo da resposta do servidor
+     * @returns {string}
+     */
+    function autofillNotice(responseText) {
+      let filled = [];
+      try {
+        filled = (JSON.parse(responseText).autofilled || []).map((f) => AUTOFILL_LABELS[f]).filter(Boolean);
+      } catch (_e) {
+        return '';
+      }
+      return filled.length > 0 ? ` Preenchido a partir das mídias: ${filled.join(', ')}.` : '';
+    }
+
     /**
      * Envia uma nova memória ao servidor utilizando XMLHttpRequest para
-     * permitir acompanhamento do progresso de upload. Exibe mensagens
-     * de sucesso/erro conforme o resultado.
+     * permitir acompanhamento do progresso de upload. Em modo de edição,
+     * envia as alterações para PUT /memories/:id. Exibe mensagens
+     * de sucesso/erro conforme o resultado. Novas memórias criadas sem
+     * conexão vão para a fila offline; edições exigem conexão.
      *
      * @param {FormData} formData Dados do formulário de publicação
      */
     function uploadMemory(formData) {
       publishError.textContent = '';
       publishSuccess.textContent = '';
+      const editing = editingMemory;
+      if (!editing && offlineQueue && navigator.onLine === false) {
+        queueMemory(formData);
+        return;
+      }
       progress.style.display = 'block';
       progress.value = 0;
       const xhr = new XMLHttpRequest();
-      xhr.open('POST', '/memories');
+      if (editing) {
+        xhr.open('PUT', '/memories/' + encodeURIComponent(editing.id));
+      } else {
+        xhr.open('POST', '/memories');
+      }
       xhr.withCredentials = true;
       xhr.upload.onprogress = function (e) {
         if (e.lengthComputable) {
@@ -563,23 +1292,25 @@
       };
       xhr.onerror = function () {
         progress.style.display = 'none';
-        publishError.textContent = 'Erro ao enviar memória.';
+        if (!editing && offlineQueue) {
+          queueMemory(formData);
+        } else {
+          publishError.textContent = 'Erro ao enviar memória.';
+        }
       };
       xhr.onload = function () {
         progress.style.display = 'none';
         if (xhr.status === 200 || xhr.status === 201) {
-          publishSuccess.textContent = 'Memória salva com sucesso!';
-          publishForm.reset();
-          // Recarrega memórias para incluir a nova
-          loadMemories();
-          // Atualiza memórias nos painéis de dias
-          if (typeof window !== 'undefined' && typeof window.refreshAllDayMemories === 'function') {
-            window.refreshAllDayMemories();
-          }
-          // Atualiza a capa
-          if (typeof window !== 'undefined' && typeof window.loadCoverMemories === 'function') {
-            window.loadCoverMemories();
+          if (editing) {
+            stopEdit();
+            publishSuccess.textContent = 'Memória atualizada com sucesso!';
+          } else {
+            publishForm.reset();
+            publishSuccess.textContent = 'Memória salva com sucesso!';
           }
+          publishSuccess.textContent += autofillNotice(xhr.responseText);
+          // Recarrega a lista, os painéis de dias e a capa
+          refreshViews();
         } else if (xhr.status === 401) {
           // sessão expirada
           showLogin();
@@ -613,10 +1344,12 @@
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ username, password }),
+          body: JSON.stringify({ username, password, remember: rememberInput.checked }),
         });
         const data = await res.json();
         if (res.ok) {
+          currentUser = data.user || username;
+          if (offlineQueue) offlineQueue.offlineUser(currentUser);
           loginFeedback.textContent = 'Login realizado com sucesso! ✨';
           // Login bem-sucedido
           showApp();
@@ -632,6 +1365,8 @@
     });
 
     logoutBtn.addEventListener('click', async () => {
+      // Este aparelho deixa de receber as notificações de quem saiu.
+      if (pushSettings) await pushSettings.forgetDevice();
       try {
         await fetch('/auth/logout', {
           method: 'POST',
@@ -640,20 +1375,130 @@
       } catch (_e) {
         // ignora erros
       }
+      if (offlineQueue) offlineQueue.offlineUser(null);
       showLogin();
     });
 
     publishForm.addEventListener('submit', (ev) => {
       ev.preventDefault();
       const formData = new FormData(publishForm);
+      // Na edição, reenviar o dia sem alteração trocaria o horário gravado
+      // (das fotos, por exemplo) por meia-noite.
+      if (editingMemory && formData.get('date') === dateInput.dataset.original) formData.delete('date');
       uploadMemory(formData);
     });
 
+    cancelEditBtn.addEventListener('click', () => {
+      stopEdit();
+      publishError.textContent = '';
+      publishSuccess.textContent = '';
+    });
+
     searchBtn.addEventListener('click', (ev) => {
       ev.preventDefault();
       loadMemories();
     });
 
+    sortSelect.addEventListener('change', () => loadMemories());
+
+    moreBtn.addEventListener('click', loadMoreMemories);
+    if (typeof IntersectionObserver === 'function') {
+      const observer = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) loadMoreMemories();
+        },
+        { rootMargin: '400px 0px' }
+      );
+      observer.observe(moreBtn);
+    }
+
+    const IMPORT_ACTIONS = {
+      create: 'nova',
+      overwrite: 'substituída',
+      duplicate: 'cópia',
+      skip: 'mantida a atual',
+      error: 'erro',
+    };
+
+    /**
+     * Envia o arquivo para POST /import e exibe o relatório: com a
+     * simulação (dryRun) nada é gravado, apenas validado.
+     *
+     * @param {boolean} dryRun
+     */
+    async function runImport(dryRun) {
+      const feedback = importForm.querySelector('.feedback');
+      const reportList = importForm.querySelector('.import-report');
+      const buttons = importForm.querySelectorAll('button');
+      const body = new FormData(importForm);
+      body.set('dryRun', String(dryRun));
+      feedback.classList.remove('error');
+      feedback.textContent = dryRun ? 'Verificando o arquivo…' : 'Importando…';
+      reportList.innerHTML = '';
+      buttons.forEach((btn) => (btn.disabled = true));
+      try {
+        const res = await fetch('/import', { method: 'POST', credentials: 'include', body });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Não foi possível importar o arquivo.');
+        const { created, overwritten, duplicated, skipped, failed, media, missingMedia } = data.summary;
+        const counts = `${created} novas, ${overwritten} substituídas, ${duplicated} cópias, ${skipped} mantidas, ${failed} com erro; ${media} mídias`;
+        feedback.textContent =
+          (dryRun ? 'Simulação: ' : 'Importação concluída: ') +
+          counts +
+          (missingMedia > 0 ? ` (${missingMedia} não encontradas)` : '') +
+          '.';
+        data.items.forEach((item) => {
+          const li = document.createElement('li');
+          li.className = 'import-' + item.action;
+          let line = `${item.title || '(Sem título)'} — ${IMPORT_ACTIONS[item.action] || item.action}`;
+          if (item.day) line += ` (dia ${item.day})`;
+          if (item.error) line += `: ${item.error}`;
+          if (item.missingMedia) line += ` — mídias não encontradas: ${item.missingMedia.join(', ')}`;
+          li.textContent = line;
+          reportList.appendChild(li);
+        });
+        if (!dryRun) loadMemories();
+      } catch (err) {
+        feedback.textContent = err.message;
+        feedback.classList.add('error');
+      } finally {
+        buttons.forEach((btn) => (btn.disabled = false));
+      }
+    }
+
+    importForm.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const dryRun = !ev.submitter || ev.submitter.dataset.dryRun !== 'false';
+      runImport(dryRun);
+    });
+
+    // Busca enquanto se digita: a busca aceita palavras incompletas.
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => loadMemories(), 300);
+    });
+
+    // Atualiza a fila exibida quando memórias são enviadas ou descartadas,
+    // inclusive pelo service worker.
+    if (offlineQueue) {
+      window.addEventListener(offlineQueue.CHANGE_EVENT, () => {
+        if (currentUser) renderQueue();
+      });
+    }
+
+    // Mudanças feitas no outro aparelho (ver live-updates.js). Várias
+    // mudanças seguidas, como o envio de várias mídias, geram uma única
+    // recarga da lista.
+    let liveReloadTimer = null;
+    function scheduleLiveReload() {
+      if (!currentUser) return;
+      clearTimeout(liveReloadTimer);
+      liveReloadTimer = setTimeout(() => loadMemories({ keepLoaded: true }), 300);
+    }
+    window.addEventListener('live:memory', scheduleLiveReload);
+    window.addEventListener('live:resync', scheduleLiveReload);
+
     // Inicializa verificando se já existe uma sessão válida
     checkAuth();
   }
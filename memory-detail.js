@@ -0,0 +1,669 @@
+/*
+  Janela de detalhes de uma memória.
+
+  Exibe em um modal o texto completo da memória, a galeria de mídias, os
+  botões de reação com as contagens e a conversa de comentários com um
+  campo para escrever novos comentários. Cada comentário também recebe
+  seus próprios botões de reação. As reações são por pessoa: tocar de
+  novo no mesmo emoji desfaz a reação, e cada botão mostra quem reagiu.
+
+  A função global `openMemoryDetail(memoryOrId)` pode ser chamada por
+  qualquer cartão de memória (painel de memórias, painéis de dias, capa e
+  diário público). A URL recebe o parâmetro `?memoria=<id>` enquanto o
+  modal está aberto, permitindo compartilhar o link direto; ao carregar a
+  página com esse parâmetro, o modal é aberto automaticamente.
+*/
+
+(function () {
+  // Emojis oferecidos como botões de reação. Substituídos pela lista de
+  // GET /reactions/emojis quando disponível.
+  let reactionEmojis = ['❤️', '😂', '😮', '😍', '👏'];
+  let emojisLoaded = false;
+
+  let backdrop = null;
+  let dialog = null;
+  let lastFocus = null;
+  let currentMemory = null;
+  let currentUser = null;
+
+  /**
+   * Busca (uma vez) a lista de emojis aceitos pelo servidor.
+   */
+  async function loadReactionEmojis() {
+    if (emojisLoaded) return;
+    try {
+      const res = await fetch('/reactions/emojis');
+      const data = await res.json();
+      if (res.ok && Array.isArray(data.emojis) && data.emojis.length > 0) {
+        reactionEmojis = data.emojis;
+        emojisLoaded = true;
+      }
+    } catch (_err) {
+      // mantém a lista padrão
+    }
+  }
+
+  /**
+   * Resume as reações de uma memória ou comentário no mesmo formato das
+   * respostas dos endpoints de reação: { emoji: { count, users } }.
+   * Contagens antigas (anônimas) ficam em `legacyReactions`.
+   *
+   * @param {Object} record Memória ou comentário
+   * @returns {Object<string, {count: number, users: string[]}>}
+   */
+  function summarizeReactions(record) {
+    const result = {};
+    const legacy = record.legacyReactions || {};
+    Object.keys(legacy).forEach((emoji) => {
+      result[emoji] = { count: Number(legacy[emoji]) || 0, users: [] };
+    });
+    const reactions = record.reactions || {};
+    Object.keys(reactions).forEach((emoji) => {
+      const value = reactions[emoji];
+      const users = Array.isArray(value) ? value : [];
+      const extra = Array.isArray(value) ? users.length : Number(value) || 0;
+      const base = result[emoji] ? result[emoji].count : 0;
+      result[emoji] = { count: base + extra, users };
+    });
+    return result;
+  }
+
+  /**
+   * Formata uma data no padrão usado pelos cartões de memória.
+   *
+   * @param {string} value Data ISO
+   * @param {boolean} withTime Inclui hora e minuto
+   * @returns {string}
+   */
+  function formatDate(value, withTime) {
+    const date = new Date(value || Date.now());
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    if (withTime) {
+      options.hour = '2-digit';
+      options.minute = '2-digit';
+    }
+    return date.toLocaleString('pt-BR', options);
+  }
+
+  /**
+   * Cria a barra de reações. Mostra os emojis oferecidos e quaisquer outros
+   * já usados, cada um com sua contagem; as reações do usuário atual ficam
+   * destacadas e a dica do botão lista quem reagiu.
+   *
+   * @param {Object<string, {count: number, users: string[]}>} summary Reações
+   * @param {Function|null} onReact Chamado com o emoji clicado; sem ele os
+   *   botões ficam desabilitados (visitantes não autenticados)
+   * @returns {HTMLElement}
+   */
+  function createReactionBar(summary, onReact) {
+    const bar = document.createElement('div');
+    bar.className = 'reaction-bar';
+    const reactions = summary || {};
+    const emojis = reactionEmojis.concat(Object.keys(reactions).filter((e) => !reactionEmojis.includes(e)));
+    emojis.forEach((emoji) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'reaction-btn';
+      const entry = reactions[emoji] || { count: 0, users: [] };
+      const count = entry.count || 0;
+      const mine = Boolean(currentUser) && entry.users.includes(currentUser);
+      btn.textContent = count > 0 ? `${emoji} ${count}` : emoji;
+      btn.setAttribute('aria-label', `Reagir com ${emoji} (${count})`);
+      btn.setAttribute('aria-pressed', mine ? 'true' : 'false');
+      if (entry.users.length > 0) btn.title = entry.users.join(', ');
+      if (count > 0) btn.classList.add('has-count');
+      if (mine) btn.classList.add('mine');
+      if (onReact) {
+        btn.addEventListener('click', () => onReact(emoji));
+      } else {
+        btn.disabled = true;
+      }
+      bar.appendChild(btn);
+    });
+    return bar;
+  }
+
+  /**
+   * Cria a galeria com todas as mídias da memória. As imagens usam a
+   * variante média gerada pelo servidor e levam ao arquivo original.
+   *
+   * @param {Object} memory Memória com `media` e `mediaVariants`
+   * @returns {HTMLElement|null}
+   */
+  function createGallery(memory) {
+    const media = memory.media;
+    if (!media || media.length === 0) return null;
+    const gallery = document.createElement('div');
+    gallery.className = 'memory-gallery';
+    media.forEach((url, index) => {
+      const el = window.createMediaElement(memory, url, '(max-width: 600px) 90vw, 300px');
+      if (!el) return;
+      if (el.tagName === 'IMG') {
+        el.alt = `Mídia ${index + 1} da memória`;
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.appendChild(el);
+        gallery.appendChild(link);
+      } else {
+        gallery.appendChild(el);
+      }
+    });
+    return gallery;
+  }
+
+  /**
+   * Alterna a reação do usuário (o servidor desfaz se ela já existir) e
+   * devolve o novo resumo de reações.
+   *
+   * @param {string} url Endpoint de reação
+   * @param {string} emoji
+   */
+  async function postReaction(url, emoji) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ emoji }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Não foi possível reagir.');
+    return data;
+  }
+
+  /**
+   * Envia uma requisição JSON relacionada a comentários e devolve a
+   * resposta, lançando um erro com a mensagem do servidor em caso de falha.
+   *
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [body]
+   */
+  async function sendComment(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Falha ao salvar comentário.');
+    return data;
+  }
+
+  /**
+   * Cria um formulário de texto usado para novos comentários, respostas e
+   * edições.
+   *
+   * @param {Object} options
+   * @param {string} options.placeholder
+   * @param {string} options.label Rótulo acessível do campo
+   * @param {string} options.submitText Texto do botão de envio
+   * @param {string} [options.value] Texto inicial (edição)
+   * @param {Function} options.onSubmit Recebe o texto; deve devolver uma Promise
+   * @param {Function} [options.onCancel] Exibe o botão Cancelar
+   * @returns {HTMLFormElement}
+   */
+  function createCommentForm({ placeholder, label, submitText, value, onSubmit, onCancel }) {
+    const form = document.createElement('form');
+    form.className = 'comment-form';
+    const textarea = document.createElement('textarea');
+    textarea.name = 'text';
+    textarea.rows = 2;
+    textarea.required = true;
+    textarea.placeholder = placeholder;
+    textarea.value = value || '';
+    textarea.setAttribute('aria-label', label);
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = submitText;
+    const feedback = document.createElement('p');
+    feedback.className = 'feedback';
+    feedback.setAttribute('role', 'status');
+    form.appendChild(textarea);
+    form.appendChild(submit);
+    if (onCancel) {
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'secondary';
+      cancel.textContent = 'Cancelar';
+      cancel.addEventListener('click', onCancel);
+      form.appendChild(cancel);
+    }
+    form.appendChild(feedback);
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      const text = textarea.value.trim();
+      if (!text) return;
+      submit.disabled = true;
+      try {
+        await onSubmit(text);
+      } catch (err) {
+        feedback.textContent = err.message;
+        feedback.classList.add('error');
+        submit.disabled = false;
+      }
+    });
+    return form;
+  }
+
+  /**
+   * Renderiza a lista de comentários, com as respostas agrupadas sob o
+   * comentário original, e o formulário de novo comentário.
+   *
+   * @param {HTMLElement} section Contêiner dos comentários
+   * @param {Object} memory Memória com o array `comments`
+   * @param {boolean} canInteract Usuário autenticado pode comentar/reagir
+   */
+  function renderComments(section, memory, canInteract) {
+    section.innerHTML = '';
+    const heading = document.createElement('h4');
+    const comments = memory.comments || [];
+    heading.textContent = `Comentários (${comments.length})`;
+    section.appendChild(heading);
+    if (!canInteract) {
+      const msg = document.createElement('p');
+      msg.className = 'subtitle';
+      msg.textContent = 'Entre na aba Memórias para ver e escrever comentários.';
+      section.appendChild(msg);
+      return;
+    }
+    const rerender = () => renderComments(section, memory, canInteract);
+    const commentsUrl = '/memories/' + encodeURIComponent(memory.id) + '/comments';
+
+    // Cria o item de um comentário; `replies` só é informado para
+    // comentários de primeiro nível.
+    const createItem = (comment, replies) => {
+      const item = document.createElement('li');
+      item.className = 'comment';
+      const meta = document.createElement('div');
+      meta.className = 'comment-meta';
+      const author = document.createElement('strong');
+      author.textContent = comment.user;
+      meta.appendChild(author);
+      meta.appendChild(document.createTextNode(' • ' + formatDate(comment.createdAt, true)));
+      if (comment.editedAt) {
+        const edited = document.createElement('span');
+        edited.className = 'comment-edited';
+        edited.title = 'Editado em ' + formatDate(comment.editedAt, true);
+        edited.textContent = ' (editado)';
+        meta.appendChild(edited);
+      }
+      const text = document.createElement('p');
+      text.className = 'comment-text';
+      text.textContent = comment.text;
+      item.appendChild(meta);
+      item.appendChild(text);
+      item.appendChild(
+        createReactionBar(comment.reactionSummary || summarizeReactions(comment), async (emoji) => {
+          try {
+            comment.reactionSummary = await postReaction(
+              '/comments/' + encodeURIComponent(comment.id) + '/reactions',
+              emoji
+            );
+            rerender();
+          } catch (err) {
+            alert(err.message);
+          }
+        })
+      );
+
+      const actions = document.createElement('div');
+      actions.className = 'comment-actions';
+      const commentUrl = '/comments/' + encodeURIComponent(comment.id);
+      // Formulários de resposta e edição aparecem logo abaixo das ações.
+      const formSlot = document.createElement('div');
+      const showForm = (form) => {
+        formSlot.innerHTML = '';
+        formSlot.appendChild(form);
+        form.querySelector('textarea').focus();
+      };
+      if (replies) {
+        const replyBtn = document.createElement('button');
+        replyBtn.type = 'button';
+        replyBtn.textContent = 'Responder';
+        replyBtn.addEventListener('click', () =>
+          showForm(
+            createCommentForm({
+              placeholder: `Responder a ${comment.user}…`,
+              label: `Resposta ao comentário de ${comment.user}`,
+              submitText: 'Responder',
+              onSubmit: async (value) => {
+                const data = await sendComment('POST', commentsUrl, { text: value, parentId: comment.id });
+                memory.comments = memory.comments.concat(data);
+                rerender();
+              },
+              onCancel: () => {
+                formSlot.innerHTML = '';
+              },
+            })
+          )
+        );
+        actions.appendChild(replyBtn);
+      }
+      if (currentUser && comment.user === currentUser) {
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.textContent = 'Editar';
+        editBtn.addEventListener('click', () =>
+          showForm(
+            createCommentForm({
+              placeholder: 'Edite seu comentário…',
+              label: 'Editar comentário',
+              submitText: 'Salvar',
+              value: comment.text,
+              onSubmit: async (value) => {
+                const data = await sendComment('PUT', commentUrl, { text: value });
+                Object.assign(comment, data);
+                rerender();
+              },
+              onCancel: () => {
+                formSlot.innerHTML = '';
+              },
+            })
+          )
+        );
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'danger';
+        deleteBtn.textContent = 'Excluir';
+        deleteBtn.addEventListener('click', async () => {
+          const question =
+            replies && replies.length > 0
+              ? 'Excluir este comentário e todas as respostas?'
+              : 'Excluir este comentário?';
+          if (!window.confirm(question)) return;
+          try {
+            const data = await sendComment('DELETE', commentUrl);
+            memory.comments = memory.comments.filter((c) => !data.removed.includes(c.id));
+            rerender();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+      }
+      if (actions.children.length > 0) item.appendChild(actions);
+      item.appendChild(formSlot);
+
+      if (replies && replies.length > 0) {
+        const replyList = document.createElement('ul');
+        replyList.className = 'comment-list comment-replies';
+        replies.forEach((reply) => replyList.appendChild(createItem(reply, null)));
+        item.appendChild(replyList);
+      }
+      return item;
+    };
+
+    const list = document.createElement('ul');
+    list.className = 'comment-list';
+    // Respostas cujo comentário original não existe mais aparecem como
+    // comentários de primeiro nível.
+    const ids = new Set(comments.map((c) => c.id));
+    const topLevel = comments.filter((c) => !c.parentId || !ids.has(c.parentId));
+    if (topLevel.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'subtitle';
+      empty.textContent = 'Nenhum comentário ainda. Seja o primeiro! 💬';
+      list.appendChild(empty);
+    }
+    topLevel.forEach((comment) => {
+      const replies = comments.filter((c) => c.parentId === comment.id);
+      list.appendChild(createItem(comment, replies));
+    });
+    section.appendChild(list);
+
+    // Formulário de novo comentário
+    section.appendChild(
+      createCommentForm({
+        placeholder: 'Escreva um comentário carinhoso…',
+        label: 'Novo comentário',
+        submitText: 'Comentar',
+        onSubmit: async (value) => {
+          const data = await sendComment('POST', commentsUrl, { text: value });
+          memory.comments = comments.concat(data);
+          rerender();
+          const newTextarea = section.querySelector(':scope > .comment-form textarea');
+          if (newTextarea) newTextarea.focus();
+        },
+      })
+    );
+  }
+
+  /**
+   * Preenche o modal com os dados da memória.
+   *
+   * @param {Object} memory Memória (com `comments` quando autenticado)
+   * @param {boolean} canInteract Usuário autenticado pode comentar/reagir
+   */
+  function renderDetail(memory, canInteract) {
+    currentMemory = memory;
+    dialog.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'memory-detail-header';
+    const title = document.createElement('h3');
+    title.id = 'memory-detail-title';
+    title.textContent = memory.title || '(Sem título)';
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'modal-close';
+    closeBtn.setAttribute('aria-label', 'Fechar');
+    closeBtn.textContent = '✕';
+    closeBtn.addEventListener('click', closeMemoryDetail);
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    dialog.appendChild(header);
+
+    const meta = document.createElement('div');
+    meta.className = 'memory-meta';
+    const parts = [formatDate(memory.date || memory.createdAt)];
+    if (memory.user) parts.push(`por ${memory.user}`);
+    if (memory.day !== undefined && memory.day !== null && String(memory.day) !== '') {
+      parts.push(`Dia ${memory.day}`);
+    }
+    meta.textContent = parts.join(' • ');
+    dialog.appendChild(meta);
+    if (memory.location) {
+      const loc = document.createElement('div');
+      loc.className = 'memory-location';
+      loc.textContent = `📍 ${memory.location}`;
+      dialog.appendChild(loc);
+    }
+    if (memory.tags && memory.tags.length > 0) {
+      const tagsDiv = document.createElement('div');
+      tagsDiv.style.marginTop = '8px';
+      memory.tags.forEach((t) => {
+        const span = document.createElement('span');
+        span.className = 'tag';
+        span.textContent = t;
+        tagsDiv.appendChild(span);
+      });
+      dialog.appendChild(tagsDiv);
+    }
+    if (memory.text) {
+      const text = document.createElement('p');
+      text.className = 'memory-detail-text';
+      text.textContent = memory.text;
+      dialog.appendChild(text);
+    }
+    const gallery = createGallery(memory);
+    if (gallery) dialog.appendChild(gallery);
+
+    const reactionsSlot = document.createElement('div');
+    let memorySummary = summarizeReactions(memory);
+    const renderMemoryReactions = () => {
+      reactionsSlot.innerHTML = '';
+      reactionsSlot.appendChild(
+        createReactionBar(
+          memorySummary,
+          canInteract
+            ? async (emoji) => {
+                try {
+                  memorySummary = await postReaction(
+                    '/memories/' + encodeURIComponent(memory.id) + '/reactions',
+                    emoji
+                  );
+                  renderMemoryReactions();
+                } catch (err) {
+                  alert(err.message);
+                }
+              }
+            : null
+        )
+      );
+    };
+    renderMemoryReactions();
+    dialog.appendChild(reactionsSlot);
+
+    const commentsSection = document.createElement('section');
+    commentsSection.className = 'memory-comments';
+    renderComments(commentsSection, memory, canInteract);
+    dialog.appendChild(commentsSection);
+  }
+
+  /**
+   * Cria (uma única vez) os elementos do modal.
+   */
+  function ensureModal() {
+    if (backdrop) return;
+    backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop hidden';
+    dialog = document.createElement('div');
+    dialog.className = 'modal card memory-detail';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'memory-detail-title');
+    dialog.tabIndex = -1;
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+    backdrop.addEventListener('click', (ev) => {
+      if (ev.target === backdrop) closeMemoryDetail();
+    });
+    document.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Escape' && !backdrop.classList.contains('hidden')) {
+        closeMemoryDetail();
+      }
+    });
+  }
+
+  /**
+   * Atualiza o parâmetro `memoria` da URL sem recarregar a página.
+   *
+   * @param {string|null} id
+   */
+  function setUrlParam(id) {
+    const url = new URL(window.location);
+    if (id) {
+      url.searchParams.set('memoria', id);
+    } else {
+      url.searchParams.delete('memoria');
+    }
+    history.replaceState(null, '', url.toString());
+  }
+
+  /**
+   * Abre o modal de detalhes. Aceita a memória já carregada (exibida
+   * imediatamente) ou apenas seu id; em ambos os casos a versão completa,
+   * com comentários, é buscada no servidor quando houver sessão.
+   *
+   * @param {Object|string} memoryOrId Memória ou id
+   */
+  async function openMemoryDetail(memoryOrId) {
+    ensureModal();
+    const id = typeof memoryOrId === 'object' && memoryOrId ? memoryOrId.id : String(memoryOrId);
+    lastFocus = document.activeElement;
+    if (typeof memoryOrId === 'object' && memoryOrId) {
+      renderDetail({ ...memoryOrId, comments: memoryOrId.comments || [] }, false);
+    } else {
+      dialog.innerHTML = '<p class="subtitle">Carregando memória…</p>';
+    }
+    backdrop.classList.remove('hidden');
+    document.body.classList.add('modal-open');
+    setUrlParam(id);
+    dialog.focus();
+    try {
+      const [res, me] = await Promise.all([
+        fetch('/memories/' + encodeURIComponent(id), { credentials: 'include' }),
+        fetch('/auth/me', { credentials: 'include' })
+          .then((r) => r.json())
+          .catch(() => ({})),
+        loadReactionEmojis(),
+      ]);
+      currentUser = me && me.user ? me.user : null;
+      if (res.status === 401) {
+        if (!currentMemory || currentMemory.id !== id) {
+          dialog.innerHTML = '<p class="subtitle">Entre na aba Memórias para abrir esta memória.</p>';
+        }
+        return;
+      }
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Memória não encontrada.');
+      if (!backdrop.classList.contains('hidden')) renderDetail(data, true);
+    } catch (err) {
+      if (!currentMemory || currentMemory.id !== id) {
+        dialog.innerHTML = '';
+        const msg = document.createElement('p');
+        msg.className = 'subtitle';
+        msg.textContent = err.message || 'Erro ao carregar memória.';
+        dialog.appendChild(msg);
+      }
+    }
+  }
+
+  /**
+   * Fecha o modal e devolve o foco ao elemento que o abriu.
+   */
+  function closeMemoryDetail() {
+    if (!backdrop) return;
+    backdrop.classList.add('hidden');
+    document.body.classList.remove('modal-open');
+    currentMemory = null;
+    setUrlParam(null);
+    if (lastFocus && typeof lastFocus.focus === 'function') lastFocus.focus();
+  }
+
+  /**
+   * Recarrega o modal aberto quando a memória exibida muda em outro
+   * aparelho (ver live-updates.js). Um comentário sendo escrito não é
+   * descartado: nesse caso o modal fica como está.
+   *
+   * @param {CustomEvent} ev
+   */
+  async function refreshFromLive(ev) {
+    const detail = ev.detail || {};
+    const id = detail.memoryId || detail.id;
+    if (!currentMemory || currentMemory.id !== id || backdrop.classList.contains('hidden')) return;
+    if (detail.action === 'deleted' && !detail.memoryId) {
+      dialog.innerHTML = '<p class="subtitle">Esta memória foi excluída.</p>';
+      currentMemory = null;
+      return;
+    }
+    const typing = Array.from(dialog.querySelectorAll('textarea')).some((t) => t.value.trim());
+    if (typing) return;
+    try {
+      const res = await fetch('/memories/' + encodeURIComponent(id), { credentials: 'include' });
+      if (!res.ok) return;
+      const data = await res.json();
+      if (currentMemory && currentMemory.id === id) renderDetail(data, true);
+    } catch (_err) {
+      // Sem conexão: o modal continua com a versão anterior.
+    }
+  }
+
+  ['live:memory', 'live:comment', 'live:reaction'].forEach((type) => {
+    window.addEventListener(type, refreshFromLive);
+  });
+
+  // Abre automaticamente a memória indicada na URL (?memoria=<id>).
+  document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('memoria')) {
+      openMemoryDetail(params.get('memoria'));
+    }
+  });
+
+  window.openMemoryDetail = openMemoryDetail;
+  window.closeMemoryDetail = closeMemoryDetail;
+})();
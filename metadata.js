@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Capture metadata of uploaded media: when and where a photo or video was
+ * taken, read from the file itself.
+ *
+ *   • JPEG, PNG and WebP images: the EXIF block (APP1 segment, eXIf chunk
+ *     or EXIF chunk) – DateTimeOriginal with OffsetTimeOriginal, the GPS
+ *     position, Orientation and the camera.
+ *   • MP4 and MOV videos: the QuickTime keys phones write
+ *     (com.apple.quicktime.creationdate and .location.ISO6709), the ©xyz
+ *     atom of Android cameras and, for the time, the movie header.
+ *
+ * read() returns
+ *
+ *   {
+ *     takenAt: '2026-01-17T14:32:10-03:00',  // offset omitted when unknown
+ *     latitude, longitude, altitude,         // degrees / metres, when known
+ *     orientation,                           // EXIF orientation, images only
+ *     camera: 'Apple iPhone 15'
+ *   }
+ *
+ * with the fields that were found, or null. EXIF times without an offset
+ * are local to where the photo was taken and are kept that way.
+ *
+ * stripLocation() removes the GPS position from a file without re-encoding
+ * it: the EXIF GPS directory is blanked and the video location atoms become
+ * `free` atoms. Uploads are hard-linked into the backups (see backups.js),
+ * so a file is never changed in place: the new version is written next to
+ * it and renamed over the original.
+ *
+ * Everything is parsed here, without external tools; files of other types
+ * (GIF, MKV, AVI) or without metadata simply have none.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov'];
+
+const TAG = {
+  make: 0x010f,
+  model: 0x0110,
+  orientation: 0x0112,
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  dateTimeDigitized: 0x9004,
+  offsetTime: 0x9010,
+  offsetTimeOriginal: 0x9011,
+  gpsLatitudeRef: 1,
+  gpsLatitude: 2,
+  gpsLongitudeRef: 3,
+  gpsLongitude: 4,
+  gpsAltitudeRef: 5,
+  gpsAltitude: 6,
+};
+// Size in bytes of one value of each TIFF field type.
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+// Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01.
+const QUICKTIME_EPOCH = 2082844800;
+const MAX_MOOV = 16 * 1024 * 1024;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// -----------------------------------------------------------------------------
+// EXIF (TIFF structure)
+
+/**
+ * Directories of a TIFF block: { ifd0, exif, gps }, each a Map of tag to
+ * { type, count, valueOffset } (offsets relative to the block), plus the
+ * offset of each directory.
+ */
+function readTiff(tiff) {
+  if (tiff.length < 8) return null;
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+  const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  if (u16(2) !== 42) return null;
+
+  function readIfd(offset) {
+    const entries = new Map();
+    if (!offset || offset + 2 > tiff.length) return null;
+    const count = u16(offset);
+    if (offset + 2 + count * 12 > tiff.length) return null;
+    for (let i = 0; i < count; i += 1) {
+      const at = offset + 2 + i * 12;
+      const type = u16(at + 2);
+      const valueCount = u32(at + 4);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      const valueOffset = size > 4 ? u32(at + 8) : at + 8;
+      if (valueOffset + size <= tiff.length) entries.set(u16(at), { type, count: valueCount, size, valueOffset });
+    }
+    return { offset, count, entries };
+  }
+
+  const ifd0 = readIfd(u32(4));
+  if (!ifd0) return null;
+  const pointer = (tag) => (ifd0.entries.has(tag) ? u32(ifd0.entries.get(tag).valueOffset) : 0);
+  return { tiff, u16, u32, ifd0, exif: readIfd(pointer(TAG.exifIfd)), gps: readIfd(pointer(TAG.gpsIfd)) };
+}
+
+function tiffValue(parsed, ifd, tag) {
+  const entry = ifd && ifd.entries.get(tag);
+  if (!entry) return undefined;
+  const { tiff, u16, u32 } = parsed;
+  const { type, count, valueOffset } = entry;
+  if (type === 2) {
+    return tiff.toString('latin1', valueOffset, valueOffset + count).replace(/\0.*$/s, '').trim();
+  }
+  if (type === 3) return u16(valueOffset);
+  if (type === 4) return u32(valueOffset);
+  if (type === 1 || type === 7) return tiff[valueOffset];
+  if (type === 5) {
+    return Array.from({ length: count }, (_v, i) => {
+      const denominator = u32(valueOffset + i * 8 + 4);
+      return denominator ? u32(valueOffset + i * 8) / denominator : 0;
+    });
+  }
+  return undefined;
+}
+
+// "2026:01:17 14:32:10" and "-03:00" → "2026-01-17T14:32:10-03:00"
+function exifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(value || ''));
+  if (!match || match[1] === '0000') return undefined;
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(String(offset || '')) ? offset : '';
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+function fromTiff(tiff) {
+  const parsed = readTiff(tiff);
+  if (!parsed) return null;
+  const { ifd0, exif, gps } = parsed;
+  const result = {};
+  const takenAt =
+    exifDate(tiffValue(parsed, exif, TAG.dateTimeOriginal), tiffValue(parsed, exif, TAG.offsetTimeOriginal)) ||
+    exifDate(tiffValue(parsed, exif, TAG.dateTimeDigitized), tiffValue(parsed, exif, TAG.offsetTimeOriginal)) ||
+    exifDate(tiffValue(parsed, ifd0, TAG.dateTime), tiffValue(parsed, exif, TAG.offsetTime));
+  if (takenAt) result.takenAt = takenAt;
+
+  const degrees = (tag, refTag, negative) => {
+    const parts = tiffValue(parsed, gps, tag);
+    if (!Array.isArray(parts) || parts.length === 0) return undefined;
+    const value = parts[0] + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600;
+    return String(tiffValue(parsed, gps, refTag) || '').toUpperCase() === negative ? -value : value;
+  };
+  const latitude = degrees(TAG.gpsLatitude, TAG.gpsLatitudeRef, 'S');
+  const longitude = degrees(TAG.gpsLongitude, TAG.gpsLongitudeRef, 'W');
+  // 0,0 is what some apps write when the position is unknown.
+  if (
+    latitude !== undefined &&
+    longitude !== undefined &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180 &&
+    (latitude !== 0 || longitude !== 0)
+  ) {
+    result.latitude = round(latitude, 6);
+    result.longitude = round(longitude, 6);
+    const altitude = tiffValue(parsed, gps, TAG.gpsAltitude);
+    if (Array.isArray(altitude)) {
+      result.altitude = round(tiffValue(parsed, gps, TAG.gpsAltitudeRef) === 1 ? -altitude[0] : altitude[0], 1);
+    }
+  }
+
+  const orientation = tiffValue(parsed, ifd0, TAG.orientation);
+  if (orientation >= 1 && orientation <= 8) result.orientation = orientation;
+  const make = tiffValue(parsed, ifd0, TAG.make) || '';
+  const model = tiffValue(parsed, ifd0, TAG.model) || '';
+  const camera = model.startsWith(make) ? model : `${make} ${model}`.trim();
+  if (camera) result.camera = camera;
+  return result;
+}
+
+/**
+ * Offset of the TIFF block of an image's EXIF data, or -1.
+ *
+ * @param {Buffer} data File contents
+ * @param {string} ext
+ * @returns {number}
+ */
+function findTiff(data, ext) {
+  const exifHeader = (at) => data.toString('latin1', at, at + 6) === 'Exif\0\0';
+  if (ext === '.jpg' || ext === '.jpeg') {
+    let pos = 2;
+    while (pos + 4 <= data.length && data[pos] === 0xff) {
+      const marker = data[pos + 1];
+      // Start of scan: the image data follows, no more metadata.
+      if (marker === 0xda) break;
+      const length = data.readUInt16BE(pos + 2);
+      if (marker === 0xe1 && exifHeader(pos + 4)) return pos + 10;
+      pos += 2 + length;
+    }
+    return -1;
+  }
+  if (ext === '.png') {
+    let pos = 8;
+    while (pos + 12 <= data.length) {
+      const length = data.readUInt32BE(pos);
+      const type = data.toString('latin1', pos + 4, pos + 8);
+      if (type === 'eXIf') return pos + 8;
+      if (type === 'IDAT' || type === 'IEND') break;
+      pos += 12 + length;
+    }
+    return -1;
+  }
+  if (ext === '.webp') {
+    let pos = 12;
+    while (pos + 8 <= data.length) {
+      const length = data.readUInt32LE(pos + 4);
+      if (data.toString('latin1', pos, pos + 4) === 'EXIF') {
+        return exifHeader(pos + 8) ? pos + 14 : pos + 8;
+      }
+      pos += 8 + length + (length % 2);
+    }
+    return -1;
+  }
+  return -1;
+}
+
+// -----------------------------------------------------------------------------
+// QuickTime / MP4 atoms
+
+/**
+ * Child atoms of a buffer region: [{ type, start, end, body }], where body
+ * is the offset of the contents.
+ */
+function atoms(data, start = 0, end = data.length) {
+  const list = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = data.readUInt32BE(pos);
+    let header = 8;
+    if (size === 1 && pos + 16 <= end) {
+      size = Number(data.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) break;
+    list.push({ type: data.toString('latin1', pos + 4, pos + 8), start: pos, end: pos + size, body: pos + header });
+    pos += size;
+  }
+  return list;
+}
+
+const child = (data, atom, type, skip = 0) => atoms(data, atom.body + skip, atom.end).find((a) => a.type === type);
+
+// "+37.7749-122.4194+010.000/" → { latitude, longitude, altitude }
+function iso6709(value) {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(String(value || '').trim());
+  if (!match) return null;
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || (latitude === 0 && longitude === 0)) return null;
+  const result = { latitude: round(latitude, 6), longitude: round(longitude, 6) };
+  if (match[3] !== undefined) result.altitude = round(Number(match[3]), 1);
+  return result;
+}
+
+/**
+ * Metadata atoms of the moov atom: the mvhd creation time, the ©xyz atom
+ * and the QuickTime keys (name → ilst item atom).
+ */
+function readMoov(moov) {
+  const [root] = atoms(moov);
+  if (!root || root.type !== 'moov') return null;
+  const result = { created: undefined, xyz: [], keys: new Map() };
+  const mvhd = child(moov, root, 'mvhd');
+  if (mvhd && mvhd.body + 12 <= mvhd.end) {
+    const version = moov[mvhd.body];
+    const seconds = version === 1 ? Number(moov.readBigUInt64BE(mvhd.body + 4)) : moov.readUInt32BE(mvhd.body + 4);
+    if (seconds > QUICKTIME_EPOCH) result.created = new Date((seconds - QUICKTIME_EPOCH) * 1000);
+  }
+  const udta = child(moov, root, 'udta');
+  if (udta) result.xyz = atoms(moov, udta.body, udta.end).filter((a) => a.type === '\xa9xyz');
+  // QuickTime writes moov/meta as a plain atom, MP4 as a full atom (with 4
+  // bytes of version and flags before its children).
+  const meta = child(moov, root, 'meta');
+  if (meta) {
+    const skip = moov.toString('latin1', meta.body + 4, meta.body + 8) === 'hdlr' ? 0 : 4;
+    const keys = child(moov, meta, 'keys', skip);
+    const ilst = child(moov, meta, 'ilst', skip);
+    if (keys && ilst) {
+      const names = [];
+      // keys is a full atom followed by an entry count.
+      atoms(moov, keys.body + 8, keys.end).forEach((entry) => {
+        names.push(moov.toString('utf8', entry.body, entry.end));
+      });
+      atoms(moov, ilst.body, ilst.end).forEach((item) => {
+        const name = names[moov.readUInt32BE(item.start + 4) - 1];
+        if (name) result.keys.set(name, item);
+      });
+    }
+  }
+  return result;
+}
+
+// Text value of an ilst item (its `data` atom: type, locale, value).
+function itemText(moov, item) {
+  const data = atoms(moov, item.body, item.end).find((a) => a.type === 'data');
+  return data && data.body + 8 <= data.end ? moov.toString('utf8', data.body + 8, data.end) : '';
+}
+
+// ©xyz holds a 16-bit length and language before the text.
+function xyzText(moov, atom) {
+  if (atom.body + 4 > atom.end) return '';
+  const length = moov.readUInt16BE(atom.body);
+  return moov.toString('utf8', atom.body + 4, Math.min(atom.body + 4 + length, atom.end));
+}
+
+// "2026-01-17T14:32:10-0300" → "2026-01-17T14:32:10-03:00"
+function quicktimeDate(value) {
+  const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value || '').trim());
+  if (!match) return undefined;
+  const zone = !match[2] ? '' : match[2] === 'Z' ? 'Z' : match[2].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+  return match[1] + zone;
+}
+
+/**
+ * Read the moov atom of a video, wherever it is in the file.
+ *
+ * @returns {Promise<{ moov: Buffer, offset: number }|null>}
+ */
+async function loadMoov(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let pos = 0;
+    while (pos + 8 <= size) {
+      const { bytesRead } = await handle.read(header, 0, 16, pos);
+      if (bytesRead < 8) break;
+      let length = header.readUInt32BE(0);
+      if (length === 1 && bytesRead === 16) length = Number(header.readBigUInt64BE(8));
+      else if (length === 0) length = size - pos;
+      if (length < 8) break;
+      if (header.toString('latin1', 4, 8) === 'moov') {
+        if (length > MAX_MOOV) return null;
+        const moov = Buffer.alloc(length);
+        await handle.read(moov, 0, length, pos);
+        return { moov, offset: pos };
+      }
+      pos += length;
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+const LOCATION_KEY = 'com.apple.quicktime.location.ISO6709';
+const CREATION_KEY = 'com.apple.quicktime.creationdate';
+
+async function readVideo(file) {
+  const loaded = await loadMoov(file);
+  const parsed = loaded && readMoov(loaded.moov);
+  if (!parsed) return null;
+  const { moov } = loaded;
+  const result = {};
+  const created = parsed.keys.has(CREATION_KEY) && quicktimeDate(itemText(moov, parsed.keys.get(CREATION_KEY)));
+  if (created) result.takenAt = created;
+  else if (parsed.created) result.takenAt = parsed.created.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const position =
+    (parsed.keys.has(LOCATION_KEY) && iso6709(itemText(moov, parsed.keys.get(LOCATION_KEY)))) ||
+    parsed.xyz.map((atom) => iso6709(xyzText(moov, atom))).find(Boolean);
+  if (position) Object.assign(result, position);
+  const make = parsed.keys.has('com.apple.quicktime.make') ? itemText(moov, parsed.keys.get('com.apple.quicktime.make')) : '';
+  const model = parsed.keys.has('com.apple.quicktime.model') ? itemText(moov, parsed.keys.get('com.apple.quicktime.model')) : '';
+  const camera = model.startsWith(make) ? model : `${make} ${model}`.trim();
+  if (camera) result.camera = camera;
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Reading and stripping
+
+/**
+ * Write `patches` ([{ offset, data }]) over a copy of `file` and replace the
+ * original with it.
+ */
+function patchFile(file, patches) {
+  const temp = `${file}.tmp-${process.pid}-${Date.now()}`;
+  fs.copyFileSync(file, temp);
+  const fd = fs.openSync(temp, 'r+');
+  try {
+    patches.forEach(({ offset, data }) => fs.writeSync(fd, data, 0, data.length, offset));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Capture metadata of a file.
+ *
+ * @param {string} file
+ * @returns {Promise<object|null>} See above
+ */
+async function read(file) {
+  const ext = path.extname(file).toLowerCase();
+  try {
+    if (IMAGE_EXTENSIONS.includes(ext)) {
+      const data = await fs.promises.readFile(file);
+      const at = findTiff(data, ext);
+      const result = at < 0 ? null : fromTiff(data.subarray(at));
+      return result && Object.keys(result).length > 0 ? result : null;
+    }
+    if (VIDEO_EXTENSIONS.includes(ext)) {
+      const result = await readVideo(file);
+      return result && Object.keys(result).length > 0 ? result : null;
+    }
+  } catch (err) {
+    console.warn(`Não foi possível ler os metadados de ${path.basename(file)}: ${err.message}`);
+  }
+  return null;
+}
+
+/**
+ * Remove the GPS position from a file.
+ *
+ * @param {string} file
+ * @returns {Promise<boolean>} Whether the file had a position
+ */
+async function stripLocation(file) {
+  const ext = path.extname(file).toLowerCase();
+  const patches = [];
+  if (IMAGE_EXTENSIONS.includes(ext)) {
+    const data = await fs.promises.readFile(file);
+    const at = findTiff(data, ext);
+    const parsed = at < 0 ? null : readTiff(data.subarray(at));
+    if (!parsed || !parsed.gps || parsed.gps.count === 0) return false;
+    // Blank the values stored outside the directory, then the directory
+    // itself: an IFD with no entries is valid.
+    parsed.gps.entries.forEach((entry) => {
+      if (entry.size > 4) patches.push({ offset: at + entry.valueOffset, data: Buffer.alloc(entry.size) });
+    });
+    patches.push({ offset: at + parsed.gps.offset, data: Buffer.alloc(2 + parsed.gps.count * 12) });
+  } else if (VIDEO_EXTENSIONS.includes(ext)) {
+    const loaded = await loadMoov(file);
+    const parsed = loaded && readMoov(loaded.moov);
+    if (!parsed) return false;
+    const located = parsed.xyz.slice();
+    if (parsed.keys.has(LOCATION_KEY)) located.push(parsed.keys.get(LOCATION_KEY));
+    located.forEach((atom) => {
+      // Same size, so nothing else in the file moves.
+      const blank = Buffer.alloc(atom.end - atom.start - 4);
+      blank.write('free', 0, 'latin1');
+      patches.push({ offset: loaded.offset + atom.start + 4, data: blank });
+    });
+  }
+  if (patches.length === 0) return false;
+  patchFile(file, patches);
+  return true;
+}
+
+module.exports = { read, stripLocation };
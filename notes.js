@@ -0,0 +1,104 @@
+const progress = require('./progress');
+
+/*
+ * Personal notes on itinerary items.
+ *
+ * Each user has at most one note per schedule item, stored in the `notes`
+ * collection:
+ *
+ *   { id: '<item id>:<username>', itemId, user, text, shared, createdAt, updatedAt }
+ *
+ * A shared note is shown to every logged in user (the couple); a private
+ * one only to its author. Notes are private unless the author chooses to
+ * share them. Notes used to live in the browser's localStorage
+ * under "day-N-item-M" keys; importLegacy() brings them in on first login.
+ */
+
+const MAX_LENGTH = 2000;
+
+const noteId = (itemId, username) => `${itemId}:${username}`;
+
+/**
+ * Notes the user can read: their own and the shared notes of others.
+ *
+ * @param {object} store Storage instance (see storage.js)
+ * @param {string} username
+ * @returns {object[]}
+ */
+function visibleTo(store, username) {
+  return store.all('notes').filter((n) => n.user === username || n.shared);
+}
+
+/**
+ * Create, update or (with an empty text) delete the user's note on an item.
+ *
+ * @param {object} store Storage instance
+ * @param {string} itemId
+ * @param {string} username
+ * @param {{ text: string, shared?: boolean }} input
+ * @returns {object|null} The saved note, or null when it was deleted
+ */
+function save(store, itemId, username, { text, shared }) {
+  const id = noteId(itemId, username);
+  const value = String(text || '').trim();
+  if (!value) {
+    store.remove('notes', id);
+    return null;
+  }
+  if (value.length > MAX_LENGTH) {
+    throw new Error(`A nota deve ter no máximo ${MAX_LENGTH} caracteres`);
+  }
+  const current = store.get('notes', id);
+  const now = new Date().toISOString();
+  return store.update('notes', {
+    id,
+    itemId,
+    user: username,
+    text: value,
+    shared: shared === undefined ? Boolean(current && current.shared) : Boolean(shared),
+    createdAt: current ? current.createdAt : now,
+    updatedAt: now,
+  });
+}
+
+/**
+ * Remove every note on the given items (deleted activities or days).
+ *
+ * @param {object} store Storage instance
+ * @param {string[]} itemIds
+ */
+function removeItems(store, itemIds) {
+  const removed = new Set(itemIds);
+  store
+    .all('notes')
+    .filter((n) => removed.has(n.itemId))
+    .forEach((n) => store.remove('notes', n.id));
+}
+
+/**
+ * Import notes kept in localStorage by older versions. Each entry gives
+ * the day and position of the item, as in the old "day-N-item-M" keys.
+ * Entries whose item no longer exists, or for which the user already has
+ * a note on the server, are skipped. Imported notes are private: they
+ * were only on this device until now.
+ *
+ * @param {object} store Storage instance
+ * @param {string} username
+ * @param {Array<{ day: number, index: number, text: string }>} entries
+ * @returns {number} Number of notes imported
+ */
+function importLegacy(store, username, entries) {
+  return store.transaction(() => {
+    let imported = 0;
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      const itemId = entry && progress.itemAt(store, entry.day, entry.index);
+      if (!itemId || store.get('notes', noteId(itemId, username))) return;
+      if (save(store, itemId, username, { text: String(entry.text || '').slice(0, MAX_LENGTH), shared: false })) {
+        imported += 1;
+      }
+    });
+    return imported;
+  });
+}
+
+module.exports = { visibleTo, save, removeItems, importLegacy };
@@ -0,0 +1,315 @@
+/*
+  Fila de alterações feitas sem conexão.
+
+  Novas memórias (com suas mídias) e marcações de progresso do roteiro que
+  não puderam ser enviadas são guardadas no IndexedDB e reenviadas quando
+  a rede volta: pelo Background Sync do service worker, onde existir, e
+  também ao recuperar a conexão ou o foco da página.
+
+  Cada entrada da fila tem o formato:
+
+    {
+      id,                          // também enviado como clientId
+      type: 'memory' | 'progress',
+      user,                        // autor; só é enviada na sessão dele
+      payload,                     // campos do formulário ou { itemId, completed, expectedCompletedAt }
+      status: 'pending' | 'failed' | 'conflict',
+      error,                       // mensagem do servidor, se houver
+      createdAt
+    }
+
+  Entradas com falha (erro de validação) ou conflito (o item foi alterado
+  por outra pessoa nesse meio tempo) ficam na fila até que o usuário as
+  reenvie ou descarte. O mesmo arquivo é carregado pela página e pelo
+  service worker (importScripts), e expõe `self.offlineQueue`.
+*/
+
+(function (scope) {
+  const DB_NAME = 'honeymoon-offline';
+  const STORE_NAME = 'queue';
+  const SYNC_TAG = 'offline-queue';
+  const CHANGE_EVENT = 'offline-queue-change';
+  const USER_KEY = 'offline-user';
+  const isPage = typeof window !== 'undefined';
+
+  let dbPromise = null;
+  let replaying = null;
+
+  /**
+   * Abre (e cria, na primeira vez) o banco IndexedDB da fila.
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = scope.indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Executa uma operação no object store e resolve com o seu resultado
+   * quando a transação termina.
+   *
+   * @param {IDBTransactionMode} mode
+   * @param {function(IDBObjectStore): IDBRequest} operation
+   * @returns {Promise<*>}
+   */
+  async function withStore(mode, operation) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = operation(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function newId() {
+    if (scope.crypto && typeof scope.crypto.randomUUID === 'function') {
+      return scope.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+  }
+
+  /**
+   * Avisa a página (e, a partir do service worker, todas as abas abertas)
+   * de que a fila mudou.
+   */
+  function notify() {
+    if (isPage) {
+      window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+    } else if (scope.clients) {
+      scope.clients.matchAll({ includeUncontrolled: true }).then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: CHANGE_EVENT }));
+      });
+    }
+  }
+
+  /**
+   * Lista as entradas da fila em ordem de criação.
+   *
+   * @returns {Promise<Array<Object>>}
+   */
+  async function list() {
+    const entries = await withStore('readonly', (store) => store.getAll());
+    return (entries || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Pede ao navegador um Background Sync. Sem suporte, a fila é
+   * reenviada pelos eventos `online` e `focus` (ver abaixo).
+   */
+  async function requestSync() {
+    if (!isPage || !('serviceWorker' in navigator) || !('SyncManager' in window)) return;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register(SYNC_TAG);
+    } catch (_err) {
+      // Background Sync indisponível ou negado: seguimos com os eventos.
+    }
+  }
+
+  /**
+   * Adiciona uma alteração à fila.
+   *
+   * @param {'memory'|'progress'} type
+   * @param {string} user Usuário que fez a alteração
+   * @param {Object} payload
+   * @returns {Promise<Object>} Entrada criada
+   */
+  async function enqueue(type, user, payload) {
+    const entry = {
+      id: newId(),
+      type,
+      user,
+      payload,
+      status: 'pending',
+      error: null,
+      createdAt: new Date().toISOString(),
+    };
+    await withStore('readwrite', (store) => store.put(entry));
+    notify();
+    requestSync();
+    return entry;
+  }
+
+  /**
+   * Converte os campos de um formulário em uma lista que pode ser
+   * guardada no IndexedDB. Arquivos (File) são armazenados como estão;
+   * campos de arquivo vazios são ignorados.
+   *
+   * @param {FormData} formData
+   * @returns {Array<[string, string|File]>}
+   */
+  function serializeForm(formData) {
+    const fields = [];
+    formData.forEach((value, name) => {
+      if (typeof value !== 'string' && !value.size) return;
+      fields.push([name, value]);
+    });
+    return fields;
+  }
+
+  // Envio de cada tipo de entrada. Resolvem com a Response do servidor e
+  // rejeitam (TypeError) quando não há conexão.
+  const senders = {
+    memory(entry) {
+      const formData = new FormData();
+      entry.payload.fields.forEach(([name, value]) => formData.append(name, value));
+      formData.append('clientId', entry.id);
+      return fetch('/memories', { method: 'POST', credentials: 'include', body: formData });
+    },
+    progress(entry) {
+      const { itemId, completed, expectedCompletedAt, force } = entry.payload;
+      const body = force ? { completed } : { completed, expectedCompletedAt };
+      return fetch('/progress/' + encodeURIComponent(itemId), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body),
+      });
+    },
+  };
+
+  /**
+   * Reenvia as entradas pendentes do usuário da sessão atual, uma de cada
+   * vez e em ordem. Entradas de outro usuário esperam o login dele. Para
+   * ao primeiro erro de rede (ainda offline) ou quando a sessão expirou.
+   *
+   * @returns {Promise<{ sent: number, offline: boolean }>}
+   */
+  function replay() {
+    if (replaying) return replaying;
+    replaying = (async () => {
+      let sent = 0;
+      let offline = false;
+      const pending = (await list()).filter((e) => e.status === 'pending');
+      if (pending.length === 0) return { sent, offline };
+      let user = null;
+      try {
+        const res = await fetch('/auth/me', { credentials: 'include' });
+        user = (await res.json()).user;
+      } catch (_err) {
+        return { sent, offline: true };
+      }
+      const entries = pending.filter((e) => e.user === user);
+      for (const entry of entries) {
+        let res;
+        try {
+          res = await senders[entry.type](entry);
+        } catch (_err) {
+          offline = true;
+          break;
+        }
+        if (res.status === 401) break;
+        if (res.ok) {
+          await withStore('readwrite', (store) => store.delete(entry.id));
+          sent += 1;
+          continue;
+        }
+        const data = await res.json().catch(() => ({}));
+        const failed = { ...entry, status: res.status === 409 ? 'conflict' : 'failed', error: data.error || null };
+        await withStore('readwrite', (store) => store.put(failed));
+      }
+      if (entries.length > 0) notify();
+      return { sent, offline };
+    })().finally(() => {
+      replaying = null;
+    });
+    return replaying;
+  }
+
+  /**
+   * Devolve uma entrada com falha ou conflito para a fila. Com
+   * `force`, uma marcação de progresso em conflito sobrescreve a
+   * alteração feita pela outra pessoa.
+   *
+   * @param {string} id
+   * @param {{ force?: boolean }} [options]
+   */
+  async function retry(id, { force = false } = {}) {
+    const entry = await withStore('readonly', (store) => store.get(id));
+    if (!entry) return;
+    const payload = force ? { ...entry.payload, force: true } : entry.payload;
+    await withStore('readwrite', (store) => store.put({ ...entry, payload, status: 'pending', error: null }));
+    notify();
+    return replay();
+  }
+
+  /**
+   * Remove uma entrada da fila sem enviá-la.
+   *
+   * @param {string} id
+   */
+  async function discard(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+    notify();
+  }
+
+  /**
+   * Indica se um erro de fetch/XHR se deve à falta de conexão.
+   *
+   * @param {*} err
+   * @returns {boolean}
+   */
+  function isOffline(err) {
+    return (isPage && navigator.onLine === false) || err instanceof TypeError;
+  }
+
+  /**
+   * Último usuário autenticado neste aparelho, para que a interface
+   * continue disponível sem conexão (quando /auth/me não responde).
+   * Passar null esquece o usuário, como no logout.
+   *
+   * @param {string|null} [username]
+   * @returns {string|null}
+   */
+  function offlineUser(username) {
+    if (!isPage) return null;
+    try {
+      if (username === null) localStorage.removeItem(USER_KEY);
+      else if (username !== undefined) localStorage.setItem(USER_KEY, username);
+      return localStorage.getItem(USER_KEY);
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  if (isPage) {
+    // Sem Background Sync, reenviamos ao voltar a conexão ou o foco.
+    window.addEventListener('online', () => replay());
+    window.addEventListener('focus', () => replay());
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === CHANGE_EVENT) {
+          window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+        }
+      });
+    }
+  }
+
+  scope.offlineQueue = {
+    SYNC_TAG,
+    CHANGE_EVENT,
+    list,
+    enqueue,
+    serializeForm,
+    replay,
+    retry,
+    discard,
+    isOffline,
+    offlineUser,
+  };
+})(self);
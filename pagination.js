@@ -0,0 +1,143 @@
+const reactions = require('./reactions');
+
+/*
+ * Sorting, cursor pagination and the summary projection of memory lists
+ * (GET /memories and GET /memories/search).
+ *
+ * Lists are sorted by one of SORTS, with the memory id breaking ties, so
+ * the order is total and stable. A page ends with a cursor naming its last
+ * entry (sort value and id); the next page starts right after that entry.
+ * Unlike an offset, the cursor stays correct when memories are created or
+ * removed between requests. Cursors are opaque to clients (base64url JSON)
+ * and only valid for the sort they were created with.
+ */
+
+const MAX_LIMIT = 100;
+const SUMMARY_TEXT_LENGTH = 200;
+const SUMMARY_MEDIA = 4;
+
+const time = (value) => {
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+function reactionCount(memory) {
+  return Object.values(reactions.summary(memory)).reduce((total, r) => total + r.count, 0);
+}
+
+// Sort value of a list entry ({ memory, score }).
+const SORTS = {
+  relevance: (e) => e.score,
+  date: (e) => time(e.memory.date),
+  createdAt: (e) => time(e.memory.createdAt),
+  updatedAt: (e) => time(e.memory.updatedAt || e.memory.createdAt),
+  reactions: (e) => reactionCount(e.memory),
+};
+
+/**
+ * Read sort, order, limit and cursor from the query string. Without `sort`
+ * memories keep the order in which they were created (oldest first), or
+ * come by relevance when there is a text query; an explicit sort defaults
+ * to descending order. Without `limit` every memory is returned.
+ *
+ * @param {object} query Request query parameters
+ * @param {boolean} hasText Whether the request has a text query (q)
+ * @returns {{ sort: string, order: 'asc'|'desc', limit: number|null, cursor: object|null }}
+ * @throws {Error} For unknown values or a malformed cursor
+ */
+function parseListOptions(query, hasText) {
+  const defaultSort = hasText ? 'relevance' : 'createdAt';
+  const sort = query.sort ? String(query.sort) : defaultSort;
+  if (!SORTS[sort] || (sort === 'relevance' && !hasText)) {
+    throw new Error('Ordenação inválida: ' + sort);
+  }
+  const defaultOrder = !query.sort && sort === 'createdAt' ? 'asc' : 'desc';
+  const order = query.order ? String(query.order) : defaultOrder;
+  if (order !== 'asc' && order !== 'desc') throw new Error('Ordem inválida: ' + order);
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error('Limite inválido');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString());
+    } catch (_err) {
+      cursor = null;
+    }
+    if (!cursor || cursor.sort !== sort || cursor.order !== order || typeof cursor.id !== 'string') {
+      throw new Error('Cursor inválido');
+    }
+  }
+  return { sort, order, limit, cursor };
+}
+
+/**
+ * Sort entries and cut the page that follows `cursor`.
+ *
+ * @param {Array<{ memory: object, score: number }>} entries
+ * @param {{ sort: string, order: string, limit: number|null, cursor: object|null }} options
+ * @returns {{ page: Array, nextCursor: string|null }}
+ */
+function paginate(entries, { sort, order, limit, cursor }) {
+  const valueOf = SORTS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+  let keyed = entries
+    .map((entry) => ({ entry, value: valueOf(entry), id: entry.memory.id }))
+    .sort(compare);
+  if (cursor) {
+    keyed = keyed.filter((k) => compare(k, cursor) > 0);
+  }
+  if (limit === null || keyed.length <= limit) {
+    return { page: keyed.map((k) => k.entry), nextCursor: null };
+  }
+  const page = keyed.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = Buffer.from(JSON.stringify({ sort, order, value: last.value, id: last.id })).toString('base64url');
+  return { page: page.map((k) => k.entry), nextCursor };
+}
+
+/**
+ * Lightweight view of a memory for cards: shortened text, the first few
+ * media (with their variants) and counts instead of the full lists.
+ *
+ * @param {object} memory
+ * @param {number} commentCount
+ * @returns {object}
+ */
+function summarize(memory, commentCount) {
+  const text = memory.text || '';
+  const media = (memory.media || []).slice(0, SUMMARY_MEDIA);
+  const mediaVariants = {};
+  media.forEach((url) => {
+    if (memory.mediaVariants && memory.mediaVariants[url]) mediaVariants[url] = memory.mediaVariants[url];
+  });
+  return {
+    id: memory.id,
+    user: memory.user,
+    title: memory.title,
+    text: text.length > SUMMARY_TEXT_LENGTH ? text.slice(0, SUMMARY_TEXT_LENGTH) + '…' : text,
+    date: memory.date,
+    day: memory.day,
+    status: memory.status,
+    tags: memory.tags || [],
+    location: memory.location || '',
+    coordinates: memory.coordinates,
+    media,
+    mediaVariants,
+    mediaCount: (memory.media || []).length,
+    commentCount,
+    reactionCount: reactionCount(memory),
+    createdAt: memory.createdAt,
+    updatedAt: memory.updatedAt,
+    summary: true,
+  };
+}
+
+module.exports = { parseListOptions, paginate, summarize, SORTS };
@@ -0,0 +1,159 @@
+/*
+ * Coordinates of memories and itinerary stops.
+ *
+ * Positions are stored as { latitude, longitude } in decimal degrees
+ * (WGS 84, six decimals, about 10 cm). They come from the media (see
+ * metadata.js), from the client ("lat, lng" typed in a form) or from the
+ * small gazetteer below: the places of the trip, matched by name in an
+ * activity description or a memory location ("Almoço no Mercado de San
+ * Telmo" → Mercado de San Telmo). The gazetteer also names the place a
+ * photo was taken at, when it is close enough to one.
+ *
+ * Everything works offline; there is no geocoding service.
+ */
+
+// Specific places come before the areas around them, as the first match
+// wins. Aliases are folded (lower case, no accents); Portuguese and Spanish
+// spellings are both listed.
+const PLACES = [
+  { name: 'Obelisco', aliases: ['obelisco', '9 de julio'], latitude: -34.603722, longitude: -58.381592 },
+  { name: 'Pizzaria Güerrín', aliases: ['guerrin'], latitude: -34.604045, longitude: -58.385986 },
+  { name: 'Galerías Pacífico', aliases: ['galerias pacifico', 'calle florida'], latitude: -34.599031, longitude: -58.374848 },
+  { name: 'El Ateneo Grand Splendid', aliases: ['ateneo'], latitude: -34.595985, longitude: -58.394223 },
+  { name: 'Recoleta Mall', aliases: ['recoleta mall', 'rapanui', 'franui'], latitude: -34.586655, longitude: -58.391674 },
+  {
+    name: 'Cemitério da Recoleta',
+    aliases: ['cemiterio da recoleta', 'cementerio de la recoleta', 'plaza francia'],
+    latitude: -34.587542,
+    longitude: -58.393399,
+  },
+  { name: 'Avenida Alvear', aliases: ['avenida alvear', 'av. alvear'], latitude: -34.588294, longitude: -58.388487 },
+  { name: 'MALBA', aliases: ['malba'], latitude: -34.577023, longitude: -58.403503 },
+  { name: 'Ecoparque', aliases: ['ecoparque'], latitude: -34.576948, longitude: -58.413916 },
+  { name: 'Jardim Botânico', aliases: ['jardim botanico', 'jardin botanico'], latitude: -34.582691, longitude: -58.417053 },
+  { name: 'Jardim Japonês', aliases: ['jardim japones', 'jardin japones'], latitude: -34.575819, longitude: -58.409191 },
+  { name: 'Rosedal', aliases: ['rosedal'], latitude: -34.571676, longitude: -58.417498 },
+  { name: 'Bosques de Palermo', aliases: ['bosques de palermo'], latitude: -34.573237, longitude: -58.420418 },
+  { name: 'Floralis Genérica', aliases: ['floralis'], latitude: -34.581581, longitude: -58.393961 },
+  {
+    name: 'Faculdade de Direito (UBA)',
+    aliases: ['faculdade de direito', 'facultad de derecho'],
+    latitude: -34.583052,
+    longitude: -58.391538,
+  },
+  { name: 'Caminito', aliases: ['caminito'], latitude: -34.639485, longitude: -58.362814 },
+  { name: 'La Bombonera', aliases: ['bombonera'], latitude: -34.635626, longitude: -58.364759 },
+  { name: 'Plaza Dorrego', aliases: ['plaza dorrego', 'feira de san telmo', 'feria de san telmo'], latitude: -34.620578, longitude: -58.371445 },
+  { name: 'Mercado de San Telmo', aliases: ['mercado de san telmo'], latitude: -34.620965, longitude: -58.372398 },
+  { name: 'Calle Defensa', aliases: ['calle defensa'], latitude: -34.617883, longitude: -58.371635 },
+  {
+    name: 'Reserva Ecológica Costanera Sur',
+    aliases: ['reserva ecologica', 'costanera'],
+    latitude: -34.612497,
+    longitude: -58.353468,
+  },
+  { name: 'Plaza de Mayo', aliases: ['plaza de mayo', 'cabildo'], latitude: -34.608301, longitude: -58.372193 },
+  { name: 'Casa Rosada', aliases: ['casa rosada'], latitude: -34.608056, longitude: -58.370278 },
+  { name: 'Café Tortoni', aliases: ['tortoni'], latitude: -34.608784, longitude: -58.378706 },
+  { name: 'Avenida de Mayo', aliases: ['avenida de mayo'], latitude: -34.608898, longitude: -58.381307 },
+  { name: 'Teatro Colón', aliases: ['teatro colon'], latitude: -34.601087, longitude: -58.383309 },
+  { name: 'Puerto Madero', aliases: ['puerto madero', 'puente de la mujer'], latitude: -34.608163, longitude: -58.365255 },
+  { name: 'Terminal Buquebus', aliases: ['terminal da balsa', 'buquebus'], latitude: -34.593684, longitude: -58.368578 },
+  { name: 'Estação Retiro', aliases: ['retiro'], latitude: -34.591063, longitude: -58.374461 },
+  { name: 'Aeroparque', aliases: ['aeroparque'], latitude: -34.559175, longitude: -58.415606 },
+  { name: 'Aeroporto de Ezeiza', aliases: ['ezeiza'], latitude: -34.822222, longitude: -58.535833 },
+  { name: 'Puerto de Frutos', aliases: ['puerto de frutos'], latitude: -34.417996, longitude: -58.580838 },
+  { name: 'Paseo Victorica', aliases: ['paseo victorica'], latitude: -34.419462, longitude: -58.576018 },
+  { name: 'Tigre', aliases: ['tigre'], latitude: -34.42504, longitude: -58.579721 },
+  { name: 'Colonia del Sacramento', aliases: ['colonia'], latitude: -34.471342, longitude: -57.844193 },
+  { name: 'Recoleta', aliases: ['recoleta'], latitude: -34.588771, longitude: -58.393166 },
+  { name: 'Palermo', aliases: ['palermo'], latitude: -34.588306, longitude: -58.43041 },
+  { name: 'San Telmo', aliases: ['san telmo'], latitude: -34.621429, longitude: -58.373149 },
+  { name: 'La Boca', aliases: ['la boca'], latitude: -34.634929, longitude: -58.363161 },
+];
+
+// Distance within which a photo is said to be taken at a place.
+const NEAR_METRES = 250;
+
+const fold = (value) =>
+  String(value || '')
+    .replace(/<[^>]*>/g, ' ')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const MATCHERS = PLACES.map((place) => ({
+  place,
+  pattern: new RegExp(`(^|[^a-z0-9])(${place.aliases.map(escapeRegExp).join('|')})($|[^a-z0-9])`),
+}));
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Read coordinates sent by a client: "lat, lng" or an object with
+ * latitude/longitude (or lat/lng).
+ *
+ * @param {string|object|null|undefined} value
+ * @returns {{ latitude: number, longitude: number }|null} null when empty
+ * @throws {Error} When the value is not a valid position
+ */
+function parseCoordinates(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  let latitude;
+  let longitude;
+  if (typeof value === 'object') {
+    latitude = Number(value.latitude !== undefined ? value.latitude : value.lat);
+    longitude = Number(value.longitude !== undefined ? value.longitude : value.lng);
+  } else {
+    const parts = String(value).split(/[,;\s]+/).filter(Boolean);
+    if (parts.length !== 2) throw new Error('Coordenadas inválidas: use "latitude, longitude"');
+    [latitude, longitude] = parts.map(Number);
+  }
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error('Coordenadas inválidas: use "latitude, longitude"');
+  }
+  return { latitude: round(latitude), longitude: round(longitude) };
+}
+
+/**
+ * Coordinates of the first known place named in a text.
+ *
+ * @param {string} text Description or location (HTML tags are ignored)
+ * @returns {{ latitude: number, longitude: number }|null}
+ */
+function locate(text) {
+  const folded = fold(text);
+  if (!folded.trim()) return null;
+  const match = MATCHERS.find((m) => m.pattern.test(folded));
+  return match ? { latitude: match.place.latitude, longitude: match.place.longitude } : null;
+}
+
+/**
+ * Distance in metres between two positions (haversine).
+ */
+function distance(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Name of the known place closest to a position, if within NEAR_METRES.
+ *
+ * @param {{ latitude: number, longitude: number }} position
+ * @returns {string|null}
+ */
+function nearest(position) {
+  let best = null;
+  PLACES.forEach((place) => {
+    const metres = distance(position, place);
+    if (metres <= NEAR_METRES && (!best || metres < best.metres)) best = { name: place.name, metres };
+  });
+  return best ? best.name : null;
+}
+
+module.exports = { parseCoordinates, locate, nearest };
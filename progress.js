@@ -0,0 +1,142 @@
+/*
+ * Completion state of itinerary items.
+ *
+ * Each completed schedule item has a record in the `progress` collection,
+ * keyed by the item's stable id (see itinerary.js):
+ *
+ *   { id: '<item id>', completed: true, completedBy: 'gui', completedAt: '…' }
+ *
+ * Unchecking an item removes its record. Because the key is the item id,
+ * inserting, removing or reordering activities no longer shifts the
+ * checkmarks of the other items.
+ *
+ * Older versions stored `{ id: 'day-index', completed }` records keyed by
+ * position; migrate() converts them using the current itinerary. Those
+ * records have no `completedAt` field, which is how they are recognised.
+ */
+
+/**
+ * Map every item id of the itinerary to its day number.
+ *
+ * @param {object} store Storage instance (see storage.js)
+ * @returns {Map<string, number>}
+ */
+function itemDays(store) {
+  const days = new Map();
+  store.all('itinerary').forEach((day) => {
+    (day.schedule || []).forEach((item) => days.set(item.id, Number(day.id)));
+  });
+  return days;
+}
+
+/**
+ * Whether an item with this id exists in the itinerary.
+ *
+ * @param {object} store Storage instance
+ * @param {string} itemId
+ * @returns {boolean}
+ */
+function hasItem(store, itemId) {
+  return itemDays(store).has(itemId);
+}
+
+/**
+ * Build the object returned by GET /progress: item id → record, with the
+ * current day of the item. Records of items that no longer exist are
+ * skipped.
+ *
+ * @param {object} store Storage instance
+ * @returns {Object<string, {completed: boolean, completedBy: string|null, completedAt: string|null, day: number}>}
+ */
+function progressMap(store) {
+  const days = itemDays(store);
+  const map = {};
+  store.all('progress').forEach((p) => {
+    if (!p.completed || !days.has(p.id)) return;
+    map[p.id] = {
+      completed: true,
+      completedBy: p.completedBy || null,
+      completedAt: p.completedAt || null,
+      day: days.get(p.id),
+    };
+  });
+  return map;
+}
+
+/**
+ * Mark or unmark an item as completed.
+ *
+ * @param {object} store Storage instance
+ * @param {string} itemId
+ * @param {boolean} completed
+ * @param {string} username User making the change
+ * @returns {boolean} false when the item does not exist
+ */
+function setCompleted(store, itemId, completed, username) {
+  if (!hasItem(store, itemId)) return false;
+  const current = store.get('progress', itemId);
+  if (!completed) {
+    store.remove('progress', itemId);
+  } else if (!current || !current.completed) {
+    store.update('progress', {
+      id: itemId,
+      completed: true,
+      completedBy: username,
+      completedAt: new Date().toISOString(),
+    });
+  }
+  return true;
+}
+
+/**
+ * Find the id of the item at a position of a day, for the positional keys
+ * used by older clients and records.
+ *
+ * @param {object} store Storage instance
+ * @param {number|string} day
+ * @param {number|string} index
+ * @returns {string|null}
+ */
+function itemAt(store, day, index) {
+  const record = store.get('itinerary', day);
+  const item = record && (record.schedule || [])[Number(index)];
+  return item ? item.id : null;
+}
+
+/**
+ * Remove the progress of the given items (deleted activities or days).
+ *
+ * @param {object} store Storage instance
+ * @param {string[]} itemIds
+ */
+function removeItems(store, itemIds) {
+  itemIds.forEach((id) => store.remove('progress', id));
+}
+
+/**
+ * Convert positional "day-index" records to item ids. Keys that no longer
+ * match an item, and unchecked entries, are dropped. Safe to run on every
+ * start.
+ *
+ * @param {object} store Storage instance
+ * @returns {number} Number of records converted
+ */
+function migrate(store) {
+  return store.transaction(() => {
+    let converted = 0;
+    store
+      .all('progress')
+      .filter((p) => !('completedAt' in p))
+      .forEach((p) => {
+        store.remove('progress', p.id);
+        const match = /^(\d+)-(\d+)$/.exec(p.id);
+        const itemId = match && itemAt(store, match[1], match[2]);
+        if (!p.completed || !itemId) return;
+        store.update('progress', { id: itemId, completed: true, completedBy: null, completedAt: null });
+        converted += 1;
+      });
+    return converted;
+  });
+}
+
+module.exports = { hasItem, progressMap, setCompleted, itemAt, removeItems, migrate };
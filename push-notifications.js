@@ -0,0 +1,234 @@
+/*
+  Notificações push neste aparelho.
+
+  Cada usuário escolhe quais notificações quer receber (novas memórias do
+  parceiro, comentários nas suas memórias e reações) — a escolha vale para
+  todos os aparelhos — e ativa ou desativa o recebimento em cada aparelho.
+  Ao ativar, o navegador pede permissão, cria uma inscrição no serviço push
+  com a chave VAPID do servidor (GET /push/key) e a inscrição é enviada para
+  POST /push/subscriptions. No logout a inscrição é removida, para que o
+  aparelho não receba notificações de quem saiu.
+
+  As notificações são exibidas pelo service worker; ao tocar em uma, ele
+  abre a memória (?memoria=<id>) ou, com o app já aberto, avisa esta página
+  para abrir o modal de detalhes sem recarregar.
+
+  Exposto em `window.pushSettings`:
+    mount(container)  monta o bloco de configurações
+    refresh()         atualiza o bloco após login
+    forgetDevice()    remove a inscrição deste aparelho (logout)
+*/
+
+(function () {
+  const supported =
+    'serviceWorker' in navigator && typeof window.PushManager !== 'undefined' && typeof window.Notification !== 'undefined';
+
+  const PREFERENCES = [
+    { type: 'memories', label: 'Novas memórias publicadas para mim' },
+    { type: 'comments', label: 'Comentários nas minhas memórias' },
+    { type: 'reactions', label: 'Reações às minhas memórias e comentários' },
+  ];
+
+  let section = null;
+
+  /**
+   * Converte a chave pública VAPID (base64url) no formato esperado por
+   * pushManager.subscribe().
+   *
+   * @param {string} value
+   * @returns {Uint8Array}
+   */
+  function decodeKey(value) {
+    const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  }
+
+  async function currentSubscription() {
+    if (!supported) return null;
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+  }
+
+  /**
+   * Pede permissão, inscreve o navegador e registra a inscrição no
+   * servidor para o usuário da sessão.
+   */
+  async function enable() {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('O navegador não permitiu as notificações.');
+    }
+    const keyRes = await fetch('/push/key', { credentials: 'include' });
+    if (!keyRes.ok) throw new Error('Não foi possível ativar as notificações.');
+    const { publicKey } = await keyRes.json();
+    const registration = await navigator.serviceWorker.ready;
+    const subscription =
+      (await registration.pushManager.getSubscription()) ||
+      (await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: decodeKey(publicKey) }));
+    const res = await fetch('/push/subscriptions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(subscription),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || 'Não foi possível ativar as notificações.');
+    }
+  }
+
+  /**
+   * Remove a inscrição deste aparelho, no servidor e no navegador.
+   */
+  async function disable() {
+    const subscription = await currentSubscription();
+    if (!subscription) return;
+    await fetch('/push/subscriptions', {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ endpoint: subscription.endpoint }),
+    });
+    await subscription.unsubscribe();
+  }
+
+  /**
+   * Remove a inscrição antes do logout. Erros são ignorados: o logout não
+   * deve falhar por causa das notificações.
+   */
+  async function forgetDevice() {
+    try {
+      await disable();
+    } catch (_err) {
+      // Sem conexão ou sem suporte: nada a fazer.
+    }
+  }
+
+  function setStatus(text, isError) {
+    const status = section.querySelector('.feedback');
+    status.textContent = text;
+    status.classList.toggle('error', Boolean(isError));
+  }
+
+  /**
+   * Atualiza o botão deste aparelho e as preferências do usuário.
+   */
+  async function refresh() {
+    if (!section) return;
+    const toggle = section.querySelector('[data-role="toggle"]');
+    setStatus('');
+    if (!supported) {
+      toggle.classList.add('hidden');
+      setStatus('Este navegador não oferece notificações push.');
+    } else if (Notification.permission === 'denied') {
+      toggle.classList.add('hidden');
+      setStatus('As notificações estão bloqueadas nas configurações do navegador.');
+    } else {
+      toggle.classList.remove('hidden');
+      try {
+        const subscription = await currentSubscription();
+        toggle.dataset.enabled = subscription ? 'true' : 'false';
+        toggle.classList.toggle('secondary', Boolean(subscription));
+        toggle.textContent = subscription ? 'Desativar neste aparelho' : 'Ativar neste aparelho';
+      } catch (_err) {
+        toggle.classList.add('hidden');
+      }
+    }
+    try {
+      const res = await fetch('/push/preferences', { credentials: 'include' });
+      if (!res.ok) return;
+      const prefs = await res.json();
+      section.querySelectorAll('input[data-type]').forEach((input) => {
+        input.checked = prefs[input.dataset.type] !== false;
+      });
+    } catch (_err) {
+      // Offline: mantém as marcações exibidas.
+    }
+  }
+
+  /**
+   * Monta o bloco de configurações dentro de `container`.
+   *
+   * @param {HTMLElement} container
+   */
+  function mount(container) {
+    section = container;
+    section.innerHTML = '';
+    const heading = document.createElement('h3');
+    heading.textContent = '🔔 Notificações';
+    const intro = document.createElement('p');
+    intro.className = 'subtitle';
+    intro.textContent = 'Receba um aviso quando houver novidades, mesmo com o app fechado.';
+    const prefs = document.createElement('div');
+    prefs.className = 'push-prefs';
+    PREFERENCES.forEach(({ type, label }) => {
+      const row = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = true;
+      input.dataset.type = type;
+      input.addEventListener('change', async () => {
+        try {
+          const res = await fetch('/push/preferences', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ [type]: input.checked }),
+          });
+          if (!res.ok) throw new Error();
+          setStatus('Preferências salvas.');
+        } catch (_err) {
+          input.checked = !input.checked;
+          setStatus('Não foi possível salvar a preferência.', true);
+        }
+      });
+      row.appendChild(input);
+      row.appendChild(document.createTextNode(' ' + label));
+      prefs.appendChild(row);
+    });
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.dataset.role = 'toggle';
+    toggle.textContent = 'Ativar neste aparelho';
+    toggle.addEventListener('click', async () => {
+      toggle.disabled = true;
+      try {
+        if (toggle.dataset.enabled === 'true') {
+          await disable();
+        } else {
+          await enable();
+        }
+        await refresh();
+      } catch (err) {
+        setStatus(err.message || 'Não foi possível alterar as notificações.', true);
+      } finally {
+        toggle.disabled = false;
+      }
+    });
+    const status = document.createElement('p');
+    status.className = 'feedback';
+    status.setAttribute('role', 'status');
+    section.appendChild(heading);
+    section.appendChild(intro);
+    section.appendChild(prefs);
+    section.appendChild(toggle);
+    section.appendChild(status);
+  }
+
+  // Toque em uma notificação com o app já aberto (ver service-worker.js):
+  // abre a memória aqui mesmo, sem recarregar a página.
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== 'notification-click') return;
+      const url = new URL(event.data.url, window.location.href);
+      const id = url.searchParams.get('memoria');
+      if (id && typeof window.openMemoryDetail === 'function') {
+        window.openMemoryDetail(id);
+      } else {
+        window.location.href = url.toString();
+      }
+    });
+  }
+
+  window.pushSettings = { mount, refresh, forgetDevice };
+})();
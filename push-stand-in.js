@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const http = require('http');
+
+/*
+ * Local stand-in for a Web Push service, to try the push notifications of
+ * the memories server without a browser push service.
+ *
+ *   npm run push-stand-in -- [porta]      (default 4000)
+ *
+ * Start the server with PUSH_ALLOW_LOOPBACK=1 so it accepts the plain http
+ * endpoints on localhost this stand-in hands out.
+ *
+ * It plays both the push service and the browser: it creates subscriptions
+ * (key pair and auth secret included), receives the messages the server
+ * sends to them, checks the VAPID signature and decrypts the payload
+ * (RFC 8291, aes128gcm), printing each notification as the service worker
+ * would receive it.
+ *
+ *   POST /subscriptions  → new subscription, to send to the server's
+ *                          POST /push/subscriptions with a logged in session
+ *   POST /push/:id       → push endpoint; unknown ids answer 410 Gone, like
+ *                          an expired subscription
+ *   GET  /messages       → notifications received so far
+ */
+
+const USAGE = 'Uso: push-stand-in.js [porta]';
+
+const b64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+/**
+ * Create a subscription: the endpoint plus the keys a browser would keep.
+ *
+ * @param {string} base URL of this server
+ */
+function createSubscription(base) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const id = crypto.randomBytes(8).toString('hex');
+  const auth = crypto.randomBytes(16);
+  return {
+    id,
+    ecdh,
+    auth,
+    json: {
+      endpoint: `${base}/push/${id}`,
+      expirationTime: null,
+      keys: { p256dh: b64url(ecdh.getPublicKey()), auth: b64url(auth) },
+    },
+  };
+}
+
+/**
+ * Check the `Authorization: vapid t=<jwt>, k=<public key>` header.
+ *
+ * @returns {object} JWT claims
+ */
+function verifyVapid(header) {
+  const match = /^vapid t=([^,\s]+),\s*k=(\S+)$/.exec(String(header || ''));
+  if (!match) throw new Error('missing VAPID authorization');
+  const [, token, key] = match;
+  const point = Buffer.from(key, 'base64url');
+  const publicKey = crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: b64url(point.subarray(1, 33)), y: b64url(point.subarray(33, 65)) },
+    format: 'jwk',
+  });
+  const [head, claims, signature] = token.split('.');
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${head}.${claims}`),
+    { key: publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) throw new Error('invalid VAPID signature');
+  return JSON.parse(Buffer.from(claims, 'base64url').toString());
+}
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Decrypt an aes128gcm message body (a single record) for a subscription.
+ *
+ * @returns {string} Plain text payload
+ */
+function decrypt(subscription, body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const serverKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+  const clientKey = subscription.ecdh.getPublicKey();
+  const shared = subscription.ecdh.computeSecret(serverKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey, Buffer.from([1])]);
+  const ikm = hmac(hmac(subscription.auth, shared), keyInfo);
+  const prk = hmac(salt, ikm);
+  const cek = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  // The last record ends with a 0x02 delimiter followed by zero padding.
+  let end = padded.length - 1;
+  while (end > 0 && padded[end] === 0) end -= 1;
+  return padded.subarray(0, end).toString();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function main(argv) {
+  const port = Number(argv[0] || 4000);
+  if (!Number.isInteger(port) || port <= 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const base = `http://localhost:${port}`;
+  const subscriptions = new Map();
+  const messages = [];
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const body = await readBody(req);
+    if (req.method === 'POST' && req.url === '/subscriptions') {
+      const subscription = createSubscription(base);
+      subscriptions.set(subscription.id, subscription);
+      return send(201, subscription.json);
+    }
+    if (req.method === 'GET' && req.url === '/messages') {
+      return send(200, messages);
+    }
+    const match = /^\/push\/([0-9a-f]+)$/.exec(req.url);
+    if (req.method === 'POST' && match) {
+      const subscription = subscriptions.get(match[1]);
+      if (!subscription) return send(410, { error: 'subscription expired' });
+      try {
+        const claims = verifyVapid(req.headers.authorization);
+        const payload = JSON.parse(decrypt(subscription, body));
+        const message = { subscription: subscription.id, ttl: Number(req.headers.ttl), audience: claims.aud, payload };
+        messages.push(message);
+        console.log('Notificação recebida:', JSON.stringify(message));
+        return send(201, {});
+      } catch (err) {
+        console.error('Mensagem recusada:', err.message);
+        return send(400, { error: err.message });
+      }
+    }
+    send(404, { error: 'not found' });
+  });
+
+  server.listen(port, () => {
+    console.log(`Serviço push local em ${base}`);
+    console.log('Inicie o servidor de memórias com PUSH_ALLOW_LOOPBACK=1 para aceitar estas inscrições');
+    console.log(`Crie uma inscrição com: curl -X POST ${base}/subscriptions`);
+  });
+}
+
+main(process.argv.slice(2));
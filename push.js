@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const net = require('net');
+const webpush = require('web-push');
+
+/*
+ * Web Push notifications.
+ *
+ * Browsers that opt in register a push subscription, stored in the
+ * `subscriptions` collection:
+ *
+ *   { id, user, endpoint, keys: { p256dh, auth }, createdAt }
+ *
+ * The id is a hash of the endpoint, so subscribing the same browser again
+ * (or with another account) replaces the previous record. Each user picks
+ * which kinds of notifications they want in the `pushPreferences`
+ * collection ({ id: username, memories, comments, reactions }); all kinds
+ * are enabled until changed.
+ *
+ * Messages are signed with VAPID keys. VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY
+ * can be set in the environment; otherwise a key pair is generated on the
+ * first start and kept in the `settings` collection, so existing
+ * subscriptions stay valid across restarts. Payloads are encrypted by the
+ * web-push package and sent with fetch(). Endpoints must use https and
+ * may not name the machine itself or a private network: loopback, private,
+ * link-local (cloud metadata included) and similar addresses, written as
+ * an IP or as a known local name, are refused, or any logged in user could
+ * make the server send requests to internal services. The check is on the
+ * endpoint as written: a public name that resolves to a private address is
+ * not caught. `allowLoopback` (PUSH_ALLOW_LOOPBACK=1 in server.js) accepts
+ * http and https endpoints on the loopback interface, for push-stand-in.js,
+ * a local push service to test with.
+ */
+
+const TYPES = ['memories', 'comments', 'reactions'];
+// How long the push service keeps a message for an offline device.
+const TTL_SECONDS = 24 * 60 * 60;
+
+// Addresses push endpoints may not point to, and those only allowed with
+// `allowLoopback`.
+const LOOPBACK = new net.BlockList();
+LOOPBACK.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK.addAddress('::1', 'ipv6');
+const INTERNAL = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([address, prefix]) => INTERNAL.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([address, prefix]) => INTERNAL.addSubnet(address, prefix, 'ipv6'));
+const LOCAL_NAMES = /(^|\.)(localhost|local|internal|localdomain)$/;
+
+const subscriptionId = (endpoint) => crypto.createHash('sha256').update(endpoint).digest('hex');
+
+/**
+ * Whether a URL host names the loopback interface, and whether it names
+ * another internal address (see INTERNAL and LOCAL_NAMES). IPv4 addresses
+ * written as IPv6 (::ffff:127.0.0.1) count as the IPv4 address.
+ *
+ * @param {string} hostname As in URL#hostname (IPv6 in brackets)
+ * @returns {{ loopback: boolean, internal: boolean }}
+ */
+function classifyHost(hostname) {
+  let host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  const mapped = /^::ffff:([\da-f]{1,4}):([\da-f]{1,4})$/.exec(host);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    host = [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+  const type = net.isIP(host) === 6 ? 'ipv6' : net.isIP(host) === 4 ? 'ipv4' : null;
+  if (!type) {
+    const local = LOCAL_NAMES.test(host);
+    return { loopback: local && /(^|\.)localhost$/.test(host), internal: local };
+  }
+  return { loopback: LOOPBACK.check(host, type), internal: INTERNAL.check(host, type) };
+}
+
+/**
+ * Validate a PushSubscription as serialised by the browser
+ * (subscription.toJSON()). Endpoints must use https and a public host; the
+ * loopback interface is accepted, also over http, when `allowLoopback` is
+ * set.
+ *
+ * @param {*} value
+ * @param {{ allowLoopback?: boolean }} [options]
+ * @returns {{ endpoint: string, keys: { p256dh: string, auth: string } }}
+ */
+function parseSubscription(value, { allowLoopback = false } = {}) {
+  const { endpoint, keys } = value || {};
+  let url;
+  try {
+    url = new URL(String(endpoint));
+  } catch (_err) {
+    throw new Error('Inscrição inválida');
+  }
+  const { loopback, internal } = classifyHost(url.hostname);
+  const allowed =
+    loopback
+      ? allowLoopback && ['https:', 'http:'].includes(url.protocol)
+      : url.protocol === 'https:' && !internal;
+  if (!allowed || !keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+    throw new Error('Inscrição inválida');
+  }
+  return { endpoint: url.toString(), keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+/**
+ * @param {object} store Storage instance (see storage.js)
+ * @param {{ subject?: string, publicKey?: string, privateKey?: string, allowLoopback?: boolean }} [options]
+ */
+function createPushService(store, { subject, publicKey, privateKey, allowLoopback = false } = {}) {
+  let vapid;
+  if (publicKey && privateKey) {
+    vapid = { publicKey, privateKey };
+  } else {
+    vapid = store.get('settings', 'vapid');
+    if (!vapid) {
+      vapid = store.insert('settings', { id: 'vapid', ...webpush.generateVAPIDKeys() });
+      console.log('Chaves VAPID geradas para as notificações push');
+    }
+  }
+  const vapidDetails = {
+    subject: subject || 'mailto:lua-de-mel@localhost',
+    publicKey: vapid.publicKey,
+    privateKey: vapid.privateKey,
+  };
+
+  function preferences(username) {
+    const saved = store.get('pushPreferences', username) || {};
+    const result = {};
+    TYPES.forEach((type) => {
+      result[type] = saved[type] !== false;
+    });
+    return result;
+  }
+
+  /**
+   * Send one message. Subscriptions the push service reports as gone
+   * (404/410) are removed, and so are those saved before their endpoint
+   * was refused by parseSubscription().
+   *
+   * @returns {Promise<boolean>} Whether the message was accepted
+   */
+  async function send(record, payload) {
+    try {
+      parseSubscription(record, { allowLoopback });
+    } catch (_err) {
+      store.remove('subscriptions', record.id);
+      return false;
+    }
+    const details = webpush.generateRequestDetails(
+      { endpoint: record.endpoint, keys: record.keys },
+      JSON.stringify(payload),
+      { vapidDetails, TTL: TTL_SECONDS }
+    );
+    const res = await fetch(details.endpoint, { method: details.method, headers: details.headers, body: details.body });
+    if (res.status === 404 || res.status === 410) {
+      store.remove('subscriptions', record.id);
+      return false;
+    }
+    if (!res.ok) throw new Error(`Push service responded with ${res.status}`);
+    return true;
+  }
+
+  return {
+    TYPES,
+    publicKey: vapid.publicKey,
+
+    /**
+     * Store (or move to `username`) a browser's subscription.
+     *
+     * @param {string} username
+     * @param {*} subscription
+     * @returns {object} Saved record
+     */
+    subscribe(username, subscription) {
+      const { endpoint, keys } = parseSubscription(subscription, { allowLoopback });
+      return store.update('subscriptions', {
+        id: subscriptionId(endpoint),
+        user: username,
+        endpoint,
+        keys,
+        createdAt: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Forget a subscription of the user. Returns false when there was none.
+     *
+     * @param {string} username
+     * @param {string} endpoint
+     * @returns {boolean}
+     */
+    unsubscribe(username, endpoint) {
+      let record;
+      try {
+        record = store.get('subscriptions', subscriptionId(new URL(String(endpoint)).toString()));
+      } catch (_err) {
+        return false;
+      }
+      if (!record || record.user !== username) return false;
+      return store.remove('subscriptions', record.id);
+    },
+
+    preferences,
+
+    /**
+     * Update the user's preferences. Unknown keys are ignored.
+     *
+     * @param {string} username
+     * @param {object} input e.g. { comments: false }
+     * @returns {object} The resulting preferences
+     */
+    setPreferences(username, input) {
+      const next = preferences(username);
+      TYPES.forEach((type) => {
+        if (input && input[type] !== undefined) next[type] = Boolean(input[type]);
+      });
+      store.update('pushPreferences', { id: username, ...next });
+      return next;
+    },
+
+    /**
+     * Send a notification of the given kind to every device of the users
+     * that want it. Failures are logged, never thrown, so callers can fire
+     * and forget.
+     *
+     * @param {string[]} usernames
+     * @param {'memories'|'comments'|'reactions'} type
+     * @param {{ title: string, body: string, url: string, tag?: string }} payload
+     * @returns {Promise<number>} Number of messages accepted by the push services
+     */
+    async notify(usernames, type, payload) {
+      const recipients = new Set(usernames.filter((u) => preferences(u)[type]));
+      const records = store.all('subscriptions').filter((s) => recipients.has(s.user));
+      const results = await Promise.allSettled(records.map((record) => send(record, { type, ...payload })));
+      results.forEach((result) => {
+        if (result.status === 'rejected') console.error('Push notification failed:', result.reason.message);
+      });
+      return results.filter((r) => r.status === 'fulfilled' && r.value).length;
+    },
+  };
+}
+
+module.exports = { createPushService, parseSubscription };
@@ -0,0 +1,106 @@
+/*
+ * Per-user reactions for memories and comments.
+ *
+ * A record's `reactions` maps each emoji to the list of usernames that
+ * reacted with it, so every person has at most one reaction per emoji and
+ * can take it back. Reactions created before this format were anonymous
+ * counters ({ "❤️": 3 }); migrate() moves those counts to
+ * `legacyReactions`, which keeps the totals without attributing them to
+ * anyone.
+ *
+ * API responses use summary(): { emoji: { count, users } }.
+ */
+
+/**
+ * Move numeric counters to legacyReactions and make sure every entry in
+ * `reactions` is an array of usernames. Mutates and returns the record.
+ *
+ * @param {object} record Memory or comment
+ * @returns {object}
+ */
+function normalise(record) {
+  const reactions = record.reactions && typeof record.reactions === 'object' ? record.reactions : {};
+  const next = {};
+  Object.keys(reactions).forEach((emoji) => {
+    const value = reactions[emoji];
+    if (Array.isArray(value)) {
+      if (value.length > 0) next[emoji] = Array.from(new Set(value.map(String)));
+    } else if (Number(value) > 0) {
+      record.legacyReactions = record.legacyReactions || {};
+      record.legacyReactions[emoji] = (record.legacyReactions[emoji] || 0) + Number(value);
+    }
+  });
+  record.reactions = next;
+  return record;
+}
+
+/**
+ * Summarise the reactions of a record for API responses.
+ *
+ * @param {object} record Memory or comment
+ * @returns {Object<string, {count: number, users: string[]}>}
+ */
+function summary(record) {
+  const reactions = normalise({ ...record }).reactions;
+  const legacy = record.legacyReactions || {};
+  const result = {};
+  Object.keys(legacy).forEach((emoji) => {
+    result[emoji] = { count: legacy[emoji], users: [] };
+  });
+  Object.keys(reactions).forEach((emoji) => {
+    const users = reactions[emoji];
+    const base = result[emoji] ? result[emoji].count : 0;
+    result[emoji] = { count: base + users.length, users: users.slice() };
+  });
+  return result;
+}
+
+/**
+ * Add or remove the reaction of `username` with `emoji`.
+ *
+ * @param {object} record Memory or comment (mutated)
+ * @param {string} emoji
+ * @param {string} username
+ * @param {'toggle'|'remove'} mode
+ * @returns {object} The record
+ */
+function apply(record, emoji, username, mode) {
+  normalise(record);
+  const users = record.reactions[emoji] || [];
+  const has = users.includes(username);
+  if (has) {
+    const rest = users.filter((u) => u !== username);
+    if (rest.length > 0) record.reactions[emoji] = rest;
+    else delete record.reactions[emoji];
+  } else if (mode === 'toggle') {
+    record.reactions[emoji] = users.concat(username);
+  }
+  return record;
+}
+
+/**
+ * Convert the counters stored in memories and comments to the per-user
+ * format. Safe to run on every start: records already migrated are left
+ * untouched.
+ *
+ * @param {object} store Storage instance (see storage.js)
+ * @returns {number} Number of records migrated
+ */
+function migrate(store) {
+  return store.transaction(() => {
+    let migrated = 0;
+    ['memories', 'comments'].forEach((collection) => {
+      store.all(collection).forEach((record) => {
+        const reactions = record.reactions || {};
+        const legacy = Object.keys(reactions).some((emoji) => !Array.isArray(reactions[emoji]));
+        if (legacy || !record.reactions) {
+          store.update(collection, normalise(record));
+          migrated += 1;
+        }
+      });
+    });
+    return migrated;
+  });
+}
+
+module.exports = { normalise, summary, apply, migrate };
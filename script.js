@@ -10,10 +10,9 @@
   armazenadas no localStorage e exibidas em um painel próprio
   chamado "Diário". As melhorias implementadas incluem:
 
-  • Separação do conteúdo em estrutura de dados (extraído a partir
-    dos cartões originais). O DOM inicial contém os cartões de
-    cada dia; eles são lidos, convertidos em JSON e removidos do
-    documento para reduzir o tamanho da página.
+  • Conteúdo do roteiro em estrutura de dados: os dias, com título,
+    subtítulo, destaque e atividades, são carregados do servidor
+    (GET /itinerary) em vez de ficarem escritos no HTML.
   • Navegação por abas com suporte a teclado (setas, Home/End,
     Enter/Espaço) e roles ARIA apropriados (tablist, tab,
     tabpanel). A aba ativa é refletida na URL via parâmetro
@@ -37,8 +36,6 @@
 // awaiting asynchronous operations like authentication and progress
 // retrieval before initialising interactive components.
 document.addEventListener('DOMContentLoaded', async () => {
-  // Extrai dados dos cartões de dia presentes no HTML e remove-os do DOM.
-  const itineraryData = parseItinerary();
   // Obtém a seção do diário antes de removê-la do fluxo.
   const diarySection = document.getElementById('diary');
   if (diarySection) {
@@ -57,7 +54,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // cada item seja consistente e que o diário público exiba memórias
   // atualizadas.
   await checkAuthStatus();
+  // Carrega os dias do roteiro a partir do servidor.
+  const itineraryData = await loadItinerary();
   await loadProgress();
+  await loadNotes();
   // Atualiza o diário inicialmente para refletir memórias públicas.
   updateDiary();
 
@@ -89,60 +89,31 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Percorre todos os cartões de dia presentes no documento (classe
- * `.day-card`), extrai seus conteúdos para um objeto de dados e
- * remove o elemento original do DOM. Cada item do itinerário
- * contém título, subtítulo, highlight (caso exista) e uma lista
- * de atividades com horário, descrição e detalhes de transporte.
+ * Carrega o roteiro do servidor. Cada dia contém título, subtítulo,
+ * highlight (caso exista) e uma lista de atividades com horário,
+ * descrição e detalhes de transporte. Em caso de falha (por exemplo,
+ * offline sem cópia em cache), devolve uma lista vazia.
  *
- * @returns {Array<Object>} lista de objetos com dados dos dias
+ * @returns {Promise<Array<Object>>} lista de objetos com dados dos dias
  */
-function parseItinerary() {
-  const cards = document.querySelectorAll('.day-card');
-  const data = [];
-  cards.forEach((card) => {
-    const dayId = parseInt(card.dataset.day, 10);
-    const titleEl = card.querySelector('.day-title');
-    const subEl = card.querySelector('.day-sub');
-    const highlightEl = card.querySelector('.highlight');
-    const scheduleItems = card.querySelectorAll('.schedule > li');
-    const schedule = Array.from(scheduleItems).map((li) => {
-      const timeEl = li.querySelector('.time');
-      const time = timeEl ? timeEl.textContent.trim() : '';
-      const transportEl = li.querySelector('.transport');
-      const transport = transportEl ? transportEl.innerHTML.trim() : null;
-      // Clona o elemento <li> para extrair o HTML da descrição sem
-      // modificar o original. Remove horário e transporte antes de
-      // capturar o conteúdo restante.
-      const clone = li.cloneNode(true);
-      const timeClone = clone.querySelector('.time');
-      if (timeClone) timeClone.remove();
-      const transportClone = clone.querySelector('.transport');
-      if (transportClone) transportClone.remove();
-      const descriptionHtml = clone.innerHTML.trim();
-      return {
-        time,
-        html: descriptionHtml,
-        transport,
-      };
-    });
-    data.push({
-      id: dayId,
-      title: titleEl ? titleEl.innerHTML.trim() : '',
-      subtitle: subEl ? subEl.innerHTML.trim() : '',
-      highlight: highlightEl ? highlightEl.innerHTML.trim() : null,
-      schedule,
-    });
-    // Remove o cartão do DOM para reduzir peso da página.
-    card.remove();
-  });
-  return data;
+async function loadItinerary() {
+  try {
+    const res = await fetch('/itinerary');
+    if (!res.ok) throw new Error('Falha ao carregar roteiro');
+    const data = await res.json();
+    return Array.isArray(data) ? data : [];
+  } catch (_err) {
+    return [];
+  }
 }
 
+// Abas que não são dias do roteiro.
+const FIXED_TABS = ['map', 'diary', 'memories'];
+
 /**
  * Cria a barra de abas e associa o comportamento de cada guia ao
- * painel correspondente. O diário é tratado como uma aba adicional
- * caso exista no documento. A função também adiciona suporte de
+ * painel correspondente. Depois dos dias vêm as abas do mapa, do diário
+ * (caso exista no documento) e de memórias. A função também adiciona suporte de
  * navegação via teclado conforme as diretrizes de acessibilidade.
  *
  * @param {Array<Object>} itineraryData Lista de objetos de dias
@@ -161,20 +132,22 @@ function buildTabs(itineraryData, diarySection) {
   window.tabPanels = {};
   // Cria abas para cada dia.
   itineraryData.forEach((day) => {
-    const btn = document.createElement('button');
-    btn.className = 'nav-item';
-    btn.setAttribute('role', 'tab');
-    btn.setAttribute('id', 'tab-' + day.id);
-    btn.setAttribute('aria-controls', 'panel-' + day.id);
-    btn.setAttribute('tabindex', '-1');
-    btn.setAttribute('aria-selected', 'false');
-    // Rótulo base (progresso atualizado posteriormente).
-    btn.textContent = `Dia ${day.id}`;
-    btn.addEventListener('click', () => openTab(day.id.toString()));
-    tabList.appendChild(btn);
+    tabList.appendChild(createDayTab(day));
     // Calcula progresso inicial antes da criação do painel.
     updateDayProgress(day.id);
   });
+  // Cria a aba do mapa logo após os dias. O mapa é montado por
+  // trip-map.js quando o painel é aberto.
+  const mapBtn = document.createElement('button');
+  mapBtn.className = 'nav-item';
+  mapBtn.setAttribute('role', 'tab');
+  mapBtn.setAttribute('id', 'tab-map');
+  mapBtn.setAttribute('aria-controls', 'panel-map');
+  mapBtn.setAttribute('tabindex', '-1');
+  mapBtn.setAttribute('aria-selected', 'false');
+  mapBtn.textContent = 'Mapa';
+  mapBtn.addEventListener('click', () => openTab('map'));
+  tabList.appendChild(mapBtn);
   // Cria a aba de diário se houver seção de diário.
   if (diarySection) {
     const btn = document.createElement('button');
@@ -208,6 +181,69 @@ function buildTabs(itineraryData, diarySection) {
   tabList.addEventListener('keydown', handleTabKeyNav);
 }
 
+/**
+ * Cria o botão de aba de um dia do roteiro.
+ *
+ * @param {Object} day Dia do itinerário
+ * @returns {HTMLElement}
+ */
+function createDayTab(day) {
+  const btn = document.createElement('button');
+  btn.className = 'nav-item';
+  btn.setAttribute('role', 'tab');
+  btn.setAttribute('id', 'tab-' + day.id);
+  btn.setAttribute('aria-controls', 'panel-' + day.id);
+  btn.setAttribute('tabindex', '-1');
+  btn.setAttribute('aria-selected', 'false');
+  // Rótulo base (progresso atualizado posteriormente).
+  btn.textContent = `Dia ${day.id}`;
+  btn.addEventListener('click', () => openTab(day.id.toString()));
+  return btn;
+}
+
+/**
+ * Redesenha as abas e os painéis dos dias depois de uma alteração no
+ * roteiro (editor em itinerary-editor.js) ou do login. As abas do mapa,
+ * do diário e de memórias são mantidas; o mapa é redesenhado com as novas
+ * atividades. O progresso e as notas são recarregados, pois o servidor os
+ * move junto com as atividades e as notas visíveis dependem do usuário
+ * logado.
+ *
+ * @param {Array<Object>} itineraryData Nova lista de dias
+ * @param {string} [openId] Aba a abrir em seguida; por padrão a aba ativa
+ */
+async function refreshItinerary(itineraryData, openId) {
+  const tabList = document.getElementById('tab-list');
+  if (!tabList || !window.tabPanels) return;
+  const active = tabList.querySelector('[aria-selected="true"]');
+  const targetId = openId || (active ? getIdFromTab(active) : '');
+  // Remove abas e painéis dos dias, preservando mapa, diário e memórias.
+  Array.from(tabList.querySelectorAll('[role="tab"]')).forEach((tab) => {
+    const id = getIdFromTab(tab);
+    if (FIXED_TABS.includes(id)) return;
+    tab.remove();
+    if (window.tabPanels[id]) {
+      window.tabPanels[id].remove();
+      delete window.tabPanels[id];
+    }
+  });
+  window.itineraryData = itineraryData;
+  const firstFixedTab = tabList.querySelector('[role="tab"]');
+  itineraryData.forEach((day) => tabList.insertBefore(createDayTab(day), firstFixedTab));
+  await checkAuthStatus();
+  await loadProgress();
+  await loadNotes();
+  if (typeof window.refreshTripMap === 'function') window.refreshTripMap();
+  if (FIXED_TABS.includes(targetId) || itineraryData.some((d) => d.id.toString() === targetId)) {
+    openTab(targetId);
+  } else if (itineraryData.length > 0) {
+    openTab(itineraryData[0].id.toString());
+  } else {
+    openTab('diary');
+  }
+}
+window.refreshItinerary = refreshItinerary;
+
 /**
  * Manipula teclas de navegação dentro da lista de abas. Permite
  * alternar entre abas usando setas esquerda/direita, ir para
@@ -312,8 +348,8 @@ function openTab(id) {
       panel.setAttribute('hidden', 'true');
     }
   });
-  // Persiste o último dia visitado apenas se não for o diário ou a aba de memórias.
-  if (id !== 'diary' && id !== 'memories') {
+  // Persiste o último dia visitado apenas se for um dia do roteiro.
+  if (!FIXED_TABS.includes(id)) {
     localStorage.setItem('lastDay', id);
   }
   // Atualiza a URL para permitir deep-link.
@@ -373,6 +409,21 @@ function createPanel(id) {
     return;
   }
 
+  // Painel do mapa
+  if (id === 'map') {
+    const mapPanel = document.createElement('div');
+    mapPanel.className = 'tab-panel card';
+    mapPanel.id = 'panel-map';
+    mapPanel.setAttribute('role', 'tabpanel');
+    mapPanel.setAttribute('aria-labelledby', 'tab-map');
+    panelsContainer.appendChild(mapPanel);
+    window.tabPanels[id] = mapPanel;
+    if (typeof window.setupTripMap === 'function') {
+      window.setupTripMap(mapPanel);
+    }
+    return;
+  }
+
   // Painel de memórias
   if (id === 'memories') {
     const memPanel = document.createElement('div');
@@ -402,7 +453,8 @@ function createPanel(id) {
   // Constrói o contêiner da agenda do dia
   const dayDiv = document.createElement('div');
   dayDiv.className = 'day';
-  // Cabeçalho com título e subtítulo
+  // Cabeçalho com título e subtítulo. Os campos do roteiro são HTML já
+  // sanitizado pelo servidor (ver itinerary.js).
   const headerDiv = document.createElement('div');
   headerDiv.className = 'day-header';
   const titleDiv = document.createElement('div');
@@ -435,7 +487,7 @@ function createPanel(id) {
     }
     // Descrição (conteúdo HTML)
     const descSpan = document.createElement('span');
-    descSpan.innerHTML = item.html;
+    descSpan.innerHTML = item.description;
     li.appendChild(descSpan);
     // Transporte (opcional)
     if (item.transport) {
@@ -447,30 +499,34 @@ function createPanel(id) {
     ul.appendChild(li);
   });
   dayDiv.appendChild(ul);
-  // Navegação entre dias
+  // Navegação entre dias. Os vizinhos são buscados pela posição na lista,
+  // pois a numeração dos dias pode ter lacunas.
+  const dayIndex = window.itineraryData.indexOf(day);
+  const prevDay = window.itineraryData[dayIndex - 1];
+  const nextDay = window.itineraryData[dayIndex + 1];
   const navDiv = document.createElement('div');
   navDiv.className = 'tab-day-nav';
   // Botão de dia anterior
-  if (day.id > 1) {
+  if (prevDay) {
     const prevBtn = document.createElement('button');
     prevBtn.className = 'prev-day-btn';
     prevBtn.type = 'button';
     prevBtn.textContent = '← Dia anterior';
     prevBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      openTab((day.id - 1).toString());
+      openTab(prevDay.id.toString());
     });
     navDiv.appendChild(prevBtn);
   }
   // Botão de próximo dia
-  if (day.id < window.itineraryData.length) {
+  if (nextDay) {
     const nextBtn = document.createElement('button');
     nextBtn.className = 'next-day-btn';
     nextBtn.type = 'button';
     nextBtn.textContent = 'Próximo dia →';
     nextBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      openTab((day.id + 1).toString());
+      openTab(nextDay.id.toString());
     });
     navDiv.appendChild(nextBtn);
   }
@@ -479,6 +535,11 @@ function createPanel(id) {
   panelsContainer.appendChild(panel);
   // Inicializa os itens do roteiro para permitir marcação e notas.
   initScheduleItemsForDay(panel, day.id);
+  // Controles de edição do roteiro para usuários autenticados
+  // (itinerary-editor.js).
+  if (typeof window.setupItineraryEditor === 'function') {
+    window.setupItineraryEditor(panel, day);
+  }
   // Armazena o painel criado
   window.tabPanels[id] = panel;
 
@@ -492,20 +553,21 @@ function createPanel(id) {
 
 /**
  * Inicializa os controles interativos (concluir/nota) para cada item
- * de um dia específico. O estado de cada item é persistido no
- * localStorage com chave única baseada no número do dia e no índice
- * da atividade. Após cada modificação, o progresso do dia é
- * recalculado e o diário é atualizado conforme necessário.
+ * de um dia específico. A conclusão e as notas são salvas no servidor
+ * usando o `id` estável de cada atividade. Após cada modificação, o
+ * progresso do dia é recalculado.
  *
  * @param {HTMLElement} panel Painel que contém a lista de itens
  * @param {number} dayId Número do dia ao qual os itens pertencem
  */
 function initScheduleItemsForDay(panel, dayId) {
+  const day = window.itineraryData.find((d) => d.id.toString() === dayId.toString());
   const listItems = panel.querySelectorAll('.schedule li');
   listItems.forEach((li, index) => {
-    // Unique key for this itinerary item. We now use the format
-    // `${dayId}-${index}` for persisting completion state in the backend.
-    const itemKey = `${dayId}-${index}`;
+    // Identificador estável da atividade, usado como chave do progresso
+    // no servidor; não muda quando as atividades são reordenadas.
+    const itemId = day.schedule[index].id;
+    li.dataset.itemId = itemId;
     // Contêiner de ações
     const actions = document.createElement('span');
     actions.className = 'item-actions';
@@ -518,32 +580,18 @@ function initScheduleItemsForDay(panel, dayId) {
     const noteBtn = document.createElement('button');
     noteBtn.className = 'note-btn';
     noteBtn.innerHTML = '📝';
+    noteBtn.title = 'Escrever nota';
+    noteBtn.setAttribute('aria-label', 'Escrever nota');
     actions.appendChild(noteBtn);
     // Insere as ações no item
     li.appendChild(actions);
-    // Contêiner para exibir nota
-    const noteDisplay = document.createElement('div');
-    noteDisplay.className = 'note-display hidden';
-    li.appendChild(noteDisplay);
-    // Recupera nota salva no localStorage. A conclusão agora é carregada
-    // a partir do backend via window.progress, portanto ignoramos
-    // qualquer estado de conclusão armazenado localmente. Salvamos
-    // apenas o campo `note` sob a mesma chave para compatibilidade.
-    let saved;
-    try {
-      saved = JSON.parse(localStorage.getItem(`day-${dayId}-item-${index}`)) || {};
-    } catch (e) {
-      saved = {};
-    }
+    // Notas do casal sobre a atividade, sincronizadas com o servidor.
+    const notesList = document.createElement('div');
+    notesList.className = 'item-notes';
+    li.appendChild(notesList);
+    renderItemNotes(notesList, itemId);
     // Aplica classe de completado com base no progresso global.
-    if (window.progress && window.progress[itemKey]) {
-      li.classList.add('completed');
-    }
-    // Exibe nota, se houver
-    if (saved.note) {
-      noteDisplay.innerHTML = `<strong>Nota:</strong> ${saved.note}`;
-      noteDisplay.classList.remove('hidden');
-    }
+    renderItemProgress(li);
     // Manipulador de concluir. Restrito a usuários autenticados.
     doneBtn.addEventListener('click', async (ev) => {
       ev.stopPropagation();
@@ -552,10 +600,16 @@ function initScheduleItemsForDay(panel, dayId) {
         alert('Faça login para marcar ou desmarcar um item como cumprido.');
         return;
       }
-      const currentlyCompleted = li.classList.contains('completed');
-      const newState = !currentlyCompleted;
+      const record = window.progress && window.progress[itemId];
+      if (record && record.queued) {
+        // Clicar de novo desfaz a alteração que ainda não foi enviada;
+        // loadProgress é chamado pelo evento de mudança da fila.
+        await window.offlineQueue.discard(record.queueId);
+        return;
+      }
+      const newState = !(record && record.completed);
       try {
-        const res = await fetch(`/progress/${dayId}/${index}`, {
+        const res = await fetch('/progress/' + encodeURIComponent(itemId), {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
@@ -571,47 +625,248 @@ function initScheduleItemsForDay(panel, dayId) {
           throw new Error('Falha ao atualizar progresso');
         }
         const progressData = await res.json();
-        window.progress = progressData || {};
-        // Atualiza visual do item e rótulo da aba
-        if (newState) {
-          li.classList.add('completed');
-        } else {
-          li.classList.remove('completed');
+        serverProgress = progressData || {};
+        // Atualiza visual dos itens e rótulos das abas
+        await applyQueuedProgress();
+      } catch (err) {
+        // Sem conexão, a marcação vai para a fila offline e é enviada
+        // quando a rede voltar (ver offline-queue.js).
+        if (window.offlineQueue && window.indexedDB && window.offlineQueue.isOffline(err)) {
+          await window.offlineQueue.enqueue('progress', window.currentUser, {
+            itemId,
+            completed: newState,
+            expectedCompletedAt: record ? record.completedAt || null : null,
+          });
+          return;
         }
-        updateDayProgress(dayId);
-      } catch (_err) {
         alert('Erro ao atualizar progresso. Tente novamente mais tarde.');
       }
     });
-    // Manipulador de nota
+    // Manipulador de nota: abre o editor abaixo da atividade.
     noteBtn.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      const current = saved.note || '';
-      const note = prompt('Escreva sua nota ou memória para este momento:', current);
-      if (note !== null) {
-        const trimmed = note.trim();
-        if (trimmed === '') {
-          delete saved.note;
-          noteDisplay.innerHTML = '';
-          noteDisplay.classList.add('hidden');
-        } else {
-          saved.note = trimmed;
-          noteDisplay.innerHTML = `<strong>Nota:</strong> ${saved.note}`;
-          noteDisplay.classList.remove('hidden');
-        }
-        // Persist only the note locally. We maintain the original key
-        // format to avoid clobbering progress data.
-        localStorage.setItem(`day-${dayId}-item-${index}`, JSON.stringify(saved));
-        // Atualiza o diário público (não afeta notas pessoais, mas pode
-        // reordenar a UI de memórias públicas caso já exista).  
-        updateDiary();
+      if (!window.isLoggedIn) {
+        alert('Faça login para escrever notas no roteiro.');
+        return;
       }
+      openNoteEditor(li, notesList, itemId);
     });
   });
   // Atualiza progresso inicial do dia
   updateDayProgress(dayId);
 }
 
+/**
+ * Aplica a uma atividade o seu estado em `window.progress`: a classe
+ * `completed`, a descrição do botão de concluir e, para alterações feitas
+ * offline, um selo com o estado do envio. O selo de uma alteração com
+ * falha ou em conflito permite reenviá-la ou descartá-la.
+ *
+ * @param {HTMLElement} li Item da agenda com `data-item-id`
+ */
+function renderItemProgress(li) {
+  const record = window.progress && window.progress[li.dataset.itemId];
+  li.classList.toggle('completed', !!(record && record.completed));
+  const doneBtn = li.querySelector('.done-btn');
+  if (doneBtn) describeCompletion(doneBtn, record);
+  const actions = li.querySelector('.item-actions');
+  let badge = actions && actions.querySelector('.queue-badge');
+  if (!record || !record.queued) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!actions) return;
+  if (!badge) {
+    badge = document.createElement('button');
+    badge.type = 'button';
+    actions.appendChild(badge);
+    badge.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      resolveQueuedProgress(window.progress[li.dataset.itemId]);
+    });
+  }
+  badge.className = 'queue-badge ' + record.queued;
+  badge.textContent = record.queued === 'pending' ? '⏳' : '⚠️';
+  const label =
+    record.queued === 'pending'
+      ? 'Aguardando conexão para salvar'
+      : `Não foi possível salvar: ${record.error || 'erro desconhecido'}`;
+  badge.title = label;
+  badge.setAttribute('aria-label', label);
+}
+
+/**
+ * Trata o clique no selo de uma marcação feita offline: tenta enviar
+ * as pendentes agora e pergunta o que fazer com as que falharam.
+ *
+ * @param {Object|undefined} record Registro de progresso com `queued`
+ */
+async function resolveQueuedProgress(record) {
+  if (!record || !record.queued) return;
+  const queue = window.offlineQueue;
+  if (record.queued === 'pending') {
+    await queue.replay();
+  } else if (record.queued === 'conflict') {
+    const force = confirm(
+      'Outra pessoa alterou este item enquanto você estava offline. ' +
+        'OK aplica a sua alteração mesmo assim; Cancelar descarta a sua alteração.'
+    );
+    await (force ? queue.retry(record.queueId, { force: true }) : queue.discard(record.queueId));
+  } else if (confirm(`Não foi possível salvar: ${record.error || 'erro desconhecido'}. Tentar de novo?`)) {
+    await queue.retry(record.queueId);
+  } else {
+    await queue.discard(record.queueId);
+  }
+}
+
+/**
+ * Descreve no botão de concluir quem marcou a atividade e quando.
+ *
+ * @param {HTMLElement} button Botão de concluir
+ * @param {Object|undefined} record Registro de progresso do item
+ */
+function describeCompletion(button, record) {
+  let label = 'Marcar como concluído';
+  if (record && record.completed) {
+    label = 'Concluído';
+    if (record.completedBy) label += ` por ${record.completedBy}`;
+    if (record.completedAt) {
+      const when = new Date(record.completedAt).toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+      label += ` em ${when}`;
+    }
+    label += ' (clique para desmarcar)';
+  }
+  button.title = label;
+  button.setAttribute('aria-label', label);
+}
+
+/**
+ * Exibe as notas visíveis de uma atividade: a do usuário logado e as
+ * compartilhadas pelo outro. O texto é inserido com textContent, pois
+ * vem de outros usuários.
+ *
+ * @param {HTMLElement} container Elemento `.item-notes` da atividade
+ * @param {string} itemId Identificador da atividade
+ */
+function renderItemNotes(container, itemId) {
+  container.innerHTML = '';
+  (window.notes || [])
+    .filter((note) => note.itemId === itemId)
+    .forEach((note) => {
+      const mine = note.user === window.currentUser;
+      const display = document.createElement('div');
+      display.className = 'note-display' + (mine ? ' mine' : '');
+      const author = document.createElement('strong');
+      author.textContent = mine ? 'Sua nota:' : `${note.user}:`;
+      display.appendChild(author);
+      display.appendChild(document.createTextNode(' ' + note.text));
+      if (!note.shared) {
+        const badge = document.createElement('span');
+        badge.className = 'note-private';
+        badge.textContent = '🔒 privada';
+        display.appendChild(badge);
+      }
+      container.appendChild(display);
+    });
+}
+
+/**
+ * Abre o editor da nota do usuário logado logo abaixo da atividade,
+ * com a opção de compartilhá-la com o casal. Salvar com o texto vazio
+ * exclui a nota.
+ *
+ * @param {HTMLElement} li Item da agenda
+ * @param {HTMLElement} container Elemento `.item-notes` da atividade
+ * @param {string} itemId Identificador da atividade
+ */
+function openNoteEditor(li, container, itemId) {
+  if (li.querySelector('.note-form')) return;
+  const current = (window.notes || []).find((n) => n.itemId === itemId && n.user === window.currentUser);
+  const form = document.createElement('form');
+  form.className = 'itinerary-form note-form';
+  const textLabel = document.createElement('label');
+  textLabel.textContent = 'Sua nota ou memória para este momento';
+  const textarea = document.createElement('textarea');
+  textarea.rows = 3;
+  textarea.maxLength = 2000;
+  textarea.value = current ? current.text : '';
+  textLabel.appendChild(textarea);
+  const shareLabel = document.createElement('label');
+  shareLabel.className = 'note-share';
+  const share = document.createElement('input');
+  share.type = 'checkbox';
+  share.checked = current ? current.shared : false;
+  shareLabel.appendChild(share);
+  shareLabel.appendChild(document.createTextNode(' Compartilhar com o casal'));
+  const feedback = document.createElement('p');
+  feedback.className = 'feedback';
+  const actions = document.createElement('div');
+  actions.className = 'itinerary-form-actions';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.textContent = 'Salvar';
+  actions.appendChild(save);
+  if (current) {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'secondary';
+    remove.textContent = 'Excluir';
+    remove.addEventListener('click', () => submit(''));
+    actions.appendChild(remove);
+  }
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'secondary';
+  cancel.textContent = 'Cancelar';
+  cancel.addEventListener('click', () => form.remove());
+  actions.appendChild(cancel);
+  form.append(textLabel, shareLabel, feedback, actions);
+  // Cliques dentro do editor não devem alternar o item.
+  form.addEventListener('click', (ev) => ev.stopPropagation());
+  form.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    submit(textarea.value);
+  });
+
+  async function submit(text) {
+    save.disabled = true;
+    try {
+      const res = await fetch('/notes/' + encodeURIComponent(itemId), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ text, shared: share.checked }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 401) {
+        alert('Sua sessão expirou. Faça login novamente para continuar.');
+        await checkAuthStatus();
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(data.error || 'Falha ao salvar a nota');
+      }
+      window.notes = (window.notes || []).filter((n) => !(n.itemId === itemId && n.user === window.currentUser));
+      if (!data.deleted) window.notes.push(data);
+      renderItemNotes(container, itemId);
+      form.remove();
+    } catch (err) {
+      feedback.textContent = err.message;
+      feedback.classList.add('error');
+    } finally {
+      save.disabled = false;
+    }
+  }
+
+  container.after(form);
+  textarea.focus();
+}
+
 /**
  * Calcula o número de itens concluídos para um dia específico e
  * atualiza o rótulo da aba correspondente para refletir o progresso.
@@ -626,13 +881,9 @@ function updateDayProgress(dayId) {
   const day = window.itineraryData.find((d) => d.id.toString() === dayId.toString());
   if (!day) return;
   const total = day.schedule.length;
-  let completed = 0;
-  for (let i = 0; i < total; i++) {
-    const key = `${dayId}-${i}`;
-    if (window.progress && window.progress[key]) {
-      completed += 1;
-    }
-  }
+  const completed = day.schedule.filter(
+    (item) => window.progress && window.progress[item.id] && window.progress[item.id].completed
+  ).length;
   const tab = document.getElementById('tab-' + dayId);
   if (tab) {
     const baseLabel = `Dia ${dayId}`;
@@ -651,40 +902,170 @@ function updateDayProgress(dayId) {
 /**
  * Verifica o status de autenticação do usuário junto ao backend. Define
  * `window.isLoggedIn` como true quando houver um usuário de sessão
- * válida, ou false caso contrário. Esta função é utilizada para
- * condicionar ações restritas, como a marcação de itens como cumpridos.
+ * válida, ou false caso contrário, e `window.currentUser` com o nome do
+ * usuário. Esta função é utilizada para condicionar ações restritas,
+ * como a marcação de itens como cumpridos. Sem conexão, vale o último
+ * usuário deste aparelho, para que as marcações entrem na fila offline.
  */
 async function checkAuthStatus() {
   try {
     const res = await fetch('/auth/me', { credentials: 'include' });
     const data = await res.json();
     window.isLoggedIn = !!(data && data.user);
+    window.currentUser = (data && data.user) || null;
   } catch (_err) {
-    window.isLoggedIn = false;
+    const lastUser = window.offlineQueue ? window.offlineQueue.offlineUser() : null;
+    window.isLoggedIn = !!lastUser;
+    window.currentUser = lastUser;
   }
 }
 
+// Último objeto de progresso recebido do servidor, sem as marcações da
+// fila offline.
+let serverProgress = {};
+
 /**
  * Carrega o objeto de progresso armazenado no backend e salva em
- * `window.progress`. A estrutura retornada associa cada chave
- * "day-index" a um booleano indicando se aquele item foi marcado
- * como concluído. Após carregar o progresso, recalcula o avanço de
- * cada dia para atualizar os rótulos das abas.
+ * `window.progress`. A estrutura retornada associa o `id` de cada
+ * atividade concluída a um registro com quem a concluiu e quando
+ * (`completedBy`, `completedAt`); atividades ausentes não foram
+ * concluídas. Sem conexão, mantém o último estado recebido.
  */
 async function loadProgress() {
   try {
     const res = await fetch('/progress');
     const data = await res.json();
-    window.progress = data || {};
+    serverProgress = data || {};
   } catch (_err) {
-    window.progress = {};
+    // Mantém serverProgress como está.
   }
+  await applyQueuedProgress();
+}
+
+/**
+ * Monta `window.progress` a partir do estado do servidor, sobrepondo as
+ * marcações do usuário ainda na fila offline (com `queued` indicando a
+ * situação do envio), e atualiza as atividades já exibidas e os rótulos
+ * das abas.
+ */
+async function applyQueuedProgress() {
+  window.progress = { ...serverProgress };
+  if (window.offlineQueue && window.indexedDB && window.currentUser) {
+    try {
+      const entries = await window.offlineQueue.list();
+      entries
+        .filter((e) => e.type === 'progress' && e.user === window.currentUser)
+        .forEach((e) => {
+          const { itemId, completed } = e.payload;
+          window.progress[itemId] = {
+            completed,
+            completedBy: completed ? e.user : null,
+            completedAt: null,
+            queued: e.status,
+            queueId: e.id,
+            error: e.error,
+          };
+        });
+    } catch (_err) {
+      // Sem IndexedDB disponível: exibimos apenas o estado do servidor.
+    }
+  }
+  document.querySelectorAll('.schedule li[data-item-id]').forEach(renderItemProgress);
   // Atualiza progresso de todas as abas, se já houver dados de roteiro.
   if (Array.isArray(window.itineraryData)) {
     window.itineraryData.forEach((day) => updateDayProgress(day.id));
   }
 }
 
+// Recarrega o progresso quando marcações da fila offline são enviadas,
+// descartadas ou recusadas pelo servidor.
+if (window.offlineQueue) {
+  window.addEventListener(window.offlineQueue.CHANGE_EVENT, () => loadProgress());
+}
+
+// Atualizações em tempo real (ver live-updates.js). O progresso chega
+// completo no evento; memórias são recarregadas apenas nos painéis
+// afetados: os dias indicados (ou a capa, para memórias sem dia) e o
+// diário público quando a memória é ou era pública.
+window.addEventListener('live:progress', (ev) => {
+  serverProgress = ev.detail.progress || {};
+  applyQueuedProgress();
+});
+window.addEventListener('live:memory', (ev) => {
+  const { days = [], public: isPublic } = ev.detail;
+  if (isPublic) updateDiary();
+  if (!window.isLoggedIn) return;
+  days.forEach((day) => {
+    if (day === undefined || day === null || String(day).trim() === '') {
+      loadCoverMemories();
+    } else if (window.tabPanels && window.tabPanels[day]) {
+      loadMemoriesForDay(day);
+    }
+  });
+});
+window.addEventListener('live:resync', () => {
+  loadProgress();
+  updateDiary();
+  if (window.isLoggedIn) {
+    refreshAllDayMemories();
+    loadCoverMemories();
+  }
+});
+
+/**
+ * Carrega em `window.notes` as notas visíveis ao usuário logado (as
+ * próprias e as compartilhadas). Visitantes não veem notas. Antes,
+ * envia ao servidor as notas que versões anteriores guardavam apenas
+ * neste navegador (ver importLocalNotes).
+ */
+async function loadNotes() {
+  window.notes = [];
+  if (!window.isLoggedIn) return;
+  try {
+    await importLocalNotes();
+    const res = await fetch('/notes', { credentials: 'include' });
+    if (res.ok) window.notes = await res.json();
+  } catch (_err) {
+    window.notes = [];
+  }
+}
+
+/**
+ * Importa as notas salvas no localStorage sob as chaves
+ * `day-N-item-M` por versões anteriores, como notas privadas (só
+ * existiam neste aparelho). Após a importação as chaves
+ * são removidas, para que as notas não sejam atribuídas a outro
+ * usuário que entre neste aparelho depois. Notas de atividades que já
+ * têm nota no servidor são mantidas como estão.
+ */
+async function importLocalNotes() {
+  const entries = [];
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const match = /^day-(\d+)-item-(\d+)$/.exec(key || '');
+    if (!match) continue;
+    keys.push(key);
+    try {
+      const saved = JSON.parse(localStorage.getItem(key)) || {};
+      if (saved.note) entries.push({ day: Number(match[1]), index: Number(match[2]), text: saved.note });
+    } catch (_err) {
+      // Valor corrompido: apenas descartamos a chave.
+    }
+  }
+  if (keys.length === 0) return;
+  if (entries.length > 0) {
+    const res = await fetch('/notes/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ notes: entries }),
+    });
+    if (!res.ok) return;
+  }
+  keys.forEach((key) => localStorage.removeItem(key));
+}
+
 /**
  * Restaura a aba ativa na inicialização da página. Verifica a
  * presença de um parâmetro `dia` na URL e, caso inexistente,
@@ -801,26 +1182,22 @@ async function updateDiary() {
         mediaContainer.style.gap = '8px';
         mediaContainer.style.marginTop = '8px';
         mem.media.forEach((url) => {
-          const ext = String(url).split('.').pop().toLowerCase();
-          if (['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(ext)) {
-            const img = document.createElement('img');
-            img.src = url;
-            img.alt = 'Mídia da memória';
-            img.style.maxWidth = '100%';
-            img.style.height = 'auto';
-            img.style.borderRadius = '4px';
-            mediaContainer.appendChild(img);
-          } else if (['mp4', 'mov', 'mkv', 'avi'].includes(ext)) {
-            const vid = document.createElement('video');
-            vid.src = url;
-            vid.controls = true;
-            vid.style.maxWidth = '100%';
-            vid.style.maxHeight = '200px';
-            mediaContainer.appendChild(vid);
+          const el = createMediaElement(mem, url);
+          if (!el) return;
+          if (el.tagName === 'IMG') {
+            el.style.maxWidth = '100%';
+            el.style.height = 'auto';
+            el.style.borderRadius = '4px';
+          } else {
+            el.style.maxWidth = '100%';
+            el.style.maxHeight = '200px';
           }
+          mediaContainer.appendChild(el);
         });
         card.appendChild(mediaContainer);
       }
+      const detailBtn = createDetailButton(mem);
+      if (detailBtn) card.appendChild(detailBtn);
       diaryList.appendChild(card);
     });
     diarySection.classList.remove('hidden');
@@ -839,6 +1216,74 @@ async function updateDiary() {
   }
 }
 
+/**
+ * Cria o elemento de uma mídia para os cartões de memória. Imagens usam as
+ * variantes geradas pelo servidor (`mem.mediaVariants`) em um `srcset`,
+ * para que o navegador baixe a miniatura em vez do arquivo original, e só
+ * carregam ao se aproximar da área visível. Vídeos mostram a imagem de
+ * capa, quando existe, e baixam apenas os metadados.
+ *
+ * @param {Object} mem Memória dona da mídia
+ * @param {string} url URL do arquivo original
+ * @param {string} [sizes] Largura exibida, no formato do atributo `sizes`
+ * @returns {HTMLElement|null} Elemento, ou null para extensões desconhecidas
+ */
+function createMediaElement(mem, url, sizes = '(max-width: 600px) 90vw, 320px') {
+  const ext = String(url).split('.').pop().toLowerCase();
+  const variants = (mem.mediaVariants && mem.mediaVariants[url]) || {};
+  if (['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(ext)) {
+    const img = document.createElement('img');
+    const candidates = ['thumb', 'medium']
+      .filter((name) => variants[name])
+      .map((name) => `${variants[name].url} ${variants[name].width}w`);
+    if (candidates.length > 0) {
+      if (variants.width) candidates.push(`${url} ${variants.width}w`);
+      img.srcset = candidates.join(', ');
+      img.sizes = sizes;
+    }
+    img.src = url;
+    if (variants.width && variants.height) {
+      img.width = variants.width;
+      img.height = variants.height;
+    }
+    img.alt = 'Mídia da memória';
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    return img;
+  }
+  if (['mp4', 'mov', 'mkv', 'avi'].includes(ext)) {
+    const vid = document.createElement('video');
+    vid.src = url;
+    vid.controls = true;
+    if (variants.poster) {
+      vid.poster = (variants.medium && variants.medium.url) || variants.poster;
+      vid.preload = 'none';
+    } else {
+      vid.preload = 'metadata';
+    }
+    return vid;
+  }
+  return null;
+}
+window.createMediaElement = createMediaElement;
+
+/**
+ * Cria o botão que abre a memória no modal de detalhes (memory-detail.js),
+ * com texto completo, galeria, comentários e reações.
+ *
+ * @param {Object} mem Memória exibida no cartão
+ * @returns {HTMLElement|null} Botão, ou null se o módulo não foi carregado
+ */
+function createDetailButton(mem) {
+  if (typeof window.openMemoryDetail !== 'function') return null;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'memory-detail-btn';
+  btn.textContent = '💬 Ver detalhes';
+  btn.addEventListener('click', () => window.openMemoryDetail(mem));
+  return btn;
+}
+
 /**
  * Carrega memórias associadas a um dia específico do itinerário.
  * Faz uma requisição ao backend com o parâmetro "day" para
@@ -967,26 +1412,22 @@ function renderDayMemories(dayId, memories) {
       mediaContainer.style.gap = '8px';
       mediaContainer.style.marginTop = '8px';
       mem.media.forEach((url) => {
-        const ext = String(url).split('.').pop().toLowerCase();
-        if (['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(ext)) {
-          const img = document.createElement('img');
-          img.src = url;
-          img.alt = 'Mídia da memória';
-          img.style.maxWidth = '100%';
-          img.style.height = 'auto';
-          img.style.borderRadius = '4px';
-          mediaContainer.appendChild(img);
-        } else if (['mp4', 'mov', 'mkv', 'avi'].includes(ext)) {
-          const vid = document.createElement('video');
-          vid.src = url;
-          vid.controls = true;
-          vid.style.maxWidth = '100%';
-          vid.style.maxHeight = '200px';
-          mediaContainer.appendChild(vid);
+        const el = createMediaElement(mem, url);
+        if (!el) return;
+        if (el.tagName === 'IMG') {
+          el.style.maxWidth = '100%';
+          el.style.height = 'auto';
+          el.style.borderRadius = '4px';
+        } else {
+          el.style.maxWidth = '100%';
+          el.style.maxHeight = '200px';
         }
+        mediaContainer.appendChild(el);
       });
       card.appendChild(mediaContainer);
     }
+    const detailBtn = createDetailButton(mem);
+    if (detailBtn) card.appendChild(detailBtn);
     listDiv.appendChild(card);
   });
   memContainer.appendChild(listDiv);
@@ -1011,21 +1452,20 @@ window.refreshAllDayMemories = refreshAllDayMemories;
 window.renderDayMemories = renderDayMemories;
 
 /**
- * Carrega memórias que não estão vinculadas a um dia (capa). Faz
- * requisição sem filtro de "day" e seleciona apenas as memórias
- * cujo campo day seja nulo ou indefinido. O resultado é passado para
+ * Carrega memórias que não estão vinculadas a um dia (capa). O servidor
+ * filtra as memórias sem dia (day=none) e devolve apenas o resumo usado
+ * nos cartões (fields=summary). O resultado é passado para
  * renderCoverMemories().
  */
 async function loadCoverMemories() {
   try {
-    const res = await fetch('/memories', { credentials: 'include' });
+    const res = await fetch('/memories?day=none&fields=summary', { credentials: 'include' });
     if (res.status === 401) {
       renderCoverMemories(null);
       return;
     }
     const data = await res.json();
-    const noDay = (Array.isArray(data) ? data : []).filter((mem) => mem.day === undefined || mem.day === null || String(mem.day).trim() === '');
-    renderCoverMemories(noDay);
+    renderCoverMemories(Array.isArray(data) ? data : []);
   } catch (err) {
     renderCoverMemories(null);
   }
@@ -1124,26 +1564,29 @@ function renderCoverMemories(memories) {
       mediaContainer.style.gap = '8px';
       mediaContainer.style.marginTop = '8px';
       mem.media.forEach((url) => {
-        const ext = String(url).split('.').pop().toLowerCase();
-        if (['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(ext)) {
-          const img = document.createElement('img');
-          img.src = url;
-          img.alt = 'Mídia da memória';
-          img.style.maxWidth = '100%';
-          img.style.height = 'auto';
-          img.style.borderRadius = '4px';
-          mediaContainer.appendChild(img);
-        } else if (['mp4', 'mov', 'mkv', 'avi'].includes(ext)) {
-          const vid = document.createElement('video');
-          vid.src = url;
-          vid.controls = true;
-          vid.style.maxWidth = '100%';
-          vid.style.maxHeight = '200px';
-          mediaContainer.appendChild(vid);
+        const el = createMediaElement(mem, url);
+        if (!el) return;
+        if (el.tagName === 'IMG') {
+          el.style.maxWidth = '100%';
+          el.style.height = 'auto';
+          el.style.borderRadius = '4px';
+        } else {
+          el.style.maxWidth = '100%';
+          el.style.maxHeight = '200px';
         }
+        mediaContainer.appendChild(el);
       });
+      // O resumo traz só as primeiras mídias; as demais ficam nos detalhes.
+      if (mem.mediaCount > mem.media.length) {
+        const more = document.createElement('span');
+        more.className = 'subtitle';
+        more.textContent = `+${mem.mediaCount - mem.media.length} mídias`;
+        mediaContainer.appendChild(more);
+      }
       card.appendChild(mediaContainer);
     }
+    const detailBtn = createDetailButton(mem);
+    if (detailBtn) card.appendChild(detailBtn);
     grid.appendChild(card);
   });
   container.appendChild(grid);
@@ -1187,13 +1630,70 @@ function initCountdown() {
 
 /**
  * Registra o service worker para permitir uso offline da aplicação.
+ * Quando uma nova versão é instalada, ela fica em espera e um aviso
+ * oferece recarregar a página com ela (ver showUpdatePrompt).
  */
 function registerServiceWorker() {
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('service-worker.js').catch((err) => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker
+    .register('service-worker.js')
+    .then((registration) => {
+      // Versão baixada em outra visita e ainda em espera.
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          // Sem controller, é a primeira instalação e não há o que atualizar.
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdatePrompt(worker);
+          }
+        });
+      });
+    })
+    .catch((err) => {
       console.error('Falha ao registrar service worker', err);
     });
-  }
+  // A nova versão assume o controle depois do SKIP_WAITING: recarrega
+  // uma única vez para usar os arquivos dela.
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
+
+/**
+ * Exibe o aviso de nova versão disponível. "Atualizar" ativa o worker
+ * em espera; "Depois" apenas fecha o aviso, e a nova versão será usada
+ * quando todas as abas forem fechadas.
+ *
+ * @param {ServiceWorker} worker Worker instalado e em espera
+ */
+function showUpdatePrompt(worker) {
+  if (document.querySelector('.update-banner')) return;
+  const banner = document.createElement('div');
+  banner.className = 'update-banner';
+  banner.setAttribute('role', 'status');
+  const text = document.createElement('span');
+  text.textContent = 'Nova versão do roteiro disponível.';
+  const update = document.createElement('button');
+  update.type = 'button';
+  update.textContent = 'Atualizar';
+  update.addEventListener('click', () => {
+    update.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  const later = document.createElement('button');
+  later.type = 'button';
+  later.className = 'secondary';
+  later.textContent = 'Depois';
+  later.addEventListener('click', () => banner.remove());
+  banner.append(text, update, later);
+  document.body.appendChild(banner);
 }
 
 /**
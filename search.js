@@ -0,0 +1,324 @@
+/*
+ * Full-text search over memories.
+ *
+ * Each memory is indexed with its title, tags, location, text and the text
+ * of its comments. Words are folded (lower case, accents removed, so "cafe"
+ * finds "café" and "recoleta" finds "Recoleta"), common Portuguese and
+ * Spanish words are skipped and plurals are reduced to the singular, so
+ * "empanadas" finds "empanada" and "corações" finds "coração".
+ *
+ * The index lives in memory and is brought up to date on every search:
+ * documents whose memory or comments changed since they were indexed are
+ * tokenized again, and removed memories are dropped (see sync()). Every
+ * word of the query must appear in the memory, either as a whole word or,
+ * with a lower score, as the beginning of one, so results show up while a
+ * word is still being typed. Matches are ranked with TF-IDF weighted by
+ * field (a match in the title counts more than one in a comment).
+ */
+
+// Relative weight of a match in each field.
+const FIELD_WEIGHTS = { title: 5, tags: 4, location: 3, text: 1, comments: 1 };
+// A word matched only by its beginning counts this much of a whole word.
+const PREFIX_WEIGHT = 0.5;
+// Bonus when the whole query appears as typed in the title.
+const PHRASE_BONUS = 3;
+const SNIPPET_LENGTH = 160;
+
+const STOPWORDS = new Set(
+  (
+    'a o e y os as de da do das dos del la el lo las los em en no na nos nas al ' +
+    'um uma uns umas un una unos unas com con por para pra que se ao aos ou u ' +
+    'mas pero muy mais sem sin sobre entre'
+  ).split(' ')
+);
+
+const MARKS = /\p{M}+/gu;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower case and strip accents, keeping one output character per input
+ * character so positions in the folded text match the original.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function fold(value) {
+  return Array.from(String(value || ''), (ch) => {
+    const folded = ch.normalize('NFD').replace(MARKS, '').toLowerCase();
+    return folded.length === ch.length ? folded : ch;
+  }).join('');
+}
+
+/**
+ * Reduce a folded word to a common stem for singular and plural forms.
+ * Deliberately light: the same rules run on documents and queries, so it
+ * only needs to be consistent, not linguistically exact.
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (/(oes|aes)$/.test(word)) return word.slice(0, -3) + 'ao';
+  if (/ais$/.test(word)) return word.slice(0, -3) + 'al';
+  if (/eis$/.test(word)) return word.slice(0, -3) + 'el';
+  if (/[rlzn]es$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into folded, stemmed words, skipping stop words.
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function tokenize(value) {
+  return (fold(value).match(WORD) || []).filter((w) => !STOPWORDS.has(w)).map(stem);
+}
+
+/**
+ * Searchable fields of a memory, as text.
+ *
+ * @param {object} memory
+ * @param {object[]} comments
+ * @returns {Object<string, string>}
+ */
+function fieldsOf(memory, comments) {
+  return {
+    title: memory.title || '',
+    tags: (memory.tags || []).join(', '),
+    location: memory.location || '',
+    text: memory.text || '',
+    comments: comments.map((c) => c.text).join('\n'),
+  };
+}
+
+/**
+ * Value that changes whenever anything indexed for the memory changes.
+ */
+function signature(memory, comments) {
+  return [memory.updatedAt, ...comments.map((c) => `${c.id}@${c.editedAt || c.createdAt}`)].join('|');
+}
+
+/**
+ * Find where the query words occur in a text. Returns [start, end) ranges
+ * of whole words of `text` that match a query term exactly or by prefix.
+ *
+ * @param {string} text
+ * @param {string[]} terms Query terms (folded and stemmed)
+ * @returns {Array<[number, number]>}
+ */
+function matchRanges(text, terms) {
+  const ranges = [];
+  const words = new RegExp(WORD.source, 'gu');
+  const folded = fold(text);
+  let match;
+  while ((match = words.exec(folded))) {
+    const word = stem(match[0]);
+    if (terms.some((t) => word === t || word.startsWith(t) || match[0].startsWith(t))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Cut a snippet of about SNIPPET_LENGTH characters around the first match,
+ * with the match ranges shifted to the snippet.
+ *
+ * @returns {{ text: string, matches: Array<[number, number]> }}
+ */
+function snippet(text, ranges) {
+  if (text.length <= SNIPPET_LENGTH) return { text, matches: ranges };
+  let start = Math.max(0, ranges[0][0] - Math.floor(SNIPPET_LENGTH / 3));
+  // Start at a word boundary.
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space >= 0 && space < ranges[0][0] ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    matches: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]),
+  };
+}
+
+/**
+ * Matched words in the title and a snippet of the first other field with a
+ * match (text, comments, location or tags, in that order).
+ *
+ * @param {Object<string, string>} fields
+ * @param {string[]} terms
+ * @returns {{ title?: object, snippet?: { field: string, text: string, matches: Array } }}
+ */
+function highlight(fields, terms) {
+  const highlights = {};
+  const titleRanges = matchRanges(fields.title, terms);
+  if (titleRanges.length > 0) highlights.title = { text: fields.title, matches: titleRanges };
+  for (const field of ['text', 'comments', 'location', 'tags']) {
+    const ranges = matchRanges(fields[field], terms);
+    if (ranges.length > 0) {
+      highlights.snippet = { field, ...snippet(fields[field], ranges) };
+      break;
+    }
+  }
+  return highlights;
+}
+
+function createSearchIndex() {
+  // id → { signature, fields, terms: { field: Map(term → count) } }
+  const docs = new Map();
+  // term → Set(id)
+  const postings = new Map();
+
+  function removeDoc(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    Object.values(doc.terms).forEach((counts) => {
+      counts.forEach((_count, term) => {
+        const ids = postings.get(term);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) postings.delete(term);
+      });
+    });
+    docs.delete(id);
+  }
+
+  function addDoc(memory, comments, sig) {
+    const fields = fieldsOf(memory, comments);
+    const terms = {};
+    Object.keys(fields).forEach((field) => {
+      const counts = new Map();
+      tokenize(fields[field]).forEach((term) => {
+        counts.set(term, (counts.get(term) || 0) + 1);
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(memory.id);
+      });
+      terms[field] = counts;
+    });
+    docs.set(memory.id, { signature: sig, fields, terms });
+  }
+
+  /**
+   * Term frequencies of a query term in a document: exact matches, plus
+   * prefix matches at PREFIX_WEIGHT.
+   */
+  function termScore(doc, term, expansions, idf) {
+    let score = 0;
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      const counts = doc.terms[field];
+      expansions.forEach((candidate) => {
+        const count = counts.get(candidate);
+        if (!count) return;
+        const weight = candidate === term ? 1 : PREFIX_WEIGHT;
+        score += FIELD_WEIGHTS[field] * weight * (1 + Math.log(count)) * idf.get(candidate);
+      });
+    });
+    return score;
+  }
+
+  return {
+    /**
+     * Bring the index up to date with the stored memories and comments.
+     *
+     * @param {object[]} memories All memories
+     * @param {object[]} comments All comments
+     */
+    sync(memories, comments) {
+      const byMemory = new Map();
+      comments.forEach((c) => {
+        if (!byMemory.has(c.memoryId)) byMemory.set(c.memoryId, []);
+        byMemory.get(c.memoryId).push(c);
+      });
+      const present = new Set();
+      memories.forEach((memory) => {
+        present.add(memory.id);
+        const own = byMemory.get(memory.id) || [];
+        const sig = signature(memory, own);
+        const doc = docs.get(memory.id);
+        if (doc && doc.signature === sig) return;
+        removeDoc(memory.id);
+        addDoc(memory, own, sig);
+      });
+      Array.from(docs.keys())
+        .filter((id) => !present.has(id))
+        .forEach(removeDoc);
+    },
+
+    /**
+     * Rank the given memories against a query. Memories that don't match
+     * every query word are left out.
+     *
+     * @param {string} query
+     * @param {object[]} memories Candidates (already filtered by visibility)
+     * @returns {Array<{ memory: object, score: number, highlights: object }>}
+     */
+    search(query, memories) {
+      const terms = Array.from(new Set(tokenize(query)));
+      if (terms.length === 0) return memories.map((memory) => ({ memory, score: 0, highlights: {} }));
+      const total = Math.max(docs.size, 1);
+      const idf = new Map();
+      // Index terms each query term matches: itself and longer words it
+      // begins.
+      const expansions = terms.map((term) => {
+        const found = Array.from(postings.keys()).filter((t) => t === term || t.startsWith(term));
+        found.forEach((t) => idf.set(t, Math.log(1 + total / postings.get(t).size)));
+        return found;
+      });
+      const phrase = fold(query).trim();
+      const results = [];
+      memories.forEach((memory) => {
+        const doc = docs.get(memory.id);
+        if (!doc) return;
+        let score = 0;
+        for (let i = 0; i < terms.length; i += 1) {
+          const termTotal = termScore(doc, terms[i], expansions[i], idf);
+          if (termTotal === 0) return;
+          score += termTotal;
+        }
+        if (phrase && fold(doc.fields.title).includes(phrase)) score += PHRASE_BONUS;
+        results.push({ memory, score, highlights: highlight(doc.fields, terms) });
+      });
+      return results.sort((a, b) => b.score - a.score);
+    },
+  };
+}
+
+/**
+ * Count the values of each facet in a list of memories.
+ *
+ * @param {object[]} memories
+ * @param {'tags'|'days'|'authors'|'statuses'} facet
+ * @returns {Array<{ value: string, count: number }>} Most frequent first
+ */
+function countFacet(memories, facet) {
+  const counts = new Map();
+  const add = (key, value) => {
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  };
+  memories.forEach((m) => {
+    if (facet === 'tags') {
+      // Tags are matched without case; the first spelling seen is shown.
+      new Set((m.tags || []).map((t) => t.toLowerCase())).forEach((key) => {
+        add(key, m.tags.find((t) => t.toLowerCase() === key));
+      });
+    } else if (facet === 'days') {
+      if (m.day !== undefined && m.day !== null && String(m.day) !== '') add(String(m.day), String(m.day));
+    } else if (facet === 'authors') {
+      add(m.user, m.user);
+    } else {
+      add(m.status || 'draft', m.status || 'draft');
+    }
+  });
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+module.exports = { createSearchIndex, countFacet, fold, tokenize };
@@ -1,23 +1,54 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const express = require('express');
 const session = require('express-session');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./storage');
+const { createUserStore } = require('./users');
+const { createAccessPolicy, parseUserList, publicView } = require('./access');
+const { StorageSessionStore } = require('./session-store');
+const reactions = require('./reactions');
+const { createMediaProcessor } = require('./media');
+const { createEventHub } = require('./events');
+const { createPushService } = require('./push');
+const itinerary = require('./itinerary');
+const progress = require('./progress');
+const notes = require('./notes');
+const { createSearchIndex, countFacet } = require('./search');
+const pagination = require('./pagination');
+const { createZip } = require('./zip');
+const album = require('./album');
+const { createImporter, ImportError } = require('./importer');
+const { createBackupService } = require('./backups');
+const metadata = require('./metadata');
+const places = require('./places');
 
 /*
  * Backend server for the shared memories PWA.
  *
- * This simple Express server provides minimal authentication based on a fixed set
- * of users defined via environment variables. After logging in, users can
+ * This simple Express server provides authentication against a small user
+ * store with scrypt-hashed passwords (see users.js). After logging in, users can
  * create, read, update and delete memories containing text, dates, tags,
  * locations and uploaded media. Each memory can receive comments and
- * reactions. Memories, comments and reactions are persisted to a JSON file
- * on disk and media files are stored in an uploads/ directory. An export
- * endpoint returns the entire dataset as JSON together with fully qualified
- * URLs to the stored media. Basic rate limiting and CORS headers are
- * configured to help secure the application.
+ * reactions. Memories, comments and reactions are persisted through the
+ * storage layer in storage.js (SQLite, or a JSON file as fallback) and media
+ * files are stored in an uploads/ directory, together with thumbnail and
+ * medium-sized variants generated by media.js; their capture time and GPS
+ * position fill in the memory's date, day and location (see metadata.js).
+ * The trip itinerary shown on the main page is also served as JSON (see
+ * itinerary.js), together with each user's notes on its activities (see
+ * notes.js). Changes are pushed
+ * to the open pages over Server-Sent Events (see events.js) and, for users
+ * who opted in, announced with Web Push notifications (see push.js). An export
+ * endpoint returns the memories as JSON with fully qualified URLs to the
+ * stored media, as a ZIP archive that includes the media files, as
+ * Markdown or as a printable album (see album.js); backups and exports of
+ * other journaling apps can be imported back (see importer.js). Basic rate
+ * limiting and CORS headers are configured to help secure the application.
+ * The database and media are snapshotted periodically (see backups.js).
  */
 
 const app = express();
@@ -26,26 +57,7 @@ const PORT = process.env.PORT || 3000;
 // -----------------------------------------------------------------------------
 // Configuration and helpers
 //
-// Allowed users are configured via the USERS environment variable, which
-// accepts a JSON object mapping usernames to plain text passwords. If not
-// provided, a default admin account is created. Example:
-//   USERS='{"gui":"senha123","carina":"senha123"}'
-// Definição de usuários permitidos para autenticação. Caso a variável
-// de ambiente USERS não esteja definida, criamos contas padrão para
-// Carina e Gui conforme solicitado. Essas credenciais podem ser
-// substituídas definindo USERS como um JSON de pares "usuário:senha".
-const USERS = process.env.USERS
-  ? (() => {
-      try {
-        return JSON.parse(process.env.USERS);
-      } catch (err) {
-        console.warn('Unable to parse USERS env var, falling back to default users');
-        return { carina: 'senha123', gui: 'senha123', admin: 'senha123' };
-      }
-    })()
-  : { carina: 'senha123', gui: 'senha123', admin: 'senha123' };
-
-// Directory used to persist the JSON database and uploaded media. Allows the
+// Directory used to persist the database and uploaded media. Allows the
 // app to target a persistent disk when deployed (e.g., on Render) while still
 // defaulting to the project root during local development.
 const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
@@ -53,10 +65,6 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Location of the JSON file that stores memories and comments. If the file
-// doesn't exist it will be created on first access.
-const dbFile = path.join(dataDir, 'database.json');
-
 // Ensure the uploads directory exists at startup. All uploaded media will be
 // stored here and served statically under the /uploads route.
 const uploadsDir = path.join(dataDir, 'uploads');
@@ -64,45 +72,105 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-/**
- * Load the current contents of the database file. If the file does not
- * exist, initialise it with empty arrays for memories and comments. A
- * `progress` object is also initialised to track which itinerary items have
- * been marked as completed. This persistent structure allows shared
- * progress across sessions and survives redeploys.
- *
- * @returns {{memories: any[], comments: any[], progress: object}}
- */
-function loadDB() {
-  // Initialise file with required keys if it doesn't exist. We include a
-  // `progress` object to persist the completion state of itinerary items.
-  if (!fs.existsSync(dbFile)) {
-    fs.writeFileSync(
-      dbFile,
-      JSON.stringify({ memories: [], comments: [], progress: {} }, null, 2)
+// Snapshots of the database and uploads in DATA_DIR/backups, taken every
+// BACKUP_INTERVAL_HOURS; the newest BACKUP_KEEP are kept, minus those older
+// than BACKUP_MAX_AGE_DAYS. See backups.js.
+const backups = createBackupService({
+  dataDir,
+  uploadsDir,
+  keep: Math.max(1, Number(process.env.BACKUP_KEEP || 10)),
+  maxAgeDays: Number(process.env.BACKUP_MAX_AGE_DAYS || 30),
+  intervalHours: Number(process.env.BACKUP_INTERVAL_HOURS || 6),
+});
+
+// Persistent storage for memories, comments and itinerary progress. The
+// driver can be forced with STORAGE_DRIVER=json|sqlite; see storage.js. A
+// database that fails the integrity check at startup is replaced by the
+// latest good backup.
+const store = backups.openStore(() => createStore({ dataDir, driver: process.env.STORAGE_DRIVER }));
+
+// Accounts with hashed passwords. Use `npm run users` to add or remove users
+// and reset passwords.
+const users = createUserStore(store);
+
+// Startup migration of the legacy USERS environment variable, a JSON object
+// mapping usernames to plain text passwords. Example:
+//   USERS='{"gui":"senha123","carina":"senha123"}'
+// Entries that don't exist in the user store yet are created with hashed
+// passwords; existing accounts are never overwritten. Once migrated, the
+// variable can be removed. Without USERS and without any account the server
+// refuses to start: there are no default passwords, the first accounts come
+// from USERS or from `npm run users -- add <usuário>`.
+function migrateEnvUsers() {
+  let legacy = null;
+  if (process.env.USERS) {
+    try {
+      legacy = JSON.parse(process.env.USERS);
+    } catch (err) {
+      console.warn('Unable to parse USERS env var, ignoring it');
+    }
+  }
+  if (!legacy && users.list().length === 0) {
+    console.error(
+      'Nenhum usuário cadastrado: defina USERS ou crie uma conta com "npm run users -- add <usuário>"'
     );
+    process.exit(1);
+  }
+  if (!legacy) return;
+  try {
+    const created = users.importPlain(legacy);
+    if (created.length > 0) {
+      console.log('Usuários migrados para o armazenamento com senha protegida: ' + created.join(', '));
+    }
+  } catch (err) {
+    console.warn('Falha ao migrar usuários de USERS: ' + err.message);
   }
-  const raw = fs.readFileSync(dbFile);
-  const data = JSON.parse(raw);
-  // Ensure the expected top‑level keys exist to avoid undefined access.
-  if (!data.memories) data.memories = [];
-  if (!data.comments) data.comments = [];
-  if (!data.progress) data.progress = {};
-  return data;
 }
+migrateEnvUsers();
 
-/**
- * Persist the provided database object to disk. Writes synchronously to
- * simplify consistency; for more demanding workloads consider an async API.
- *
- * @param {object} data
- */
-function saveDB(data) {
-  // Normalise missing keys so they are always present in the saved file.
-  if (!data.memories) data.memories = [];
-  if (!data.comments) data.comments = [];
-  if (!data.progress) data.progress = {};
-  fs.writeFileSync(dbFile, JSON.stringify(data, null, 2));
+// Who may read drafts and private memories (see access.js). COUPLE lists the
+// usernames that share private memories by default.
+const access = createAccessPolicy({ couple: process.env.COUPLE || 'carina,gui' });
+
+// Open Server-Sent Event streams (see events.js), used to push changes to
+// the other devices as they happen.
+const events = createEventHub();
+
+// Full-text index of the memories and their comments (see search.js),
+// refreshed on each search.
+const searchIndex = createSearchIndex();
+
+// Web Push notifications (see push.js). Without VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY a key pair is generated and kept in the database.
+// VAPID_SUBJECT is the contact (mailto: or https: URL) sent to push services.
+// PUSH_ALLOW_LOOPBACK=1 accepts endpoints on the loopback interface, over
+// http too, for testing with push-stand-in.js; never set it in production.
+const push = createPushService(store, {
+  subject: process.env.VAPID_SUBJECT,
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  allowLoopback: process.env.PUSH_ALLOW_LOOPBACK === '1',
+});
+
+// Convert the old anonymous reaction counters to per-user reactions.
+const migratedReactions = reactions.migrate(store);
+if (migratedReactions > 0) {
+  console.log(`Reações convertidas para o formato por usuário em ${migratedReactions} registros`);
+}
+
+// The itinerary is served from the `itinerary` collection (see itinerary.js);
+// an empty collection is filled from itinerary-seed.json.
+const seededDays = itinerary.seed(store);
+if (seededDays > 0) {
+  console.log(`Roteiro inicial importado: ${seededDays} dias`);
+}
+itinerary.ensureItemIds(store);
+
+// Completion state used to be keyed by "day-index"; it is now keyed by the
+// id of each schedule item (see progress.js).
+const migratedProgress = progress.migrate(store);
+if (migratedProgress > 0) {
+  console.log(`Progresso do roteiro convertido para ids de itens: ${migratedProgress} registros`);
 }
 
 // -----------------------------------------------------------------------------
@@ -111,23 +179,60 @@ function saveDB(data) {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static assets in the project root, including HTML and JS for the
-// front-end. Without this, Express would not be aware of our static
-// memories.html page and related scripts.
-app.use(express.static(path.join(__dirname, './')));
+// Serve the front-end from the project root. Only the files listed here are
+// public: the root also holds the server code and, unless DATA_DIR is set,
+// the database and its backups (password hashes, sessions, private
+// memories). New front-end files must be added to this list.
+const PUBLIC_FILES = new Set([
+  '/',
+  '/index.html',
+  '/offline.html',
+  '/styles.css',
+  '/script.js',
+  '/memories.js',
+  '/memory-detail.js',
+  '/itinerary-editor.js',
+  '/trip-map.js',
+  '/offline-queue.js',
+  '/live-updates.js',
+  '/push-notifications.js',
+  '/service-worker.js',
+  '/manifest.json',
+  '/map-outline.json',
+  '/ca-e-gui.webp',
+  '/ca-e-gui.jpg',
+  '/icon-192.png',
+  '/icon-512.png',
+]);
+const serveFrontEnd = express.static(__dirname);
+app.use((req, res, next) => (PUBLIC_FILES.has(req.path) ? serveFrontEnd(req, res, next) : next()));
+
+// Behind a reverse proxy (Render terminates HTTPS) Express must trust the
+// X-Forwarded-* headers to know the original protocol and client IP. Enabled
+// with TRUST_PROXY (a hop count or "true") and by default on Render.
+const trustProxy = process.env.TRUST_PROXY || (process.env.RENDER ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true');
+}
+
+// Session lifetimes. Browser sessions expire SESSION_TTL_HOURS after the last
+// request; "lembrar de mim" keeps the cookie for SESSION_MAX_AGE_DAYS.
+const SESSION_TTL = Number(process.env.SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+const SESSION_MAX_AGE = Number(process.env.SESSION_MAX_AGE_DAYS || 30) * 24 * 60 * 60 * 1000;
 
-// Configure session handling using cookies. Sessions are stored in memory
-// which is sufficient for this small application. When running behind HTTPS
-// in production, set cookie.secure to true.
+// Configure session handling using cookies. Sessions are persisted through
+// the storage layer so nobody is logged out by a restart or deploy. The
+// cookie is marked secure automatically when the request arrived over HTTPS.
 app.use(
   session({
+    store: new StorageSessionStore({ store, ttl: SESSION_TTL }),
     secret: process.env.SESSION_SECRET || 'supersecretkey',
     resave: false,
     saveUninitialized: false,
     cookie: {
       httpOnly: true,
       sameSite: 'lax',
-      secure: false, // set to true when deploying behind HTTPS
+      secure: 'auto',
     },
   })
 );
@@ -145,6 +250,7 @@ app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Next-Cursor');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -178,6 +284,234 @@ const upload = multer({
   fileFilter,
 });
 
+// Ids chosen by clients for queued uploads (uuids in practice).
+const CLIENT_ID = /^[\w-]{1,64}$/;
+
+/**
+ * The memory a user already created with a given client id, if any.
+ *
+ * @param {string} clientId
+ * @param {string} username
+ * @returns {object|undefined}
+ */
+function findByClientId(clientId, username) {
+  return store.all('memories').find((m) => m.clientId === clientId && m.user === username);
+}
+
+/**
+ * Delete an uploaded file given its public URL (/uploads/<name>). Only the
+ * base name is used, so the path can never point outside uploadsDir.
+ * Missing files are ignored.
+ *
+ * @param {string} url
+ */
+function removeUploadedFile(url) {
+  const filePath = path.join(uploadsDir, path.basename(String(url)));
+  try {
+    fs.unlinkSync(filePath);
+  } catch (_err) {
+    // ignore missing files
+  }
+}
+
+// Thumbnails, medium-sized copies and video posters of uploads (see
+// media.js). Their URLs are kept in `memory.mediaVariants`, keyed by the
+// URL of the original file.
+const thumbnails = createMediaProcessor({ uploadsDir });
+
+/**
+ * Remove a media item of a memory: the original file, its generated
+ * variants and the `mediaVariants` entry. Does not save the memory.
+ *
+ * @param {object} mem Memory (mutated)
+ * @param {string} url
+ */
+function removeMemoryMedia(mem, url) {
+  const variants = mem.mediaVariants && mem.mediaVariants[url];
+  removeUploadedFile(url);
+  thumbnails.filesOf(variants).forEach(removeUploadedFile);
+  if (variants) delete mem.mediaVariants[url];
+  if (mem.mediaMetadata) delete mem.mediaMetadata[url];
+}
+
+// Capture time and position of uploads (see metadata.js), kept in
+// `memory.mediaMetadata` keyed by URL like the variants:
+// { takenAt, latitude, longitude, altitude, camera }. Set
+// STRIP_PUBLIC_GPS=false to keep the positions of public memories.
+// The memory fields filled from those positions are listed in
+// `memory.positionFromMedia` ('coordinates', 'location'), so they can be
+// told apart from what the author typed.
+const stripPublicGps = process.env.STRIP_PUBLIC_GPS !== 'false';
+
+/**
+ * Read the capture metadata of new uploads.
+ *
+ * @param {string[]} urls
+ * @returns {Promise<Object<string, object>>} Metadata keyed by URL
+ */
+async function readMediaMetadata(urls) {
+  const result = {};
+  for (const url of urls) {
+    const found = await metadata.read(path.join(uploadsDir, path.basename(url)));
+    if (!found) continue;
+    // Images are rotated upright by media.js, so the orientation is spent.
+    delete found.orientation;
+    if (Object.keys(found).length > 0) result[url] = found;
+  }
+  return result;
+}
+
+// "-34.603700, -58.381600"
+const formatCoordinates = ({ latitude, longitude }) => `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
+
+/**
+ * Fill the empty fields of a memory from the metadata of its media, in
+ * media order: `date` from the first capture time, `day` from the
+ * itinerary day of the date (see itinerary.dayForDate()), `location` and
+ * `coordinates` from the first GPS position. The location is the name of
+ * the known place the media was taken at (see places.nearest()) or else
+ * the coordinates in decimal degrees, for the author to rename; both are
+ * recorded in `positionFromMedia`. Memories published as public while
+ * STRIP_PUBLIC_GPS is on don't get the position, which would reveal what
+ * stripPublicLocation() removes.
+ *
+ * @param {object} mem Memory (mutated)
+ * @param {{ date?: boolean }} [options] Whether the date may be filled
+ * @returns {string[]} Names of the fields filled
+ */
+function autofillFromMedia(mem, { date = true } = {}) {
+  const found = (mem.media || []).map((url) => (mem.mediaMetadata || {})[url]).filter(Boolean);
+  const taken = found.find((m) => m.takenAt);
+  const placed =
+    !(stripPublicGps && mem.status === 'public') &&
+    found.find((m) => m.latitude !== undefined && m.longitude !== undefined);
+  const filled = [];
+  if (taken && date && !mem.date) {
+    mem.date = taken.takenAt;
+    filled.push('date');
+  }
+  // The day follows the memory's date when the author chose it.
+  const dayDate = taken && (date && mem.date ? mem.date : taken.takenAt);
+  const suggestedDay = dayDate ? itinerary.dayForDate(itinerary.list(store), dayDate) : undefined;
+  if (suggestedDay !== undefined && (mem.day === undefined || mem.day === null || mem.day === '')) {
+    mem.day = suggestedDay;
+    filled.push('day');
+  }
+  if (placed && !mem.coordinates) {
+    mem.coordinates = places.parseCoordinates(placed);
+    filled.push('coordinates');
+    markFromMedia(mem, 'coordinates');
+  }
+  if (placed && !mem.location) {
+    mem.location = places.nearest(placed) || formatCoordinates(placed);
+    filled.push('location');
+    markFromMedia(mem, 'location');
+  }
+  return filled;
+}
+
+/**
+ * Record that a field of a memory comes from the GPS position of its media.
+ *
+ * @param {object} mem Memory (mutated)
+ * @param {'coordinates'|'location'} field
+ */
+function markFromMedia(mem, field) {
+  const fields = mem.positionFromMedia || [];
+  if (!fields.includes(field)) mem.positionFromMedia = fields.concat(field);
+}
+
+/**
+ * Forget the source of the fields the author changed in an edit: what they
+ * typed doesn't come from the media anymore.
+ *
+ * @param {object} mem Memory after the edit (mutated)
+ * @param {object} before Stored memory
+ */
+function keepAuthorPosition(mem, before) {
+  if (!mem.positionFromMedia) return;
+  const fields = mem.positionFromMedia.filter((field) => JSON.stringify(mem[field]) === JSON.stringify(before[field]));
+  if (fields.length > 0) mem.positionFromMedia = fields;
+  else delete mem.positionFromMedia;
+}
+
+/**
+ * Give a memory without coordinates those of the known place named in its
+ * location (see places.locate()), so it shows on the map.
+ *
+ * @param {object} mem Memory (mutated)
+ */
+function locateMemory(mem) {
+  if (mem.coordinates || !mem.location) return;
+  const found = places.locate(mem.location);
+  if (!found) return;
+  mem.coordinates = found;
+  // A place named after the media's position still tells where they were.
+  if ((mem.positionFromMedia || []).includes('location')) markFromMedia(mem, 'coordinates');
+}
+
+/**
+ * Remove the GPS position from media files (originals; the generated
+ * variants never carry metadata).
+ *
+ * @param {string[]} urls
+ * @returns {Promise<boolean>} Whether any file changed
+ */
+async function stripMediaFiles(urls) {
+  let changed = false;
+  for (const url of urls) {
+    try {
+      if (await metadata.stripLocation(path.join(uploadsDir, path.basename(url)))) changed = true;
+    } catch (err) {
+      console.warn(`Não foi possível remover a localização de ${path.basename(url)}: ${err.message}`);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Remove the GPS positions kept in `mediaMetadata` of a public memory and
+ * the `coordinates` and `location` filled from them (see
+ * `positionFromMedia`); the synchronous half of stripPublicLocation() for
+ * use inside transactions. Run it before locateMemory(), which may place
+ * the memory again from a location the author typed.
+ *
+ * @param {object} mem Memory (mutated)
+ * @returns {boolean} Whether anything was removed
+ */
+function dropMediaPositions(mem) {
+  if (!stripPublicGps || mem.status !== 'public') return false;
+  let changed = false;
+  Object.values(mem.mediaMetadata || {}).forEach((found) => {
+    if (found.latitude === undefined) return;
+    delete found.latitude;
+    delete found.longitude;
+    delete found.altitude;
+    changed = true;
+  });
+  (mem.positionFromMedia || []).forEach((field) => {
+    mem[field] = field === 'location' ? '' : undefined;
+    changed = true;
+  });
+  delete mem.positionFromMedia;
+  return changed;
+}
+
+/**
+ * Remove the GPS position from the media of a public memory: from the
+ * files, from `mediaMetadata` and from the fields filled with it. The
+ * `location` and `coordinates` typed by the author are left alone. Does not
+ * save the memory.
+ *
+ * @param {object} mem Memory (mutated)
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+async function stripPublicLocation(mem) {
+  if (!stripPublicGps || mem.status !== 'public') return false;
+  const files = await stripMediaFiles(mem.media || []);
+  return dropMediaPositions(mem) || files;
+}
+
 // Authentication middleware: ensures a logged in session exists. Responds
 // with 401 if the user is not authenticated.
 function requireAuth(req, res, next) {
@@ -188,22 +522,132 @@ function requireAuth(req, res, next) {
   }
 }
 
+// Loads the memory referenced by :id into req.memory when the logged in user
+// is allowed to see it. Hidden memories get the same 404 as missing ones so
+// their existence is not revealed.
+function loadVisibleMemory(req, res, next) {
+  const memory = store.get('memories', req.params.id);
+  if (!access.canView(memory, req.session.user.username)) {
+    return res.status(404).json({ error: 'Memória não encontrada' });
+  }
+  req.memory = memory;
+  next();
+}
+
+// Lets the request through only when the logged in user is the author of
+// req.memory. Placed before the upload middleware, so rejected requests
+// leave no files behind.
+function requireAuthor(req, res, next) {
+  if (!access.canEdit(req.memory, req.session.user.username)) {
+    return res.status(403).json({ error: 'Acesso negado' });
+  }
+  next();
+}
+
+// Same as loadVisibleMemory for comments: a comment is visible when its
+// memory is. Sets req.comment and req.memory.
+function loadVisibleComment(req, res, next) {
+  const comment = store.get('comments', req.params.id);
+  const memory = comment && store.get('memories', comment.memoryId);
+  if (!access.canView(memory, req.session.user.username)) {
+    return res.status(404).json({ error: 'Comentário não encontrado' });
+  }
+  req.comment = comment;
+  req.memory = memory;
+  next();
+}
+
+/**
+ * Publish a memory change. `before` is the stored memory before the change
+ * (null when created) and `after` the new one (null when deleted). Users
+ * who could see it before but not anymore receive a deletion, so their
+ * screens drop it. `days` lists the itinerary days whose panels show it.
+ * Visitors receive the publicView() of the memory.
+ *
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+function publishMemory(before, after) {
+  const memory = after || before;
+  const days = [before && before.day, after && after.day].filter((d, i, all) => all.indexOf(d) === i);
+  const wasPublic = Boolean(before && before.status === 'public');
+  const isPublic = Boolean(after && after.status === 'public');
+  events.publish('memory', (username) => {
+    if (after && access.canView(after, username)) {
+      const view = username ? after : publicView(after);
+      return { action: before ? 'updated' : 'created', id: memory.id, memory: view, days, public: wasPublic || isPublic };
+    }
+    if (before && access.canView(before, username)) {
+      return { action: 'deleted', id: memory.id, days, public: wasPublic };
+    }
+    return null;
+  });
+}
+
+/**
+ * Publish an event about a memory's comments or reactions to the logged in
+ * users who can see that memory. Visitors never see comments, not even on
+ * public memories.
+ *
+ * @param {object} memory
+ * @param {string} type Event name
+ * @param {object} payload
+ */
+function publishToViewers(memory, type, payload) {
+  events.publish(type, (username) =>
+    username && access.canView(memory, username) ? { memoryId: memory.id, ...payload } : null
+  );
+}
+
+const memoryUrl = (memory) => '/?memoria=' + encodeURIComponent(memory.id);
+
+/**
+ * Send a push notification about a memory the partner just published: users
+ * who can see `after` but could not see `before` (null when created). The
+ * author is never notified.
+ *
+ * @param {object|null} before
+ * @param {object} after
+ */
+function notifyMemoryShared(before, after) {
+  const recipients = users
+    .list()
+    .map((u) => u.username)
+    .filter((u) => u !== after.user && access.canView(after, u) && !(before && access.canView(before, u)));
+  if (recipients.length === 0) return;
+  push.notify(recipients, 'memories', {
+    title: `${after.user} publicou uma memória`,
+    body: after.title,
+    url: memoryUrl(after),
+    tag: 'memory-' + after.id,
+  });
+}
+
 // -----------------------------------------------------------------------------
 // Authentication routes
 //
 // POST /auth/login – Authenticate a user given username and password. On
-// success, the username is stored in the session. Invalid credentials
-// receive a 401 response.
-app.post('/auth/login', (req, res) => {
-  const { username, password } = req.body;
+// success the session gets a new id (so an id planted before the login is
+// worthless) and the username is stored in it. When `remember` is true
+// the cookie persists for SESSION_MAX_AGE_DAYS instead of ending with the
+// browser session. Invalid credentials receive a 401 response.
+app.post('/auth/login', (req, res, next) => {
+  const { username, password, remember } = req.body;
   if (!username || !password) {
     return res.status(400).json({ error: 'Usuário e senha são obrigatórios' });
   }
-  if (USERS[username] && USERS[username] === password) {
-    req.session.user = { username };
-    return res.json({ message: 'Login realizado com sucesso' });
+  const user = users.verify(username, password);
+  if (!user) {
+    return res.status(401).json({ error: 'Credenciais inválidas' });
   }
-  return res.status(401).json({ error: 'Credenciais inválidas' });
+  req.session.regenerate((err) => {
+    if (err) return next(err);
+    req.session.user = { username: user.username };
+    if (remember === true || remember === 'true' || remember === 'on') {
+      req.session.cookie.maxAge = SESSION_MAX_AGE;
+    }
+    res.json({ message: 'Login realizado com sucesso', user: user.username });
+  });
 });
 
 // POST /auth/logout – Destroy the current session.
@@ -223,29 +667,92 @@ app.get('/auth/me', (req, res) => {
 });
 
 // -----------------------------------------------------------------------------
-// Memory CRUD routes
+// Live updates
 //
-// GET /memories – List all memories accessible to the user. Supports
-// filtering by tag, status, text search and date range via query params.
-app.get('/memories', requireAuth, (req, res) => {
-  const db = loadDB();
-  let memories = db.memories;
-  const { tag, status, q, from, to, day } = req.query;
-  if (tag) {
-    const tagLower = String(tag).toLowerCase();
-    memories = memories.filter((m) => m.tags && m.tags.some((t) => t.toLowerCase() === tagLower));
-  }
-  if (status) {
-    memories = memories.filter((m) => m.status === status);
-  }
-  // Permite filtrar por "day" (dia do itinerário). Se um dia específico for fornecido
-  // via query param, retornamos apenas memórias associadas a esse dia. O campo
-  // day é armazenado como string ou número, então convertemos ambos para string
-  // para a comparação. Valores vazios ou nulos são ignorados.
-  if (day !== undefined && day !== null && String(day).trim() !== '') {
-    const dayStr = String(day);
-    memories = memories.filter((m) => m.day !== undefined && m.day !== null && String(m.day) === dayStr);
+// GET /events – Server-Sent Events stream with memory, comment, reaction and
+// progress changes (see events.js). Open to visitors, who only receive
+// changes to public memories and progress. The stream keeps the user of
+// the session at the time it was opened, so clients reconnect after login
+// and logout. Responds with 429 when too many streams are open, from the
+// same address or in total.
+app.get('/events', (req, res) => {
+  if (!events.subscribe(req, res, req.session && req.session.user ? req.session.user.username : null)) {
+    res.status(429).json({ error: 'Conexões demais abertas; feche algumas abas e tente novamente' });
   }
+});
+
+// -----------------------------------------------------------------------------
+// Push notifications
+//
+// GET /push/key – VAPID public key, passed by the browser to
+// pushManager.subscribe() as applicationServerKey.
+app.get('/push/key', requireAuth, (req, res) => {
+  res.json({ publicKey: push.publicKey });
+});
+
+// POST /push/subscriptions – Register this browser's push subscription
+// (the body is subscription.toJSON()) for the logged in user.
+app.post('/push/subscriptions', requireAuth, (req, res) => {
+  try {
+    push.subscribe(req.session.user.username, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.status(201).json({ message: 'Notificações ativadas' });
+});
+
+// DELETE /push/subscriptions – Stop sending notifications to a browser,
+// identified by the `endpoint` in the body. Called when the user turns
+// notifications off or logs out.
+app.delete('/push/subscriptions', requireAuth, (req, res) => {
+  if (!push.unsubscribe(req.session.user.username, req.body && req.body.endpoint)) {
+    return res.status(404).json({ error: 'Inscrição não encontrada' });
+  }
+  res.json({ message: 'Notificações desativadas' });
+});
+
+// GET /push/preferences – Which notifications the user wants:
+// { memories, comments, reactions }.
+app.get('/push/preferences', requireAuth, (req, res) => {
+  res.json(push.preferences(req.session.user.username));
+});
+
+// PUT /push/preferences – Change some of the preferences; returns them all.
+app.put('/push/preferences', requireAuth, (req, res) => {
+  res.json(push.setPreferences(req.session.user.username, req.body || {}));
+});
+
+// -----------------------------------------------------------------------------
+// Memory CRUD routes
+//
+// Filters shared by GET /memories and GET /memories/search. The facet
+// filters (tag, day, status and author) narrow the results one value at a
+// time; see findMemories().
+const FACET_FILTERS = {
+  tags: (m, value) => (m.tags || []).some((t) => t.toLowerCase() === String(value).toLowerCase()),
+  // day=none selects the memories without an itinerary day (the cover).
+  days: (m, value) => {
+    const hasDay = m.day !== undefined && m.day !== null && String(m.day) !== '';
+    return String(value) === 'none' ? !hasDay : hasDay && String(m.day) === String(value);
+  },
+  statuses: (m, value) => String(m.status || 'draft') === String(value),
+  authors: (m, value) => m.user === String(value),
+};
+
+/**
+ * Memories visible to the user that match the query parameters (q, from,
+ * to, tag, day, status, author), ranked by relevance when there is a text
+ * query. Facet counts follow the usual search-page convention: each facet
+ * is counted with every filter applied except its own, so the other values
+ * of a facet stay visible as alternatives after one is chosen.
+ *
+ * @param {string} username
+ * @param {object} query Request query parameters
+ * @returns {{ results: Array<{ memory, score, highlights }>, facets: object }}
+ */
+function findMemories(username, query) {
+  let memories = access.filterVisible(store.all('memories'), username);
+  const { q, from, to } = query;
   if (from) {
     const fromDate = new Date(from);
     memories = memories.filter((m) => new Date(m.date) >= fromDate);
@@ -254,35 +761,149 @@ app.get('/memories', requireAuth, (req, res) => {
     const toDate = new Date(to);
     memories = memories.filter((m) => new Date(m.date) <= toDate);
   }
-  if (q) {
-    const search = String(q).toLowerCase();
-    memories = memories.filter(
-      (m) =>
-        (m.title && m.title.toLowerCase().includes(search)) ||
-        (m.text && m.text.toLowerCase().includes(search))
+  let entries;
+  if (q && String(q).trim()) {
+    searchIndex.sync(store.all('memories'), store.all('comments'));
+    entries = searchIndex.search(String(q), memories);
+  } else {
+    entries = memories.map((memory) => ({ memory, score: 0, highlights: {} }));
+  }
+  // Valores vazios são ignorados, como nos filtros do painel de memórias.
+  const active = {
+    tags: query.tag,
+    days: query.day,
+    statuses: query.status,
+    authors: query.author,
+  };
+  Object.keys(active).forEach((facet) => {
+    const value = active[facet];
+    if (value === undefined || value === null || String(value).trim() === '') delete active[facet];
+  });
+  const matching = (except) =>
+    entries.filter((e) =>
+      Object.keys(active).every((facet) => facet === except || FACET_FILTERS[facet](e.memory, active[facet]))
     );
+  const facets = {};
+  Object.keys(FACET_FILTERS).forEach((facet) => {
+    facets[facet] = countFacet(matching(facet).map((e) => e.memory), facet);
+  });
+  return { results: matching(null), facets };
+}
+
+/**
+ * Sort and paginate the result of findMemories() according to the query
+ * (sort, order, limit, cursor; see pagination.js) and apply the summary
+ * projection when `fields=summary`.
+ *
+ * @param {Array<{ memory, score, highlights }>} results
+ * @param {object} query Request query parameters
+ * @returns {{ page: Array<{ memory, score, highlights }>, nextCursor: string|null }}
+ * @throws {Error} For invalid list options
+ */
+function listPage(results, query) {
+  const options = pagination.parseListOptions(query, Boolean(query.q && String(query.q).trim()));
+  const { page, nextCursor } = pagination.paginate(results, options);
+  if (query.fields === 'summary') {
+    const commentCounts = new Map();
+    store.all('comments').forEach((c) => commentCounts.set(c.memoryId, (commentCounts.get(c.memoryId) || 0) + 1));
+    page.forEach((e) => {
+      e.memory = pagination.summarize(e.memory, commentCounts.get(e.memory.id) || 0);
+    });
   }
-  res.json(memories);
+  return { page, nextCursor };
+}
+
+// GET /memories – List all memories accessible to the user. Supports
+// filtering by tag, status, author, itinerary day (day=none for memories
+// without one), date range and a text search (q), in which case the most
+// relevant memories come first. `sort` (date, createdAt, updatedAt,
+// reactions) and `order` (asc, desc) change the order; with `limit`, the
+// response is one page and the X-Next-Cursor header, when present, is the
+// `cursor` to pass for the next one. `fields=summary` returns lighter
+// records for cards (see pagination.js).
+app.get('/memories', requireAuth, (req, res) => {
+  let list;
+  try {
+    list = listPage(findMemories(req.session.user.username, req.query).results, req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (list.nextCursor) res.setHeader('X-Next-Cursor', list.nextCursor);
+  res.json(list.page.map((e) => e.memory));
+});
+
+// GET /memories/search – Same parameters as GET /memories, for the search
+// page: { total, results, facets, nextCursor }. Each result is the memory
+// plus its `score` and `highlights` (matched ranges in the title and a
+// snippet of the best matching field, see search.js); `facets` counts
+// tags, days, authors and statuses of all matching memories as
+// [{ value, count }], and `total` is their number, whatever the page.
+app.get('/memories/search', requireAuth, (req, res) => {
+  const { results, facets } = findMemories(req.session.user.username, req.query);
+  let list;
+  try {
+    list = listPage(results, req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({
+    total: results.length,
+    results: list.page.map((e) => ({ ...e.memory, score: e.score, highlights: e.highlights })),
+    facets,
+    nextCursor: list.nextCursor,
+  });
 });
 
 // POST /memories – Create a new memory. Accepts multipart/form-data with
 // optional media files. Required fields: title. Tags may be provided as
-// comma-separated strings or an array. Date defaults to now.
-app.post('/memories', requireAuth, upload.array('media'), (req, res) => {
-  const { title, text, date, tags, location, status } = req.body;
+// comma-separated strings or an array. Date, day and location left empty
+// are filled from the capture metadata of the media (see
+// autofillFromMedia(); `autofill=false` turns this off) and the response
+// lists them in `autofilled`; the date otherwise defaults to now.
+// `coordinates` ("lat, lng") place the memory on the map; without them the
+// GPS position of the media or the known place named in `location` is
+// used (see places.js). `sharedWith` lists who may read the memory while it
+// is private (the couple by default).
+// `clientId` is an optional id chosen by the client (see offline-queue.js):
+// an upload replayed after a lost response returns the memory created the
+// first time instead of a duplicate.
+app.post('/memories', requireAuth, upload.array('media'), async (req, res, next) => {
+  const { title, text, date, tags, location, status, sharedWith } = req.body;
   // O campo day representa o dia do itinerário associado a esta memória (opcional).
   const { day } = req.body;
+  const clientId = CLIENT_ID.test(String(req.body.clientId || '')) ? String(req.body.clientId) : undefined;
   if (!title) {
+    (req.files || []).forEach((f) => removeUploadedFile(f.path));
     return res.status(400).json({ error: 'Título é obrigatório' });
   }
+  let coordinates;
+  try {
+    coordinates = places.parseCoordinates(req.body.coordinates) || undefined;
+  } catch (err) {
+    (req.files || []).forEach((f) => removeUploadedFile(f.path));
+    return res.status(400).json({ error: err.message });
+  }
+  const existing = clientId && findByClientId(clientId, req.session.user.username);
+  if (existing) {
+    (req.files || []).forEach((f) => removeUploadedFile(f.path));
+    return res.json(existing);
+  }
   const mediaFiles = req.files ? req.files.map((f) => '/uploads/' + path.basename(f.path)) : [];
-  const db = loadDB();
+  let mediaMetadata;
+  let mediaVariants = {};
+  try {
+    mediaMetadata = await readMediaMetadata(mediaFiles);
+    mediaVariants = await thumbnails.processAll(mediaFiles);
+  } catch (err) {
+    mediaFiles.forEach((url) => removeMemoryMedia({ mediaVariants }, url));
+    return next(err);
+  }
   const memory = {
     id: uuidv4(),
     user: req.session.user.username,
     title: String(title),
     text: text ? String(text) : '',
-    date: date ? String(date) : new Date().toISOString(),
+    date: date ? String(date) : undefined,
     tags: tags
       ? Array.isArray(tags)
         ? tags
@@ -292,236 +913,870 @@ app.post('/memories', requireAuth, upload.array('media'), (req, res) => {
             .filter((s) => s)
       : [],
     location: location ? String(location) : '',
+    coordinates,
     status: status ? String(status) : 'draft',
+    sharedWith: access.sharedWithFor(sharedWith, req.session.user.username),
     media: mediaFiles,
+    mediaVariants,
+    mediaMetadata,
     day: day !== undefined && day !== null && String(day).trim() !== '' ? isNaN(Number(day)) ? String(day) : Number(day) : undefined,
+    clientId,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     reactions: {},
   };
-  db.memories.push(memory);
-  saveDB(db);
-  res.json(memory);
+  const autofilled = String(req.body.autofill) === 'false' ? [] : autofillFromMedia(memory);
+  if (!memory.date) memory.date = memory.createdAt;
+  try {
+    await stripPublicLocation(memory);
+  } catch (err) {
+    mediaFiles.forEach((url) => removeMemoryMedia(memory, url));
+    return next(err);
+  }
+  locateMemory(memory);
+  let result;
+  try {
+    // Checked again at insert time: a replay may have arrived while the
+    // media were processed.
+    result = store.transaction(() => {
+      const first = clientId && findByClientId(clientId, memory.user);
+      return first ? { existing: first } : { saved: store.insert('memories', memory) };
+    });
+  } catch (err) {
+    mediaFiles.forEach((url) => removeMemoryMedia(memory, url));
+    return next(err);
+  }
+  if (result.existing) {
+    mediaFiles.forEach((url) => removeMemoryMedia(memory, url));
+    return res.json(result.existing);
+  }
+  const { saved } = result;
+  publishMemory(null, saved);
+  notifyMemoryShared(null, saved);
+  res.json(autofilled.length > 0 ? { ...saved, autofilled } : saved);
 });
 
 // GET /memories/:id – Retrieve a memory by ID along with its comments.
-app.get('/memories/:id', requireAuth, (req, res) => {
-  const db = loadDB();
-  const memory = db.memories.find((m) => m.id === req.params.id);
-  if (!memory) {
-    return res.status(404).json({ error: 'Memória não encontrada' });
-  }
-  const comments = db.comments.filter((c) => c.memoryId === memory.id);
+app.get('/memories/:id', requireAuth, loadVisibleMemory, (req, res) => {
+  const memory = req.memory;
+  const comments = store.all('comments').filter((c) => c.memoryId === memory.id);
   res.json({ ...memory, comments });
 });
 
 // PUT /memories/:id – Update a memory. Only the author can update. Uploaded
-// files are appended to the existing media array. Fields omitted in the
-// request are ignored.
-app.put('/memories/:id', requireAuth, upload.array('media'), (req, res) => {
-  const db = loadDB();
-  const idx = db.memories.findIndex((m) => m.id === req.params.id);
-  if (idx === -1) {
-    return res.status(404).json({ error: 'Memória não encontrada' });
-  }
-  const mem = db.memories[idx];
-  if (mem.user !== req.session.user.username) {
-    return res.status(403).json({ error: 'Acesso negado' });
+// files are appended to the existing media array, and their metadata fills
+// the day and location if still empty (see POST /memories). Empty
+// `coordinates` are looked up from the location again. Fields omitted in
+// the request are ignored. A memory made public loses the coordinates and
+// location filled from its media (see dropMediaPositions()).
+app.put('/memories/:id', requireAuth, loadVisibleMemory, requireAuthor, upload.array('media'), async (req, res, next) => {
+  const username = req.session.user.username;
+  let coordinates;
+  try {
+    coordinates = places.parseCoordinates(req.body.coordinates) || undefined;
+  } catch (err) {
+    (req.files || []).forEach((f) => removeUploadedFile(f.path));
+    return res.status(400).json({ error: err.message });
   }
-  const { title, text, date, tags, location, status } = req.body;
+  // Only the fields sent are changed.
+  const changes = {};
+  const { title, text, date, tags, location, status, sharedWith } = req.body;
   const { day } = req.body;
-  if (title !== undefined) mem.title = String(title);
-  if (text !== undefined) mem.text = String(text);
-  if (date !== undefined) mem.date = String(date);
+  if (title !== undefined) changes.title = String(title);
+  if (text !== undefined) changes.text = String(text);
+  if (date !== undefined) changes.date = String(date);
   if (tags !== undefined) {
-    mem.tags = Array.isArray(tags)
+    changes.tags = Array.isArray(tags)
       ? tags
       : String(tags)
           .split(',')
           .map((s) => s.trim())
           .filter((s) => s);
   }
-  if (location !== undefined) mem.location = String(location);
-  if (status !== undefined) mem.status = String(status);
+  if (location !== undefined) changes.location = String(location);
+  if (req.body.coordinates !== undefined) changes.coordinates = coordinates;
+  if (status !== undefined) changes.status = String(status);
+  if (sharedWith !== undefined) changes.sharedWith = access.sharedWithFor(sharedWith, req.memory.user);
   // Permite atualizar o campo day se fornecido (ex.: mover memória para outro dia).
   if (day !== undefined) {
     if (day === null || String(day).trim() === '') {
-      mem.day = undefined;
+      changes.day = undefined;
     } else {
-      mem.day = isNaN(Number(day)) ? String(day) : Number(day);
+      changes.day = isNaN(Number(day)) ? String(day) : Number(day);
     }
   }
-  if (req.files && req.files.length > 0) {
-    const newFiles = req.files.map((f) => '/uploads/' + path.basename(f.path));
-    mem.media = mem.media.concat(newFiles);
+
+  // New media are processed before the memory is read again and saved, so
+  // reactions, comments or edits that arrive meanwhile are kept.
+  const newFiles = (req.files || []).map((f) => '/uploads/' + path.basename(f.path));
+  let newMetadata;
+  let newVariants = {};
+  try {
+    newMetadata = await readMediaMetadata(newFiles);
+    newVariants = await thumbnails.processAll(newFiles);
+    const willBePublic = (changes.status !== undefined ? changes.status : req.memory.status) === 'public';
+    if (stripPublicGps && willBePublic) {
+      await stripMediaFiles(req.memory.status === 'public' ? newFiles : req.memory.media.concat(newFiles));
+    }
+  } catch (err) {
+    newFiles.forEach((url) => removeMemoryMedia({ mediaVariants: newVariants }, url));
+    return next(err);
   }
-  mem.updatedAt = new Date().toISOString();
-  db.memories[idx] = mem;
-  saveDB(db);
-  res.json(mem);
-});
 
-// DELETE /memories/:id – Remove a memory and its associated comments. Only
-// the author may delete. Uploaded media files are removed from disk.
-app.delete('/memories/:id', requireAuth, (req, res) => {
-  const db = loadDB();
-  const idx = db.memories.findIndex((m) => m.id === req.params.id);
-  if (idx === -1) {
-    return res.status(404).json({ error: 'Memória não encontrada' });
+  let result;
+  try {
+    result = store.transaction(() => {
+      const before = store.get('memories', req.memory.id);
+      if (!access.canEdit(before, username)) return null;
+      const mem = { ...before, ...changes };
+      keepAuthorPosition(mem, before);
+      let autofilled = [];
+      if (newFiles.length > 0) {
+        mem.media = before.media.concat(newFiles);
+        mem.mediaMetadata = { ...before.mediaMetadata, ...newMetadata };
+        mem.mediaVariants = { ...before.mediaVariants, ...newVariants };
+        if (String(req.body.autofill) !== 'false') autofilled = autofillFromMedia(mem, { date: false });
+      }
+      dropMediaPositions(mem);
+      locateMemory(mem);
+      mem.updatedAt = new Date().toISOString();
+      return { before, saved: store.update('memories', mem), autofilled };
+    });
+  } catch (err) {
+    newFiles.forEach((url) => removeMemoryMedia({ mediaVariants: newVariants }, url));
+    return next(err);
   }
-  const mem = db.memories[idx];
-  if (mem.user !== req.session.user.username) {
-    return res.status(403).json({ error: 'Acesso negado' });
+  if (!result) {
+    // Deleted or taken over while the media were processed.
+    newFiles.forEach((url) => removeMemoryMedia({ mediaVariants: newVariants }, url));
+    return res.status(404).json({ error: 'Memória não encontrada' });
   }
+  const { before, saved, autofilled } = result;
+  publishMemory(before, saved);
+  notifyMemoryShared(before, saved);
+  res.json(autofilled.length > 0 ? { ...saved, autofilled } : saved);
+});
+
+// DELETE /memories/:id – Remove a memory and its associated comments,
+// replies included (they carry the memoryId too). Only the author may
+// delete. Uploaded media files and their variants are removed from disk.
+app.delete('/memories/:id', requireAuth, loadVisibleMemory, requireAuthor, (req, res) => {
+  const mem = req.memory;
   // Remove uploaded files for this memory
-  mem.media.forEach((p) => {
-    const filePath = path.join(__dirname, p);
-    try {
-      fs.unlinkSync(filePath);
-    } catch (_err) {
-      // ignore missing files
-    }
+  mem.media.forEach((url) => removeMemoryMedia(mem, url));
+  // Remove the memory and the comments tied to it in a single transaction
+  store.transaction(() => {
+    store.remove('memories', mem.id);
+    store
+      .all('comments')
+      .filter((c) => c.memoryId === mem.id)
+      .forEach((c) => store.remove('comments', c.id));
   });
-  db.memories.splice(idx, 1);
-  // Remove comments tied to this memory
-  db.comments = db.comments.filter((c) => c.memoryId !== mem.id);
-  saveDB(db);
+  publishMemory(mem, null);
   res.json({ message: 'Memória excluída' });
 });
 
+// DELETE /memories/:id/media/:file – Remove a single media item, identified
+// by its file name, from a memory and delete the file from uploadsDir. Only
+// the author may remove media. Returns the updated memory.
+app.delete('/memories/:id/media/:file', requireAuth, loadVisibleMemory, requireAuthor, (req, res) => {
+  const username = req.session.user.username;
+  // Applied to the stored record, so concurrent edits and reactions are kept.
+  const result = store.transaction(() => {
+    const before = store.get('memories', req.memory.id);
+    if (!access.canEdit(before, username)) return { status: 404, error: 'Memória não encontrada' };
+    const url = before.media.find((p) => path.basename(p) === req.params.file);
+    if (!url) return { status: 404, error: 'Mídia não encontrada' };
+    const mem = { ...before, media: before.media.filter((p) => p !== url) };
+    mem.mediaVariants = { ...before.mediaVariants };
+    delete mem.mediaVariants[url];
+    if (before.mediaMetadata) {
+      mem.mediaMetadata = { ...before.mediaMetadata };
+      delete mem.mediaMetadata[url];
+    }
+    mem.updatedAt = new Date().toISOString();
+    return { before, url, saved: store.update('memories', mem) };
+  });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  const { before, url, saved } = result;
+  // The files go once the memory no longer lists them.
+  removeMemoryMedia({ mediaVariants: { ...before.mediaVariants } }, url);
+  publishMemory(before, saved);
+  res.json(saved);
+});
+
+// PUT /memories/:id/media – Reorder the media of a memory. The body must
+// contain `media`, an array with the same URLs currently stored, in the new
+// order. Only the author may reorder. Returns the updated memory.
+app.put('/memories/:id/media', requireAuth, loadVisibleMemory, requireAuthor, (req, res) => {
+  const username = req.session.user.username;
+  const { media } = req.body;
+  const result = store.transaction(() => {
+    const before = store.get('memories', req.memory.id);
+    if (!access.canEdit(before, username)) return { status: 404, error: 'Memória não encontrada' };
+    const sameItems =
+      Array.isArray(media) &&
+      media.length === before.media.length &&
+      new Set(media).size === media.length &&
+      media.every((p) => before.media.includes(p));
+    if (!sameItems) return { status: 400, error: 'A nova ordem deve conter exatamente as mídias atuais' };
+    const mem = { ...before, media: media.map(String), updatedAt: new Date().toISOString() };
+    return { before, saved: store.update('memories', mem) };
+  });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  publishMemory(result.before, result.saved);
+  res.json(result.saved);
+});
+
 // -----------------------------------------------------------------------------
 // Comment and reaction endpoints
 //
-// POST /memories/:id/comments – Add a comment to a memory.
-app.post('/memories/:id/comments', requireAuth, (req, res) => {
-  const { text } = req.body;
+// POST /memories/:id/comments – Add a comment to a memory. A `parentId`
+// makes it a reply. Threads have a single level: replying to a reply
+// attaches the new comment to the top-level comment of that thread.
+app.post('/memories/:id/comments', requireAuth, loadVisibleMemory, (req, res) => {
+  const { text, parentId } = req.body;
   if (!text || !String(text).trim()) {
     return res.status(400).json({ error: 'Comentário vazio' });
   }
-  const db = loadDB();
-  const memory = db.memories.find((m) => m.id === req.params.id);
-  if (!memory) {
-    return res.status(404).json({ error: 'Memória não encontrada' });
+  const memory = req.memory;
+  let threadId;
+  if (parentId) {
+    const parent = store.get('comments', String(parentId));
+    if (!parent || parent.memoryId !== memory.id) {
+      return res.status(400).json({ error: 'Comentário respondido não encontrado' });
+    }
+    threadId = parent.parentId || parent.id;
   }
   const comment = {
     id: uuidv4(),
     memoryId: memory.id,
+    parentId: threadId,
     user: req.session.user.username,
     text: String(text),
     createdAt: new Date().toISOString(),
     reactions: {},
   };
-  db.comments.push(comment);
-  saveDB(db);
-  res.json(comment);
+  const saved = store.insert('comments', comment);
+  publishToViewers(memory, 'comment', { action: 'created', comment: saved });
+  if (memory.user !== saved.user) {
+    push.notify([memory.user], 'comments', {
+      title: `${saved.user} comentou em “${memory.title}”`,
+      body: saved.text,
+      url: memoryUrl(memory),
+      tag: 'comments-' + memory.id,
+    });
+  }
+  res.json(saved);
 });
 
 // GET /memories/:id/comments – List comments for a specific memory.
-app.get('/memories/:id/comments', requireAuth, (req, res) => {
-  const db = loadDB();
-  const comments = db.comments.filter((c) => c.memoryId === req.params.id);
+app.get('/memories/:id/comments', requireAuth, loadVisibleMemory, (req, res) => {
+  const comments = store.all('comments').filter((c) => c.memoryId === req.memory.id);
   res.json(comments);
 });
 
+// PUT /comments/:id – Edit the text of a comment. Only the author can edit;
+// `editedAt` marks the comment as edited.
+app.put('/comments/:id', requireAuth, loadVisibleComment, (req, res) => {
+  const comment = req.comment;
+  if (comment.user !== req.session.user.username) {
+    return res.status(403).json({ error: 'Acesso negado' });
+  }
+  const { text } = req.body;
+  if (!text || !String(text).trim()) {
+    return res.status(400).json({ error: 'Comentário vazio' });
+  }
+  // Applied to the stored comment, so reactions added meanwhile are kept.
+  const saved = store.transaction(() => {
+    const current = store.get('comments', comment.id);
+    if (!current || current.user !== req.session.user.username) return null;
+    return store.update('comments', { ...current, text: String(text), editedAt: new Date().toISOString() });
+  });
+  if (!saved) {
+    return res.status(404).json({ error: 'Comentário não encontrado' });
+  }
+  publishToViewers(req.memory, 'comment', { action: 'updated', comment: saved });
+  res.json(saved);
+});
+
+// DELETE /comments/:id – Remove a comment and, for a top-level comment, all
+// of its replies. Only the author may delete. Returns the removed ids.
+app.delete('/comments/:id', requireAuth, loadVisibleComment, (req, res) => {
+  const comment = req.comment;
+  if (comment.user !== req.session.user.username) {
+    return res.status(403).json({ error: 'Acesso negado' });
+  }
+  const removed = store.transaction(() =>
+    store
+      .all('comments')
+      .filter((c) => c.id === comment.id || c.parentId === comment.id)
+      .map((c) => {
+        store.remove('comments', c.id);
+        return c.id;
+      })
+  );
+  publishToViewers(req.memory, 'comment', { action: 'deleted', removed });
+  res.json({ message: 'Comentário excluído', removed });
+});
+
+// -----------------------------------------------------------------------------
+// Itinerary endpoints
+//
+// Days are identified by their number (1, 2, …). Reading is public, since the
+// itinerary is the main page of the site; changes require a login.
+
+// Parse the :day route parameter, responding with 400 when it is not a
+// positive integer.
+function dayParam(req, res, next) {
+  const day = Number(req.params.day);
+  if (!Number.isInteger(day) || day < 1) {
+    return res.status(400).json({ error: 'Dia inválido' });
+  }
+  req.day = day;
+  next();
+}
+
+// GET /itinerary – List every day of the trip, ordered by number.
+app.get('/itinerary', (req, res) => {
+  res.json(itinerary.list(store));
+});
+
+// POST /itinerary – Create a day. The body holds title, subtitle,
+// highlight and schedule ([{ id, time, description, transport, coordinates }],
+// where the item id is omitted for new items and empty coordinates are
+// looked up from the description); `id` is optional and defaults to the
+// day after the last one.
+app.post('/itinerary', requireAuth, (req, res) => {
+  const days = itinerary.list(store);
+  const id = req.body.id !== undefined ? Number(req.body.id) : days.reduce((max, d) => Math.max(max, d.id), 0) + 1;
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Dia inválido' });
+  }
+  if (store.get('itinerary', id)) {
+    return res.status(409).json({ error: 'Dia já existe' });
+  }
+  let day;
+  try {
+    day = itinerary.normaliseDay(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(store.transaction(() => itinerary.saveDay(store, id, day)));
+});
+
+// PUT /itinerary/order – Reorder the days. The body holds `order`, every
+// current day number in the new order; days are renumbered from 1 and the
+// completion state of each day follows it, while the number and date in
+// the titles stay with the position, as do the memories (a memory belongs
+// to the day of its date). Returns the reordered itinerary.
+app.put('/itinerary/order', requireAuth, (req, res) => {
+  try {
+    res.json(store.transaction(() => itinerary.reorderDays(store, req.body.order)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PUT /itinerary/:day – Update a day. Fields omitted in the request keep
+// their current value; `schedule`, when sent, replaces the whole list.
+// Items are matched by id, so reordering, inserting or removing items
+// keeps the completion state of the others.
+app.put('/itinerary/:day', requireAuth, dayParam, (req, res) => {
+  const current = store.get('itinerary', req.day);
+  if (!current) {
+    return res.status(404).json({ error: 'Dia não encontrado' });
+  }
+  let day;
+  try {
+    day = itinerary.normaliseDay(req.body, current);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(store.transaction(() => itinerary.saveDay(store, req.day, day)));
+});
+
+// DELETE /itinerary/:day – Remove a day and the completion state of its
+// items. Memories linked to the day are kept, no longer linked to a day,
+// and announced to open pages.
+app.delete('/itinerary/:day', requireAuth, dayParam, (req, res) => {
+  const unlinked = store.transaction(() => itinerary.removeDay(store, req.day));
+  if (!unlinked) {
+    return res.status(404).json({ error: 'Dia não encontrado' });
+  }
+  unlinked.forEach(({ before, after }) => publishMemory(before, after));
+  res.json({ message: 'Dia excluído' });
+});
+
 // -----------------------------------------------------------------------------
 // Public diary and itinerary progress endpoints
 //
 // GET /public-memories – Return all memories marked as public. This endpoint
 // does not require authentication and is used to populate the public diary.
 // Memories are sorted by date ascending (oldest first) to reflect
-// chronological order. The response includes the same fields stored in
-// the database. Clients should ignore any sensitive fields if present.
+// chronological order. Only the fields of publicView() are included.
 app.get('/public-memories', (req, res) => {
-  const db = loadDB();
-  const publicMems = db.memories
+  const publicMems = store
+    .all('memories')
     .filter((m) => String(m.status) === 'public')
     .sort((a, b) => {
       // Order by provided date if available, otherwise createdAt
       const dateA = new Date(a.date || a.createdAt || 0);
       const dateB = new Date(b.date || b.createdAt || 0);
       return dateA - dateB;
-    });
+    })
+    .map(publicView);
   res.json(publicMems);
 });
 
 // GET /progress – Retrieve the current completion status of itinerary items.
-// The returned object maps "day-index" strings to boolean values. This
-// endpoint is public to allow visitors to read which items have been marked
-// as completed. Clients should treat missing keys as `false`.
+// The returned object maps schedule item ids to
+// { completed, completedBy, completedAt, day }. Only completed items are
+// listed; clients should treat missing keys as not completed. This endpoint
+// is public to allow visitors to read which items have been marked.
 app.get('/progress', (req, res) => {
-  const db = loadDB();
-  res.json(db.progress || {});
-});
-
-// PUT /progress/:day/:index – Update the completion status of a specific
-// itinerary item. Only authenticated users may modify progress. The
-// request body must contain a JSON object with a boolean `completed` key.
-// The server stores the state keyed by "day-index" and returns the updated
-// progress object. Attempting to set a non‑boolean value results in 400.
-app.put('/progress/:day/:index', requireAuth, (req, res) => {
-  const { day, index } = req.params;
-  const { completed } = req.body;
+  res.json(progress.progressMap(store));
+});
+
+/**
+ * Handler shared by the progress update routes. Expects `req.itemId` and a
+ * JSON body with a boolean `completed`; responds with the progress object.
+ *
+ * Changes replayed from the offline queue also send `expectedCompletedAt`,
+ * the `completedAt` (or null) the client saw when the item was toggled. If
+ * someone else changed the item since then, and not to the same state, the
+ * request fails with 409 and the current progress object.
+ */
+function updateProgress(req, res) {
+  const { completed, expectedCompletedAt } = req.body;
   // Validate input: completed must be boolean
   if (typeof completed !== 'boolean') {
     return res.status(400).json({ error: 'Parâmetro "completed" inválido' });
   }
-  const db = loadDB();
-  const key = `${day}-${index}`;
-  db.progress[key] = completed;
-  saveDB(db);
-  res.json(db.progress);
+  const result = store.transaction(() => {
+    if (expectedCompletedAt !== undefined && progress.hasItem(store, req.itemId)) {
+      const current = store.get('progress', req.itemId);
+      const currentAt = current ? current.completedAt || null : null;
+      if (Boolean(current) !== completed && currentAt !== expectedCompletedAt) return 'conflict';
+    }
+    return progress.setCompleted(store, req.itemId, completed, req.session.user.username);
+  });
+  if (result === 'conflict') {
+    return res.status(409).json({
+      error: 'O item foi alterado por outra pessoa enquanto você estava offline',
+      progress: progress.progressMap(store),
+    });
+  }
+  if (!result) {
+    return res.status(404).json({ error: 'Item do roteiro não encontrado' });
+  }
+  const map = progress.progressMap(store);
+  events.publish('progress', { progress: map });
+  res.json(map);
+}
+
+// PUT /progress/:itemId – Mark (completed: true) or unmark an itinerary item.
+// Only authenticated users may modify progress; the user and time are
+// recorded. Returns the updated progress object.
+app.put(
+  '/progress/:itemId',
+  requireAuth,
+  (req, res, next) => {
+    req.itemId = req.params.itemId;
+    next();
+  },
+  updateProgress
+);
+
+// PUT /progress/:day/:index – Same as above, addressing the item by its
+// position. Kept for clients cached before items had ids.
+app.put(
+  '/progress/:day/:index',
+  requireAuth,
+  (req, res, next) => {
+    req.itemId = progress.itemAt(store, req.params.day, req.params.index);
+    next();
+  },
+  updateProgress
+);
+
+// Notes on itinerary items. Each user keeps one note per item; shared notes
+// are visible to every logged in user, private ones only to their author.
+
+// GET /notes – List the notes visible to the logged in user.
+app.get('/notes', requireAuth, (req, res) => {
+  res.json(notes.visibleTo(store, req.session.user.username));
 });
 
-// POST /memories/:id/reactions – Add a reaction to a memory. The body must
-// include an emoji string. Reactions are aggregated counts (per emoji).
-app.post('/memories/:id/reactions', requireAuth, (req, res) => {
-  const { emoji } = req.body;
-  if (!emoji) {
-    return res.status(400).json({ error: 'Emoji é obrigatório' });
+// PUT /notes/:itemId – Create or replace the user's note on an item. Expects
+// { text, shared }; an empty text deletes the note. Responds with the saved
+// note, or { deleted: true }.
+app.put('/notes/:itemId', requireAuth, (req, res) => {
+  if (!progress.hasItem(store, req.params.itemId)) {
+    return res.status(404).json({ error: 'Item do roteiro não encontrado' });
   }
-  const db = loadDB();
-  const memory = db.memories.find((m) => m.id === req.params.id);
-  if (!memory) {
-    return res.status(404).json({ error: 'Memória não encontrada' });
+  const { text, shared } = req.body;
+  if (typeof text !== 'string' || (shared !== undefined && typeof shared !== 'boolean')) {
+    return res.status(400).json({ error: 'Parâmetros da nota inválidos' });
+  }
+  try {
+    const note = store.transaction(() =>
+      notes.save(store, req.params.itemId, req.session.user.username, { text, shared })
+    );
+    res.json(note || { deleted: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
-  memory.reactions[emoji] = (memory.reactions[emoji] || 0) + 1;
-  saveDB(db);
-  res.json(memory.reactions);
 });
 
-// POST /comments/:id/reactions – Add a reaction to a comment.
-app.post('/comments/:id/reactions', requireAuth, (req, res) => {
-  const { emoji } = req.body;
-  if (!emoji) {
-    return res.status(400).json({ error: 'Emoji é obrigatório' });
-  }
-  const db = loadDB();
-  const comment = db.comments.find((c) => c.id === req.params.id);
-  if (!comment) {
-    return res.status(404).json({ error: 'Comentário não encontrado' });
+// DELETE /notes/:itemId – Delete the user's note on an item.
+app.delete('/notes/:itemId', requireAuth, (req, res) => {
+  store.transaction(() => notes.save(store, req.params.itemId, req.session.user.username, { text: '' }));
+  res.json({ message: 'Nota excluída' });
+});
+
+// POST /notes/import – Import notes kept in the browser by older versions.
+// Expects { notes: [{ day, index, text }] }; existing notes are kept.
+app.post('/notes/import', requireAuth, (req, res) => {
+  if (!Array.isArray(req.body.notes)) {
+    return res.status(400).json({ error: '"notes" deve ser uma lista' });
   }
-  comment.reactions[emoji] = (comment.reactions[emoji] || 0) + 1;
-  saveDB(db);
-  res.json(comment.reactions);
+  const imported = notes.importLegacy(store, req.session.user.username, req.body.notes);
+  res.json({ imported, notes: notes.visibleTo(store, req.session.user.username) });
+});
+
+// Reactions are stored per user (see reactions.js). REACTION_EMOJIS may
+// restrict the accepted emojis to a comma-separated list; by default any
+// emoji is accepted and the frontend offers DEFAULT_REACTIONS.
+const DEFAULT_REACTIONS = ['❤️', '😂', '😮', '😍', '👏'];
+const allowedReactions = process.env.REACTION_EMOJIS
+  ? process.env.REACTION_EMOJIS.split(',').map((e) => e.trim()).filter((e) => e)
+  : null;
+
+/**
+ * Shared handler for the reaction routes: toggles or removes the reaction of
+ * the logged in user on a memory or comment and responds with the reaction
+ * summary ({ emoji: { count, users } }).
+ *
+ * @param {'memories'|'comments'} collection
+ * @param {'toggle'|'remove'} mode
+ */
+function reactionHandler(collection, mode) {
+  return (req, res) => {
+    const emoji = mode === 'remove' ? req.params.emoji : req.body.emoji;
+    if (!emoji || typeof emoji !== 'string' || emoji.length > 16) {
+      return res.status(400).json({ error: 'Emoji é obrigatório' });
+    }
+    if (mode === 'toggle' && allowedReactions && !allowedReactions.includes(emoji)) {
+      return res.status(400).json({ error: 'Emoji não permitido' });
+    }
+    // Read-modify-write inside a transaction so concurrent reactions are not lost
+    const record = store.transaction(() => {
+      const current = store.get(collection, req.params.id);
+      if (!current) return null;
+      return store.update(collection, reactions.apply(current, emoji, req.session.user.username, mode));
+    });
+    if (!record) {
+      const error = collection === 'memories' ? 'Memória não encontrada' : 'Comentário não encontrado';
+      return res.status(404).json({ error });
+    }
+    const summary = reactions.summary(record);
+    publishToViewers(req.memory, 'reaction', {
+      commentId: collection === 'comments' ? record.id : null,
+      reactions: summary,
+    });
+    // Only new reactions are announced, to the author of what was reacted to.
+    const username = req.session.user.username;
+    const added = summary[emoji] && summary[emoji].users.includes(username);
+    if (added && record.user !== username) {
+      push.notify([record.user], 'reactions', {
+        title: `${username} reagiu com ${emoji}`,
+        body: collection === 'comments' ? `Ao seu comentário: ${record.text}` : req.memory.title,
+        url: memoryUrl(req.memory),
+        tag: 'reactions-' + record.id,
+      });
+    }
+    res.json(summary);
+  };
+}
+
+// GET /reactions/emojis – Emojis offered as reaction buttons. `restricted`
+// tells whether other emojis are rejected by the server.
+app.get('/reactions/emojis', (req, res) => {
+  res.json({ emojis: allowedReactions || DEFAULT_REACTIONS, restricted: Boolean(allowedReactions) });
 });
 
+// POST /memories/:id/reactions – Toggle the user's reaction on a memory. The
+// body must include an emoji string; sending the same emoji again removes it.
+// Responds with the reaction summary including who reacted.
+app.post('/memories/:id/reactions', requireAuth, loadVisibleMemory, reactionHandler('memories', 'toggle'));
+
+// DELETE /memories/:id/reactions/:emoji – Remove the user's reaction.
+app.delete('/memories/:id/reactions/:emoji', requireAuth, loadVisibleMemory, reactionHandler('memories', 'remove'));
+
+// POST /comments/:id/reactions – Toggle the user's reaction on a comment.
+app.post('/comments/:id/reactions', requireAuth, loadVisibleComment, reactionHandler('comments', 'toggle'));
+
+// DELETE /comments/:id/reactions/:emoji – Remove the user's reaction.
+app.delete('/comments/:id/reactions/:emoji', requireAuth, loadVisibleComment, reactionHandler('comments', 'remove'));
+
 // -----------------------------------------------------------------------------
 // Export
 //
-// GET /export – Return the entire memories database as JSON. Media URLs
-// are fully qualified so they can be downloaded easily by the client. Only
-// authenticated users can export data.
-app.get('/export', requireAuth, (req, res) => {
-  const db = loadDB();
-  const origin = req.protocol + '://' + req.get('host');
-  const data = db.memories.map((m) => {
-    return {
-      ...m,
-      mediaLinks: m.media.map((p) => origin + p),
-      comments: db.comments.filter((c) => c.memoryId === m.id),
-    };
+// Every export holds the memories the user can see (drafts of others and
+// private memories not shared with them are left out), with their comments.
+const EXPORT_TITLE = 'Memórias da lua de mel em Buenos Aires';
+
+/**
+ * Memories and comments visible to the user.
+ *
+ * @param {string} username
+ * @returns {{ memories: object[], comments: object[] }}
+ */
+function exportData(username) {
+  const memories = access.filterVisible(store.all('memories'), username);
+  const ids = new Set(memories.map((m) => m.id));
+  return { memories, comments: store.all('comments').filter((c) => ids.has(c.memoryId)) };
+}
+
+/**
+ * Files in uploadsDir used by the memories: originals and their variants.
+ *
+ * @param {object[]} memories
+ * @returns {string[]} Base names
+ */
+function mediaFiles(memories) {
+  const names = new Set();
+  memories.forEach((m) => {
+    (m.media || []).forEach((url) => {
+      names.add(path.basename(url));
+      const variants = (m.mediaVariants && m.mediaVariants[url]) || {};
+      ['thumb', 'medium'].forEach((v) => variants[v] && names.add(path.basename(variants[v].url)));
+      if (variants.poster) names.add(path.basename(variants.poster));
+    });
   });
-  res.json(data);
+  return Array.from(names).filter((name) => fs.existsSync(path.join(uploadsDir, name)));
+}
+
+/**
+ * Stream the ZIP archive: database.json (the exported records in the layout
+ * of the JSON storage driver, see storage.js), the media under uploads/, and
+ * an album.html and memorias.md that link to those copies, so the archive
+ * keeps working after the server's disk is gone.
+ */
+async function sendZipExport(req, res) {
+  const username = req.session.user.username;
+  const { memories, comments } = exportData(username);
+  const days = itinerary.list(store);
+  const exportedAt = new Date();
+  const database = {
+    exportedAt: exportedAt.toISOString(),
+    exportedBy: username,
+    memories,
+    comments,
+    itinerary: store.all('itinerary'),
+    progress: store.all('progress'),
+    notes: notes.visibleTo(store, username),
+  };
+  const relative = (url) => 'uploads/' + path.basename(url);
+  const formats = { title: EXPORT_TITLE, memories, comments, days, mediaUrl: relative, generatedAt: exportedAt };
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="memorias-${exportedAt.toISOString().slice(0, 10)}.zip"`);
+  const zip = createZip(res);
+  try {
+    await zip.addBuffer('database.json', JSON.stringify(database, null, 2));
+    await zip.addBuffer('album.html', album.renderAlbum(formats));
+    await zip.addBuffer('memorias.md', album.renderMarkdown(formats));
+    for (const name of mediaFiles(memories)) {
+      await zip.addFile('uploads/' + name, path.join(uploadsDir, name));
+    }
+    await zip.finish();
+    res.end();
+  } catch (err) {
+    // Headers are gone: all that can be done is to cut the download short.
+    console.error('Falha ao gerar a exportação ZIP:', err);
+    res.destroy(err);
+  }
+}
+
+// GET /export – Export every memory the user can see. `format` selects:
+//   json (default) – the memories with their comments; media URLs are fully
+//                    qualified (mediaLinks) so they can be downloaded easily
+//   zip            – archive with database.json, the media files and an
+//                    offline album (see sendZipExport)
+//   markdown       – day-by-day Markdown document
+//   album          – HTML album grouped by itinerary day, laid out for
+//                    printing or saving as PDF from the browser
+// Only authenticated users can export data.
+app.get('/export', requireAuth, (req, res, next) => {
+  const format = String(req.query.format || 'json');
+  const origin = req.protocol + '://' + req.get('host');
+  const { memories, comments } = exportData(req.session.user.username);
+  if (format === 'json') {
+    return res.json(
+      memories.map((m) => ({
+        ...m,
+        mediaLinks: m.media.map((p) => origin + p),
+        comments: comments.filter((c) => c.memoryId === m.id),
+      }))
+    );
+  }
+  if (format === 'zip') {
+    return sendZipExport(req, res).catch(next);
+  }
+  const formats = { title: EXPORT_TITLE, memories, comments, days: itinerary.list(store) };
+  if (format === 'markdown') {
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="memorias.md"');
+    return res.send(album.renderMarkdown({ ...formats, mediaUrl: (url) => origin + url }));
+  }
+  if (format === 'album') {
+    return res.type('html').send(album.renderAlbum({ ...formats, mediaUrl: (url) => url }));
+  }
+  res.status(400).json({ error: 'Formato de exportação inválido: use json, zip, markdown ou album' });
+});
+
+// -----------------------------------------------------------------------------
+// Import
+//
+// Uploads for the import go to the system's temporary directory and are
+// deleted once the request ends; only the media of imported memories are
+// copied to uploadsDir. Archives may be much larger than single uploads
+// (IMPORT_MAX_MB, 200 MB by default).
+const importUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: Number(process.env.IMPORT_MAX_MB || 200) * 1024 * 1024 },
+});
+
+const importer = createImporter({
+  store,
+  uploadsDir,
+  thumbnails,
+  access,
+  userExists: (username) => Boolean(users.get(username)),
+  removeMedia: removeMemoryMedia,
+  stripLocation: async (urls) => stripPublicGps && stripMediaFiles(urls),
+  dropPositions: (mem) => {
+    dropMediaPositions(mem);
+    locateMemory(mem);
+  },
+});
+
+// POST /import – Import memories from a backup (the ZIP or JSON of GET
+// /export), a Day One export or a CSV; see importer.js. multipart/form-data
+// with the `file` and, for a CSV, the photos it names as `media` files.
+// Fields: `strategy` for memories that already exist (skip, overwrite or
+// duplicate; skip by default), `dryRun=true` to only validate, and
+// `status` of memories coming from other apps (draft by default).
+// Everything imported belongs to the logged in user, except for
+// administrators, who keep the authors of a backup.
+// Responds with the report: counts in `summary` and the outcome of each
+// memory in `items`. Imported memories are announced to open pages but,
+// unlike new ones, not with push notifications. Public ones lose the GPS
+// position of their media, as with POST /memories.
+app.post(
+  '/import',
+  requireAuth,
+  importUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'media' }]),
+  async (req, res, next) => {
+    const files = req.files || {};
+    const uploaded = (files.file || []).concat(files.media || []);
+    const file = files.file && files.file[0];
+    try {
+      if (!file) {
+        return res.status(400).json({ error: 'Envie um arquivo para importar' });
+      }
+      const dryRun = ['true', 'on', '1'].includes(String(req.body.dryRun));
+      const { report, saved } = await importer.run(
+        { file, media: files.media },
+        {
+          username: req.session.user.username,
+          admin: adminUsers.includes(req.session.user.username),
+          strategy: req.body.strategy ? String(req.body.strategy) : undefined,
+          status: req.body.status ? String(req.body.status) : undefined,
+          dryRun,
+        }
+      );
+      saved.forEach(({ before, after }) => publishMemory(before, after));
+      res.json(report);
+    } catch (err) {
+      if (err instanceof ImportError) return res.status(400).json({ error: err.message });
+      next(err);
+    } finally {
+      uploaded.forEach((f) => fs.promises.unlink(f.path).catch(() => {}));
+    }
+  }
+);
+
+// -----------------------------------------------------------------------------
+// Backups
+//
+// Snapshot management, reserved to the accounts in ADMIN_USERS
+// (comma-separated). Nobody is an administrator unless listed there.
+const adminUsers = parseUserList(process.env.ADMIN_USERS || '');
+
+function requireAdmin(req, res, next) {
+  if (req.session && req.session.user && adminUsers.includes(req.session.user.username)) {
+    next();
+  } else {
+    res.status(403).json({ error: 'Acesso restrito aos administradores' });
+  }
+}
+
+// GET /admin/backups – List the snapshots, newest first.
+app.get('/admin/backups', requireAuth, requireAdmin, (req, res) => {
+  res.json(backups.list());
+});
+
+// POST /admin/backups – Take a snapshot now.
+app.post('/admin/backups', requireAuth, requireAdmin, (req, res, next) => {
+  try {
+    res.status(201).json(backups.snapshot(store, 'manual'));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/backups/:id – Download a snapshot as a ZIP archive
+// (database.json, manifest.json and uploads/).
+app.get('/admin/backups/:id', requireAuth, requireAdmin, async (req, res) => {
+  let files;
+  try {
+    files = backups.files(req.params.id);
+  } catch (err) {
+    return res.status(404).json({ error: err.message });
+  }
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="backup-${req.params.id}.zip"`);
+  const zip = createZip(res);
+  try {
+    for (const { name, file } of files) {
+      await zip.addFile(name, file);
+    }
+    await zip.finish();
+    res.end();
+  } catch (err) {
+    console.error('Falha ao enviar o backup:', err);
+    res.destroy(err);
+  }
+});
+
+// POST /admin/backups/:id/restore – Replace the data with a snapshot. The
+// current state is snapshotted first (its id is returned as `safety`), so
+// the restore can be undone. Open pages are told to reload everything.
+app.post('/admin/backups/:id/restore', requireAuth, requireAdmin, (req, res) => {
+  let result;
+  try {
+    result = backups.restore(store, req.params.id);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  events.publish('resync', {});
+  res.json({ restored: result.manifest.id, safety: result.safety.id, files: result.files });
 });
 
 // -----------------------------------------------------------------------------
@@ -537,4 +1792,62 @@ app.use('/uploads', express.static(uploadsDir));
 //
 app.listen(PORT, () => {
   console.log(`Servidor iniciado na porta ${PORT}`);
+  backups.start(store);
+  generateMissingVariants()
+    .catch((err) => console.error('Falha ao gerar miniaturas:', err))
+    .then(readMissingMetadata)
+    .catch((err) => console.error('Falha ao ler metadados das mídias:', err));
 });
+
+/**
+ * Generate the variants of media uploaded before they existed (or while
+ * sharp was unavailable). Runs in the background after startup, one
+ * memory at a time; the memory is re-read before saving so concurrent
+ * edits are kept.
+ */
+async function generateMissingVariants() {
+  if (!thumbnails.available) return;
+  let generated = 0;
+  for (const mem of store.all('memories')) {
+    const missing = (mem.media || []).filter((url) => !(mem.mediaVariants && mem.mediaVariants[url]));
+    if (missing.length === 0) continue;
+    const variants = await thumbnails.processAll(missing);
+    const current = store.get('memories', mem.id);
+    const urls = Object.keys(variants).filter((url) => current && current.media.includes(url));
+    if (urls.length === 0) continue;
+    current.mediaVariants = { ...current.mediaVariants };
+    urls.forEach((url) => {
+      current.mediaVariants[url] = variants[url];
+    });
+    store.update('memories', current);
+    generated += urls.length;
+  }
+  if (generated > 0) console.log(`Miniaturas geradas para ${generated} mídias existentes`);
+}
+
+/**
+ * Read the capture metadata of media uploaded before it was kept, and
+ * remove the GPS position from those of public memories. Runs in the
+ * background after generateMissingVariants(), with the same care for
+ * concurrent edits. The memories' fields are not filled: they were set
+ * when the memories were written.
+ */
+async function readMissingMetadata() {
+  let updated = 0;
+  for (const mem of store.all('memories')) {
+    if (mem.mediaMetadata || !(mem.media || []).length) continue;
+    const found = await readMediaMetadata(mem.media);
+    await stripPublicLocation({ status: mem.status, media: mem.media, mediaMetadata: found });
+    const current = store.get('memories', mem.id);
+    if (!current || current.mediaMetadata) continue;
+    current.mediaMetadata = {};
+    Object.keys(found)
+      .filter((url) => current.media.includes(url))
+      .forEach((url) => {
+        current.mediaMetadata[url] = found[url];
+      });
+    store.update('memories', current);
+    updated += 1;
+  }
+  if (updated > 0) console.log(`Metadados lidos das mídias de ${updated} memórias existentes`);
+}
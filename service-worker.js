@@ -1,25 +1,68 @@
+// Fila de alterações feitas offline, reenviada pelo Background Sync.
+importScripts('/offline-queue.js');
+
 // Atualize o nome do cache para forçar atualização quando novos arquivos forem adicionados.
-const CACHE_NAME = 'honeymoon-cache-v3';
+const CACHE_NAME = 'honeymoon-cache-v22';
+// Caches preenchidos em tempo de execução. Não dependem da versão: as
+// respostas da API são revalidadas a cada uso e as mídias nunca mudam
+// depois de enviadas.
+const API_CACHE = 'honeymoon-api';
+const MEDIA_CACHE = 'honeymoon-media';
+// Limite de arquivos de mídia guardados; os mais antigos saem primeiro.
+const MEDIA_CACHE_LIMIT = 150;
+const OFFLINE_PAGE = '/offline.html';
+
 const urlsToCache = [
   '/',
   '/index.html',
+  OFFLINE_PAGE,
   '/styles.css',
   '/script.js',
   // Inclui o módulo de memórias para funcionamento offline da aba de memórias
   '/memories.js',
+  '/memory-detail.js',
+  '/itinerary-editor.js',
+  // Mapa da viagem e o contorno usado como fundo, sem serviço de mapas
+  '/trip-map.js',
+  '/map-outline.json',
+  '/offline-queue.js',
+  '/live-updates.js',
+  '/push-notifications.js',
   '/manifest.json',
   '/ca-e-gui.webp',
   '/ca-e-gui.jpg',
   '/icon-192.png',
   '/icon-512.png'
-  ,
-  // Novos endpoints de API para diário público e progresso devem ser
-  // armazenados em cache para suportar visualização offline. Ao incluir
-  // estas URLs estáticas, o service worker irá servir respostas em cache
-  // quando a rede estiver indisponível. Note que estes dados podem ficar
-  // desatualizados até que o usuário se reconecte.
-  '/public-memories',
-  '/progress'
+];
+
+// Leituras da API respondidas do cache enquanto são atualizadas em
+// segundo plano. Os dados de diário, progresso e roteiro continuam
+// disponíveis offline, e a próxima visita já recebe a versão nova.
+const API_READS = [
+  /^\/public-memories$/,
+  /^\/progress$/,
+  /^\/itinerary$/,
+  /^\/notes$/,
+  /^\/reactions\/emojis$/,
+  /^\/memories(\/[^/]+(\/comments)?)?$/,
+];
+
+/**
+ * Tabela de rotas: a primeira cuja condição aceitar a requisição define a
+ * estratégia. Apenas requisições GET da própria origem passam por aqui;
+ * as demais vão direto para a rede.
+ */
+const routes = [
+  // A exportação pode ser grande e deve refletir o estado atual; o fluxo
+  // de eventos nunca termina e não pode ser guardado.
+  { match: (url) => url.pathname === '/export' || url.pathname === '/events', handle: networkOnly },
+  // Sessão: sempre do servidor quando possível; offline, a última resposta.
+  { match: (url) => url.pathname.startsWith('/auth/'), handle: (req) => networkFirst(req, API_CACHE) },
+  { match: (url) => API_READS.some((re) => re.test(url.pathname)), handle: staleWhileRevalidate },
+  // Vídeos pedidos por intervalo (Range) não podem ser guardados em cache.
+  { match: (url, req) => url.pathname.startsWith('/uploads/') && !req.headers.has('range'), handle: cacheFirstMedia },
+  { match: (url, req) => req.mode === 'navigate', handle: navigation },
+  { match: (url) => urlsToCache.includes(url.pathname), handle: cacheFirst },
 ];
 
 self.addEventListener('install', (event) => {
@@ -35,7 +78,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (![CACHE_NAME, API_CACHE, MEDIA_CACHE].includes(cacheName)) {
             return caches.delete(cacheName);
           }
         })
@@ -44,10 +87,165 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// A nova versão do worker fica em espera até que a página peça para
+// ativá-la (ver registerServiceWorker em script.js).
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      return response || fetch(event.request);
+  const request = event.request;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (request.method !== 'GET') {
+    // Alterações (e login/logout) tornam obsoletas as leituras guardadas;
+    // o cache é limpo antes de a página receber a resposta e reler os dados.
+    event.respondWith(
+      fetch(request).then(async (response) => {
+        if (response.ok) await caches.delete(API_CACHE);
+        return response;
+      })
+    );
+    return;
+  }
+  const route = routes.find((r) => r.match(url, request));
+  event.respondWith(route ? route.handle(request) : networkFirst(request, CACHE_NAME));
+});
+
+function networkOnly(request) {
+  return fetch(request);
+}
+
+/**
+ * Busca na rede e guarda a resposta; sem conexão, usa a cópia em cache.
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Responde com a cópia em cache, se houver, e atualiza o cache com a
+ * resposta da rede. Sem cópia, espera a rede.
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(API_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}
+
+/**
+ * Arquivos estáticos pré-carregados na instalação.
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+/**
+ * Mídias enviadas: do cache quando já baixadas, limitado a
+ * MEDIA_CACHE_LIMIT arquivos.
+ */
+async function cacheFirstMedia(request) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.status === 200) {
+    await cache.put(request, response.clone());
+    trimCache(cache, MEDIA_CACHE_LIMIT);
+  }
+  return response;
+}
+
+/**
+ * Remove as entradas mais antigas do cache além do limite. cache.keys()
+ * devolve as requisições em ordem de inserção.
+ */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Navegação: a página pré-carregada desta versão, para que o HTML combine
+ * com os scripts em cache; as demais páginas vêm da rede e, offline, são
+ * substituídas pelo aviso de offline.html.
+ */
+async function navigation(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (_err) {
+    return (await caches.match(OFFLINE_PAGE)) || Response.error();
+  }
+}
+
+// Notificações push enviadas pelo servidor (ver push.js), no formato
+// { type, title, body, url, tag }. Notificações com a mesma tag (por
+// exemplo, vários comentários na mesma memória) substituem a anterior.
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (_err) {
+    data = { body: event.data.text() };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Lua de mel', {
+      body: data.body || '',
+      icon: '/icon-192.png',
+      badge: '/icon-192.png',
+      tag: data.tag,
+      data: { url: data.url || '/' },
+    })
+  );
+});
+
+// Tocar na notificação abre a memória: numa aba do app já aberta, que
+// recebe a URL por mensagem (ver push-notifications.js), ou numa nova.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (!client) return self.clients.openWindow(url);
+      client.postMessage({ type: 'notification-click', url });
+      return client.focus();
+    })
+  );
+});
+
+// Reenvia memórias e marcações de progresso guardadas sem conexão. Se
+// ainda estiver offline, a promessa é rejeitada para que o navegador
+// tente de novo mais tarde.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== self.offlineQueue.SYNC_TAG) return;
+  event.waitUntil(
+    self.offlineQueue.replay().then(async (result) => {
+      // Os envios feitos aqui não passam pelo evento fetch acima.
+      if (result.sent > 0) await caches.delete(API_CACHE);
+      if (result.offline) throw new Error('Ainda sem conexão');
     })
   );
 });
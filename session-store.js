@@ -0,0 +1,103 @@
+const session = require('express-session');
+
+/*
+ * express-session store backed by the storage layer (storage.js), so
+ * sessions are kept in the same SQLite database (or database.json) under
+ * DATA_DIR and survive restarts and deploys.
+ *
+ * Each record stores the serialised session and its expiry time. Sessions
+ * with a cookie expiry ("lembrar de mim") expire with the cookie; browser
+ * sessions expire `ttl` milliseconds after the last request. Expired
+ * records are ignored on read and deleted periodically by prune().
+ */
+
+// touch() only writes when the stored expiry would move by more than this,
+// so every request does not result in a database write.
+const TOUCH_THRESHOLD = 60 * 60 * 1000;
+
+class StorageSessionStore extends session.Store {
+  /**
+   * @param {{ store: object, ttl: number, pruneInterval?: number }} options
+   */
+  constructor({ store, ttl, pruneInterval = 60 * 60 * 1000 }) {
+    super();
+    this.store = store;
+    this.ttl = ttl;
+    if (pruneInterval > 0) {
+      this.pruneTimer = setInterval(() => this.prune(), pruneInterval);
+      this.pruneTimer.unref();
+    }
+  }
+
+  expiresFor(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires).getTime();
+    }
+    return Date.now() + this.ttl;
+  }
+
+  get(sid, cb) {
+    try {
+      const record = this.store.get('sessions', sid);
+      if (!record) return cb(null, null);
+      if (record.expires <= Date.now()) {
+        this.store.remove('sessions', sid);
+        return cb(null, null);
+      }
+      cb(null, record.session);
+    } catch (err) {
+      cb(err);
+    }
+  }
+
+  set(sid, sess, cb) {
+    try {
+      this.store.update('sessions', { id: sid, session: sess, expires: this.expiresFor(sess) });
+      if (cb) cb(null);
+    } catch (err) {
+      if (cb) cb(err);
+    }
+  }
+
+  touch(sid, sess, cb) {
+    try {
+      const record = this.store.get('sessions', sid);
+      const expires = this.expiresFor(sess);
+      if (record && expires - record.expires > TOUCH_THRESHOLD) {
+        record.expires = expires;
+        record.session.cookie = sess.cookie;
+        this.store.update('sessions', record);
+      }
+      if (cb) cb(null);
+    } catch (err) {
+      if (cb) cb(err);
+    }
+  }
+
+  destroy(sid, cb) {
+    try {
+      this.store.remove('sessions', sid);
+      if (cb) cb(null);
+    } catch (err) {
+      if (cb) cb(err);
+    }
+  }
+
+  /**
+   * Delete every expired session.
+   *
+   * @returns {number} Number of sessions removed
+   */
+  prune() {
+    const now = Date.now();
+    return this.store.transaction(
+      () =>
+        this.store
+          .all('sessions')
+          .filter((r) => r.expires <= now)
+          .filter((r) => this.store.remove('sessions', r.id)).length
+    );
+  }
+}
+
+module.exports = { StorageSessionStore };
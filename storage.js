@@ -0,0 +1,417 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Storage layer for the memories server.
+ *
+ * Records are grouped in named collections (memories, comments, progress…)
+ * and always carry a string `id`. Two drivers implement the same interface:
+ *
+ *   • sqlite – uses better-sqlite3 and stores each record as a JSON blob in a
+ *     single `records` table. Every insert/update/delete touches one row and
+ *     runs inside a transaction, so concurrent requests never overwrite each
+ *     other's changes.
+ *   • json   – keeps the data in memory and mirrors it to database.json. Used
+ *     when better-sqlite3 is not installed or when STORAGE_DRIVER=json. The
+ *     file is replaced atomically (written to a temporary file, then
+ *     renamed), so a crash mid-write leaves the previous version intact.
+ *
+ * The first time the SQLite driver opens a data directory that still holds a
+ * database.json from the old loadDB()/saveDB() days, it imports that file so
+ * no memories are lost. The JSON file is left untouched as a backup.
+ *
+ * Interface shared by both drivers:
+ *   all(collection)             → array of records in insertion order
+ *   get(collection, id)         → record or null
+ *   insert(collection, record)  → record; throws when the id is taken
+ *   update(collection, record)  → record (replaces the stored copy, or
+ *                                 adds the record when there is none)
+ *   remove(collection, id)      → boolean
+ *   transaction(fn)             → return value of fn; rolled back on throw
+ *   dump()                      → { collection: records } with every record
+ *   restore(data, keep)         → replace every collection except `keep`
+ *                                 with the records in `data` (a dump)
+ *   check()                     → null, or a description of the damage found
+ *   close()
+ *
+ * Backups (see backups.js) are dumps in the layout of database.json.
+ */
+
+/**
+ * Convert the legacy database.json layout into arrays of records. Older
+ * files store `progress` as an object mapping "day-index" keys to booleans;
+ * each entry becomes a `{ id, completed }` record.
+ *
+ * @param {object} data Parsed contents of database.json
+ * @returns {Object<string, object[]>}
+ */
+function normaliseLegacy(data) {
+  const result = {};
+  Object.keys(data || {}).forEach((name) => {
+    const value = data[name];
+    if (Array.isArray(value)) {
+      result[name] = value.filter((r) => r && r.id !== undefined).map((r) => ({ ...r, id: String(r.id) }));
+    } else if (value && typeof value === 'object') {
+      result[name] = Object.keys(value).map((key) => ({ id: key, completed: Boolean(value[key]) }));
+    }
+  });
+  if (!result.memories) result.memories = [];
+  if (!result.comments) result.comments = [];
+  if (!result.progress) result.progress = [];
+  return result;
+}
+
+function clone(record) {
+  return record === undefined || record === null ? null : JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Replace `file` with `content` atomically: the data goes to a temporary
+ * file in the same directory, is flushed to disk and then renamed over the
+ * original, so readers see either the old or the new version, never a
+ * partial write.
+ *
+ * @param {string} file
+ * @param {string|Buffer} content
+ */
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Check that a dump has the expected shape: collections of records with
+ * ids.
+ *
+ * @param {*} data
+ * @returns {string|null} Description of the first problem, or null
+ */
+function checkDump(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return 'conteúdo não é um objeto';
+  for (const name of Object.keys(data)) {
+    const list = data[name];
+    if (!Array.isArray(list)) return `coleção "${name}" não é uma lista`;
+    if (list.some((r) => !r || typeof r !== 'object' || r.id === undefined || r.id === null)) {
+      return `coleção "${name}" tem registros sem id`;
+    }
+  }
+  return null;
+}
+
+function assertRecord(record) {
+  if (!record || record.id === undefined || record.id === null) {
+    throw new Error('Registro sem id');
+  }
+}
+
+const duplicateId = (collection, id) => new Error(`Registro já existe em ${collection}: ${id}`);
+
+/**
+ * JSON file driver. The whole dataset lives in memory and is written back
+ * to disk after every change (or once at the end of a transaction). When
+ * another process replaces the file (manage-users.js runs next to the
+ * server), the data is read again before the next operation so neither side
+ * overwrites the other's changes.
+ *
+ * @param {string} file Path to database.json
+ */
+function createJsonStore(file) {
+  let data;
+  let depth = 0;
+  let stamp = null;
+
+  // Identifies the version of the file on disk; every write renames a new
+  // file into place, so the inode changes too.
+  function fileStamp() {
+    try {
+      const stat = fs.statSync(file);
+      return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function read() {
+    stamp = fileStamp();
+    if (!fs.existsSync(file)) {
+      data = normaliseLegacy({});
+      return;
+    }
+    data = normaliseLegacy(JSON.parse(fs.readFileSync(file)));
+  }
+
+  function flush() {
+    if (depth > 0) return;
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+    stamp = fileStamp();
+  }
+
+  // Reload when someone else wrote the file since our last read or write.
+  // Skipped inside a transaction, which works on the data it started with.
+  function refresh() {
+    if (depth === 0 && fileStamp() !== stamp) read();
+  }
+
+  function records(collection) {
+    if (!data[collection]) data[collection] = [];
+    return data[collection];
+  }
+
+  read();
+  flush();
+
+  return {
+    driver: 'json',
+    all(collection) {
+      refresh();
+      return records(collection).map(clone);
+    },
+    get(collection, id) {
+      refresh();
+      return clone(records(collection).find((r) => r.id === String(id)));
+    },
+    insert(collection, record) {
+      assertRecord(record);
+      refresh();
+      const list = records(collection);
+      const stored = { ...clone(record), id: String(record.id) };
+      if (list.some((r) => r.id === stored.id)) throw duplicateId(collection, stored.id);
+      list.push(stored);
+      flush();
+      return clone(stored);
+    },
+    update(collection, record) {
+      assertRecord(record);
+      refresh();
+      const list = records(collection);
+      const stored = { ...clone(record), id: String(record.id) };
+      const idx = list.findIndex((r) => r.id === stored.id);
+      if (idx === -1) list.push(stored);
+      else list[idx] = stored;
+      flush();
+      return clone(stored);
+    },
+    remove(collection, id) {
+      refresh();
+      const list = records(collection);
+      const idx = list.findIndex((r) => r.id === String(id));
+      if (idx === -1) return false;
+      list.splice(idx, 1);
+      flush();
+      return true;
+    },
+    transaction(fn) {
+      refresh();
+      const snapshot = JSON.stringify(data);
+      depth += 1;
+      try {
+        const result = fn();
+        depth -= 1;
+        flush();
+        return result;
+      } catch (err) {
+        depth -= 1;
+        data = JSON.parse(snapshot);
+        throw err;
+      }
+    },
+    dump() {
+      refresh();
+      return clone(data);
+    },
+    restore(dump, keep = []) {
+      refresh();
+      const next = normaliseLegacy(clone(dump));
+      keep.forEach((name) => {
+        next[name] = data[name] || [];
+      });
+      data = next;
+      flush();
+    },
+    check() {
+      // The file was parsed when the store opened; a damaged file throws
+      // there instead.
+      return checkDump(data);
+    },
+    close() {},
+  };
+}
+
+/**
+ * SQLite driver backed by better-sqlite3. Records are stored as JSON text in
+ * a single table keyed by (collection, id); rowid preserves insertion order.
+ *
+ * @param {Function} Database better-sqlite3 constructor
+ * @param {string} file Path to the SQLite database
+ * @param {string} legacyFile Path to a database.json to import once
+ */
+function createSqliteStore(Database, file, legacyFile) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const stmts = {
+    all: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    insert: db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+    upsert: db.prepare(
+      'INSERT INTO records (collection, id, data) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data'
+    ),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    dump: db.prepare('SELECT collection, data FROM records ORDER BY rowid'),
+    clear: db.prepare('DELETE FROM records WHERE collection = ?'),
+    collections: db.prepare('SELECT DISTINCT collection FROM records'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare(
+      'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+    ),
+  };
+
+  const store = {
+    driver: 'sqlite',
+    all(collection) {
+      return stmts.all.all(collection).map((row) => JSON.parse(row.data));
+    },
+    get(collection, id) {
+      const row = stmts.get.get(collection, String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+    insert(collection, record) {
+      assertRecord(record);
+      const stored = { ...record, id: String(record.id) };
+      try {
+        stmts.insert.run(collection, stored.id, JSON.stringify(stored));
+      } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') throw duplicateId(collection, stored.id);
+        throw err;
+      }
+      return clone(stored);
+    },
+    update(collection, record) {
+      assertRecord(record);
+      const stored = { ...record, id: String(record.id) };
+      stmts.upsert.run(collection, stored.id, JSON.stringify(stored));
+      return clone(stored);
+    },
+    remove(collection, id) {
+      return stmts.remove.run(collection, String(id)).changes > 0;
+    },
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+    dump() {
+      const result = { memories: [], comments: [], progress: [] };
+      stmts.dump.all().forEach((row) => {
+        if (!result[row.collection]) result[row.collection] = [];
+        result[row.collection].push(JSON.parse(row.data));
+      });
+      return result;
+    },
+    restore(dump, keep = []) {
+      const next = normaliseLegacy(dump);
+      store.transaction(() => {
+        stmts.collections
+          .all()
+          .map((row) => row.collection)
+          .filter((name) => !keep.includes(name))
+          .forEach((name) => stmts.clear.run(name));
+        Object.keys(next)
+          .filter((name) => !keep.includes(name))
+          .forEach((name) => next[name].forEach((record) => store.update(name, record)));
+      });
+    },
+    check() {
+      const result = db.pragma('integrity_check', { simple: true });
+      return result === 'ok' ? null : String(result);
+    },
+    close() {
+      db.close();
+    },
+  };
+
+  // One-time import of the legacy JSON database.
+  if (!stmts.getMeta.get('legacy_import')) {
+    store.transaction(() => {
+      let imported = 0;
+      if (legacyFile && fs.existsSync(legacyFile)) {
+        const legacy = normaliseLegacy(JSON.parse(fs.readFileSync(legacyFile)));
+        Object.keys(legacy).forEach((collection) => {
+          legacy[collection].forEach((record) => {
+            store.update(collection, record);
+            imported += 1;
+          });
+        });
+        console.log(`Migração: ${imported} registros importados de ${path.basename(legacyFile)}`);
+      }
+      stmts.setMeta.run('legacy_import', new Date().toISOString());
+    });
+  }
+
+  return store;
+}
+
+/**
+ * Open the store for the given data directory. The driver is chosen by the
+ * STORAGE_DRIVER env var ("sqlite" or "json"); by default SQLite is used
+ * whenever better-sqlite3 can be loaded.
+ *
+ * @param {{ dataDir: string, driver?: string }} options
+ */
+function createStore({ dataDir, driver }) {
+  const jsonFile = path.join(dataDir, 'database.json');
+  const wanted = (driver || '').toLowerCase();
+  if (wanted !== 'json') {
+    let Database = null;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      if (wanted === 'sqlite') throw err;
+      console.warn('better-sqlite3 indisponível, usando database.json como armazenamento');
+    }
+    if (Database) {
+      return createSqliteStore(Database, path.join(dataDir, 'database.sqlite'), jsonFile);
+    }
+  }
+  return createJsonStore(jsonFile);
+}
+
+/**
+ * Move the data files of `dataDir` aside (renamed with a ".corrupt-<date>"
+ * suffix), so a damaged database can be replaced by a backup without
+ * destroying it.
+ *
+ * @param {string} dataDir
+ * @returns {string[]} New paths of the files moved
+ */
+function quarantine(dataDir) {
+  const suffix = '.corrupt-' + new Date().toISOString().replace(/[:.]/g, '-');
+  return ['database.json', 'database.sqlite', 'database.sqlite-wal', 'database.sqlite-shm']
+    .map((name) => path.join(dataDir, name))
+    .filter((file) => fs.existsSync(file))
+    .map((file) => {
+      fs.renameSync(file, file + suffix);
+      return file + suffix;
+    });
+}
+
+module.exports = { createStore, normaliseLegacy, writeFileAtomic, checkDump, quarantine };
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessPolicy, parseUserList, publicView } = require('../access');
+
+const access = createAccessPolicy({ couple: 'carina, gui' });
+
+test('parseUserList accepts arrays and comma-separated strings', () => {
+  assert.deepEqual(parseUserList(' carina, gui ,,'), ['carina', 'gui']);
+  assert.deepEqual(parseUserList(['carina', ' ', 'gui ']), ['carina', 'gui']);
+  assert.deepEqual(parseUserList(undefined), []);
+});
+
+test('drafts are only visible to their author', () => {
+  const memory = { user: 'carina', status: 'draft' };
+  assert.equal(access.canView(memory, 'carina'), true);
+  assert.equal(access.canView(memory, 'gui'), false);
+  assert.equal(access.canView(memory, null), false);
+  assert.equal(access.canView({ user: 'carina' }, 'gui'), false, 'no status counts as draft');
+});
+
+test('private memories are visible to the author and their audience', () => {
+  const shared = { user: 'carina', status: 'private', sharedWith: ['carina', 'ana'] };
+  assert.equal(access.canView(shared, 'ana'), true);
+  assert.equal(access.canView(shared, 'gui'), false);
+  assert.equal(access.canView(shared, null), false);
+  // Without sharedWith, the couple.
+  const legacy = { user: 'ana', status: 'private' };
+  assert.equal(access.canView(legacy, 'gui'), true);
+  assert.deepEqual(access.audience(legacy), ['carina', 'gui', 'ana']);
+});
+
+test('public memories are visible to everyone, visitors included', () => {
+  const memory = { user: 'carina', status: 'public' };
+  assert.equal(access.canView(memory, 'gui'), true);
+  assert.equal(access.canView(memory, null), true);
+  assert.equal(access.canView(null, 'gui'), false);
+});
+
+test('only the author edits', () => {
+  const memory = { user: 'carina', status: 'public' };
+  assert.equal(access.canEdit(memory, 'carina'), true);
+  assert.equal(access.canEdit(memory, 'gui'), false);
+  assert.equal(access.canEdit(memory, null), false);
+  assert.equal(access.canEdit(null, 'carina'), false);
+});
+
+test('filterVisible keeps what the user may see', () => {
+  const memories = [
+    { id: '1', user: 'gui', status: 'draft' },
+    { id: '2', user: 'carina', status: 'draft' },
+    { id: '3', user: 'carina', status: 'public' },
+  ];
+  assert.deepEqual(
+    access.filterVisible(memories, 'gui').map((m) => m.id),
+    ['1', '3']
+  );
+});
+
+test('sharedWithFor always includes the author', () => {
+  assert.deepEqual(access.sharedWithFor('ana', 'carina'), ['ana', 'carina']);
+  assert.deepEqual(access.sharedWithFor(['carina', 'ana'], 'carina'), ['carina', 'ana']);
+  assert.deepEqual(access.sharedWithFor('', 'ana'), ['carina', 'gui', 'ana']);
+});
+
+test('publicView leaves out who a memory is shared with and its metadata', () => {
+  const view = publicView({
+    id: '1',
+    user: 'carina',
+    title: 'Praia',
+    status: 'public',
+    sharedWith: ['carina', 'gui'],
+    mediaMetadata: { '/uploads/a.jpg': { latitude: 1, longitude: 2 } },
+    positionFromMedia: ['coordinates'],
+    clientId: 'abc',
+    media: ['/uploads/a.jpg'],
+  });
+  assert.deepEqual(view, { id: '1', title: 'Praia', status: 'public', media: ['/uploads/a.jpg'] });
+});
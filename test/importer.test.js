@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../importer');
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('título,texto\nPraia,Areia\r\nJantar,Vinho\n'), [
+    ['título', 'texto'],
+    ['Praia', 'Areia'],
+    ['Jantar', 'Vinho'],
+  ]);
+});
+
+test('parseCsv reads quoted fields with separators, quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('a,b\n"Carne, vinho","Disse ""olá""\ne saiu"\n'), [
+    ['a', 'b'],
+    ['Carne, vinho', 'Disse "olá"\ne saiu'],
+  ]);
+});
+
+test('parseCsv picks the semicolon when the header uses it', () => {
+  assert.deepEqual(parseCsv('data;título;tags\n2026-01-16;Chegada;viagem, aeroporto'), [
+    ['data', 'título', 'tags'],
+    ['2026-01-16', 'Chegada', 'viagem, aeroporto'],
+  ]);
+});
+
+test('parseCsv ignores the BOM, blank lines and keeps empty fields', () => {
+  assert.deepEqual(parseCsv('﻿a,b,c\n\n,x,\n  ,  \n'), [
+    ['a', 'b', 'c'],
+    ['', 'x', ''],
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+});
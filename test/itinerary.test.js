@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitiseHtml, dayForDate } = require('../itinerary');
+
+test('sanitiseHtml keeps the allowed markup', () => {
+  assert.equal(sanitiseHtml('<b>Café</b> e <em>tango</em>'), '<b>Café</b> e <em>tango</em>');
+  assert.equal(sanitiseHtml('<span class="tag">Passeio</span>'), '<span class="tag">Passeio</span>');
+  assert.equal(sanitiseHtml('<span style="color:red">x</span>'), '<span>x</span>');
+  assert.equal(sanitiseHtml('Tom &amp; Jerry &#8211; ok'), 'Tom &amp; Jerry &#8211; ok');
+});
+
+test('sanitiseHtml only keeps http(s) links and opens them safely', () => {
+  assert.equal(
+    sanitiseHtml('<a href="https://example.com">site</a>'),
+    '<a href="https://example.com" rel="noopener noreferrer" target="_blank">site</a>'
+  );
+  assert.equal(sanitiseHtml('<a href="javascript:alert(1)">x</a>'), '&lt;a href="javascript:alert(1)"&gt;x');
+  assert.equal(sanitiseHtml('<a>x</a>'), '&lt;a&gt;x');
+});
+
+test('sanitiseHtml escapes everything else', () => {
+  assert.equal(sanitiseHtml('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(sanitiseHtml('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+  assert.equal(sanitiseHtml('<b onclick="x()">a</b>'), '<b>a</b>');
+  assert.equal(sanitiseHtml('1 < 2 & 3 > 2'), '1 &lt; 2 &amp; 3 &gt; 2');
+});
+
+test('sanitiseHtml balances tags', () => {
+  assert.equal(sanitiseHtml('<b>open'), '<b>open</b>');
+  assert.equal(sanitiseHtml('stray</em> end'), 'stray end');
+  assert.equal(sanitiseHtml('<b><em>both</b> after'), '<b><em>both</em></b> after');
+  assert.equal(sanitiseHtml(null), '');
+});
+
+test('dayForDate matches the date in the day titles, in the trip time zone', () => {
+  const days = [
+    { id: 1, title: 'Dia 1 – Sexta, 16/01 – Chegada' },
+    { id: 2, title: 'Dia 2 – Sábado, 17/01' },
+  ];
+  assert.equal(dayForDate(days, '2026-01-17T10:00:00-03:00'), 2);
+  // 01:00 UTC on the 17th is still the 16th in Buenos Aires.
+  assert.equal(dayForDate(days, '2026-01-17T01:00:00Z', 'America/Argentina/Buenos_Aires'), 1);
+  assert.equal(dayForDate(days, '2026-02-01T10:00:00-03:00'), undefined);
+});
@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const metadata = require('../metadata');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// -----------------------------------------------------------------------------
+// EXIF builder: a TIFF block with IFD0, the Exif and the GPS directories.
+
+const ascii = (tag, value) => ({ tag, type: 2, count: value.length + 1, value: Buffer.from(value + '\0', 'latin1') });
+const short = (tag, value) => ({ tag, type: 3, count: 1, value: [value] });
+const rational = (tag, ...values) => ({ tag, type: 5, count: values.length, value: values });
+
+function tiff({ ifd0 = [], exif = [], gps = [] }, little = true) {
+  const dirs = [ifd0.concat([{ tag: 0x8769 }, { tag: 0x8825 }]), exif, gps];
+  const offsets = [];
+  let end = 8;
+  dirs.forEach((entries) => {
+    offsets.push(end);
+    end += 2 + entries.length * 12 + 4;
+  });
+  // Values that don't fit in an entry go after the directories.
+  const buffer = Buffer.alloc(end + 1024);
+  const u16 = (value, at) => (little ? buffer.writeUInt16LE(value, at) : buffer.writeUInt16BE(value, at));
+  const u32 = (value, at) => (little ? buffer.writeUInt32LE(value, at) : buffer.writeUInt32BE(value, at));
+  buffer.write(little ? 'II' : 'MM', 0, 'latin1');
+  u16(42, 2);
+  u32(8, 4);
+  dirs.forEach((entries, index) => {
+    u16(entries.length, offsets[index]);
+    entries.forEach((entry, i) => {
+      const at = offsets[index] + 2 + i * 12;
+      u16(entry.tag, at);
+      if (entry.type === undefined) {
+        // Pointer to the Exif or GPS directory.
+        u16(4, at + 2);
+        u32(1, at + 4);
+        u32(offsets[entry.tag === 0x8769 ? 1 : 2], at + 8);
+        return;
+      }
+      u16(entry.type, at + 2);
+      u32(entry.count, at + 4);
+      const size = entry.type === 5 ? 8 * entry.count : entry.type === 3 ? 2 * entry.count : entry.value.length;
+      const target = size > 4 ? end : at + 8;
+      if (size > 4) {
+        u32(end, at + 8);
+        end += size;
+      }
+      if (entry.type === 2) entry.value.copy(buffer, target);
+      if (entry.type === 3) entry.value.forEach((v, j) => u16(v, target + j * 2));
+      if (entry.type === 5) {
+        entry.value.forEach(([numerator, denominator], j) => {
+          u32(numerator, target + j * 8);
+          u32(denominator, target + j * 8 + 4);
+        });
+      }
+    });
+  });
+  return buffer.subarray(0, end);
+}
+
+function jpeg(block) {
+  const app1 = Buffer.alloc(4);
+  app1.writeUInt16BE(0xffe1, 0);
+  app1.writeUInt16BE(2 + 6 + block.length, 2);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, Buffer.from('Exif\0\0', 'latin1'), block, Buffer.from([0xff, 0xd9])]);
+}
+
+function png(block) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), body, Buffer.alloc(4)]);
+  };
+  return Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), chunk('IHDR', Buffer.alloc(13)), chunk('eXIf', block), chunk('IEND', Buffer.alloc(0))]);
+}
+
+const PHOTO = {
+  ifd0: [ascii(0x010f, 'Apple'), ascii(0x0110, 'iPhone 15'), short(0x0112, 6)],
+  exif: [ascii(0x9003, '2026:01:17 14:32:10'), ascii(0x9011, '-03:00')],
+  gps: [
+    ascii(1, 'S'),
+    rational(2, [34, 1], [36, 1], [1332, 100]),
+    ascii(3, 'W'),
+    rational(4, [58, 1], [22, 1], [5376, 100]),
+    rational(6, [25, 1]),
+  ],
+};
+const PHOTO_METADATA = {
+  takenAt: '2026-01-17T14:32:10-03:00',
+  latitude: -34.6037,
+  longitude: -58.3816,
+  altitude: 25,
+  orientation: 6,
+  camera: 'Apple iPhone 15',
+};
+
+function write(name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+test('read() parses the EXIF block of a JPEG', async () => {
+  assert.deepEqual(await metadata.read(write('photo.jpg', jpeg(tiff(PHOTO)))), PHOTO_METADATA);
+});
+
+test('read() parses big-endian EXIF and the eXIf chunk of a PNG', async () => {
+  assert.deepEqual(await metadata.read(write('photo.png', png(tiff(PHOTO, false)))), PHOTO_METADATA);
+});
+
+test('read() keeps times without offset local and skips unknown positions', async () => {
+  const block = tiff({
+    ifd0: [ascii(0x010f, 'Google'), ascii(0x0110, 'Google Pixel 8'), ascii(0x0132, '2026:01:18 09:00:00')],
+    gps: [ascii(1, 'N'), rational(2, [0, 1], [0, 1], [0, 1]), ascii(3, 'E'), rational(4, [0, 1], [0, 1], [0, 1])],
+  });
+  assert.deepEqual(await metadata.read(write('pixel.jpg', jpeg(block))), {
+    takenAt: '2026-01-18T09:00:00',
+    camera: 'Google Pixel 8',
+  });
+});
+
+test('read() returns null without metadata or for other files', async () => {
+  assert.equal(await metadata.read(write('plain.jpg', Buffer.from([0xff, 0xd8, 0xff, 0xd9]))), null);
+  assert.equal(await metadata.read(write('broken.jpg', jpeg(Buffer.from('not a tiff')))), null);
+  assert.equal(await metadata.read(write('clip.mkv', Buffer.alloc(64))), null);
+});
+
+test('stripLocation() removes the GPS position and keeps the rest', async () => {
+  const file = write('strip.jpg', jpeg(tiff(PHOTO)));
+  // Backups hard-link uploads: the linked copy must keep its contents.
+  const link = path.join(dir, 'strip-backup.jpg');
+  fs.linkSync(file, link);
+  const size = fs.statSync(file).size;
+  assert.equal(await metadata.stripLocation(file), true);
+  const { latitude, longitude, altitude, ...rest } = PHOTO_METADATA;
+  assert.deepEqual(await metadata.read(file), rest);
+  assert.equal(fs.statSync(file).size, size);
+  assert.deepEqual(await metadata.read(link), PHOTO_METADATA);
+  assert.equal(await metadata.stripLocation(file), false);
+});
+
+// -----------------------------------------------------------------------------
+// QuickTime builder
+
+function atom(type, ...bodies) {
+  const body = Buffer.concat(bodies);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+const u32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+function mvhd(date) {
+  const body = Buffer.alloc(100);
+  body.writeUInt32BE(Math.floor(date.getTime() / 1000) + 2082844800, 4);
+  return atom('mvhd', body);
+}
+
+function xyz(text) {
+  const head = Buffer.alloc(4);
+  head.writeUInt16BE(Buffer.byteLength(text));
+  head.writeUInt16BE(0x15c7, 2);
+  return atom('\xa9xyz', head, Buffer.from(text));
+}
+
+// moov/meta with QuickTime keys, as iPhones write it.
+function quicktimeKeys(values) {
+  const names = Object.keys(values);
+  const keys = atom('keys', u32(0), u32(names.length), ...names.map((name) => atom('mdta', Buffer.from(name))));
+  const items = names.map((name, i) => {
+    const item = atom('data', u32(1), u32(0), Buffer.from(values[name]));
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + item.length);
+    header.writeUInt32BE(i + 1, 4);
+    return Buffer.concat([header, item]);
+  });
+  return atom('meta', atom('hdlr', Buffer.alloc(25)), keys, atom('ilst', ...items));
+}
+
+const video = (...children) => Buffer.concat([atom('ftyp', Buffer.from('isom')), atom('mdat', Buffer.alloc(32)), atom('moov', ...children)]);
+
+test('read() parses the ©xyz atom and the movie header of a video', async () => {
+  const file = write('android.mp4', video(mvhd(new Date('2026-01-19T12:00:00Z')), atom('udta', xyz('-34.6037-058.3816/'))));
+  assert.deepEqual(await metadata.read(file), {
+    takenAt: '2026-01-19T12:00:00Z',
+    latitude: -34.6037,
+    longitude: -58.3816,
+  });
+});
+
+test('read() prefers the QuickTime keys of a video', async () => {
+  const keys = quicktimeKeys({
+    'com.apple.quicktime.creationdate': '2026-01-17T14:32:10-0300',
+    'com.apple.quicktime.location.ISO6709': '-34.6037-058.3816+025.000/',
+    'com.apple.quicktime.make': 'Apple',
+    'com.apple.quicktime.model': 'iPhone 15',
+  });
+  const file = write('iphone.mov', video(mvhd(new Date('2026-01-19T12:00:00Z')), keys));
+  assert.deepEqual(await metadata.read(file), {
+    takenAt: '2026-01-17T14:32:10-03:00',
+    latitude: -34.6037,
+    longitude: -58.3816,
+    altitude: 25,
+    camera: 'Apple iPhone 15',
+  });
+});
+
+test('stripLocation() turns the location atoms of a video into free atoms', async () => {
+  const keys = quicktimeKeys({ 'com.apple.quicktime.location.ISO6709': '-34.6037-058.3816/' });
+  const file = write('strip.mov', video(mvhd(new Date('2026-01-19T12:00:00Z')), atom('udta', xyz('-34.6037-058.3816/')), keys));
+  const size = fs.statSync(file).size;
+  assert.equal(await metadata.stripLocation(file), true);
+  assert.deepEqual(await metadata.read(file), { takenAt: '2026-01-19T12:00:00Z' });
+  assert.equal(fs.statSync(file).size, size);
+});
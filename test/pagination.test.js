@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListOptions, paginate } = require('../pagination');
+
+const entry = (id, date) => ({ memory: { id, date, createdAt: date }, score: 0 });
+const entries = [
+  entry('a', '2026-01-16'),
+  entry('b', '2026-01-18'),
+  entry('c', '2026-01-17'),
+  entry('d', '2026-01-17'),
+  entry('e', '2026-01-19'),
+];
+
+// Every page of a list, following the cursors.
+function pages(list, query) {
+  const result = [];
+  let cursor;
+  do {
+    const options = parseListOptions({ ...query, cursor }, false);
+    const { page, nextCursor } = paginate(list, options);
+    result.push(page.map((e) => e.memory.id));
+    cursor = nextCursor;
+  } while (cursor);
+  return result;
+}
+
+test('parseListOptions defaults', () => {
+  assert.deepEqual(parseListOptions({}, false), { sort: 'createdAt', order: 'asc', limit: null, cursor: null });
+  assert.deepEqual(parseListOptions({}, true), { sort: 'relevance', order: 'desc', limit: null, cursor: null });
+  assert.equal(parseListOptions({ sort: 'date' }, false).order, 'desc');
+  assert.equal(parseListOptions({ limit: '1000' }, false).limit, 100);
+});
+
+test('parseListOptions rejects unknown values', () => {
+  assert.throws(() => parseListOptions({ sort: 'title' }, false), /Ordenação inválida/);
+  assert.throws(() => parseListOptions({ sort: 'relevance' }, false), /Ordenação inválida/);
+  assert.throws(() => parseListOptions({ order: 'up' }, false), /Ordem inválida/);
+  assert.throws(() => parseListOptions({ limit: '0' }, false), /Limite inválido/);
+  assert.throws(() => parseListOptions({ cursor: 'not base64 json' }, false), /Cursor inválido/);
+});
+
+test('cursors walk the whole list once, ties broken by id', () => {
+  assert.deepEqual(pages(entries, { sort: 'date', order: 'asc', limit: '2' }), [
+    ['a', 'c'],
+    ['d', 'b'],
+    ['e'],
+  ]);
+  assert.deepEqual(pages(entries, { sort: 'date', limit: '3' }), [
+    ['e', 'b', 'c'],
+    ['d', 'a'],
+  ]);
+  assert.deepEqual(pages(entries, { sort: 'date' }), [['e', 'b', 'c', 'd', 'a']]);
+});
+
+test('a cursor stays valid when entries change between pages', () => {
+  const options = parseListOptions({ sort: 'date', order: 'asc', limit: '2' }, false);
+  const first = paginate(entries, options);
+  // The first entry is deleted and one is added before the cursor.
+  const changed = entries.filter((e) => e.memory.id !== 'a').concat(entry('f', '2026-01-15'));
+  const next = paginate(changed, parseListOptions({ sort: 'date', order: 'asc', limit: '2', cursor: first.nextCursor }, false));
+  assert.deepEqual(
+    next.page.map((e) => e.memory.id),
+    ['d', 'b']
+  );
+});
+
+test('a cursor only works with the sort it was made for', () => {
+  const { nextCursor } = paginate(entries, parseListOptions({ sort: 'date', limit: '2' }, false));
+  assert.throws(() => parseListOptions({ sort: 'date', order: 'asc', cursor: nextCursor }, false), /Cursor inválido/);
+  assert.throws(() => parseListOptions({ sort: 'updatedAt', cursor: nextCursor }, false), /Cursor inválido/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSubscription } = require('../push');
+
+const keys = { p256dh: 'BPublicKey', auth: 'secret' };
+
+test('parseSubscription accepts https endpoints on public hosts', () => {
+  assert.deepEqual(parseSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys, extra: 1 }), {
+    endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+    keys,
+  });
+  assert.equal(parseSubscription({ endpoint: 'https://[2001:db8::1]/push', keys }).endpoint, 'https://[2001:db8::1]/push');
+});
+
+test('parseSubscription refuses malformed subscriptions', () => {
+  [
+    null,
+    {},
+    { endpoint: 'not a url', keys },
+    { endpoint: 'https://push.example.com/x' },
+    { endpoint: 'https://push.example.com/x', keys: { p256dh: 'k' } },
+    { endpoint: 'http://push.example.com/x', keys },
+    { endpoint: 'ftp://push.example.com/x', keys },
+  ].forEach((value) => assert.throws(() => parseSubscription(value), /Inscrição inválida/, JSON.stringify(value)));
+});
+
+test('parseSubscription refuses internal hosts, even over https', () => {
+  [
+    'https://localhost/x',
+    'https://127.0.0.1/x',
+    'https://[::1]/x',
+    'https://10.0.0.5/x',
+    'https://172.16.3.4/x',
+    'https://192.168.1.10/x',
+    'https://100.64.0.1/x',
+    'https://169.254.169.254/latest/meta-data',
+    'https://0.0.0.0/x',
+    'https://[fd00::1]/x',
+    'https://[fe80::1]/x',
+    'https://[::ffff:127.0.0.1]/x',
+    'https://[::ffff:10.0.0.1]/x',
+    'https://printer.local/x',
+    'https://metadata.google.internal/x',
+  ].forEach((endpoint) => assert.throws(() => parseSubscription({ endpoint, keys }), /Inscrição inválida/, endpoint));
+});
+
+test('parseSubscription accepts loopback only when allowed', () => {
+  const options = { allowLoopback: true };
+  assert.equal(parseSubscription({ endpoint: 'http://localhost:3998/x', keys }, options).endpoint, 'http://localhost:3998/x');
+  assert.equal(parseSubscription({ endpoint: 'https://127.0.0.1/x', keys }, options).endpoint, 'https://127.0.0.1/x');
+  assert.throws(() => parseSubscription({ endpoint: 'https://10.0.0.5/x', keys }, options), /Inscrição inválida/);
+  assert.throws(() => parseSubscription({ endpoint: 'http://localhost:3998/x', keys }), /Inscrição inválida/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../storage');
+
+let sqlite = true;
+try {
+  require('better-sqlite3');
+} catch (_err) {
+  sqlite = false;
+}
+
+['json', 'sqlite'].forEach((driver) => {
+  test(`${driver} driver`, { skip: driver === 'sqlite' && !sqlite && 'better-sqlite3 is not installed' }, async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `storage-${driver}-`));
+    const store = createStore({ dataDir, driver });
+    t.after(() => {
+      store.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    await t.test('insert refuses an id that is taken', () => {
+      assert.deepEqual(store.insert('notes', { id: 1, text: 'a' }), { id: '1', text: 'a' });
+      assert.throws(() => store.insert('notes', { id: '1', text: 'b' }), /Registro já existe em notes: 1/);
+      assert.throws(() => store.insert('notes', { text: 'c' }), /Registro sem id/);
+      assert.deepEqual(store.get('notes', 1), { id: '1', text: 'a' });
+    });
+
+    await t.test('update replaces the record, or adds it', () => {
+      store.update('notes', { id: '1', text: 'b' });
+      store.update('notes', { id: '2', text: 'c' });
+      assert.deepEqual(store.all('notes'), [
+        { id: '1', text: 'b' },
+        { id: '2', text: 'c' },
+      ]);
+    });
+
+    await t.test('a failed transaction leaves nothing behind', () => {
+      assert.throws(() =>
+        store.transaction(() => {
+          store.insert('notes', { id: '3', text: 'd' });
+          store.insert('notes', { id: '2', text: 'e' });
+        })
+      );
+      assert.equal(store.get('notes', '3'), null);
+      assert.deepEqual(store.get('notes', '2'), { id: '2', text: 'c' });
+    });
+
+    await t.test('records are copies', () => {
+      const record = store.get('notes', '1');
+      record.text = 'changed';
+      assert.equal(store.get('notes', '1').text, 'b');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZip, openZip, ZipError } = require('../zip');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Archive with a small JSON entry, a large deflated one and a stored file.
+async function writeArchive(file) {
+  const photo = path.join(dir, 'photo.jpg');
+  fs.writeFileSync(photo, Buffer.from(Array.from({ length: 5000 }, (_v, i) => i % 251)));
+  const out = fs.createWriteStream(file);
+  const zip = createZip(out);
+  await zip.addBuffer('database.json', JSON.stringify({ memories: [{ title: 'Café' }] }));
+  await zip.addBuffer('uploads/zeros.bin', Buffer.alloc(64 * 1024));
+  await zip.addFile('uploads/photo.jpg', photo);
+  await zip.finish();
+  await new Promise((resolve) => out.end(resolve));
+  return photo;
+}
+
+test('entries written by createZip are read back by openZip', async () => {
+  const file = path.join(dir, 'round-trip.zip');
+  const photo = await writeArchive(file);
+  const zip = await openZip(file);
+  try {
+    assert.deepEqual(zip.names, ['database.json', 'uploads/zeros.bin', 'uploads/photo.jpg']);
+    assert.deepEqual(JSON.parse(await zip.read('database.json')), { memories: [{ title: 'Café' }] });
+    assert.equal(zip.size('uploads/zeros.bin'), 64 * 1024);
+    const dest = path.join(dir, 'photo-copy.jpg');
+    await zip.extract('uploads/photo.jpg', dest);
+    assert.deepEqual(fs.readFileSync(dest), fs.readFileSync(photo));
+    await zip.extract('uploads/zeros.bin', dest);
+    assert.deepEqual(fs.readFileSync(dest), Buffer.alloc(64 * 1024));
+    await assert.rejects(zip.read('missing.json'), ZipError);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('openZip rejects files that are not archives', async () => {
+  const file = path.join(dir, 'not-a.zip');
+  fs.writeFileSync(file, 'just text');
+  await assert.rejects(openZip(file), { name: 'ZipError', message: 'Arquivo ZIP inválido' });
+});
+
+test('entries over the size limit are refused', async () => {
+  const file = path.join(dir, 'entry-limit.zip');
+  await writeArchive(file);
+  const zip = await openZip(file, { maxEntrySize: 10 * 1024 });
+  try {
+    const dest = path.join(dir, 'zeros.bin');
+    await assert.rejects(zip.extract('uploads/zeros.bin', dest), /grande demais/);
+    assert.equal(fs.existsSync(dest), false);
+    await zip.extract('uploads/photo.jpg', path.join(dir, 'photo-ok.jpg'));
+  } finally {
+    await zip.close();
+  }
+});
+
+test('the total extracted is capped', async () => {
+  const file = path.join(dir, 'total-limit.zip');
+  await writeArchive(file);
+  const zip = await openZip(file, { maxTotalSize: 8 * 1024 });
+  try {
+    await zip.read('database.json');
+    await zip.extract('uploads/photo.jpg', path.join(dir, 'photo-total.jpg'));
+    // Each entry is below the cap, the second copy of the photo goes over.
+    await assert.rejects(zip.extract('uploads/photo.jpg', path.join(dir, 'photo-again.jpg')), {
+      message: 'Conteúdo do ZIP grande demais',
+    });
+  } finally {
+    await zip.close();
+  }
+});
+
+test('an entry never expands beyond its declared size', async () => {
+  const file = path.join(dir, 'lying.zip');
+  await writeArchive(file);
+  // Shrink the size of zeros.bin in the central directory.
+  const data = fs.readFileSync(file);
+  const record = data.lastIndexOf(Buffer.from('uploads/zeros.bin')) - 46;
+  data.writeUInt32LE(100, record + 24);
+  fs.writeFileSync(file, data);
+  const zip = await openZip(file);
+  try {
+    const dest = path.join(dir, 'lying.bin');
+    await assert.rejects(zip.extract('uploads/zeros.bin', dest), ZipError);
+    assert.equal(fs.existsSync(dest), false);
+    await assert.rejects(zip.read('uploads/zeros.bin'), ZipError);
+  } finally {
+    await zip.close();
+  }
+});
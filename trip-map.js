@@ -0,0 +1,564 @@
+/*
+  Mapa da viagem.
+
+  A aba "Mapa", ao lado das abas dos dias, mostra as atividades do roteiro
+  e as memórias que têm coordenadas, com uma cor por dia. As atividades
+  são numeradas na ordem do dia e ligadas pelo trajeto previsto; as
+  memórias aparecem como alfinetes, agrupadas quando estão no mesmo
+  lugar. Tocar em um ponto mostra os detalhes abaixo do mapa, com o
+  atalho para o dia ou para a memória.
+
+  O fundo é o contorno simplificado de map-outline.json (GeoJSON), guardado
+  pelo service worker junto com os demais arquivos: o mapa funciona sem
+  conexão e não depende de um serviço de mapas. A projeção é
+  equiretangular, com a longitude corrigida pelo cosseno da latitude da
+  cidade, o que basta na escala da viagem.
+
+  O mapa se ajusta aos pontos visíveis e aceita zoom (botões e roda do
+  mouse) e arrastar. `setupTripMap(panel)` é chamado por createPanel
+  (script.js); `refreshTripMap()` redesenha o mapa depois de mudanças no
+  roteiro ou de login e logout.
+*/
+
+(function () {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const OUTLINE_URL = '/map-outline.json';
+  // Unidades do SVG por grau de latitude e correção da longitude em
+  // Buenos Aires.
+  const SCALE = 1000;
+  const LNG_FACTOR = Math.cos((-34.6 * Math.PI) / 180);
+  // Proporção do mapa (largura / altura), a mesma do CSS.
+  const ASPECT = 4 / 3;
+  // Limites do zoom, em unidades do SVG (largura visível).
+  const MIN_WIDTH = 2;
+  const MAX_WIDTH = 1400;
+  // Área exibida quando não há pontos: a cidade de Buenos Aires.
+  const CITY_BOUNDS = [-58.53, -34.705, -58.335, -34.535];
+  const DAY_COLORS = ['#e85d75', '#2a9d8f', '#e9a03b', '#5a67d8', '#8e5bb5', '#3b8ed0', '#c0563b'];
+  const NO_DAY_COLOR = '#776a60';
+
+  let map = null;
+
+  const project = (longitude, latitude) => ({ x: longitude * SCALE * LNG_FACTOR, y: -latitude * SCALE });
+
+  function svgElement(name, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes).forEach((key) => el.setAttribute(key, attributes[key]));
+    return el;
+  }
+
+  /**
+   * Texto simples de uma descrição do roteiro, que pode conter HTML. O
+   * HTML é lido num documento à parte, que não carrega imagens nem roda
+   * handlers.
+   */
+  function plainText(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    return doc.body.textContent.trim();
+  }
+
+  function dayColor(dayId) {
+    const days = window.itineraryData || [];
+    const index = days.findIndex((d) => String(d.id) === String(dayId));
+    return index < 0 ? NO_DAY_COLOR : DAY_COLORS[index % DAY_COLORS.length];
+  }
+
+  function hasPosition(record) {
+    const c = record && record.coordinates;
+    return Boolean(c) && Number.isFinite(c.latitude) && Number.isFinite(c.longitude);
+  }
+
+  /**
+   * Atividades com coordenadas de cada dia, numeradas na ordem do dia.
+   *
+   * @returns {Array<{day: Object, stops: Array<{item: Object, number: number, x: number, y: number}>}>}
+   */
+  function routes() {
+    return (window.itineraryData || []).map((day) => ({
+      day,
+      stops: (day.schedule || []).filter(hasPosition).map((item, index) => ({
+        item,
+        number: index + 1,
+        ...project(item.coordinates.longitude, item.coordinates.latitude),
+      })),
+    }));
+  }
+
+  /**
+   * Memórias com coordenadas agrupadas por lugar.
+   *
+   * @param {string} filter 'all' ou o id de um dia
+   * @returns {Array<{memories: Object[], x: number, y: number, color: string}>}
+   */
+  function memoryGroups(filter) {
+    const groups = new Map();
+    map.memories.filter(hasPosition).forEach((mem) => {
+      if (filter !== 'all' && String(mem.day) !== filter) return;
+      const key = `${mem.coordinates.latitude},${mem.coordinates.longitude}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          memories: [],
+          color: dayColor(mem.day),
+          ...project(mem.coordinates.longitude, mem.coordinates.latitude),
+        });
+      }
+      groups.get(key).memories.push(mem);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Dados exibidos com os filtros atuais.
+   */
+  function visible() {
+    const filter = map.daySelect.value;
+    const shownRoutes = map.showStops.checked
+      ? routes().filter((r) => filter === 'all' || String(r.day.id) === filter)
+      : [];
+    const groups = map.showMemories.checked ? memoryGroups(filter) : [];
+    return { routes: shownRoutes, groups };
+  }
+
+  /**
+   * Unidades do SVG por pixel na tela, para que marcadores e textos
+   * tenham o mesmo tamanho em qualquer zoom.
+   */
+  function unit() {
+    const width = map.svg.clientWidth || 600;
+    return map.view.width / width;
+  }
+
+  function setView(x, y, width) {
+    const w = Math.min(Math.max(width, MIN_WIDTH), MAX_WIDTH);
+    const h = w / ASPECT;
+    // Mantém o centro ao limitar o zoom.
+    map.view = { x: x + (width - w) / 2, y: y + (width / ASPECT - h) / 2, width: w };
+    map.svg.setAttribute('viewBox', `${map.view.x} ${map.view.y} ${w} ${h}`);
+    drawMarkers();
+  }
+
+  /**
+   * Ajusta o mapa aos pontos visíveis (ou à cidade, sem pontos).
+   */
+  function fit() {
+    const { routes: shownRoutes, groups } = visible();
+    let points = groups.concat(...shownRoutes.map((r) => r.stops));
+    if (points.length === 0) {
+      points = [project(CITY_BOUNDS[0], CITY_BOUNDS[1]), project(CITY_BOUNDS[2], CITY_BOUNDS[3])];
+    }
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    let width = Math.max(Math.max(...xs) - minX, (Math.max(...ys) - minY) * ASPECT, MIN_WIDTH * 4) * 1.3;
+    width = Math.min(width, MAX_WIDTH);
+    const centerX = (minX + Math.max(...xs)) / 2;
+    const centerY = (minY + Math.max(...ys)) / 2;
+    setView(centerX - width / 2, centerY - width / ASPECT / 2, width);
+  }
+
+  /**
+   * Aproxima ou afasta em torno de um ponto do SVG.
+   *
+   * @param {number} factor Maior que 1 aproxima
+   * @param {{x: number, y: number}} [at] Por padrão, o centro
+   */
+  function zoom(factor, at) {
+    const { x, y, width } = map.view;
+    const height = width / ASPECT;
+    const center = at || { x: x + width / 2, y: y + height / 2 };
+    const newWidth = width / factor;
+    setView(
+      center.x - ((center.x - x) / width) * newWidth,
+      center.y - ((center.y - y) / height) * (newWidth / ASPECT),
+      newWidth
+    );
+  }
+
+  /**
+   * Posição no SVG de um ponto da tela.
+   */
+  function toSvg(clientX, clientY) {
+    const rect = map.svg.getBoundingClientRect();
+    const u = unit();
+    return { x: map.view.x + (clientX - rect.left) * u, y: map.view.y + (clientY - rect.top) * u };
+  }
+
+  /**
+   * Desenha o contorno (terra, limite da cidade). Os rótulos são
+   * redesenhados com os marcadores, pois seu tamanho depende do zoom.
+   */
+  function drawOutline() {
+    const layer = map.layers.outline;
+    layer.innerHTML = '';
+    if (!map.outline) return;
+    const path = (coords, close) =>
+      coords.map(([lng, lat], i) => {
+        const p = project(lng, lat);
+        return `${i === 0 ? 'M' : 'L'}${p.x.toFixed(2)} ${p.y.toFixed(2)}`;
+      }).join(' ') + (close ? ' Z' : '');
+    map.outline.features.forEach((feature) => {
+      const { kind } = feature.properties || {};
+      const { type, coordinates } = feature.geometry || {};
+      if (type === 'Polygon') {
+        layer.appendChild(svgElement('path', { class: 'map-land', d: coordinates.map((ring) => path(ring, true)).join(' ') }));
+      } else if (type === 'LineString') {
+        layer.appendChild(svgElement('path', { class: kind === 'boundary' ? 'map-boundary' : 'map-line', d: path(coordinates) }));
+      }
+    });
+  }
+
+  /**
+   * Marca um elemento como botão acessível pelo teclado.
+   */
+  function makeButton(el, label, onSelect) {
+    el.setAttribute('tabindex', '0');
+    el.setAttribute('role', 'button');
+    el.setAttribute('aria-label', label);
+    const title = svgElement('title');
+    title.textContent = label;
+    el.appendChild(title);
+    el.addEventListener('click', () => {
+      // Um arrasto que termina sobre o marcador não é um toque.
+      if (!map.dragged) onSelect();
+    });
+    el.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Enter' || ev.key === ' ') {
+        ev.preventDefault();
+        onSelect();
+      }
+    });
+  }
+
+  /**
+   * Desenha rótulos, trajetos, atividades e memórias na escala atual.
+   */
+  function drawMarkers() {
+    const u = unit();
+    const { labels, routes: routeLayer, markers } = map.layers;
+    [labels, routeLayer, markers].forEach((layer) => {
+      layer.innerHTML = '';
+    });
+
+    if (map.outline) {
+      map.outline.features
+        .filter((f) => f.properties && f.properties.kind === 'label' && f.geometry.type === 'Point')
+        .forEach((f) => {
+          const p = project(f.geometry.coordinates[0], f.geometry.coordinates[1]);
+          const text = svgElement('text', { class: 'map-label', x: p.x, y: p.y, 'font-size': 12 * u });
+          text.textContent = f.properties.name;
+          labels.appendChild(text);
+        });
+    }
+
+    const { routes: shownRoutes, groups } = visible();
+    shownRoutes.forEach(({ day, stops }) => {
+      const color = dayColor(day.id);
+      if (stops.length > 1) {
+        routeLayer.appendChild(
+          svgElement('polyline', {
+            class: 'map-route',
+            points: stops.map((s) => `${s.x},${s.y}`).join(' '),
+            stroke: color,
+            'stroke-width': 3 * u,
+          })
+        );
+      }
+      stops.forEach((stop) => {
+        const g = svgElement('g', { class: 'map-stop', transform: `translate(${stop.x} ${stop.y})` });
+        g.appendChild(svgElement('circle', { r: 9 * u, fill: color, 'stroke-width': 2 * u }));
+        const number = svgElement('text', { 'font-size': 10 * u, dy: '0.35em' });
+        number.textContent = stop.number;
+        g.appendChild(number);
+        makeButton(g, `Dia ${day.id}, parada ${stop.number}: ${plainText(stop.item.description)}`, () =>
+          showStop(day, stop)
+        );
+        markers.appendChild(g);
+      });
+    });
+
+    // Alfinetes das memórias: a ponta fica no lugar, acima das paradas.
+    groups.forEach((group) => {
+      const g = svgElement('g', { class: 'map-memory', transform: `translate(${group.x} ${group.y})` });
+      g.appendChild(
+        svgElement('path', {
+          d: `M0 0 L${-6 * u} ${-12 * u} A${8 * u} ${8 * u} 0 1 1 ${6 * u} ${-12 * u} Z`,
+          fill: group.color,
+          'stroke-width': 2 * u,
+        })
+      );
+      const mark = svgElement('text', { y: -16 * u, 'font-size': 10 * u, dy: '0.35em' });
+      mark.textContent = group.memories.length > 1 ? group.memories.length : '♥';
+      g.appendChild(mark);
+      const title = group.memories.length > 1 ? `${group.memories.length} memórias` : group.memories[0].title || 'Memória';
+      makeButton(g, `${title}${group.memories[0].location ? ' – ' + group.memories[0].location : ''}`, () =>
+        showMemories(group)
+      );
+      markers.appendChild(g);
+    });
+
+    if (shownRoutes.every((r) => r.stops.length === 0) && groups.length === 0) {
+      showMessage('Nenhuma atividade ou memória com coordenadas para mostrar.');
+    }
+  }
+
+  function showMessage(text) {
+    map.info.innerHTML = '';
+    const p = document.createElement('p');
+    p.className = 'subtitle';
+    p.textContent = text;
+    map.info.appendChild(p);
+  }
+
+  /**
+   * Detalhes de uma atividade, com o atalho para o painel do dia.
+   */
+  function showStop(day, stop) {
+    map.info.innerHTML = '';
+    const heading = document.createElement('strong');
+    heading.textContent = `Dia ${day.id} · parada ${stop.number}${stop.item.time ? ' · ' + stop.item.time : ''}`;
+    const desc = document.createElement('p');
+    desc.textContent = plainText(stop.item.description);
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Ver no roteiro';
+    btn.addEventListener('click', () => {
+      if (typeof window.openTab !== 'function') return;
+      window.openTab(String(day.id));
+      const panel = window.tabPanels && window.tabPanels[String(day.id)];
+      if (panel) panel.scrollIntoView({ behavior: 'smooth' });
+    });
+    map.info.append(heading, desc, btn);
+  }
+
+  /**
+   * Memórias de um lugar, cada uma com o botão que abre os detalhes.
+   */
+  function showMemories(group) {
+    map.info.innerHTML = '';
+    const heading = document.createElement('strong');
+    heading.textContent = group.memories[0].location || 'Memórias neste lugar';
+    const list = document.createElement('ul');
+    list.className = 'map-memory-list';
+    group.memories.forEach((mem) => {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      const date = mem.date ? new Date(mem.date).toLocaleDateString('pt-BR') : '';
+      label.textContent = [mem.title || 'Sem título', mem.day ? `Dia ${mem.day}` : '', date].filter(Boolean).join(' · ');
+      li.appendChild(label);
+      if (typeof window.openMemoryDetail === 'function') {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = 'Ver memória';
+        btn.addEventListener('click', () => window.openMemoryDetail(mem));
+        li.appendChild(btn);
+      }
+      list.appendChild(li);
+    });
+    map.info.append(heading, list);
+  }
+
+  /**
+   * Preenche o filtro de dias e a legenda de cores, mantendo o dia
+   * escolhido quando ele ainda existe.
+   */
+  function buildFilter() {
+    const previous = map.daySelect.value || 'all';
+    map.daySelect.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = 'all';
+    all.textContent = 'Todos os dias';
+    map.daySelect.appendChild(all);
+    map.legend.innerHTML = '';
+    (window.itineraryData || []).forEach((day) => {
+      const opt = document.createElement('option');
+      opt.value = String(day.id);
+      opt.textContent = `Dia ${day.id}`;
+      map.daySelect.appendChild(opt);
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'map-swatch';
+      swatch.style.background = dayColor(day.id);
+      item.append(swatch, `Dia ${day.id}`);
+      map.legend.appendChild(item);
+    });
+    const known = Array.from(map.daySelect.options).some((o) => o.value === previous);
+    map.daySelect.value = known ? previous : 'all';
+  }
+
+  /**
+   * Busca as memórias: todas as do casal quando logado, as públicas para
+   * visitantes. Sem conexão, mantém as já carregadas.
+   */
+  async function loadMemories() {
+    const url = window.isLoggedIn ? '/memories?fields=summary' : '/public-memories';
+    try {
+      const res = await fetch(url, { credentials: 'include' });
+      const data = await res.json();
+      map.memories = res.ok && Array.isArray(data) ? data : [];
+    } catch (_err) {
+      // Mantém a lista atual.
+    }
+  }
+
+  async function loadOutline() {
+    try {
+      const res = await fetch(OUTLINE_URL);
+      if (res.ok) map.outline = await res.json();
+    } catch (_err) {
+      // Sem contorno, o mapa mostra apenas os pontos.
+    }
+    drawOutline();
+  }
+
+  /**
+   * Recarrega as memórias e redesenha o mapa, se a aba já foi aberta.
+   */
+  async function refreshTripMap() {
+    if (!map) return;
+    buildFilter();
+    await loadMemories();
+    fit();
+  }
+
+  function createControls() {
+    const controls = document.createElement('div');
+    controls.className = 'map-controls';
+
+    const dayLabel = document.createElement('label');
+    dayLabel.textContent = 'Mostrar ';
+    const daySelect = document.createElement('select');
+    daySelect.addEventListener('change', () => {
+      showMessage('Toque em um ponto para ver os detalhes.');
+      fit();
+    });
+    dayLabel.appendChild(daySelect);
+
+    const checkbox = (text) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = true;
+      input.addEventListener('change', () => {
+        showMessage('Toque em um ponto para ver os detalhes.');
+        drawMarkers();
+      });
+      label.append(input, ' ' + text);
+      return { label, input };
+    };
+    const stops = checkbox('Atividades');
+    const memories = checkbox('Memórias');
+
+    const zoomGroup = document.createElement('div');
+    zoomGroup.className = 'map-zoom';
+    [
+      ['+', 'Aproximar', () => zoom(1.5)],
+      ['−', 'Afastar', () => zoom(1 / 1.5)],
+      ['⤢', 'Ajustar aos pontos', () => fit()],
+    ].forEach(([text, label, action]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = text;
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+      btn.addEventListener('click', action);
+      zoomGroup.appendChild(btn);
+    });
+
+    controls.append(dayLabel, stops.label, memories.label, zoomGroup);
+    return { controls, daySelect, showStops: stops.input, showMemories: memories.input };
+  }
+
+  /**
+   * Arrastar para mover e roda do mouse para o zoom.
+   */
+  function enablePanAndZoom(svg) {
+    let start = null;
+    svg.addEventListener('pointerdown', (ev) => {
+      start = { clientX: ev.clientX, clientY: ev.clientY, view: { ...map.view }, unit: unit() };
+      map.dragged = false;
+    });
+    svg.addEventListener('pointermove', (ev) => {
+      if (!start) return;
+      const dx = ev.clientX - start.clientX;
+      const dy = ev.clientY - start.clientY;
+      if (!map.dragged && Math.hypot(dx, dy) < 4) return;
+      if (!map.dragged && svg.setPointerCapture) svg.setPointerCapture(ev.pointerId);
+      map.dragged = true;
+      map.view = { ...start.view, x: start.view.x - dx * start.unit, y: start.view.y - dy * start.unit };
+      svg.setAttribute('viewBox', `${map.view.x} ${map.view.y} ${map.view.width} ${map.view.width / ASPECT}`);
+    });
+    const end = () => {
+      start = null;
+      // O clique que encerra o arrasto ainda consulta `dragged`.
+      setTimeout(() => {
+        map.dragged = false;
+      }, 0);
+    };
+    svg.addEventListener('pointerup', end);
+    svg.addEventListener('pointercancel', end);
+    svg.addEventListener(
+      'wheel',
+      (ev) => {
+        ev.preventDefault();
+        zoom(ev.deltaY < 0 ? 1.25 : 1 / 1.25, toSvg(ev.clientX, ev.clientY));
+      },
+      { passive: false }
+    );
+  }
+
+  /**
+   * Monta o mapa no painel da aba "Mapa".
+   *
+   * @param {HTMLElement} panel
+   */
+  function setupTripMap(panel) {
+    panel.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = '🗺️ Mapa da viagem';
+    const { controls, daySelect, showStops, showMemories } = createControls();
+
+    const svg = svgElement('svg', { class: 'trip-map', role: 'group', 'aria-label': 'Mapa das atividades e memórias' });
+    svg.appendChild(svgElement('rect', { class: 'map-water', x: -1e5, y: -1e5, width: 2e5, height: 2e5 }));
+    const layers = {};
+    ['outline', 'labels', 'routes', 'markers'].forEach((name) => {
+      layers[name] = svgElement('g', { class: 'map-layer-' + name });
+      svg.appendChild(layers[name]);
+    });
+
+    const legend = document.createElement('ul');
+    legend.className = 'map-legend';
+    const info = document.createElement('div');
+    info.className = 'map-info';
+    info.setAttribute('aria-live', 'polite');
+
+    panel.append(heading, controls, svg, legend, info);
+    map = { panel, svg, layers, daySelect, showStops, showMemories, legend, info, memories: [], outline: null };
+    map.view = { x: 0, y: 0, width: MAX_WIDTH };
+    enablePanAndZoom(svg);
+    // Marcadores e textos dependem da largura do mapa na tela.
+    if (typeof ResizeObserver === 'function') new ResizeObserver(() => drawMarkers()).observe(svg);
+    showMessage('Toque em um ponto para ver os detalhes.');
+    buildFilter();
+    fit();
+    loadOutline().then(() => drawMarkers());
+    refreshTripMap();
+  }
+
+  // Memórias criadas, editadas ou excluídas em outro aparelho (ver
+  // live-updates.js). O enquadramento atual é mantido.
+  let liveReloadTimer = null;
+  function scheduleLiveReload() {
+    if (!map) return;
+    clearTimeout(liveReloadTimer);
+    liveReloadTimer = setTimeout(async () => {
+      await loadMemories();
+      drawMarkers();
+    }, 300);
+  }
+  window.addEventListener('live:memory', scheduleLiveReload);
+  window.addEventListener('live:resync', scheduleLiveReload);
+
+  window.setupTripMap = setupTripMap;
+  window.refreshTripMap = refreshTripMap;
+})();
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+/*
+ * User accounts for the memories server.
+ *
+ * Accounts live in the `users` collection of the storage layer, keyed by
+ * username. Passwords are never stored in plain text: each record keeps a
+ * scrypt hash in the form "scrypt$N$r$p$salt$hash" (salt and hash in
+ * base64), so the cost parameters can be raised later without invalidating
+ * existing hashes. Verification uses crypto.timingSafeEqual and also runs a
+ * full hash for unknown usernames, so response times do not reveal which
+ * accounts exist.
+ *
+ * Removing an account or changing its password ends its sessions (the
+ * `sessions` collection of session-store.js), so a stolen or shared login
+ * stops working right away.
+ */
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,32}$/i;
+
+/**
+ * Hash a password with a random salt.
+ *
+ * @param {string} password
+ * @returns {string} Encoded hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash in constant time.
+ *
+ * @param {string} password
+ * @param {string} encoded Value produced by hashPassword()
+ * @returns {boolean}
+ */
+function verifyPassword(password, encoded) {
+  const parts = String(encoded || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash compared against when the username does not exist.
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Strip the password hash from a user record before exposing it.
+ *
+ * @param {object|null} record
+ */
+function publicUser(record) {
+  if (!record) return null;
+  const { passwordHash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Create the user store on top of a storage instance (see storage.js).
+ *
+ * @param {object} store
+ */
+function createUserStore(store) {
+  const endSessions = (username) =>
+    store
+      .all('sessions')
+      .filter((r) => r.session && r.session.user && r.session.user.username === username)
+      .forEach((r) => store.remove('sessions', r.id));
+
+  return {
+    list() {
+      return store.all('users').map(publicUser);
+    },
+    get(username) {
+      return publicUser(store.get('users', String(username)));
+    },
+    add(username, password) {
+      const name = String(username || '').trim();
+      if (!USERNAME_PATTERN.test(name)) {
+        throw new Error('Nome de usuário inválido: ' + name);
+      }
+      if (!password || String(password).length < 4) {
+        throw new Error('A senha deve ter pelo menos 4 caracteres');
+      }
+      if (store.get('users', name)) {
+        throw new Error('Usuário já existe: ' + name);
+      }
+      const now = new Date().toISOString();
+      return publicUser(
+        store.insert('users', {
+          id: name,
+          username: name,
+          passwordHash: hashPassword(password),
+          createdAt: now,
+          updatedAt: now,
+        })
+      );
+    },
+    remove(username) {
+      return store.transaction(() => {
+        endSessions(String(username));
+        return store.remove('users', String(username));
+      });
+    },
+    setPassword(username, password) {
+      const record = store.get('users', String(username));
+      if (!record) {
+        throw new Error('Usuário não encontrado: ' + username);
+      }
+      if (!password || String(password).length < 4) {
+        throw new Error('A senha deve ter pelo menos 4 caracteres');
+      }
+      record.passwordHash = hashPassword(password);
+      record.updatedAt = new Date().toISOString();
+      return store.transaction(() => {
+        endSessions(record.username);
+        return publicUser(store.update('users', record));
+      });
+    },
+    /**
+     * Return the public user record when the credentials match, else null.
+     */
+    verify(username, password) {
+      const record = store.get('users', String(username));
+      const ok = verifyPassword(password, record ? record.passwordHash : DUMMY_HASH);
+      return record && ok ? publicUser(record) : null;
+    },
+    /**
+     * Import plain-text credentials (the legacy USERS env format). Existing
+     * accounts are left untouched so passwords changed through the CLI are
+     * not reverted on the next restart.
+     *
+     * @param {Object<string, string>} map username → password
+     * @returns {string[]} usernames that were created
+     */
+    importPlain(map) {
+      return store.transaction(() =>
+        Object.keys(map || {}).filter((username) => {
+          if (store.get('users', username)) return false;
+          this.add(username, map[username]);
+          return true;
+        })
+      );
+    },
+  };
+}
+
+module.exports = { createUserStore, hashPassword, verifyPassword };
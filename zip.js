@@ -0,0 +1,333 @@
+const fs = require('fs');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
+
+/*
+ * Minimal ZIP writer for the export archive, and reader for archives sent
+ * to the import.
+ *
+ * Entries are written one after the other to a writable stream (usually the
+ * HTTP response), so the archive is never held in memory:
+ *
+ *   • buffers (JSON, HTML, Markdown) are deflated;
+ *   • files (photos and videos, already compressed) are stored as-is. Their
+ *     CRC-32 is computed in a first read so the local header can be written
+ *     before the contents are streamed.
+ *
+ * Names are stored as UTF-8. The classic (non-ZIP64) format limits the
+ * archive to 4 GiB and 65535 entries; addFile() throws past those limits.
+ *
+ * openZip() reads the central directory of an archive on disk and then
+ * extracts entries one at a time: read() returns an entry in memory (for
+ * small ones, like JSON), extract() streams it to a file. Stored and
+ * deflated entries are supported, which covers archives made by this
+ * module, by operating systems and by most apps. Archives come from users,
+ * so each entry and the sum of everything extracted are capped
+ * (MAX_ENTRY_SIZE, MAX_TOTAL_SIZE), and an entry never expands beyond the
+ * size its header declares. Problems with the archive itself are thrown as
+ * ZipError; errors of the file system pass through.
+ */
+
+const MAX_32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+// Default limits of openZip(), in bytes once extracted.
+const MAX_ENTRY_SIZE = 100 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 1024 * 1024 * 1024;
+
+/** An archive that can't be read: not a ZIP, damaged or over the limits. */
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_v, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32Update(crc, buffer) {
+  let c = crc ^ MAX_32;
+  for (let i = 0; i < buffer.length; i += 1) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ MAX_32) >>> 0;
+}
+
+async function fileCrc32(file) {
+  let crc = 0;
+  for await (const chunk of fs.createReadStream(file)) crc = crc32Update(crc, chunk);
+  return crc;
+}
+
+/**
+ * Date and time in MS-DOS format, as stored in ZIP headers.
+ *
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * @param {import('stream').Writable} output
+ */
+function createZip(output) {
+  const entries = [];
+  let offset = 0;
+
+  function write(buffer) {
+    offset += buffer.length;
+    if (output.write(buffer)) return Promise.resolve();
+    return new Promise((resolve) => output.once('drain', resolve));
+  }
+
+  function header(entry) {
+    const name = Buffer.from(entry.name);
+    const head = Buffer.alloc(30);
+    head.writeUInt32LE(0x04034b50, 0);
+    head.writeUInt16LE(20, 4);
+    head.writeUInt16LE(UTF8_FLAG, 6);
+    head.writeUInt16LE(entry.method, 8);
+    head.writeUInt16LE(entry.dos.time, 10);
+    head.writeUInt16LE(entry.dos.date, 12);
+    head.writeUInt32LE(entry.crc, 14);
+    head.writeUInt32LE(entry.compressedSize, 18);
+    head.writeUInt32LE(entry.size, 22);
+    head.writeUInt16LE(name.length, 26);
+    head.writeUInt16LE(0, 28);
+    return Buffer.concat([head, name]);
+  }
+
+  function begin(name, fields) {
+    if (entries.length >= MAX_ENTRIES) throw new Error('Too many files for a ZIP archive');
+    const entry = { name, offset, ...fields };
+    if (entry.size > MAX_32 || entry.compressedSize > MAX_32 || offset + entry.compressedSize > MAX_32) {
+      throw new Error('Export is too large for a ZIP archive');
+    }
+    entries.push(entry);
+    return entry;
+  }
+
+  return {
+    /**
+     * Add an entry from memory (deflated).
+     *
+     * @param {string} name Path inside the archive
+     * @param {Buffer|string} data
+     * @param {Date} [modified]
+     */
+    async addBuffer(name, data, modified = new Date()) {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+      const compressed = zlib.deflateRawSync(buffer);
+      const entry = begin(name, {
+        method: METHOD_DEFLATE,
+        dos: dosDateTime(modified),
+        crc: crc32Update(0, buffer),
+        size: buffer.length,
+        compressedSize: compressed.length,
+      });
+      await write(header(entry));
+      await write(compressed);
+    },
+
+    /**
+     * Add a file from disk (stored without compression).
+     *
+     * @param {string} name Path inside the archive
+     * @param {string} file Path on disk
+     */
+    async addFile(name, file) {
+      const stat = await fs.promises.stat(file);
+      const entry = begin(name, {
+        method: METHOD_STORE,
+        dos: dosDateTime(stat.mtime),
+        crc: await fileCrc32(file),
+        size: stat.size,
+        compressedSize: stat.size,
+      });
+      await write(header(entry));
+      if (stat.size === 0) return;
+      // Stop at the size in the header, even if the file grew meanwhile.
+      for await (const chunk of fs.createReadStream(file, { end: stat.size - 1 })) {
+        await write(chunk);
+      }
+    },
+
+    /**
+     * Write the central directory. The output stream is left open.
+     */
+    async finish() {
+      const start = offset;
+      for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(UTF8_FLAG, 8);
+        record.writeUInt16LE(entry.method, 10);
+        record.writeUInt16LE(entry.dos.time, 12);
+        record.writeUInt16LE(entry.dos.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        await write(Buffer.concat([record, name]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+    },
+  };
+}
+
+/**
+ * Pass chunks through until more than `limit` bytes went by.
+ *
+ * @param {number} limit
+ * @param {string} name Entry name, for the error
+ */
+function sizeLimit(limit, name) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, _encoding, done) {
+      total += chunk.length;
+      if (total > limit) done(new ZipError('Arquivo maior que o declarado no ZIP: ' + name));
+      else done(null, chunk);
+    },
+  });
+}
+
+/**
+ * Open a ZIP archive on disk.
+ *
+ * @param {string} file
+ * @param {{ maxEntrySize?: number, maxTotalSize?: number }} [limits] Bytes
+ *   allowed per entry and for all the entries read or extracted
+ * @returns {Promise<{ names: string[], size: function(string): number, read: function(string): Promise<Buffer>,
+ *   extract: function(string, string): Promise<void>, close: function(): Promise<void> }>}
+ * @throws {ZipError} When the file is not a ZIP archive
+ */
+async function openZip(file, { maxEntrySize = MAX_ENTRY_SIZE, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+  const handle = await fs.promises.open(file, 'r');
+  const readAt = async (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  };
+  try {
+    const { size } = await handle.stat();
+    // The end of central directory record is in the last 22 bytes plus an
+    // optional comment of up to 64 KiB.
+    const tailStart = Math.max(0, size - 22 - 0xffff);
+    const tail = await readAt(tailStart, size - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i -= 1) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new ZipError('Arquivo ZIP inválido');
+    const count = tail.readUInt16LE(eocd + 10);
+    const directory = await readAt(tail.readUInt32LE(eocd + 16), tail.readUInt32LE(eocd + 12));
+    const entries = new Map();
+    let pos = 0;
+    for (let i = 0; i < count; i += 1) {
+      if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== 0x02014b50) {
+        throw new ZipError('Arquivo ZIP inválido');
+      }
+      const nameLength = directory.readUInt16LE(pos + 28);
+      const extraLength = directory.readUInt16LE(pos + 30);
+      const commentLength = directory.readUInt16LE(pos + 32);
+      const name = directory.subarray(pos + 46, pos + 46 + nameLength).toString();
+      if (!name.endsWith('/')) {
+        entries.set(name, {
+          method: directory.readUInt16LE(pos + 10),
+          compressedSize: directory.readUInt32LE(pos + 20),
+          size: directory.readUInt32LE(pos + 24),
+          offset: directory.readUInt32LE(pos + 42),
+        });
+      }
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+    let extracted = 0;
+
+    /**
+     * Find an entry and its data, counting its size against the limits.
+     * The declared size bounds the output, so a crafted entry can't expand
+     * beyond what was counted.
+     */
+    async function open(name) {
+      const entry = entries.get(name);
+      if (!entry) throw new ZipError('Arquivo ausente no ZIP: ' + name);
+      if (entry.method !== METHOD_STORE && entry.method !== METHOD_DEFLATE) {
+        throw new ZipError('Compressão não suportada no ZIP: ' + name);
+      }
+      const size = entry.method === METHOD_STORE ? entry.compressedSize : entry.size;
+      if (size > maxEntrySize) throw new ZipError('Arquivo grande demais no ZIP: ' + name);
+      if (extracted + size > maxTotalSize) throw new ZipError('Conteúdo do ZIP grande demais');
+      extracted += size;
+      const local = await readAt(entry.offset, 30);
+      if (local.length < 30 || local.readUInt32LE(0) !== 0x04034b50) throw new ZipError('Arquivo ZIP inválido');
+      const start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+      return { ...entry, size, start };
+    }
+
+    return {
+      names: Array.from(entries.keys()),
+      size: (name) => (entries.has(name) ? entries.get(name).size : 0),
+      async read(name) {
+        const entry = await open(name);
+        const data = await readAt(entry.start, entry.compressedSize);
+        if (entry.method === METHOD_STORE) return data;
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+        } catch (_err) {
+          throw new ZipError('Arquivo corrompido no ZIP: ' + name);
+        }
+      },
+      /**
+       * Write an entry to `dest` without holding it in memory. A partial
+       * file is removed when the extraction fails.
+       */
+      async extract(name, dest) {
+        const entry = await open(name);
+        const steps = [
+          entry.compressedSize > 0
+            ? fs.createReadStream(file, { start: entry.start, end: entry.start + entry.compressedSize - 1 })
+            : Readable.from([]),
+        ];
+        if (entry.method === METHOD_DEFLATE) steps.push(zlib.createInflateRaw(), sizeLimit(entry.size, name));
+        try {
+          await pipeline(...steps, fs.createWriteStream(dest));
+        } catch (err) {
+          await fs.promises.unlink(dest).catch(() => {});
+          // zlib errors carry a Z_* code; those of the file system don't.
+          if (err.code && err.code.startsWith('Z_')) throw new ZipError('Arquivo corrompido no ZIP: ' + name);
+          throw err;
+        }
+      },
+      close: () => handle.close(),
+    };
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+}
+
+module.exports = { createZip, openZip, ZipError, MAX_ENTRY_SIZE, MAX_TOTAL_SIZE };